@@ -1,13 +1,21 @@
 const express = require('express');
+const { pipeline } = require('stream/promises');
 const logger = require('../config/logger');
+const Scheduler = require('../engine/scheduler');
+const Cron = require('../engine/cron');
+const TriggerManager = require('../engine/trigger-manager');
+const InputSchema = require('../engine/input-schema');
+const ArtifactStore = require('../engine/artifact-store');
 
 /**
  * API request handlers
  */
 class ApiHandlers {
-  constructor(db, workflowEngine) {
+  constructor(db, workflowEngine, scheduler, triggerManager) {
     this.db = db;
     this.workflowEngine = workflowEngine;
+    this.scheduler = scheduler || new Scheduler(db, workflowEngine);
+    this.triggerManager = triggerManager || new TriggerManager(db, workflowEngine);
   }
 
   /**
@@ -46,17 +54,33 @@ class ApiHandlers {
         if (!step.id || typeof step.id !== 'string') {
           errors.push(`Step ${index} must have a string id`);
         }
-        if (!step.plugin || typeof step.plugin !== 'string') {
-          errors.push(`Step ${index} (${step.id || 'unnamed'}) must have a string plugin`);
-        }
-        if (!step.action || typeof step.action !== 'string') {
-          errors.push(`Step ${index} (${step.id || 'unnamed'}) must have a string action`);
+        // Built-in step types (step.type) have no plugin; DagResolver checks them
+        if (step.type === undefined) {
+          if (!step.plugin || typeof step.plugin !== 'string') {
+            errors.push(`Step ${index} (${step.id || 'unnamed'}) must have a string plugin`);
+          }
+          if (!step.action || typeof step.action !== 'string') {
+            errors.push(`Step ${index} (${step.id || 'unnamed'}) must have a string action`);
+          }
         }
         if (step.needs && !Array.isArray(step.needs)) {
           errors.push(`Step ${index} (${step.id || 'unnamed'}) needs must be an array`);
         }
       });
     }
+
+    if (workflowSpec.inputs !== undefined) {
+      errors.push(...InputSchema.validate(workflowSpec.inputs));
+    }
+
+    if (workflowSpec.outputs !== undefined
+      && (typeof workflowSpec.outputs !== 'object' || workflowSpec.outputs === null || Array.isArray(workflowSpec.outputs))) {
+      errors.push('Workflow outputs must be an object');
+    }
+
+    if (workflowSpec.finally !== undefined && !Array.isArray(workflowSpec.finally)) {
+      errors.push('Workflow finally must be an array of steps');
+    }
     
     return errors;
   }
@@ -80,6 +104,8 @@ class ApiHandlers {
       errors.push('Plugin id must be 255 characters or less');
     } else if (!/^[a-z0-9._-]+$/.test(plugin.id)) {
       errors.push('Plugin id must contain only lowercase letters, numbers, dots, hyphens, and underscores');
+    } else if (plugin.id === 'orchestrator') {
+      errors.push('Plugin id "orchestrator" is reserved for built-in steps');
     }
     
     if (!plugin.name || typeof plugin.name !== 'string') {
@@ -106,10 +132,13 @@ class ApiHandlers {
 
   /**
    * Submit a new workflow
+   * The body is either the workflow specification itself or
+   * { workflow, inputs } to pass values for the workflow's declared inputs.
    */
   async submitWorkflow(req, res) {
     try {
-      const workflowSpec = req.body;
+      const envelope = req.body && typeof req.body.workflow === 'object' ? req.body : null;
+      const workflowSpec = envelope ? envelope.workflow : req.body;
 
       // Validate workflow specification
       const validationErrors = this.validateWorkflowSpec(workflowSpec);
@@ -121,18 +150,157 @@ class ApiHandlers {
         });
       }
 
-      const result = await this.workflowEngine.submitWorkflow(workflowSpec);
+      const result = await this.workflowEngine.submitWorkflow(workflowSpec, {}, envelope ? envelope.inputs : undefined);
 
       res.status(201).json(result);
     } catch (error) {
       logger.error('Failed to submit workflow', { error: error.message });
       res.status(400).json({
         error: 'Failed to submit workflow',
+        message: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+  }
+
+  /**
+   * Create a workflow definition or add a new version of it
+   */
+  async putWorkflowDefinition(req, res) {
+    const { name } = req.params;
+    const workflowSpec = req.body && typeof req.body === 'object'
+      ? { ...req.body, name: req.body.name || name }
+      : req.body;
+
+    const validationErrors = this.validateWorkflowSpec(workflowSpec);
+    if (workflowSpec && workflowSpec.name !== name) {
+      validationErrors.push(`Workflow name "${workflowSpec.name}" does not match "${name}"`);
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid workflow specification',
+        message: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    try {
+      const result = this.workflowEngine.registry.register(workflowSpec);
+      res.status(result.created ? 201 : 200).json(result);
+    } catch (error) {
+      logger.error('Failed to register workflow', { name, error: error.message });
+      res.status(400).json({
+        error: 'Failed to register workflow',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List workflow definitions
+   */
+  async listWorkflowDefinitions(req, res) {
+    try {
+      const workflows = this.workflowEngine.registry.list();
+      res.json({ workflows });
+    } catch (error) {
+      logger.error('Failed to list workflows', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to list workflows',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a workflow definition, or one version of it with ?version=N
+   */
+  async getWorkflowDefinition(req, res) {
+    const { name } = req.params;
+
+    try {
+      const workflow = req.query.version
+        ? this.workflowEngine.registry.resolve(name, parseInt(req.query.version, 10))
+        : this.workflowEngine.registry.get(name);
+
+      if (!workflow) {
+        return res.status(404).json({
+          error: 'Workflow not found',
+          name,
+          ...(req.query.version && { version: req.query.version })
+        });
+      }
+
+      res.json(workflow);
+    } catch (error) {
+      logger.error('Failed to get workflow', { name, error: error.message });
+      res.status(500).json({
+        error: 'Failed to get workflow',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a workflow definition (past executions keep their versions)
+   */
+  async deleteWorkflowDefinition(req, res) {
+    const { name } = req.params;
+
+    try {
+      if (!this.workflowEngine.registry.delete(name)) {
+        return res.status(404).json({
+          error: 'Workflow not found',
+          name
+        });
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Failed to delete workflow', { name, error: error.message });
+      res.status(500).json({
+        error: 'Failed to delete workflow',
         message: error.message
       });
     }
   }
 
+  /**
+   * Run the latest (or a pinned) version of a registered workflow
+   */
+  async runWorkflow(req, res) {
+    const { name } = req.params;
+    const { version, options, inputs } = req.body || {};
+
+    if (version !== undefined && (!Number.isInteger(version) || version < 1)) {
+      return res.status(400).json({
+        error: 'Invalid run request',
+        message: 'version must be a positive integer'
+      });
+    }
+
+    try {
+      const result = await this.workflowEngine.runWorkflow(name, { version, options, inputs });
+
+      if (!result) {
+        return res.status(404).json({
+          error: 'Workflow not found',
+          name,
+          ...(version && { version })
+        });
+      }
+
+      res.status(201).json(result);
+    } catch (error) {
+      logger.error('Failed to run workflow', { name, error: error.message });
+      res.status(400).json({
+        error: 'Failed to run workflow',
+        message: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+  }
+
   /**
    * Get execution status
    */
@@ -158,6 +326,83 @@ class ApiHandlers {
     }
   }
 
+  /**
+   * Get an execution's result (its outputs, or every step result)
+   */
+  async getExecutionResult(req, res) {
+    try {
+      const { executionId } = req.params;
+      const execution = this.db.getExecution(executionId);
+
+      if (!execution) {
+        return res.status(404).json({
+          error: 'Execution not found',
+          executionId
+        });
+      }
+
+      await this.sendResult(res, execution.result);
+    } catch (error) {
+      logger.error('Failed to get execution result', { error: error.message });
+      this.sendResultError(res, 'Failed to get execution result', error);
+    }
+  }
+
+  /**
+   * Get a task's result
+   */
+  async getTaskResult(req, res) {
+    try {
+      const { executionId, taskId } = req.params;
+      const task = this.db.getTask(taskId);
+
+      if (!task || task.execution_id !== executionId) {
+        return res.status(404).json({
+          error: 'Task not found',
+          executionId,
+          taskId
+        });
+      }
+
+      await this.sendResult(res, task.result);
+    } catch (error) {
+      logger.error('Failed to get task result', { error: error.message });
+      this.sendResultError(res, 'Failed to get task result', error);
+    }
+  }
+
+  /**
+   * Send a stored result as JSON, streaming it from the artifact store when
+   * it was offloaded
+   * @private
+   */
+  async sendResult(res, result) {
+    if (!ArtifactStore.isReference(result)) {
+      return res.json(result);
+    }
+
+    const body = await this.workflowEngine.artifacts.open(result);
+    res.type('application/json');
+    res.set('Content-Length', String(result.size));
+    await pipeline(body, res);
+  }
+
+  /**
+   * @private
+   */
+  sendResultError(res, message, error) {
+    if (res.headersSent) {
+      // Failed mid-stream: the client sees a truncated body
+      res.destroy(error);
+      return;
+    }
+
+    res.status(500).json({
+      error: message,
+      message: error.message
+    });
+  }
+
   /**
    * List all executions
    */
@@ -174,6 +419,630 @@ class ApiHandlers {
     }
   }
 
+  /**
+   * Cancel, pause or resume an execution
+   * @param {string} action - cancel | pause | resume
+   */
+  async controlExecution(req, res, action) {
+    const { executionId } = req.params;
+    const methods = {
+      cancel: 'cancelExecution',
+      pause: 'pauseExecution',
+      resume: 'resumeExecution'
+    };
+
+    try {
+      const result = this.workflowEngine[methods[action]](executionId);
+
+      if (!result) {
+        return res.status(404).json({
+          error: 'Execution not found',
+          executionId
+        });
+      }
+
+      res.status(202).json(result);
+    } catch (error) {
+      logger.warn(`Failed to ${action} execution`, { executionId, error: error.message });
+      res.status(409).json({
+        error: `Failed to ${action} execution`,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Retry a failed execution from its failed step
+   */
+  async retryExecution(req, res) {
+    const { executionId } = req.params;
+
+    try {
+      const result = this.workflowEngine.retryExecution(executionId);
+
+      if (!result) {
+        return res.status(404).json({
+          error: 'Execution not found',
+          executionId
+        });
+      }
+
+      res.status(201).json(result);
+    } catch (error) {
+      logger.warn('Failed to retry execution', { executionId, error: error.message });
+      res.status(409).json({
+        error: 'Failed to retry execution',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List approvals (pending ones unless ?status= asks for another status or "all")
+   */
+  async listApprovals(req, res) {
+    const status = req.query.status || 'pending';
+    const statuses = ['pending', 'approved', 'rejected', 'cancelled', 'all'];
+
+    if (!statuses.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of: ${statuses.join(', ')}`
+      });
+    }
+
+    try {
+      const approvals = this.db.listApprovals(status === 'all' ? {} : { status });
+      res.json({ approvals });
+    } catch (error) {
+      logger.error('Failed to list approvals', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to list approvals',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Approve or reject a pending approval
+   * Body: { decision: 'approve' | 'reject', actor, comment }
+   */
+  async decideApproval(req, res) {
+    const { approvalId } = req.params;
+    const { decision, actor, comment } = req.body || {};
+    const errors = [];
+
+    if (!['approve', 'reject'].includes(decision)) {
+      errors.push('decision must be "approve" or "reject"');
+    }
+    if (!actor || typeof actor !== 'string') {
+      errors.push('actor must be a non-empty string');
+    }
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+      errors.push('comment must be a string');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid decision',
+        message: 'Validation failed',
+        details: errors
+      });
+    }
+
+    try {
+      const approval = this.workflowEngine.decideApproval(approvalId, { decision, actor, comment });
+
+      if (!approval) {
+        return res.status(404).json({
+          error: 'Approval not found',
+          approvalId
+        });
+      }
+
+      res.json(approval);
+    } catch (error) {
+      logger.warn('Failed to decide approval', { approvalId, error: error.message });
+      res.status(409).json({
+        error: 'Failed to decide approval',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List step cache entries (?plugin= and ?action= narrow the list)
+   */
+  async listCacheEntries(req, res) {
+    try {
+      const { plugin, action } = req.query;
+      const entries = this.workflowEngine.executor.cache.list({ plugin, action });
+      res.json({ entries });
+    } catch (error) {
+      logger.error('Failed to list cache entries', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to list cache entries',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Invalidate step cache entries
+   * DELETE /cache/:key drops one entry; DELETE /cache drops every entry
+   * matching ?plugin= and ?action= (all entries without filters).
+   */
+  async invalidateCache(req, res) {
+    const { key } = req.params;
+
+    try {
+      const { plugin, action } = req.query;
+      const deleted = await this.workflowEngine.executor.cache.invalidate(key ? { key } : { plugin, action });
+
+      if (key && deleted === 0) {
+        return res.status(404).json({
+          error: 'Cache entry not found',
+          key
+        });
+      }
+
+      res.json({ deleted });
+    } catch (error) {
+      logger.error('Failed to invalidate cache', { key, error: error.message });
+      res.status(500).json({
+        error: 'Failed to invalidate cache',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Validate dead-letter filters (?taskId=, ?before= and, for listing, ?limit=)
+   * @private
+   */
+  validateDeadLetterFilters(query) {
+    const errors = [];
+    const { taskId, before, limit } = query;
+
+    if (before !== undefined && Number.isNaN(Date.parse(before))) {
+      errors.push('before must be a date');
+    }
+    if (limit !== undefined && !/^[1-9][0-9]*$/.test(limit)) {
+      errors.push('limit must be a positive integer');
+    }
+
+    return { errors, filters: { taskId, before, limit: limit && parseInt(limit, 10) } };
+  }
+
+  /**
+   * List dead letters (?taskId=, ?before= and ?limit= narrow the list)
+   */
+  async listDeadLetters(req, res) {
+    const { errors, filters } = this.validateDeadLetterFilters(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid filters',
+        message: 'Validation failed',
+        details: errors
+      });
+    }
+
+    try {
+      const deadLetters = await this.workflowEngine.queue.listDeadLetters(filters);
+      res.json({ deadLetters });
+    } catch (error) {
+      logger.error('Failed to list dead letters', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to list dead letters',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a dead letter with its payload and attempts
+   */
+  async getDeadLetter(req, res) {
+    const { deadLetterId } = req.params;
+
+    try {
+      const deadLetter = await this.workflowEngine.queue.getDeadLetter(deadLetterId);
+
+      if (!deadLetter) {
+        return res.status(404).json({
+          error: 'Dead letter not found',
+          deadLetterId
+        });
+      }
+
+      res.json(deadLetter);
+    } catch (error) {
+      logger.error('Failed to get dead letter', { deadLetterId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to get dead letter',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Put a dead letter's execution back on the queue
+   * Body (optional): { payload } replaces the payload it failed with; its
+   * executionId, if set, must be the dead letter's task id.
+   */
+  async redriveDeadLetter(req, res) {
+    const { deadLetterId } = req.params;
+    const { payload } = req.body || {};
+
+    try {
+      const deadLetter = await this.workflowEngine.queue.getDeadLetter(deadLetterId);
+      if (!deadLetter) {
+        return res.status(404).json({
+          error: 'Dead letter not found',
+          deadLetterId
+        });
+      }
+
+      const errors = [];
+      if (payload !== undefined && (typeof payload !== 'object' || payload === null || Array.isArray(payload))) {
+        errors.push('payload must be an object');
+      } else if (payload && payload.executionId !== undefined && payload.executionId !== deadLetter.task_id) {
+        errors.push(`payload.executionId must be "${deadLetter.task_id}"`);
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid redrive',
+          message: 'Validation failed',
+          details: errors
+        });
+      }
+
+      const redriven = await this.workflowEngine.redriveDeadLetter(
+        deadLetterId,
+        payload && { ...payload, executionId: deadLetter.task_id }
+      );
+
+      if (!redriven) {
+        return res.status(404).json({
+          error: 'Dead letter not found',
+          deadLetterId
+        });
+      }
+
+      res.json(redriven);
+    } catch (error) {
+      logger.warn('Failed to redrive dead letter', { deadLetterId, error: error.message });
+      res.status(409).json({
+        error: 'Failed to redrive dead letter',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Purge dead letters
+   * DELETE /dlq/:deadLetterId drops one; DELETE /dlq drops every dead letter
+   * matching ?taskId= and ?before= (all of them without filters).
+   */
+  async purgeDeadLetters(req, res) {
+    const { deadLetterId } = req.params;
+    const { errors, filters } = this.validateDeadLetterFilters({ ...req.query, limit: undefined });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid filters',
+        message: 'Validation failed',
+        details: errors
+      });
+    }
+
+    try {
+      const deleted = await this.workflowEngine.queue.purgeDeadLetters(
+        deadLetterId ? { id: deadLetterId } : { taskId: filters.taskId, before: filters.before }
+      );
+
+      if (deadLetterId && deleted === 0) {
+        return res.status(404).json({
+          error: 'Dead letter not found',
+          deadLetterId
+        });
+      }
+
+      res.json({ deleted });
+    } catch (error) {
+      logger.error('Failed to purge dead letters', { deadLetterId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to purge dead letters',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List schedules
+   */
+  async listSchedules(req, res) {
+    try {
+      const schedules = this.scheduler.list();
+      res.json({ schedules });
+    } catch (error) {
+      logger.error('Failed to list schedules', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to list schedules',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a schedule
+   */
+  async createSchedule(req, res) {
+    try {
+      const { schedule, errors } = this.scheduler.create(req.body || {});
+
+      if (errors) {
+        return res.status(400).json({
+          error: 'Invalid schedule',
+          message: 'Validation failed',
+          details: errors
+        });
+      }
+
+      res.status(201).json(schedule);
+    } catch (error) {
+      logger.error('Failed to create schedule', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to create schedule',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a schedule with its upcoming fire times
+   */
+  async getSchedule(req, res) {
+    const { scheduleId } = req.params;
+
+    try {
+      const schedule = this.scheduler.get(scheduleId);
+
+      if (!schedule) {
+        return res.status(404).json({
+          error: 'Schedule not found',
+          scheduleId
+        });
+      }
+
+      res.json(schedule);
+    } catch (error) {
+      logger.error('Failed to get schedule', { scheduleId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to get schedule',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a schedule (fields not given are kept)
+   */
+  async updateSchedule(req, res) {
+    const { scheduleId } = req.params;
+
+    try {
+      const updated = this.scheduler.update(scheduleId, req.body || {});
+
+      if (!updated) {
+        return res.status(404).json({
+          error: 'Schedule not found',
+          scheduleId
+        });
+      }
+
+      if (updated.errors) {
+        return res.status(400).json({
+          error: 'Invalid schedule',
+          message: 'Validation failed',
+          details: updated.errors
+        });
+      }
+
+      res.json(updated.schedule);
+    } catch (error) {
+      logger.error('Failed to update schedule', { scheduleId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to update schedule',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a schedule
+   */
+  async deleteSchedule(req, res) {
+    const { scheduleId } = req.params;
+
+    try {
+      if (!this.scheduler.delete(scheduleId)) {
+        return res.status(404).json({
+          error: 'Schedule not found',
+          scheduleId
+        });
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Failed to delete schedule', { scheduleId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to delete schedule',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Preview fire times for a cron expression or interval without saving it
+   * Query: cron or interval_seconds, timezone, count (max 50)
+   */
+  async previewSchedule(req, res) {
+    const { cron, timezone = 'UTC' } = req.query;
+    const intervalSeconds = req.query.interval_seconds ? Number(req.query.interval_seconds) : undefined;
+    const count = Math.min(parseInt(req.query.count || '5', 10) || 5, 50);
+
+    const errors = [];
+    if (Boolean(cron) === (intervalSeconds !== undefined)) {
+      errors.push('Provide exactly one of cron or interval_seconds');
+    } else if (intervalSeconds !== undefined && (!Number.isInteger(intervalSeconds) || intervalSeconds < 1)) {
+      errors.push('interval_seconds must be a positive integer');
+    }
+    if (!Cron.isValidTimezone(timezone)) {
+      errors.push(`Unknown timezone "${timezone}"`);
+    }
+
+    try {
+      if (errors.length === 0) {
+        const runs = this.scheduler.preview({ cron, interval_seconds: intervalSeconds, timezone }, count);
+        return res.json({ cron, interval_seconds: intervalSeconds, timezone, runs });
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    res.status(400).json({
+      error: 'Invalid schedule',
+      message: 'Validation failed',
+      details: errors
+    });
+  }
+
+  /**
+   * List triggers
+   */
+  async listTriggers(req, res) {
+    try {
+      const triggers = this.triggerManager.list();
+      res.json({ triggers });
+    } catch (error) {
+      logger.error('Failed to list triggers', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to list triggers',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a trigger
+   */
+  async createTrigger(req, res) {
+    try {
+      const { trigger, errors } = await this.triggerManager.create(req.body || {});
+
+      if (errors) {
+        return res.status(400).json({
+          error: 'Invalid trigger',
+          message: 'Validation failed',
+          details: errors
+        });
+      }
+
+      res.status(201).json(trigger);
+    } catch (error) {
+      logger.error('Failed to create trigger', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to create trigger',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a trigger
+   */
+  async getTrigger(req, res) {
+    const { triggerId } = req.params;
+
+    try {
+      const trigger = this.triggerManager.get(triggerId);
+
+      if (!trigger) {
+        return res.status(404).json({
+          error: 'Trigger not found',
+          triggerId
+        });
+      }
+
+      res.json(trigger);
+    } catch (error) {
+      logger.error('Failed to get trigger', { triggerId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to get trigger',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a trigger (fields not given are kept)
+   */
+  async updateTrigger(req, res) {
+    const { triggerId } = req.params;
+
+    try {
+      const updated = await this.triggerManager.update(triggerId, req.body || {});
+
+      if (!updated) {
+        return res.status(404).json({
+          error: 'Trigger not found',
+          triggerId
+        });
+      }
+
+      if (updated.errors) {
+        return res.status(400).json({
+          error: 'Invalid trigger',
+          message: 'Validation failed',
+          details: updated.errors
+        });
+      }
+
+      res.json(updated.trigger);
+    } catch (error) {
+      logger.error('Failed to update trigger', { triggerId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to update trigger',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a trigger
+   */
+  async deleteTrigger(req, res) {
+    const { triggerId } = req.params;
+
+    try {
+      if (!(await this.triggerManager.delete(triggerId))) {
+        return res.status(404).json({
+          error: 'Trigger not found',
+          triggerId
+        });
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Failed to delete trigger', { triggerId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to delete trigger',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Get plugin details
    */
@@ -281,6 +1150,18 @@ class ApiHandlers {
       services: {}
     };
 
+    // This instance and the current leader (cleanup, schedules, triggers, streamer)
+    try {
+      const engine = this.workflowEngine;
+      if (engine) {
+        // Without leader election this instance does all leader-only work
+        const lease = engine.leader ? engine.leader.getLeader() : { nodeId: engine.nodeId };
+        result.node = { id: engine.nodeId, leader: engine.isLeader(), leaderId: lease ? lease.nodeId : null };
+      }
+    } catch (err) {
+      result.node = { status: 'error', message: err.message };
+    }
+
     // Check database
     try {
       // lightweight call to ensure DB accessible
@@ -4,19 +4,61 @@ const ApiHandlers = require('./handlers');
 /**
  * Create Express router with all API routes
  */
-function createRouter(db, workflowEngine) {
+function createRouter(db, workflowEngine, scheduler, triggerManager) {
   const router = express.Router();
-  const handlers = new ApiHandlers(db, workflowEngine);
+  const handlers = new ApiHandlers(db, workflowEngine, scheduler, triggerManager);
 
   // Health check
   router.get('/health', (req, res) => handlers.health(req, res));
 
   // Workflows
   router.post('/workflows', (req, res) => handlers.submitWorkflow(req, res));
+  router.get('/workflows', (req, res) => handlers.listWorkflowDefinitions(req, res));
+  router.get('/workflows/:name', (req, res) => handlers.getWorkflowDefinition(req, res));
+  router.put('/workflows/:name', (req, res) => handlers.putWorkflowDefinition(req, res));
+  router.delete('/workflows/:name', (req, res) => handlers.deleteWorkflowDefinition(req, res));
+  router.post('/workflows/:name/runs', (req, res) => handlers.runWorkflow(req, res));
 
   // Executions
   router.get('/executions', (req, res) => handlers.listExecutions(req, res));
   router.get('/executions/:executionId', (req, res) => handlers.getExecution(req, res));
+  router.get('/executions/:executionId/result', (req, res) => handlers.getExecutionResult(req, res));
+  router.get('/executions/:executionId/tasks/:taskId/result', (req, res) => handlers.getTaskResult(req, res));
+  router.post('/executions/:executionId/cancel', (req, res) => handlers.controlExecution(req, res, 'cancel'));
+  router.post('/executions/:executionId/pause', (req, res) => handlers.controlExecution(req, res, 'pause'));
+  router.post('/executions/:executionId/resume', (req, res) => handlers.controlExecution(req, res, 'resume'));
+  router.post('/executions/:executionId/retry', (req, res) => handlers.retryExecution(req, res));
+
+  // Approvals
+  router.get('/approvals', (req, res) => handlers.listApprovals(req, res));
+  router.post('/approvals/:approvalId', (req, res) => handlers.decideApproval(req, res));
+
+  // Step result cache
+  router.get('/cache', (req, res) => handlers.listCacheEntries(req, res));
+  router.delete('/cache', (req, res) => handlers.invalidateCache(req, res));
+  router.delete('/cache/:key', (req, res) => handlers.invalidateCache(req, res));
+
+  // Dead-letter queue
+  router.get('/dlq', (req, res) => handlers.listDeadLetters(req, res));
+  router.delete('/dlq', (req, res) => handlers.purgeDeadLetters(req, res));
+  router.get('/dlq/:deadLetterId', (req, res) => handlers.getDeadLetter(req, res));
+  router.delete('/dlq/:deadLetterId', (req, res) => handlers.purgeDeadLetters(req, res));
+  router.post('/dlq/:deadLetterId/redrive', (req, res) => handlers.redriveDeadLetter(req, res));
+
+  // Schedules
+  router.get('/schedules', (req, res) => handlers.listSchedules(req, res));
+  router.post('/schedules', (req, res) => handlers.createSchedule(req, res));
+  router.get('/schedules/preview', (req, res) => handlers.previewSchedule(req, res));
+  router.get('/schedules/:scheduleId', (req, res) => handlers.getSchedule(req, res));
+  router.put('/schedules/:scheduleId', (req, res) => handlers.updateSchedule(req, res));
+  router.delete('/schedules/:scheduleId', (req, res) => handlers.deleteSchedule(req, res));
+
+  // Triggers
+  router.get('/triggers', (req, res) => handlers.listTriggers(req, res));
+  router.post('/triggers', (req, res) => handlers.createTrigger(req, res));
+  router.get('/triggers/:triggerId', (req, res) => handlers.getTrigger(req, res));
+  router.put('/triggers/:triggerId', (req, res) => handlers.updateTrigger(req, res));
+  router.delete('/triggers/:triggerId', (req, res) => handlers.deleteTrigger(req, res));
 
   // Plugins
   router.get('/plugins', (req, res) => handlers.listPlugins(req, res));
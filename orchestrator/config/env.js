@@ -1,4 +1,5 @@
 require('dotenv').config();
+const os = require('os');
 
 const config = {
   // Kubernetes
@@ -10,7 +11,17 @@ const config = {
 
   // Database
   db: {
-    path: process.env.DB_PATH || './orchestrator/data/orchestrator.db'
+    path: process.env.DB_PATH || './orchestrator/data/orchestrator.db',
+    // How long a write waits for another instance's lock on the database file
+    // (instances share it only on one host)
+    busyTimeoutMs: parseInt(process.env.DB_BUSY_TIMEOUT_MS || '5000', 10)
+  },
+
+  // Instance identity and leader election between instances sharing the database on one host
+  node: {
+    id: process.env.NODE_ID || `${os.hostname()}:${process.pid}`,
+    // The leader renews its lease every third of this; others take over once it lapses
+    leaderLeaseMs: parseInt(process.env.LEADER_LEASE_MS || '15000', 10)
   },
 
   // API
@@ -19,6 +30,62 @@ const config = {
     host: process.env.API_HOST || '0.0.0.0'
   },
 
+  // Workflow engine
+  engine: {
+    maxParallelism: parseInt(process.env.ENGINE_MAX_PARALLELISM || '4', 10),
+    stepTimeoutMs: parseInt(process.env.STEP_TIMEOUT_MS || '30000', 10),
+    maxWorkflowDepth: parseInt(process.env.ENGINE_MAX_WORKFLOW_DEPTH || '10', 10)
+  },
+
+  // NATS server used by the JetStream queue, event triggers and NATS metrics
+  nats: {
+    url: process.env.NATS_URL || 'nats://localhost:4222'
+  },
+
+  // Task queue
+  queue: {
+    // Backend: sqlite (default) or jetstream (NATS JetStream work queue)
+    backend: process.env.QUEUE_BACKEND || 'sqlite',
+    // How long a claimed execution stays leased without a heartbeat before it is
+    // handed back to the queue (heartbeats run every third of this)
+    leaseMs: parseInt(process.env.QUEUE_LEASE_MS || '60000', 10),
+    // Executions processed at the same time by this instance
+    workers: parseInt(process.env.QUEUE_WORKERS || '4', 10),
+    // Per-workflow caps on executions processed at once ("name=limit,name=limit")
+    workflowLimits: Object.fromEntries((process.env.QUEUE_WORKFLOW_LIMITS || '')
+      .split(',')
+      .filter(entry => entry.includes('='))
+      .map(entry => entry.split('=').map(part => part.trim()))
+      .map(([name, limit]) => [name, parseInt(limit, 10)])),
+    // JetStream backend: work-queue stream and durable consumer shared by every instance
+    jetstream: {
+      stream: process.env.QUEUE_JETSTREAM_STREAM || 'ORCHESTRATOR_TASKS',
+      subject: process.env.QUEUE_JETSTREAM_SUBJECT || 'orchestrator.tasks',
+      consumer: process.env.QUEUE_JETSTREAM_CONSUMER || 'orchestrator-workers',
+      // Tasks that used up their retries, one subject per dead letter under this prefix
+      deadLetterStream: process.env.QUEUE_JETSTREAM_DLQ_STREAM || 'ORCHESTRATOR_DEAD_LETTERS',
+      deadLetterSubject: process.env.QUEUE_JETSTREAM_DLQ_SUBJECT || 'orchestrator.dead-letters'
+    }
+  },
+
+  // Step result cache
+  cache: {
+    // Results larger than this (serialized) are kept in MinIO instead of SQLite
+    maxInlineBytes: parseInt(process.env.STEP_CACHE_MAX_INLINE_BYTES || '262144', 10)
+  },
+
+  // Artifact store
+  artifacts: {
+    // Step and execution results larger than this (serialized) are written to MinIO
+    maxInlineBytes: parseInt(process.env.ARTIFACT_MAX_INLINE_BYTES || '1048576', 10)
+  },
+
+  // Scheduler
+  scheduler: {
+    tickMs: parseInt(process.env.SCHEDULER_TICK_MS || '5000', 10),
+    misfireGraceMs: parseInt(process.env.SCHEDULER_MISFIRE_GRACE_MS || '60000', 10)
+  },
+
   // Logging
   log: {
     level: process.env.LOG_LEVEL || 'info'
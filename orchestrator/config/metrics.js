@@ -28,6 +28,47 @@ const workflowDuration = new promClient.Histogram({
   buckets: [0.5, 1, 5, 10, 30, 60, 120]
 });
 
+const scheduledRuns = new promClient.Counter({
+  name: 'scheduler_runs_total',
+  help: 'Scheduled workflow fire times by outcome',
+  labelNames: ['schedule', 'outcome']
+});
+
+const stepCacheRequests = new promClient.Counter({
+  name: 'step_cache_requests_total',
+  help: 'Step result cache lookups by result (hit, miss)',
+  labelNames: ['plugin', 'action', 'result']
+});
+
+const triggerEvents = new promClient.Counter({
+  name: 'trigger_events_total',
+  help: 'Events seen by workflow triggers by outcome',
+  labelNames: ['trigger', 'outcome']
+});
+
+// Queue Metrics
+const queueWaitTime = new promClient.Histogram({
+  name: 'queue_wait_seconds',
+  help: 'Time executions wait in the queue between becoming due and being claimed',
+  labelNames: ['workflow'],
+  buckets: [0.01, 0.1, 0.5, 1, 5, 15, 60, 300]
+});
+
+const queueWorkersBusy = new promClient.Gauge({
+  name: 'queue_workers_busy',
+  help: 'Queue workers currently processing an execution'
+});
+
+const queueWorkerUtilization = new promClient.Gauge({
+  name: 'queue_worker_utilization',
+  help: 'Share of queue workers busy (0-1)'
+});
+
+const dlqDepth = new promClient.Gauge({
+  name: 'dlq_depth',
+  help: 'Tasks in the dead-letter queue waiting to be redriven or purged'
+});
+
 // Batch Processing Metrics
 const batchProcessingTotal = new promClient.Counter({
   name: 'batch_processing_total',
@@ -194,6 +235,14 @@ module.exports = {
   // Workflows
   workflowExecutions,
   workflowDuration,
+  scheduledRuns,
+  triggerEvents,
+  stepCacheRequests,
+  // Queue
+  queueWaitTime,
+  queueWorkersBusy,
+  queueWorkerUtilization,
+  dlqDepth,
   // Batch Processing
   batchProcessingTotal,
   batchProcessingDuration,
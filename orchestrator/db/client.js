@@ -2,6 +2,34 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const metrics = require('../config/metrics');
+const config = require('../config/env');
+
+// Columns added after the initial schema; applied to existing databases on startup
+const COLUMN_MIGRATIONS = [
+  { table: 'tasks', column: 'parent_task_id', definition: 'TEXT' },
+  { table: 'tasks', column: 'item_index', definition: 'INTEGER' },
+  { table: 'tasks', column: 'compensation_for', definition: 'TEXT' },
+  { table: 'tasks', column: 'wake_at', definition: 'TEXT' },
+  { table: 'tasks', column: 'node_id', definition: 'TEXT' },
+  { table: 'workflows', column: 'version', definition: 'INTEGER' },
+  { table: 'workflows', column: 'hash', definition: 'TEXT' },
+  { table: 'executions', column: 'retry_of', definition: 'TEXT' },
+  { table: 'executions', column: 'attempt', definition: 'INTEGER DEFAULT 1' },
+  { table: 'executions', column: 'inputs', definition: 'JSON' },
+  { table: 'executions', column: 'parent_execution_id', definition: 'TEXT' },
+  { table: 'executions', column: 'parent_task_id', definition: 'TEXT' },
+  { table: 'executions', column: 'options', definition: 'JSON' },
+  { table: 'executions', column: 'control_request', definition: 'TEXT' },
+  { table: 'task_queue', column: 'lease_owner', definition: 'TEXT' },
+  { table: 'task_queue', column: 'lease_expires_at', definition: 'TIMESTAMP' },
+  { table: 'task_queue', column: 'concurrency_key', definition: 'TEXT' },
+  { table: 'task_queue', column: 'attempts', definition: 'JSON' }
+];
+
+// Indexes on columns from COLUMN_MIGRATIONS; created after those columns are added
+const INDEX_MIGRATIONS = [
+  'CREATE INDEX IF NOT EXISTS idx_executions_parent ON executions(parent_execution_id)'
+];
 
 class DatabaseClient {
   constructor(dbPath) {
@@ -36,6 +64,9 @@ class DatabaseClient {
     this.db = new Database(this.dbPath);
     this.db.pragma('journal_mode = WAL');
     this.db.pragma('foreign_keys = ON');
+    // Instances sharing the file (on one host; WAL needs local shared memory)
+    // wait for each other's write locks instead of failing
+    this.db.pragma(`busy_timeout = ${config.db.busyTimeoutMs}`);
     
     return this;
   }
@@ -46,16 +77,45 @@ class DatabaseClient {
     
     // Execute schema
     this.db.exec(schema);
+    this.migrate();
     
     return this;
   }
 
+  /**
+   * Add columns introduced after a database was first created, and the
+   * indexes on them
+   */
+  migrate() {
+    for (const { table, column, definition } of COLUMN_MIGRATIONS) {
+      const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+      if (!columns.some(c => c.name === column)) {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    for (const statement of INDEX_MIGRATIONS) {
+      this.db.exec(statement);
+    }
+
+    return this;
+  }
+
   close() {
     if (this.db) {
       this.db.close();
     }
   }
 
+  /**
+   * Run fn inside a single SQLite transaction
+   * @param {Function} fn
+   * @returns {*} - Return value of fn
+   */
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
   // Plugin methods
   createPlugin(plugin) {
     const stmt = this.db.prepare(`
@@ -79,8 +139,11 @@ class DatabaseClient {
     return row ? { ...row, spec: JSON.parse(row.spec) } : null;
   }
 
+  /**
+   * List installed plugins (the reserved built-in `orchestrator` plugin is left out)
+   */
   getAllPlugins() {
-    const stmt = this.db.prepare('SELECT * FROM plugins ORDER BY name');
+    const stmt = this.db.prepare("SELECT * FROM plugins WHERE id != 'orchestrator' ORDER BY name");
     return stmt.all().map(row => ({ ...row, spec: JSON.parse(row.spec) }));
   }
 
@@ -97,11 +160,17 @@ class DatabaseClient {
   // Workflow methods
   createWorkflow(workflow) {
     const stmt = this.db.prepare(`
-      INSERT INTO workflows (id, name, spec)
-      VALUES (?, ?, ?)
+      INSERT INTO workflows (id, name, spec, version, hash)
+      VALUES (?, ?, ?, ?, ?)
     `);
     
-    return stmt.run(workflow.id, workflow.name, JSON.stringify(workflow.spec));
+    return stmt.run(
+      workflow.id,
+      workflow.name,
+      JSON.stringify(workflow.spec),
+      workflow.version || null,
+      workflow.hash || null
+    );
   }
 
   getWorkflow(id) {
@@ -110,14 +179,554 @@ class DatabaseClient {
     return row ? { ...row, spec: JSON.parse(row.spec) } : null;
   }
 
+  getWorkflowVersion(name, version) {
+    const stmt = this.db.prepare('SELECT * FROM workflows WHERE name = ? AND version = ?');
+    const row = stmt.get(name, version);
+    return row ? { ...row, spec: JSON.parse(row.spec) } : null;
+  }
+
+  listWorkflowVersions(name) {
+    const stmt = this.db.prepare(`
+      SELECT id, name, version, hash, created_at
+      FROM workflows
+      WHERE name = ? AND version IS NOT NULL
+      ORDER BY version
+    `);
+    return stmt.all(name);
+  }
+
+  /**
+   * Highest version ever registered under a name, including versions of
+   * deleted definitions (numbers are never reused)
+   */
+  getMaxWorkflowVersion(name) {
+    const stmt = this.db.prepare('SELECT MAX(version) AS version FROM workflows WHERE name = ?');
+    return stmt.get(name).version || 0;
+  }
+
+  // Workflow definition methods
+  createWorkflowDefinition(definition) {
+    const stmt = this.db.prepare(`
+      INSERT INTO workflow_definitions (name, description, latest_version)
+      VALUES (?, ?, ?)
+    `);
+
+    return stmt.run(definition.name, definition.description || null, definition.latest_version);
+  }
+
+  getWorkflowDefinition(name) {
+    const stmt = this.db.prepare('SELECT * FROM workflow_definitions WHERE name = ?');
+    return stmt.get(name) || null;
+  }
+
+  listWorkflowDefinitions() {
+    const stmt = this.db.prepare('SELECT * FROM workflow_definitions ORDER BY name');
+    return stmt.all();
+  }
+
+  updateWorkflowDefinition(name, updates) {
+    const fields = ['updated_at = CURRENT_TIMESTAMP'];
+    const values = [];
+
+    if (updates.latest_version !== undefined) {
+      fields.push('latest_version = ?');
+      values.push(updates.latest_version);
+    }
+    if (updates.description !== undefined) {
+      fields.push('description = ?');
+      values.push(updates.description);
+    }
+
+    values.push(name);
+    const stmt = this.db.prepare(`UPDATE workflow_definitions SET ${fields.join(', ')} WHERE name = ?`);
+    return stmt.run(...values);
+  }
+
+  deleteWorkflowDefinition(name) {
+    const stmt = this.db.prepare('DELETE FROM workflow_definitions WHERE name = ?');
+    return stmt.run(name).changes > 0;
+  }
+
+  // Schedule methods
+  createSchedule(schedule) {
+    const stmt = this.db.prepare(`
+      INSERT INTO schedules (
+        id, name, workflow_name, workflow_version, cron, interval_seconds, timezone,
+        inputs, enabled, catch_up, allow_overlap, next_run_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    return stmt.run(
+      schedule.id,
+      schedule.name,
+      schedule.workflow_name,
+      schedule.workflow_version || null,
+      schedule.cron || null,
+      schedule.interval_seconds || null,
+      schedule.timezone || 'UTC',
+      JSON.stringify(schedule.inputs || {}),
+      schedule.enabled === false ? 0 : 1,
+      schedule.catch_up || 'latest',
+      schedule.allow_overlap ? 1 : 0,
+      schedule.next_run_at || null
+    );
+  }
+
+  /**
+   * @private
+   */
+  parseSchedule(row) {
+    return row ? {
+      ...row,
+      inputs: row.inputs ? JSON.parse(row.inputs) : {},
+      enabled: row.enabled === 1,
+      allow_overlap: row.allow_overlap === 1
+    } : null;
+  }
+
+  getSchedule(id) {
+    const stmt = this.db.prepare('SELECT * FROM schedules WHERE id = ?');
+    return this.parseSchedule(stmt.get(id));
+  }
+
+  listSchedules() {
+    const stmt = this.db.prepare('SELECT * FROM schedules ORDER BY name');
+    return stmt.all().map(row => this.parseSchedule(row));
+  }
+
+  /**
+   * Enabled schedules whose next run is at or before `now` (ISO timestamp)
+   */
+  getDueSchedules(now) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM schedules
+      WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?
+      ORDER BY next_run_at
+    `);
+    return stmt.all(now).map(row => this.parseSchedule(row));
+  }
+
+  updateSchedule(id, updates) {
+    const columns = [
+      'name', 'workflow_name', 'workflow_version', 'cron', 'interval_seconds', 'timezone',
+      'inputs', 'enabled', 'catch_up', 'allow_overlap', 'next_run_at', 'last_run_at',
+      'last_execution_id', 'last_error'
+    ];
+    const fields = ['updated_at = CURRENT_TIMESTAMP'];
+    const values = [];
+
+    for (const column of columns) {
+      if (updates[column] === undefined) {
+        continue;
+      }
+
+      let value = updates[column];
+      if (column === 'inputs') {
+        value = JSON.stringify(value || {});
+      } else if (column === 'enabled' || column === 'allow_overlap') {
+        value = value ? 1 : 0;
+      }
+
+      fields.push(`${column} = ?`);
+      values.push(value);
+    }
+
+    values.push(id);
+    const stmt = this.db.prepare(`UPDATE schedules SET ${fields.join(', ')} WHERE id = ?`);
+    return stmt.run(...values);
+  }
+
+  /**
+   * Move a schedule's next run forward only if no one else has (compare-and-set)
+   * @returns {boolean} - true if this caller claimed the run
+   */
+  claimScheduleRun(id, expectedNextRunAt, nextRunAt) {
+    const stmt = this.db.prepare(`
+      UPDATE schedules SET next_run_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND next_run_at = ?
+    `);
+    return stmt.run(nextRunAt, id, expectedNextRunAt).changes > 0;
+  }
+
+  deleteSchedule(id) {
+    const stmt = this.db.prepare('DELETE FROM schedules WHERE id = ?');
+    return stmt.run(id).changes > 0;
+  }
+
+  // Trigger methods
+  createTrigger(trigger) {
+    const stmt = this.db.prepare(`
+      INSERT INTO triggers (
+        id, name, workflow_name, workflow_version, source, subject, stream, filter,
+        inputs, window_ms, debounce, max_batch_size, enabled
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    return stmt.run(
+      trigger.id,
+      trigger.name,
+      trigger.workflow_name,
+      trigger.workflow_version || null,
+      trigger.source,
+      trigger.subject || null,
+      trigger.stream || null,
+      trigger.filter || null,
+      JSON.stringify(trigger.inputs || {}),
+      trigger.window_ms || 0,
+      trigger.debounce ? 1 : 0,
+      trigger.max_batch_size || null,
+      trigger.enabled === false ? 0 : 1
+    );
+  }
+
+  /**
+   * @private
+   */
+  parseTrigger(row) {
+    return row ? {
+      ...row,
+      inputs: row.inputs ? JSON.parse(row.inputs) : {},
+      debounce: row.debounce === 1,
+      enabled: row.enabled === 1
+    } : null;
+  }
+
+  getTrigger(id) {
+    const stmt = this.db.prepare('SELECT * FROM triggers WHERE id = ?');
+    return this.parseTrigger(stmt.get(id));
+  }
+
+  listTriggers() {
+    const stmt = this.db.prepare('SELECT * FROM triggers ORDER BY name');
+    return stmt.all().map(row => this.parseTrigger(row));
+  }
+
+  updateTrigger(id, updates) {
+    const columns = [
+      'name', 'workflow_name', 'workflow_version', 'source', 'subject', 'stream', 'filter',
+      'inputs', 'window_ms', 'debounce', 'max_batch_size', 'enabled', 'last_error'
+    ];
+    const fields = ['updated_at = CURRENT_TIMESTAMP'];
+    const values = [];
+
+    for (const column of columns) {
+      if (updates[column] === undefined) {
+        continue;
+      }
+
+      let value = updates[column];
+      if (column === 'inputs') {
+        value = JSON.stringify(value || {});
+      } else if (column === 'enabled' || column === 'debounce') {
+        value = value ? 1 : 0;
+      }
+
+      fields.push(`${column} = ?`);
+      values.push(value);
+    }
+
+    values.push(id);
+    const stmt = this.db.prepare(`UPDATE triggers SET ${fields.join(', ')} WHERE id = ?`);
+    return stmt.run(...values);
+  }
+
+  recordTriggerFire(id, executionId) {
+    const stmt = this.db.prepare(`
+      UPDATE triggers
+      SET fire_count = fire_count + 1, last_fired_at = CURRENT_TIMESTAMP,
+          last_execution_id = ?, last_error = NULL
+      WHERE id = ?
+    `);
+    return stmt.run(executionId, id);
+  }
+
+  deleteTrigger(id) {
+    const stmt = this.db.prepare('DELETE FROM triggers WHERE id = ?');
+    return stmt.run(id).changes > 0;
+  }
+
+  // Leader lease methods
+  /**
+   * Take or renew a leader lease
+   * Succeeds when the lease is free, expired or already held by `holder`.
+   * Lease times come from SQLite's clock, so every instance sharing the
+   * database file judges expiry by the same clock.
+   * @param {number} leaseMs - How long the lease lasts from now
+   * @param {string} [now] - ISO time to use instead of the clock (tests)
+   * @returns {Object|null} - The lease row when `holder` holds it
+   */
+  acquireLeaderLease(name, holder, leaseMs, now = null) {
+    const time = now || 'now';
+    const stmt = this.db.prepare(`
+      INSERT INTO leader_leases (name, holder, acquired_at, expires_at)
+      VALUES (?, ?, strftime('%Y-%m-%dT%H:%M:%fZ', ?), strftime('%Y-%m-%dT%H:%M:%fZ', ?, ?))
+      ON CONFLICT(name) DO UPDATE SET
+        holder = excluded.holder,
+        acquired_at = CASE WHEN leader_leases.holder = excluded.holder
+          THEN leader_leases.acquired_at ELSE excluded.acquired_at END,
+        expires_at = excluded.expires_at
+      WHERE leader_leases.holder = excluded.holder
+        OR leader_leases.expires_at <= strftime('%Y-%m-%dT%H:%M:%fZ', ?)
+      RETURNING *
+    `);
+
+    return stmt.get(name, holder, time, time, `+${leaseMs / 1000} seconds`, time) || null;
+  }
+
+  /**
+   * Give up a leader lease held by `holder`
+   * @returns {boolean}
+   */
+  releaseLeaderLease(name, holder) {
+    const stmt = this.db.prepare('DELETE FROM leader_leases WHERE name = ? AND holder = ?');
+    return stmt.run(name, holder).changes > 0;
+  }
+
+  /**
+   * Live leader lease, judged by SQLite's clock like acquireLeaderLease
+   * @param {string} [now] - ISO time to use instead of the clock (tests)
+   * @returns {Object|null}
+   */
+  getLeaderLease(name, now = null) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM leader_leases
+      WHERE name = ? AND expires_at > strftime('%Y-%m-%dT%H:%M:%fZ', ?)
+    `);
+    return stmt.get(name, now || 'now') || null;
+  }
+
+  // Step cache methods
+  getCacheEntry(key) {
+    const stmt = this.db.prepare('SELECT * FROM step_cache WHERE key = ?');
+    const row = stmt.get(key);
+    return row ? { ...row, result: row.result ? JSON.parse(row.result) : null } : null;
+  }
+
+  /**
+   * Store a cached step result, replacing any earlier entry for the key
+   */
+  putCacheEntry(entry) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO step_cache (key, plugin_id, action, result, object_key, size, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    return stmt.run(
+      entry.key,
+      entry.plugin_id,
+      entry.action,
+      entry.object_key ? null : JSON.stringify(entry.result === undefined ? null : entry.result),
+      entry.object_key || null,
+      entry.size || null,
+      entry.expires_at
+    );
+  }
+
+  recordCacheHit(key) {
+    const stmt = this.db.prepare('UPDATE step_cache SET hits = hits + 1 WHERE key = ?');
+    return stmt.run(key);
+  }
+
+  /**
+   * @private
+   */
+  cacheConditions(filters) {
+    const conditions = [];
+    const values = [];
+    if (filters.key) {
+      conditions.push('key = ?');
+      values.push(filters.key);
+    }
+    if (filters.plugin) {
+      conditions.push('plugin_id = ?');
+      values.push(filters.plugin);
+    }
+    if (filters.action) {
+      conditions.push('action = ?');
+      values.push(filters.action);
+    }
+    if (filters.expiredBefore) {
+      conditions.push('expires_at <= ?');
+      values.push(filters.expiredBefore);
+    }
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', values };
+  }
+
+  /**
+   * List cache entries without their results
+   * @param {Object} filters - { key, plugin, action, expiredBefore }
+   */
+  listCacheEntries(filters = {}) {
+    const { where, values } = this.cacheConditions(filters);
+    const stmt = this.db.prepare(`
+      SELECT key, plugin_id, action, object_key, size, hits, created_at, expires_at
+      FROM step_cache
+      ${where}
+      ORDER BY created_at DESC
+    `);
+    return stmt.all(...values);
+  }
+
+  /**
+   * Delete cache entries
+   * @param {Object} filters - { key, plugin, action, expiredBefore }; none deletes everything
+   * @returns {Array} - The deleted entries (without results)
+   */
+  deleteCacheEntries(filters = {}) {
+    const { where, values } = this.cacheConditions(filters);
+    return this.db.transaction(() => {
+      const entries = this.listCacheEntries(filters);
+      this.db.prepare(`DELETE FROM step_cache ${where}`).run(...values);
+      return entries;
+    })();
+  }
+
+  // Approval methods
+  createApproval(approval) {
+    const stmt = this.db.prepare(`
+      INSERT INTO approvals (id, execution_id, task_id, step_id, message, details, on_timeout, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    return stmt.run(
+      approval.id,
+      approval.execution_id,
+      approval.task_id,
+      approval.step_id,
+      approval.message || null,
+      JSON.stringify(approval.details || {}),
+      approval.on_timeout || 'reject',
+      approval.expires_at || null
+    );
+  }
+
+  /**
+   * @private
+   */
+  parseApproval(row) {
+    return row ? { ...row, details: row.details ? JSON.parse(row.details) : {} } : null;
+  }
+
+  getApproval(id) {
+    const stmt = this.db.prepare('SELECT * FROM approvals WHERE id = ?');
+    return this.parseApproval(stmt.get(id));
+  }
+
+  /**
+   * Get the latest approval requested by a step of an execution
+   */
+  getApprovalForStep(executionId, stepId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM approvals
+      WHERE execution_id = ? AND step_id = ?
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT 1
+    `);
+    return this.parseApproval(stmt.get(executionId, stepId));
+  }
+
+  /**
+   * List approvals with the workflow they belong to
+   * @param {Object} filters - { status, executionId }
+   */
+  listApprovals(filters = {}) {
+    const conditions = [];
+    const values = [];
+    if (filters.status) {
+      conditions.push('a.status = ?');
+      values.push(filters.status);
+    }
+    if (filters.executionId) {
+      conditions.push('a.execution_id = ?');
+      values.push(filters.executionId);
+    }
+
+    const stmt = this.db.prepare(`
+      SELECT a.*, w.name as workflow_name, w.version as workflow_version
+      FROM approvals a
+      JOIN executions e ON a.execution_id = e.id
+      JOIN workflows w ON e.workflow_id = w.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY a.created_at, a.rowid
+    `);
+    return stmt.all(...values).map(row => this.parseApproval(row));
+  }
+
+  /**
+   * Record a decision on a pending approval
+   * @returns {boolean} - False if the approval was no longer pending
+   */
+  decideApproval(id, decision) {
+    const stmt = this.db.prepare(`
+      UPDATE approvals
+      SET status = ?, decided_by = ?, comment = ?, decided_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `);
+    return stmt.run(decision.status, decision.decided_by || null, decision.comment || null, id).changes > 0;
+  }
+
+  /**
+   * Cancel the pending approvals of an execution that stopped
+   */
+  cancelPendingApprovals(executionId) {
+    const stmt = this.db.prepare(`
+      UPDATE approvals
+      SET status = 'cancelled', decided_at = CURRENT_TIMESTAMP
+      WHERE execution_id = ? AND status = 'pending'
+    `);
+    return stmt.run(executionId).changes;
+  }
+
   // Execution methods
   createExecution(execution) {
     const stmt = this.db.prepare(`
-      INSERT INTO executions (id, workflow_id, status, started_at)
-      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      INSERT INTO executions (id, workflow_id, status, started_at, retry_of, attempt, inputs, parent_execution_id, parent_task_id, options)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP, ?, ?, ?, ?, ?, ?)
     `);
     
-    return stmt.run(execution.id, execution.workflow_id, execution.status || 'pending');
+    return stmt.run(
+      execution.id,
+      execution.workflow_id,
+      execution.status || 'pending',
+      execution.retry_of || null,
+      execution.attempt || 1,
+      JSON.stringify(execution.inputs || {}),
+      execution.parent_execution_id || null,
+      execution.parent_task_id || null,
+      JSON.stringify(execution.options || {})
+    );
+  }
+
+  /**
+   * List executions started by sub-workflow steps of the given execution
+   * @param {string} executionId
+   */
+  getChildExecutions(executionId) {
+    const stmt = this.db.prepare(`
+      SELECT e.id, e.status, e.parent_task_id, e.started_at, e.completed_at,
+             w.name as workflow_name, w.version as workflow_version
+      FROM executions e
+      JOIN workflows w ON e.workflow_id = w.id
+      WHERE e.parent_execution_id = ?
+      ORDER BY e.started_at, e.rowid
+    `);
+    return stmt.all(executionId);
+  }
+
+  /**
+   * List executions created by retrying the given execution
+   * @param {string} executionId
+   */
+  getRetries(executionId) {
+    const stmt = this.db.prepare(`
+      SELECT id, status, attempt, started_at, completed_at
+      FROM executions
+      WHERE retry_of = ?
+      ORDER BY attempt
+    `);
+    return stmt.all(executionId);
   }
 
   getExecution(id) {
@@ -125,26 +734,38 @@ class DatabaseClient {
     const row = stmt.get(id);
     return row ? {
       ...row,
+      inputs: row.inputs ? JSON.parse(row.inputs) : {},
+      options: row.options ? JSON.parse(row.options) : {},
       result: row.result ? JSON.parse(row.result) : null
     } : null;
   }
 
   /**
-   * List executions with workflow name
+   * IDs of executions in any of the given statuses
+   * @param {Array} statuses
+   */
+  listExecutionIdsByStatus(statuses) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    const stmt = this.db.prepare(`SELECT id FROM executions WHERE status IN (${placeholders}) ORDER BY started_at`);
+    return stmt.all(...statuses).map(row => row.id);
+  }
+
+  /**
+   * List execution summaries with workflow name
+   * Inputs and results are left out; fetch a single execution for those.
    * @param {number} limit
    */
   listExecutions(limit = 50) {
     const stmt = this.db.prepare(`
-      SELECT e.*, w.name as workflow_name
+      SELECT e.id, e.workflow_id, e.status, e.started_at, e.completed_at, e.error,
+             e.retry_of, e.attempt, e.parent_execution_id,
+             w.name as workflow_name, w.version as workflow_version
       FROM executions e
       JOIN workflows w ON e.workflow_id = w.id
       ORDER BY e.started_at DESC
       LIMIT ?
     `);
-    return stmt.all(limit).map(row => ({
-      ...row,
-      result: row.result ? JSON.parse(row.result) : null
-    }));
+    return stmt.all(limit);
   }
 
   updateExecution(id, updates) {
@@ -163,9 +784,13 @@ class DatabaseClient {
       fields.push('error = ?');
       values.push(updates.error);
     }
-    if (updates.status === 'completed' || updates.status === 'failed') {
+    if (['completed', 'completed_with_errors', 'failed', 'cancelled'].includes(updates.status)) {
       fields.push('completed_at = CURRENT_TIMESTAMP');
     }
+    // Cancel and pause requests are done with once the execution stops running
+    if (['completed', 'completed_with_errors', 'failed', 'cancelled', 'paused'].includes(updates.status)) {
+      fields.push('control_request = NULL');
+    }
     
     values.push(id);
     
@@ -176,11 +801,47 @@ class DatabaseClient {
     return stmt.run(...values);
   }
 
+  /**
+   * Mark an execution running only if its status is still the one the
+   * caller read (compare-and-set)
+   * @returns {boolean} - true if this caller claimed the execution
+   */
+  claimExecution(id, expectedStatus) {
+    const stmt = this.db.prepare(`
+      UPDATE executions SET status = 'running' WHERE id = ? AND status = ?
+    `);
+    return stmt.run(id, expectedStatus).changes > 0;
+  }
+
+  /**
+   * Record a cancel or pause request for a running execution, for the
+   * instance processing it to apply (a pause never replaces a cancel)
+   * @param {string} action - cancel | pause
+   * @returns {boolean} - false if the execution is not running
+   */
+  requestExecutionControl(id, action) {
+    const stmt = this.db.prepare(`
+      UPDATE executions
+      SET control_request = CASE WHEN control_request = 'cancel' THEN 'cancel' ELSE ? END
+      WHERE id = ? AND status IN ('running', 'compensating')
+    `);
+    return stmt.run(action, id).changes > 0;
+  }
+
+  /**
+   * Pending cancel or pause request of an execution
+   * @returns {string|null} - cancel | pause, or null
+   */
+  getControlRequest(id) {
+    const row = this.db.prepare('SELECT control_request FROM executions WHERE id = ?').get(id);
+    return row ? row.control_request : null;
+  }
+
   // Task methods
   createTask(task) {
     const stmt = this.db.prepare(`
-      INSERT INTO tasks (id, execution_id, step_id, plugin_id, action, status, input)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO tasks (id, execution_id, step_id, plugin_id, action, status, input, parent_task_id, item_index, compensation_for)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
     return stmt.run(
@@ -190,7 +851,10 @@ class DatabaseClient {
       task.plugin_id,
       task.action,
       task.status || 'pending',
-      JSON.stringify(task.input || {})
+      JSON.stringify(task.input || {}),
+      task.parent_task_id || null,
+      task.item_index !== undefined ? task.item_index : null,
+      task.compensation_for || null
     );
   }
 
@@ -223,7 +887,7 @@ class DatabaseClient {
       
       if (updates.status === 'running') {
         fields.push('started_at = CURRENT_TIMESTAMP');
-      } else if (updates.status === 'completed' || updates.status === 'failed') {
+      } else if (['completed', 'failed', 'skipped', 'cancelled', 'interrupted'].includes(updates.status)) {
         fields.push('completed_at = CURRENT_TIMESTAMP');
       }
     }
@@ -239,6 +903,14 @@ class DatabaseClient {
       fields.push('attempts = ?');
       values.push(updates.attempts);
     }
+    if (updates.wake_at !== undefined) {
+      fields.push('wake_at = ?');
+      values.push(updates.wake_at);
+    }
+    if (updates.node_id !== undefined) {
+      fields.push('node_id = ?');
+      values.push(updates.node_id);
+    }
     
     values.push(id);
     
@@ -249,6 +921,21 @@ class DatabaseClient {
     return stmt.run(...values);
   }
 
+  /**
+   * Mark the tasks of an execution that were still running when its
+   * processor died as interrupted (they run again if the execution resumes)
+   * @returns {Array} - Step IDs of the interrupted tasks
+   */
+  interruptRunningTasks(executionId, error) {
+    const stmt = this.db.prepare(`
+      UPDATE tasks
+      SET status = 'interrupted', error = ?, completed_at = CURRENT_TIMESTAMP
+      WHERE execution_id = ? AND status = 'running'
+      RETURNING step_id
+    `);
+    return stmt.all(error, executionId).map(row => row.step_id);
+  }
+
   // Event methods
   createEvent(event) {
     const stmt = this.db.prepare(`
@@ -10,14 +10,31 @@ CREATE TABLE IF NOT EXISTS plugins (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Built-in steps (sub-workflows and other step types run by the engine itself)
+-- record their tasks under this reserved plugin
+INSERT OR IGNORE INTO plugins (id, name, image, version, spec)
+VALUES ('orchestrator', 'Orchestrator built-in steps', 'builtin:orchestrator', '1.0.0', '{"builtin": true}');
+
 -- Workflows table
+-- Rows with a version are immutable registry versions; ad-hoc submissions have none
 CREATE TABLE IF NOT EXISTS workflows (
   id TEXT PRIMARY KEY,
   name TEXT NOT NULL,
   spec JSON NOT NULL,
+  version INTEGER,
+  hash TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Workflow definitions table (registry entries, by name)
+CREATE TABLE IF NOT EXISTS workflow_definitions (
+  name TEXT PRIMARY KEY,
+  description TEXT,
+  latest_version INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Executions table
 CREATE TABLE IF NOT EXISTS executions (
   id TEXT PRIMARY KEY,
@@ -27,9 +44,92 @@ CREATE TABLE IF NOT EXISTS executions (
   completed_at TIMESTAMP,
   result JSON,
   error TEXT,
+  retry_of TEXT,
+  attempt INTEGER DEFAULT 1,
+  inputs JSON,
+  parent_execution_id TEXT,
+  parent_task_id TEXT,
+  options JSON,
+  control_request TEXT,
   FOREIGN KEY (workflow_id) REFERENCES workflows(id)
 );
 
+-- Schedules table (cron or interval runs of registered workflows)
+CREATE TABLE IF NOT EXISTS schedules (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  workflow_name TEXT NOT NULL,
+  workflow_version INTEGER,
+  cron TEXT,
+  interval_seconds INTEGER,
+  timezone TEXT DEFAULT 'UTC',
+  inputs JSON,
+  enabled INTEGER DEFAULT 1,
+  catch_up TEXT DEFAULT 'latest',
+  allow_overlap INTEGER DEFAULT 0,
+  next_run_at TEXT,
+  last_run_at TEXT,
+  last_execution_id TEXT,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Triggers table (start registered workflows from NATS or streamer events)
+CREATE TABLE IF NOT EXISTS triggers (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  workflow_name TEXT NOT NULL,
+  workflow_version INTEGER,
+  source TEXT NOT NULL,
+  subject TEXT,
+  stream TEXT,
+  filter TEXT,
+  inputs JSON,
+  window_ms INTEGER DEFAULT 0,
+  debounce INTEGER DEFAULT 0,
+  max_batch_size INTEGER,
+  enabled INTEGER DEFAULT 1,
+  fire_count INTEGER DEFAULT 0,
+  last_fired_at TIMESTAMP,
+  last_execution_id TEXT,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Step result cache (steps opt in with `cache: { ttl }`)
+-- Large results live in MinIO under object_key instead of result
+CREATE TABLE IF NOT EXISTS step_cache (
+  key TEXT PRIMARY KEY,
+  plugin_id TEXT NOT NULL,
+  action TEXT NOT NULL,
+  result JSON,
+  object_key TEXT,
+  size INTEGER,
+  hits INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TEXT NOT NULL
+);
+
+-- Approvals table (manual approval steps waiting on a person)
+CREATE TABLE IF NOT EXISTS approvals (
+  id TEXT PRIMARY KEY,
+  execution_id TEXT NOT NULL,
+  task_id TEXT NOT NULL,
+  step_id TEXT NOT NULL,
+  status TEXT DEFAULT 'pending',
+  message TEXT,
+  details JSON,
+  on_timeout TEXT DEFAULT 'reject',
+  expires_at TEXT,
+  decided_by TEXT,
+  comment TEXT,
+  decided_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (execution_id) REFERENCES executions(id)
+);
+
 -- Tasks table
 CREATE TABLE IF NOT EXISTS tasks (
   id TEXT PRIMARY KEY,
@@ -42,6 +142,11 @@ CREATE TABLE IF NOT EXISTS tasks (
   input JSON,
   result JSON,
   error TEXT,
+  parent_task_id TEXT,
+  item_index INTEGER,
+  compensation_for TEXT,
+  wake_at TEXT,
+  node_id TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   started_at TIMESTAMP,
   completed_at TIMESTAMP,
@@ -61,7 +166,33 @@ CREATE TABLE IF NOT EXISTS task_queue (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   scheduled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   started_at TIMESTAMP,
-  completed_at TIMESTAMP
+  completed_at TIMESTAMP,
+  lease_owner TEXT,
+  lease_expires_at TIMESTAMP,
+  concurrency_key TEXT,
+  attempts JSON
+);
+
+-- Dead letters (queue tasks that used up their retries)
+-- attempts holds every failed attempt: [{ attempt, error, owner, started_at, failed_at }]
+CREATE TABLE IF NOT EXISTS dead_letters (
+  id TEXT PRIMARY KEY,
+  task_id TEXT NOT NULL,
+  priority INTEGER DEFAULT 0,
+  payload JSON NOT NULL,
+  attempts JSON NOT NULL,
+  max_retries INTEGER,
+  concurrency_key TEXT,
+  enqueued_at TIMESTAMP,
+  failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Leader leases (one row per election; the holder runs leader-only work until expires_at)
+CREATE TABLE IF NOT EXISTS leader_leases (
+  name TEXT PRIMARY KEY,
+  holder TEXT NOT NULL,
+  acquired_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL
 );
 
 -- Events table
@@ -75,10 +206,17 @@ CREATE TABLE IF NOT EXISTS events (
 );
 
 -- Indexes for performance
+-- (indexes on columns added by migrations are created in DatabaseClient.migrate)
 CREATE INDEX IF NOT EXISTS idx_executions_status ON executions(status);
 CREATE INDEX IF NOT EXISTS idx_tasks_execution ON tasks(execution_id);
 CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
 CREATE INDEX IF NOT EXISTS idx_queue_status ON task_queue(status, scheduled_at);
 CREATE INDEX IF NOT EXISTS idx_events_execution ON events(execution_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_schedules_due ON schedules(enabled, next_run_at);
+CREATE INDEX IF NOT EXISTS idx_approvals_execution ON approvals(execution_id, step_id);
+CREATE INDEX IF NOT EXISTS idx_approvals_status ON approvals(status);
+CREATE INDEX IF NOT EXISTS idx_step_cache_plugin ON step_cache(plugin_id, action);
+CREATE INDEX IF NOT EXISTS idx_step_cache_expires ON step_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_dead_letters_failed ON dead_letters(failed_at);
 
 -- Nicolas Larenas, nlarchive
@@ -0,0 +1,130 @@
+const logger = require('../config/logger');
+const config = require('../config/env');
+
+// MinIO key prefix of offloaded results
+const OBJECT_PREFIX = 'artifacts/';
+
+/**
+ * Artifact store
+ * Step and execution results larger than ARTIFACT_MAX_INLINE_BYTES are
+ * written to MinIO as JSON and replaced in SQLite by a reference:
+ *
+ *   { "$artifact": "artifacts/<executionId>/<taskId>.json", "size": 5242880 }
+ *
+ * The engine keeps full results in memory while an execution runs and loads
+ * referenced ones back when it resumes, so templates never see references.
+ */
+class ArtifactStore {
+  /**
+   * @param {Object} options - { getStore: async () => MinIOWrapper | null, maxInlineBytes }
+   */
+  constructor(options = {}) {
+    this.getStore = options.getStore || (async () => null);
+    this.maxInlineBytes = options.maxInlineBytes !== undefined
+      ? options.maxInlineBytes
+      : config.artifacts.maxInlineBytes;
+  }
+
+  /**
+   * Whether a stored value is a reference to an offloaded result
+   * @returns {boolean}
+   */
+  static isReference(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value)
+      && typeof value.$artifact === 'string';
+  }
+
+  /**
+   * Form of a result to persist: the result itself, or a reference once it
+   * has been written to MinIO
+   * A result that cannot be offloaded (MinIO unavailable or failing) is kept
+   * inline with a warning rather than failing the step.
+   * @param {string} name - Object name, unique per result (e.g. `<executionId>/<taskId>`)
+   * @returns {Promise<*>}
+   */
+  async store(name, value) {
+    if (value === undefined || value === null) {
+      return value;
+    }
+
+    const serialized = JSON.stringify(value);
+    const size = Buffer.byteLength(serialized);
+    if (size <= this.maxInlineBytes) {
+      return value;
+    }
+
+    const key = `${OBJECT_PREFIX}${name}.json`;
+    try {
+      const store = await this.getStore();
+      if (!store) {
+        throw new Error('MinIO is not available');
+      }
+      await store.putObject({ key, data: serialized });
+    } catch (error) {
+      logger.warn('Failed to offload large result; keeping it in SQLite', { key, size, error: error.message });
+      return value;
+    }
+
+    logger.debug('Result offloaded to artifact store', { key, size });
+    return { $artifact: key, size };
+  }
+
+  /**
+   * Value behind a reference (other values are returned unchanged)
+   * @returns {Promise<*>}
+   */
+  async load(value) {
+    if (!ArtifactStore.isReference(value)) {
+      return value;
+    }
+
+    const store = await this.getStore();
+    if (!store) {
+      throw new Error(`MinIO is not available to read artifact "${value.$artifact}"`);
+    }
+    return JSON.parse(await store.getObject(value.$artifact));
+  }
+
+  /**
+   * Replace every reference found in a value (e.g. a sub-workflow result
+   * holding its step results) by the value behind it
+   * @returns {Promise<*>}
+   */
+  async hydrate(value) {
+    if (ArtifactStore.isReference(value)) {
+      return this.load(value);
+    }
+
+    if (typeof value !== 'object' || value === null) {
+      return value;
+    }
+
+    const entries = Array.isArray(value) ? value.entries() : Object.entries(value);
+    let hydrated = null;
+    for (const [key, item] of entries) {
+      const loaded = await this.hydrate(item);
+      if (loaded !== item) {
+        hydrated = hydrated || (Array.isArray(value) ? [...value] : { ...value });
+        hydrated[key] = loaded;
+      }
+    }
+
+    return hydrated || value;
+  }
+
+  /**
+   * Readable stream of an offloaded result's JSON
+   * @returns {Promise<Readable>}
+   */
+  async open(reference) {
+    const store = await this.getStore();
+    if (!store) {
+      throw new Error(`MinIO is not available to read artifact "${reference.$artifact}"`);
+    }
+    return store.getObjectStream(reference.$artifact);
+  }
+}
+
+module.exports = ArtifactStore;
+
+// Nicolas Larenas, nlarchive
@@ -0,0 +1,250 @@
+/**
+ * Cron expressions
+ * Standard five-field expressions (minute hour day-of-month month day-of-week)
+ * with lists, ranges, steps, month/day names and the @hourly/@daily/...
+ * aliases, evaluated in an IANA timezone.
+ */
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+// Give up looking for a matching time after this many years (e.g. "0 0 30 2 *")
+const SEARCH_YEARS = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+const formatters = new Map();
+
+class Cron {
+  /**
+   * Parse a cron expression
+   * @param {string} expression - Cron expression or alias
+   * @returns {Object} - Allowed values per field ({ minute: Set, ... })
+   */
+  static parse(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new Error('Cron expression must be a non-empty string');
+    }
+
+    const source = ALIASES[expression.trim().toLowerCase()] || expression.trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`Cron expression must have ${FIELDS.length} fields: ${expression}`);
+    }
+
+    const parsed = {};
+    FIELDS.forEach((field, i) => {
+      parsed[field.name] = Cron.parseField(parts[i], field, expression);
+    });
+
+    // 7 is an alias for Sunday
+    if (parsed.dayOfWeek.has(7)) {
+      parsed.dayOfWeek.delete(7);
+      parsed.dayOfWeek.add(0);
+    }
+
+    // When both day fields are restricted a day matches if either does
+    parsed.dayOfMonthRestricted = parts[2] !== '*';
+    parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+    return parsed;
+  }
+
+  /**
+   * Parse one field into the set of values it allows
+   * @private
+   */
+  static parseField(text, field, expression) {
+    const values = new Set();
+    const toNumber = (token) => {
+      const index = field.names ? field.names.indexOf(token.toUpperCase()) : -1;
+      const value = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(token);
+      if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new Error(`Invalid ${field.name} value "${token}" in cron expression: ${expression}`);
+      }
+      return value;
+    };
+
+    for (const part of text.split(',')) {
+      const [range, stepText] = part.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid step "${stepText}" in cron expression: ${expression}`);
+      }
+
+      let start;
+      let end;
+      if (range === '*') {
+        start = field.min;
+        end = field.max;
+      } else if (range.includes('-')) {
+        [start, end] = range.split('-').map(toNumber);
+        if (start > end) {
+          throw new Error(`Invalid ${field.name} range "${range}" in cron expression: ${expression}`);
+        }
+      } else {
+        start = toNumber(range);
+        end = stepText === undefined ? start : field.max;
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Check whether a string is a timezone this runtime knows
+   * @param {string} timezone - IANA timezone name (e.g. Europe/Madrid)
+   */
+  static isValidTimezone(timezone) {
+    try {
+      Cron.formatter(timezone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  static formatter(timezone) {
+    if (!formatters.has(timezone)) {
+      formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }));
+    }
+    return formatters.get(timezone);
+  }
+
+  /**
+   * Offset of a timezone from UTC at an instant
+   * @returns {number} - Milliseconds to add to UTC to get wall-clock time
+   */
+  static offsetAt(instantMs, timezone) {
+    const parts = {};
+    for (const { type, value } of Cron.formatter(timezone).formatToParts(new Date(instantMs))) {
+      parts[type] = Number(value);
+    }
+    const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallMs - Math.floor(instantMs / 1000) * 1000;
+  }
+
+  /**
+   * Find the first time after `from` that matches the expression
+   * @param {string|Object} expression - Cron expression or parsed expression
+   * @param {Date} from - Exclusive lower bound
+   * @param {string} timezone - IANA timezone the expression is written in
+   * @returns {Date|null} - Next fire time, or null if none within SEARCH_YEARS
+   */
+  static next(expression, from = new Date(), timezone = 'UTC') {
+    const cron = typeof expression === 'string' ? Cron.parse(expression) : expression;
+    const startMs = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+    // Walk wall-clock time (held in a UTC Date) and convert matches back
+    let wall = new Date(startMs + Cron.offsetAt(startMs, timezone));
+    wall.setUTCSeconds(0, 0);
+    const lastYear = wall.getUTCFullYear() + SEARCH_YEARS;
+
+    while (wall.getUTCFullYear() <= lastYear) {
+      if (!cron.month.has(wall.getUTCMonth() + 1)) {
+        wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 1));
+        continue;
+      }
+
+      if (!Cron.matchesDay(cron, wall)) {
+        wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate() + 1));
+        continue;
+      }
+
+      if (!cron.hour.has(wall.getUTCHours())) {
+        wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours() + 1));
+        continue;
+      }
+
+      if (cron.minute.has(wall.getUTCMinutes())) {
+        const instant = Cron.wallToInstant(wall.getTime(), timezone);
+        if (instant >= startMs) {
+          return new Date(instant);
+        }
+      }
+
+      wall = new Date(wall.getTime() + MINUTE_MS);
+    }
+
+    return null;
+  }
+
+  /**
+   * List the next `count` fire times after `from`
+   * @returns {Array<Date>}
+   */
+  static nextRuns(expression, count = 5, from = new Date(), timezone = 'UTC') {
+    const cron = typeof expression === 'string' ? Cron.parse(expression) : expression;
+    const runs = [];
+    let cursor = from;
+
+    while (runs.length < count) {
+      cursor = Cron.next(cron, cursor, timezone);
+      if (!cursor) {
+        break;
+      }
+      runs.push(cursor);
+    }
+
+    return runs;
+  }
+
+  /**
+   * @private
+   */
+  static matchesDay(cron, wall) {
+    const dayOfMonth = cron.dayOfMonth.has(wall.getUTCDate());
+    const dayOfWeek = cron.dayOfWeek.has(wall.getUTCDay());
+
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+  }
+
+  /**
+   * Convert a wall-clock time in a timezone to a UTC instant
+   * Times skipped by a DST change resolve to the instant one offset later.
+   * @private
+   */
+  static wallToInstant(wallMs, timezone) {
+    const guess = wallMs - Cron.offsetAt(wallMs, timezone);
+    const offset = Cron.offsetAt(guess, timezone);
+    return wallMs - offset;
+  }
+}
+
+module.exports = Cron;
+
+// Nicolas Larenas, nlarchive
@@ -1,3 +1,15 @@
+const Expression = require('./expression');
+const InputSchema = require('./input-schema');
+
+// Step types run by the engine itself rather than through a plugin
+const STEP_TYPES = ['workflow', 'approval', 'sleep', 'waitUntil'];
+
+// Step types that suspend the execution, which finally steps cannot do
+const SUSPENDING_STEP_TYPES = ['approval', 'sleep', 'waitUntil'];
+
+// What a step failure does to the rest of the execution
+const ON_ERROR_POLICIES = ['fail', 'continue', 'skipDependents'];
+
 /**
  * DAG dependency resolver
  * Performs topological sort and validates workflow DAG
@@ -72,6 +84,376 @@ class DagResolver {
     });
   }
 
+  /**
+   * Get every step a step transitively depends on
+   * @param {Array} steps - All workflow steps
+   * @param {string} stepId - Step to inspect
+   * @returns {Set} - Upstream step IDs
+   */
+  static getAncestors(steps, stepId) {
+    const stepMap = new Map(steps.map(s => [s.id, s]));
+    const ancestors = new Set();
+    const pending = [...((stepMap.get(stepId) || {}).needs || [])];
+
+    while (pending.length > 0) {
+      const depId = pending.pop();
+      if (ancestors.has(depId)) {
+        continue;
+      }
+      ancestors.add(depId);
+      pending.push(...((stepMap.get(depId) || {}).needs || []));
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Validate an expression field on a step (e.g. `when`, `forEach`)
+   * Expressions may only read results of upstream steps.
+   * @param {Array} steps - All workflow steps
+   * @param {Object} step - Step owning the expression
+   * @param {string} field - Name of the expression field
+   * @returns {Array} - Validation errors
+   */
+  static validateExpression(steps, step, field) {
+    let references;
+    try {
+      references = Expression.references(step[field]);
+    } catch (error) {
+      return [`Step "${step.id}" has an invalid ${field} expression: ${error.message}`];
+    }
+
+    const ancestors = DagResolver.getAncestors(steps, step.id);
+    return references
+      .filter(ref => !ancestors.has(ref))
+      .map(ref => `Step "${step.id}" ${field} expression references "${ref}", which is not an upstream step`);
+  }
+
+  /**
+   * Validate the {{ }} templates in a step's input
+   * Templates must parse and may only read results of upstream steps (and,
+   * in a compensate input, of the step being compensated).
+   * @param {Array} steps - All workflow steps
+   * @param {Object} step - Step owning the input
+   * @param {Object} input - Input to check (step.input or step.compensate.input)
+   * @param {string} field - Name used in error messages
+   * @returns {Array} - Validation errors
+   */
+  static validateTemplates(steps, step, input, field = 'input') {
+    const readable = DagResolver.getAncestors(steps, step.id);
+    if (field !== 'input') {
+      readable.add(step.id);
+    }
+
+    return DagResolver.checkTemplates(input, `Step "${step.id}" ${field}`, readable, 'an upstream step');
+  }
+
+  /**
+   * Validate the workflow's `outputs` section
+   * Outputs are rendered once every step has finished, so they may read any step.
+   * @param {Object} workflow - Workflow specification
+   * @returns {Array} - Validation errors
+   */
+  static validateOutputs(workflow) {
+    const outputs = workflow.outputs;
+    if (typeof outputs !== 'object' || outputs === null || Array.isArray(outputs)) {
+      return ['outputs must be an object'];
+    }
+
+    const stepIds = new Set(workflow.steps.map(step => step.id));
+    return Object.entries(outputs).flatMap(([name, value]) => (
+      DagResolver.checkTemplates(value, `Output "${name}"`, stepIds, 'a step of this workflow')
+    ));
+  }
+
+  /**
+   * Check every template in a (possibly nested) value
+   * @param {*} value - Value holding template strings
+   * @param {string} label - Owner of the value, for error messages
+   * @param {Set} readable - Step IDs the templates may read
+   * @param {string} readableDescription - What `readable` holds, for error messages
+   * @returns {Array} - Validation errors
+   * @private
+   */
+  static checkTemplates(value, label, readable, readableDescription) {
+    const errors = [];
+    const visit = (current) => {
+      if (typeof current === 'string') {
+        for (const template of Expression.templates(current)) {
+          let references;
+          try {
+            references = Expression.references(template);
+          } catch (error) {
+            errors.push(`${label} has an invalid template "{{ ${template} }}": ${error.message}`);
+            continue;
+          }
+          references
+            .filter(ref => !readable.has(ref))
+            .forEach(ref => errors.push(`${label} references "${ref}", which is not ${readableDescription}`));
+        }
+      } else if (typeof current === 'object' && current !== null) {
+        Object.values(current).forEach(visit);
+      }
+    };
+
+    visit(value);
+    return errors;
+  }
+
+  /**
+   * Validate a step's `when` condition
+   * @param {Array} steps - All workflow steps
+   * @param {Object} step - Step with a `when` field
+   * @returns {Array} - Validation errors
+   */
+  static validateCondition(steps, step) {
+    if (typeof step.when === 'boolean') {
+      return [];
+    }
+
+    if (typeof step.when !== 'string') {
+      return [`Step "${step.id}" when must be a string expression or boolean`];
+    }
+
+    return DagResolver.validateExpression(steps, step, 'when');
+  }
+
+  /**
+   * Validate a step's `forEach` or `matrix` fan-out settings
+   * @param {Array} steps - All workflow steps
+   * @param {Object} step - Step with a `forEach` or `matrix` field
+   * @returns {Array} - Validation errors
+   */
+  static validateForEach(steps, step) {
+    const errors = [];
+
+    if (step.forEach !== undefined && typeof step.forEach !== 'string') {
+      errors.push(`Step "${step.id}" forEach must be a string expression`);
+    } else if (step.forEach !== undefined) {
+      errors.push(...DagResolver.validateExpression(steps, step, 'forEach'));
+    }
+
+    if (step.concurrency !== undefined && (!Number.isInteger(step.concurrency) || step.concurrency < 1)) {
+      errors.push(`Step "${step.id}" concurrency must be a positive integer`);
+    }
+
+    if (step.onItemError !== undefined && !['fail', 'collect'].includes(step.onItemError)) {
+      errors.push(`Step "${step.id}" onItemError must be "fail" or "collect"`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a step's `matrix`: parameter names mapped to non-empty lists of
+   * distinct strings, numbers or booleans
+   * Values may not contain "/", which separates them in result keys.
+   * @param {Object} step - Step with a `matrix` field
+   * @returns {Array} - Validation errors
+   */
+  static validateMatrix(step) {
+    const matrix = step.matrix;
+    if (typeof matrix !== 'object' || matrix === null || Array.isArray(matrix) || Object.keys(matrix).length === 0) {
+      return [`Step "${step.id}" matrix must be an object of parameter lists`];
+    }
+
+    const errors = [];
+
+    if (step.forEach !== undefined) {
+      errors.push(`Step "${step.id}" cannot use both forEach and matrix`);
+    }
+
+    for (const [name, values] of Object.entries(matrix)) {
+      if (!/^[a-zA-Z_][\w]*$/.test(name)) {
+        errors.push(`Step "${step.id}" matrix parameter "${name}" must be a valid identifier`);
+      }
+
+      if (!Array.isArray(values) || values.length === 0) {
+        errors.push(`Step "${step.id}" matrix parameter "${name}" must be a non-empty array`);
+        continue;
+      }
+
+      if (values.some(value => !['string', 'number', 'boolean'].includes(typeof value) || String(value).includes('/'))) {
+        errors.push(`Step "${step.id}" matrix parameter "${name}" values must be strings, numbers or booleans without "/"`);
+      } else if (new Set(values.map(String)).size !== values.length) {
+        errors.push(`Step "${step.id}" matrix parameter "${name}" has duplicate values`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a step's execution policy (timeout and retry)
+   * @param {Object} step - Step specification
+   * @returns {Array} - Validation errors
+   */
+  static validatePolicy(step) {
+    const errors = [];
+
+    if (step.timeout !== undefined && (!Number.isInteger(step.timeout) || step.timeout < 1)) {
+      errors.push(`Step "${step.id}" timeout must be a positive integer (ms)`);
+    }
+
+    if (step.retry === undefined) {
+      return errors;
+    }
+
+    const retry = step.retry;
+    if (typeof retry !== 'object' || retry === null) {
+      errors.push(`Step "${step.id}" retry must be an object`);
+      return errors;
+    }
+
+    if (retry.maxAttempts !== undefined && (!Number.isInteger(retry.maxAttempts) || retry.maxAttempts < 1)) {
+      errors.push(`Step "${step.id}" retry.maxAttempts must be a positive integer`);
+    }
+
+    if (retry.backoff !== undefined && !['fixed', 'exponential'].includes(retry.backoff)) {
+      errors.push(`Step "${step.id}" retry.backoff must be "fixed" or "exponential"`);
+    }
+
+    if (retry.retryOn !== undefined && !Array.isArray(retry.retryOn)) {
+      errors.push(`Step "${step.id}" retry.retryOn must be an array`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a step's compensate block
+   * @param {Object} step - Step specification
+   * @returns {Array} - Validation errors
+   */
+  static validateCompensate(step) {
+    const compensate = step.compensate;
+
+    if (typeof compensate !== 'object' || compensate === null || Array.isArray(compensate)) {
+      return [`Step "${step.id}" compensate must be an object`];
+    }
+
+    const errors = [];
+
+    if (typeof compensate.action !== 'string' || !compensate.action) {
+      errors.push(`Step "${step.id}" compensate must specify an action`);
+    }
+
+    if (compensate.plugin !== undefined && typeof compensate.plugin !== 'string') {
+      errors.push(`Step "${step.id}" compensate plugin must be a string`);
+    }
+
+    errors.push(...DagResolver.validatePolicy({ ...compensate, id: `${step.id}.compensate` }));
+
+    return errors;
+  }
+
+  /**
+   * Validate the workflow's `finally` steps
+   * They run once the main steps are done, whatever the outcome, may only
+   * need each other and may read the result of any main step. They are
+   * checked as if they depended on every main step.
+   * @param {Object} workflow - Workflow specification with valid main steps
+   * @returns {Array} - Validation errors
+   */
+  static validateFinally(workflow) {
+    if (!Array.isArray(workflow.finally)) {
+      return ['finally must be an array of steps'];
+    }
+
+    const mainIds = workflow.steps.map(step => step.id);
+    const errors = [];
+
+    for (const step of workflow.finally) {
+      if (SUSPENDING_STEP_TYPES.includes(step.type)) {
+        errors.push(`Finally step "${step.id}" cannot be of type ${step.type}`);
+      }
+
+      const mainNeeds = (Array.isArray(step.needs) ? step.needs : []).filter(id => mainIds.includes(id));
+      if (mainNeeds.length > 0) {
+        errors.push(`Finally step "${step.id}" can only need other finally steps, not: ${mainNeeds.join(', ')}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    return DagResolver.validate({
+      name: workflow.name,
+      steps: [
+        ...workflow.steps,
+        ...workflow.finally.map(step => ({
+          ...step,
+          needs: Array.isArray(step.needs) ? [...mainIds, ...step.needs] : step.needs || mainIds
+        }))
+      ]
+    }).errors;
+  }
+
+  /**
+   * Validate a built-in step type
+   *   workflow - runs the registered workflow `workflow` (optionally pinned to
+   *              `version`) with `input` as its inputs
+   *   approval - waits for a person to approve or reject; shows `message` and
+   *              `input` to the approver, and after `timeoutSeconds` is
+   *              decided by `onTimeout` (default: reject)
+   *   sleep     - waits `seconds` (a number or a template)
+   *   waitUntil - waits until the date `until` (a template) is reached
+   * @param {Object} workflow - Workflow specification
+   * @param {Object} step - Step with a `type` field
+   * @returns {Array} - Validation errors
+   */
+  static validateStepType(workflow, step) {
+    if (!STEP_TYPES.includes(step.type)) {
+      return [`Step "${step.id}" type must be one of: ${STEP_TYPES.join(', ')}`];
+    }
+
+    const errors = [];
+
+    for (const option of ['forEach', 'matrix', 'cache']) {
+      if (step[option] !== undefined) {
+        errors.push(`Step "${step.id}" of type ${step.type} cannot use ${option}`);
+      }
+    }
+
+    if (step.type === 'workflow') {
+      if (!step.workflow || typeof step.workflow !== 'string') {
+        errors.push(`Step "${step.id}" must specify the workflow to run`);
+      } else if (step.workflow === workflow.name) {
+        errors.push(`Step "${step.id}" runs workflow "${step.workflow}", which would call itself`);
+      }
+
+      if (step.version !== undefined && (!Number.isInteger(step.version) || step.version < 1)) {
+        errors.push(`Step "${step.id}" version must be a positive integer`);
+      }
+    }
+
+    if (step.type === 'approval') {
+      if (step.message !== undefined && typeof step.message !== 'string') {
+        errors.push(`Step "${step.id}" message must be a string`);
+      }
+
+      if (step.timeoutSeconds !== undefined && (!Number.isInteger(step.timeoutSeconds) || step.timeoutSeconds < 1)) {
+        errors.push(`Step "${step.id}" timeoutSeconds must be a positive integer`);
+      }
+
+      if (step.onTimeout !== undefined && !['approve', 'reject'].includes(step.onTimeout)) {
+        errors.push(`Step "${step.id}" onTimeout must be "approve" or "reject"`);
+      }
+    }
+
+    if (step.type === 'sleep' && !(typeof step.seconds === 'string' && step.seconds)
+      && !(typeof step.seconds === 'number' && Number.isFinite(step.seconds) && step.seconds >= 0)) {
+      errors.push(`Step "${step.id}" seconds must be a non-negative number or a template`);
+    }
+
+    if (step.type === 'waitUntil' && (typeof step.until !== 'string' || !step.until)) {
+      errors.push(`Step "${step.id}" until must be a date or a template`);
+    }
+
+    return errors;
+  }
+
   /**
    * Validate workflow structure
    * @param {Object} workflow - Workflow specification
@@ -93,6 +475,19 @@ class DagResolver {
       errors.push('Workflow must have at least one step');
     }
 
+    if (workflow.maxParallelism !== undefined
+      && (!Number.isInteger(workflow.maxParallelism) || workflow.maxParallelism < 1)) {
+      errors.push('maxParallelism must be a positive integer');
+    }
+
+    if (workflow.failFast !== undefined && typeof workflow.failFast !== 'boolean') {
+      errors.push('failFast must be a boolean');
+    }
+
+    if (workflow.inputs !== undefined) {
+      errors.push(...InputSchema.validate(workflow.inputs));
+    }
+
     // Check step structure
     const stepIds = new Set();
     for (const step of workflow.steps) {
@@ -106,6 +501,11 @@ class DagResolver {
       }
       stepIds.add(step.id);
 
+      if (step.type !== undefined) {
+        errors.push(...DagResolver.validateStepType(workflow, step));
+        continue;
+      }
+
       if (!step.plugin) {
         errors.push(`Step "${step.id}" must specify a plugin`);
       }
@@ -124,6 +524,63 @@ class DagResolver {
       }
     }
 
+    // Conditions can only be checked once dependencies are known to be sound
+    if (errors.length === 0) {
+      for (const step of workflow.steps) {
+        if (step.when !== undefined) {
+          errors.push(...DagResolver.validateCondition(workflow.steps, step));
+        }
+
+        if (step.matrix !== undefined) {
+          errors.push(...DagResolver.validateMatrix(step));
+        }
+
+        if (step.forEach !== undefined || step.matrix !== undefined) {
+          errors.push(...DagResolver.validateForEach(workflow.steps, step));
+        }
+
+        errors.push(...DagResolver.validatePolicy(step));
+
+        if (step.input !== undefined) {
+          errors.push(...DagResolver.validateTemplates(workflow.steps, step, step.input));
+        }
+
+        const field = { approval: 'message', sleep: 'seconds', waitUntil: 'until' }[step.type];
+        if (field && typeof step[field] === 'string') {
+          const readable = DagResolver.getAncestors(workflow.steps, step.id);
+          errors.push(...DagResolver.checkTemplates(step[field], `Step "${step.id}" ${field}`, readable, 'an upstream step'));
+        }
+
+        if (step.compensate !== undefined) {
+          errors.push(...DagResolver.validateCompensate(step));
+          if (step.compensate && step.compensate.input !== undefined) {
+            errors.push(...DagResolver.validateTemplates(workflow.steps, step, step.compensate.input, 'compensate input'));
+          }
+        }
+
+        if (step.allowSkippedNeeds !== undefined && typeof step.allowSkippedNeeds !== 'boolean') {
+          errors.push(`Step "${step.id}" allowSkippedNeeds must be a boolean`);
+        }
+
+        if (step.onError !== undefined && !ON_ERROR_POLICIES.includes(step.onError)) {
+          errors.push(`Step "${step.id}" onError must be one of: ${ON_ERROR_POLICIES.join(', ')}`);
+        }
+
+        if (step.cache !== undefined && (typeof step.cache !== 'object' || step.cache === null
+          || !Number.isInteger(step.cache.ttl) || step.cache.ttl < 1)) {
+          errors.push(`Step "${step.id}" cache.ttl must be a positive integer (seconds)`);
+        }
+      }
+
+      if (workflow.outputs !== undefined) {
+        errors.push(...DagResolver.validateOutputs(workflow));
+      }
+
+      if (workflow.finally !== undefined) {
+        errors.push(...DagResolver.validateFinally(workflow));
+      }
+    }
+
     return {
       valid: errors.length === 0,
       errors
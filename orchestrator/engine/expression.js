@@ -0,0 +1,482 @@
+/**
+ * Expression language used by workflow specs
+ * Parses and evaluates expressions such as
+ *   steps.evaluate-risk-scores.result.riskLevel == 'high' && !steps.check.skipped
+ *   steps.fetch.result.rows | map('amount') | sum
+ * without falling back to eval(). Filters are applied with `|` and take
+ * their arguments in parentheses: `'now' | date('YYYY-MM-DD')`.
+ */
+
+const TEMPLATE_PATTERN = /^\s*\{\{([\s\S]*)\}\}\s*$/;
+
+const EMBEDDED_TEMPLATE_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '(', ')', '[', ']', '.', '|', ','];
+
+/**
+ * Read a dotted path ('a.b.0') from a value; used by filters that take a field name
+ */
+const pick = (value, path) => {
+  if (path === undefined || path === null) {
+    return value;
+  }
+  return String(path).split('.').reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+};
+
+const expectArray = (name, value) => {
+  if (!Array.isArray(value)) {
+    throw new Error(`Filter "${name}" expects an array, got ${value === null ? 'null' : typeof value}`);
+  }
+  return value;
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Filters available after `|`; each receives the piped value followed by its arguments
+ */
+const FILTERS = {
+  // Format a date in UTC ('now', a timestamp or anything Date can parse); ISO 8601 without a format
+  date: (value, format) => {
+    const date = value === 'now' ? new Date() : new Date(value);
+    if (value === null || value === undefined || Number.isNaN(date.getTime())) {
+      throw new Error(`Filter "date" cannot parse ${JSON.stringify(value)}`);
+    }
+    if (format === undefined) {
+      return date.toISOString();
+    }
+    const parts = {
+      YYYY: date.getUTCFullYear(),
+      MM: pad(date.getUTCMonth() + 1),
+      DD: pad(date.getUTCDate()),
+      HH: pad(date.getUTCHours()),
+      mm: pad(date.getUTCMinutes()),
+      ss: pad(date.getUTCSeconds()),
+      SSS: pad(date.getUTCMilliseconds(), 3)
+    };
+    return String(format).replace(/YYYY|MM|DD|HH|mm|ss|SSS/g, token => parts[token]);
+  },
+  json: (value, indent) => JSON.stringify(value, null, indent),
+  // Also covers references that do not resolve (see evaluate)
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+  upper: (value) => {
+    if (value === undefined || value === null) {
+      throw new Error(`Filter "upper" expects a string, got ${value === null ? 'null' : 'undefined'}`);
+    }
+    return String(value).toUpperCase();
+  },
+  length: (value) => {
+    if (typeof value === 'string' || Array.isArray(value)) {
+      return value.length;
+    }
+    if (typeof value === 'object' && value !== null) {
+      return Object.keys(value).length;
+    }
+    throw new Error(`Filter "length" expects a string, array or object, got ${value === null ? 'null' : typeof value}`);
+  },
+  map: (value, path) => expectArray('map', value).map(item => pick(item, path)),
+  // filter('field') keeps items whose field is truthy; filter('field', value) keeps items equal to value
+  filter: (value, path, ...expected) => expectArray('filter', value).filter(item => (
+    expected.length > 0 ? pick(item, path) === expected[0] : Boolean(pick(item, path))
+  )),
+  sum: (value, path) => expectArray('sum', value).reduce((total, item) => {
+    const number = Number(pick(item, path));
+    if (Number.isNaN(number)) {
+      throw new Error(`Filter "sum" cannot add ${JSON.stringify(pick(item, path))}`);
+    }
+    return total + number;
+  }, 0)
+};
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null
+};
+
+class Expression {
+  /**
+   * Strip a surrounding {{ }} template marker, if present
+   * @param {string} source - Expression source
+   * @returns {string} - Bare expression
+   */
+  static unwrap(source) {
+    const match = String(source).match(TEMPLATE_PATTERN);
+    return match ? match[1].trim() : String(source).trim();
+  }
+
+  /**
+   * Split expression source into tokens
+   * @param {string} source - Bare expression
+   * @returns {Array} - Tokens ({ type, value })
+   */
+  static tokenize(source) {
+    const tokens = [];
+    let pos = 0;
+
+    while (pos < source.length) {
+      const char = source[pos];
+
+      if (/\s/.test(char)) {
+        pos++;
+        continue;
+      }
+
+      if (char === '\'' || char === '"') {
+        let value = '';
+        pos++;
+        while (pos < source.length && source[pos] !== char) {
+          if (source[pos] === '\\' && pos + 1 < source.length) {
+            pos++;
+          }
+          value += source[pos];
+          pos++;
+        }
+        if (pos >= source.length) {
+          throw new Error(`Unterminated string in expression: ${source}`);
+        }
+        pos++;
+        tokens.push({ type: 'string', value });
+        continue;
+      }
+
+      const number = source.slice(pos).match(/^\d+(\.\d+)?/);
+      if (number) {
+        tokens.push({ type: 'number', value: parseFloat(number[0]) });
+        pos += number[0].length;
+        continue;
+      }
+
+      const identifier = source.slice(pos).match(/^[A-Za-z_$][\w$-]*/);
+      if (identifier) {
+        tokens.push({ type: 'identifier', value: identifier[0] });
+        pos += identifier[0].length;
+        continue;
+      }
+
+      const operator = OPERATORS.find(op => source.startsWith(op, pos));
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator });
+        pos += operator.length;
+        continue;
+      }
+
+      throw new Error(`Unexpected character "${char}" in expression: ${source}`);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse an expression into an AST
+   * @param {string} source - Expression source (optionally wrapped in {{ }})
+   * @returns {Object} - AST root node
+   */
+  static parse(source) {
+    const text = Expression.unwrap(source);
+    const tokens = Expression.tokenize(text);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+    const expect = (value) => {
+      if (!isOperator(value)) {
+        throw new Error(`Expected "${value}" in expression: ${text}`);
+      }
+      pos++;
+    };
+
+    const parsePath = (root) => {
+      const segments = [];
+      while (isOperator('.') || isOperator('[')) {
+        if (isOperator('.')) {
+          pos++;
+          const token = peek();
+          if (!token || (token.type !== 'identifier' && token.type !== 'number')) {
+            throw new Error(`Expected property name in expression: ${text}`);
+          }
+          segments.push({ computed: false, name: String(token.value) });
+          pos++;
+        } else {
+          pos++;
+          segments.push({ computed: true, expr: parsePipe() });
+          expect(']');
+        }
+      }
+      return { type: 'path', root, segments };
+    };
+
+    const parsePrimary = () => {
+      const token = peek();
+      if (!token) {
+        throw new Error(`Unexpected end of expression: ${text}`);
+      }
+
+      if (token.type === 'string' || token.type === 'number') {
+        pos++;
+        return { type: 'literal', value: token.value };
+      }
+
+      if (token.type === 'identifier') {
+        pos++;
+        if (Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)) {
+          return { type: 'literal', value: KEYWORDS[token.value] };
+        }
+        return parsePath(token.value);
+      }
+
+      if (isOperator('(')) {
+        pos++;
+        const inner = parsePipe();
+        expect(')');
+        return inner;
+      }
+
+      throw new Error(`Unexpected token "${token.value}" in expression: ${text}`);
+    };
+
+    const parseUnary = () => {
+      if (isOperator('!')) {
+        pos++;
+        return { type: 'unary', op: '!', arg: parseUnary() };
+      }
+      return parsePrimary();
+    };
+
+    const parseComparison = () => {
+      const left = parseUnary();
+      const token = peek();
+      if (token && token.type === 'operator' && ['==', '!=', '<', '>', '<=', '>='].includes(token.value)) {
+        pos++;
+        return { type: 'binary', op: token.value, left, right: parseUnary() };
+      }
+      return left;
+    };
+
+    const parseAnd = () => {
+      let left = parseComparison();
+      while (isOperator('&&')) {
+        pos++;
+        left = { type: 'logical', op: '&&', left, right: parseComparison() };
+      }
+      return left;
+    };
+
+    const parseOr = () => {
+      let left = parseAnd();
+      while (isOperator('||')) {
+        pos++;
+        left = { type: 'logical', op: '||', left, right: parseAnd() };
+      }
+      return left;
+    };
+
+    const parsePipe = () => {
+      let input = parseOr();
+      while (isOperator('|')) {
+        pos++;
+        const token = peek();
+        if (!token || token.type !== 'identifier') {
+          throw new Error(`Expected filter name in expression: ${text}`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(FILTERS, token.value)) {
+          throw new Error(`Unknown filter "${token.value}" in expression: ${text}`);
+        }
+        pos++;
+
+        const args = [];
+        if (isOperator('(')) {
+          pos++;
+          while (!isOperator(')')) {
+            if (args.length > 0) {
+              expect(',');
+            }
+            args.push(parsePipe());
+          }
+          expect(')');
+        }
+
+        input = { type: 'filter', name: token.value, input, args };
+      }
+      return input;
+    };
+
+    if (tokens.length === 0) {
+      throw new Error('Expression is empty');
+    }
+
+    const ast = parsePipe();
+    if (pos < tokens.length) {
+      throw new Error(`Unexpected token "${peek().value}" in expression: ${text}`);
+    }
+
+    return ast;
+  }
+
+  /**
+   * Evaluate an expression against a scope
+   * Missing paths evaluate to undefined. With `strict`, a path that does not
+   * resolve throws an error with code UNRESOLVED_REFERENCE instead (the
+   * `default` filter turns such references into its fallback).
+   * @param {string|Object} source - Expression source or parsed AST
+   * @param {Object} scope - Variables available to the expression (e.g. { steps })
+   * @param {Object} options - { strict }
+   * @returns {*} - Expression value
+   */
+  static evaluate(source, scope = {}, options = {}) {
+    const ast = typeof source === 'string' ? Expression.parse(source) : source;
+
+    const unresolved = (message) => {
+      const error = new Error(message);
+      error.code = 'UNRESOLVED_REFERENCE';
+      return error;
+    };
+
+    const evalNode = (node) => {
+      switch (node.type) {
+        case 'literal':
+          return node.value;
+        case 'path': {
+          if (options.strict && !Object.prototype.hasOwnProperty.call(scope, node.root)) {
+            throw unresolved(`Unknown variable "${node.root}"`);
+          }
+
+          let value = scope[node.root];
+          let trail = node.root;
+          for (const segment of node.segments) {
+            if (value === undefined || value === null) {
+              if (options.strict) {
+                throw unresolved(`"${trail}" is ${value === null ? 'null' : 'undefined'}`);
+              }
+              return undefined;
+            }
+            const key = segment.computed ? evalNode(segment.expr) : segment.name;
+            value = value[key];
+            trail += segment.computed ? `[${JSON.stringify(key)}]` : `.${key}`;
+          }
+
+          if (value === undefined && options.strict) {
+            throw unresolved(`"${trail}" is undefined`);
+          }
+          return value;
+        }
+        case 'filter': {
+          let input;
+          try {
+            input = evalNode(node.input);
+          } catch (error) {
+            if (node.name !== 'default' || error.code !== 'UNRESOLVED_REFERENCE') {
+              throw error;
+            }
+          }
+          return FILTERS[node.name](input, ...node.args.map(evalNode));
+        }
+        case 'unary':
+          return !evalNode(node.arg);
+        case 'logical':
+          return node.op === '&&'
+            ? evalNode(node.left) && evalNode(node.right)
+            : evalNode(node.left) || evalNode(node.right);
+        case 'binary': {
+          const left = evalNode(node.left);
+          const right = evalNode(node.right);
+          switch (node.op) {
+            case '==': return left === right;
+            case '!=': return left !== right;
+            case '<': return left < right;
+            case '>': return left > right;
+            case '<=': return left <= right;
+            case '>=': return left >= right;
+          }
+        }
+      }
+      throw new Error(`Unknown expression node: ${node.type}`);
+    };
+
+    return evalNode(ast);
+  }
+
+  /**
+   * Collect the step ids an expression reads from (steps.<id>...)
+   * @param {string|Object} source - Expression source or parsed AST
+   * @returns {Array} - Referenced step ids
+   */
+  static references(source) {
+    const ast = typeof source === 'string' ? Expression.parse(source) : source;
+    const stepIds = new Set();
+
+    const walk = (node) => {
+      if (!node) {
+        return;
+      }
+      if (node.type === 'path') {
+        const first = node.segments[0];
+        if (node.root === 'steps' && first) {
+          if (!first.computed) {
+            stepIds.add(first.name);
+          } else if (first.expr.type === 'literal') {
+            stepIds.add(String(first.expr.value));
+          }
+        }
+        node.segments.filter(s => s.computed).forEach(s => walk(s.expr));
+      } else if (node.type === 'filter') {
+        walk(node.input);
+        node.args.forEach(walk);
+      } else if (node.type === 'unary') {
+        walk(node.arg);
+      } else if (node.type === 'binary' || node.type === 'logical') {
+        walk(node.left);
+        walk(node.right);
+      }
+    };
+
+    walk(ast);
+    return Array.from(stepIds);
+  }
+
+  /**
+   * List the expressions embedded in a string as {{ ... }} templates
+   * @param {string} text - String that may contain templates
+   * @returns {Array} - Bare expressions, in order
+   */
+  static templates(text) {
+    return Array.from(String(text).matchAll(EMBEDDED_TEMPLATE_PATTERN), match => match[1].trim());
+  }
+
+  /**
+   * Render a string containing {{ ... }} templates (evaluated strictly)
+   * A string that is a single template yields the expression's value as is;
+   * templates inside a longer string are interpolated as text, with objects
+   * rendered as JSON.
+   * @param {string} text - String that may contain templates
+   * @param {Object} scope - Variables available to the templates
+   * @returns {*} - Rendered value
+   */
+  static render(text, scope = {}) {
+    const evaluateTemplate = (expression) => {
+      try {
+        return Expression.evaluate(expression, scope, { strict: true });
+      } catch (error) {
+        error.message = `Cannot resolve "{{ ${expression.trim()} }}": ${error.message}`;
+        throw error;
+      }
+    };
+
+    const matches = Array.from(text.matchAll(EMBEDDED_TEMPLATE_PATTERN));
+    if (matches.length === 1 && matches[0][0] === text.trim()) {
+      return evaluateTemplate(matches[0][1]);
+    }
+
+    return text.replace(EMBEDDED_TEMPLATE_PATTERN, (match, expression) => {
+      const value = evaluateTemplate(expression);
+      if (value === null) {
+        return '';
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+}
+
+module.exports = Expression;
+
+// Nicolas Larenas, nlarchive
@@ -0,0 +1,146 @@
+/**
+ * Workflow input schema
+ * A workflow may declare the inputs it accepts at submit time:
+ *
+ *   "inputs": {
+ *     "date":   { "type": "string", "required": true },
+ *     "region": { "type": "string", "enum": ["eu", "us"], "default": "eu" },
+ *     "limit":  { "type": "integer", "default": 100 }
+ *   }
+ *
+ * Declared inputs are checked against their type and enum, missing ones take
+ * their default, and missing required ones are rejected. Inputs that are not
+ * declared are passed through unchanged (event triggers add `event`, `events`
+ * and `subject` to every run they start).
+ */
+class InputSchema {
+  static get TYPES() {
+    return ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+  }
+
+  /**
+   * Validate an input schema
+   * @param {Object} schema - Workflow `inputs` section
+   * @returns {Array} - Validation errors
+   */
+  static validate(schema) {
+    if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+      return ['inputs must be an object'];
+    }
+
+    const errors = [];
+
+    for (const [name, definition] of Object.entries(schema)) {
+      if (!/^[a-zA-Z_][\w]*$/.test(name)) {
+        errors.push(`Input "${name}" must be a valid identifier`);
+      }
+
+      if (typeof definition !== 'object' || definition === null || Array.isArray(definition)) {
+        errors.push(`Input "${name}" must be an object`);
+        continue;
+      }
+
+      if (!InputSchema.TYPES.includes(definition.type)) {
+        errors.push(`Input "${name}" type must be one of: ${InputSchema.TYPES.join(', ')}`);
+        continue;
+      }
+
+      if (definition.required !== undefined && typeof definition.required !== 'boolean') {
+        errors.push(`Input "${name}" required must be a boolean`);
+      }
+
+      if (definition.enum !== undefined) {
+        if (!Array.isArray(definition.enum) || definition.enum.length === 0) {
+          errors.push(`Input "${name}" enum must be a non-empty array`);
+        } else {
+          errors.push(...definition.enum
+            .filter(value => !InputSchema.matchesType(value, definition.type))
+            .map(value => `Input "${name}" enum value ${JSON.stringify(value)} is not a ${definition.type}`));
+        }
+      }
+
+      if (definition.default !== undefined) {
+        const error = InputSchema.checkValue(name, definition, definition.default);
+        if (error) {
+          errors.push(`Default of ${error.charAt(0).toLowerCase()}${error.slice(1)}`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Apply defaults and check submitted inputs against a schema
+   * @param {Object} schema - Workflow `inputs` section (may be undefined)
+   * @param {Object} values - Submitted inputs
+   * @returns {Object} - { values, errors }
+   */
+  static resolve(schema, values = {}) {
+    if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+      return { values: {}, errors: ['inputs must be an object'] };
+    }
+
+    const resolved = { ...values };
+    const errors = [];
+
+    for (const [name, definition] of Object.entries(schema || {})) {
+      if (resolved[name] === undefined || resolved[name] === null) {
+        if (definition.default !== undefined) {
+          resolved[name] = JSON.parse(JSON.stringify(definition.default));
+        } else if (definition.required) {
+          errors.push(`Input "${name}" is required`);
+        }
+        continue;
+      }
+
+      const error = InputSchema.checkValue(name, definition, resolved[name]);
+      if (error) {
+        errors.push(error);
+      }
+    }
+
+    return { values: resolved, errors };
+  }
+
+  /**
+   * @private
+   */
+  static checkValue(name, definition, value) {
+    if (!InputSchema.matchesType(value, definition.type)) {
+      return `Input "${name}" must be of type ${definition.type}`;
+    }
+
+    if (Array.isArray(definition.enum) && !definition.enum.includes(value)) {
+      return `Input "${name}" must be one of: ${definition.enum.map(v => JSON.stringify(v)).join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  static matchesType(value, type) {
+    switch (type) {
+      case 'string':
+        return typeof value === 'string';
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+      default:
+        return false;
+    }
+  }
+}
+
+module.exports = InputSchema;
+
+// Nicolas Larenas, nlarchive
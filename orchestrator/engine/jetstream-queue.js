@@ -0,0 +1,662 @@
+const nats = require('nats');
+const { v4: uuidv4 } = require('uuid');
+const TaskQueue = require('./task-queue');
+const NatsWrapper = require('../plugins/nats-wrapper');
+const logger = require('../config/logger');
+const metrics = require('../config/metrics');
+const config = require('../config/env');
+
+// Header holding the time (epoch ms) before which a delivery must not be processed
+const NOT_BEFORE_HEADER = 'Orchestrator-Not-Before';
+
+// Redelivery delay of a task whose workflow is at its concurrency limit
+const SATURATED_RETRY_MS = 1000;
+
+// How long a worker waits for a delivery before checking again (JetStream minimum)
+const FETCH_EXPIRES_MS = 1000;
+
+// Publish attempts of a task message before it is given up (1s, 2s, 4s... apart)
+const PUBLISH_ATTEMPTS = 5;
+
+const codec = nats.JSONCodec();
+
+/**
+ * NATS JetStream task queue
+ * Tasks are messages on a work-queue stream carrying their payload, retry
+ * settings and failed attempts; one durable pull consumer shared by every
+ * orchestrator instance delivers each message to a single worker. The
+ * stream is the task record: the worker acks a delivery when its task
+ * finishes, and marks it in progress (working) on every heartbeat. A
+ * delivery that is never acked (its instance died) is redelivered once the
+ * lease period has passed, flagged as redelivered. JetStream has no delayed
+ * publish, so delays (retries, timers) ride on a Not-Before header and
+ * delayed naks.
+ *
+ * A failed task is published again with the attempt recorded and the retry
+ * backoff as delay; once it uses up max_retries it moves to the dead-letter
+ * stream (one subject per dead letter) until it is redriven or purged.
+ * Messages cannot be changed in place, so requeue() publishes a new
+ * message: deliveries are at least once, and the processor drops the ones
+ * it no longer needs. Priorities are kept on dead letters but tasks are
+ * delivered in publish order.
+ */
+class JetStreamQueue extends TaskQueue {
+  /**
+   * @param {Object} db - Unused (tasks live in the streams); kept for TaskQueue.create
+   * @param {Object} options - See TaskQueue, plus {
+   *   nats (NatsWrapper; connected on first use when not connected),
+   *   url, stream, subject, consumer, deadLetterStream, deadLetterSubject
+   * }
+   */
+  constructor(db, options = {}) {
+    super(options);
+    const settings = { url: config.nats.url, ...config.queue.jetstream, ...options };
+    this.ownsConnection = !options.nats;
+    this.nats = options.nats || new NatsWrapper({ url: settings.url });
+    this.stream = settings.stream;
+    this.subject = settings.subject;
+    this.consumerName = settings.consumer;
+    this.deadLetterStream = settings.deadLetterStream;
+    this.deadLetterSubject = settings.deadLetterSubject;
+    this.consumer = null;
+    this.connecting = null;
+    // Deliveries of the tasks this queue's workers are processing ({ msg, task }), by task id
+    this.deliveries = new Map();
+    // Counts from the consumer and dead-letter stream, refreshed on each heartbeat
+    this.stats = { pending: 0, processing: 0, failed: 0 };
+  }
+
+  /**
+   * Connect to NATS and make sure the streams and consumer exist
+   * @returns {Promise<Object>} - The durable consumer
+   */
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this.setup().catch((error) => {
+        this.connecting = null;
+        throw error;
+      });
+    }
+    return this.connecting;
+  }
+
+  /**
+   * @private
+   */
+  async setup() {
+    if (!this.nats.nc) {
+      await this.nats.connect();
+    }
+    if (!this.nats.jsm) {
+      throw new Error('JetStream is not enabled on the NATS server');
+    }
+
+    await JetStreamQueue.ignoreExisting(this.nats.jsm.streams.add({
+      name: this.stream,
+      subjects: [this.subject],
+      retention: nats.RetentionPolicy.Workqueue
+    }));
+    await JetStreamQueue.ignoreExisting(this.nats.jsm.streams.add({
+      name: this.deadLetterStream,
+      subjects: [`${this.deadLetterSubject}.>`]
+    }));
+    await JetStreamQueue.ignoreExisting(this.nats.jsm.consumers.add(this.stream, {
+      durable_name: this.consumerName,
+      ack_policy: nats.AckPolicy.Explicit,
+      ack_wait: nats.nanos(this.leaseMs),
+      max_deliver: -1
+    }));
+
+    this.consumer = await this.nats.js.consumers.get(this.stream, this.consumerName);
+    logger.info('JetStream queue ready', {
+      stream: this.stream,
+      subject: this.subject,
+      consumer: this.consumerName,
+      deadLetterStream: this.deadLetterStream
+    });
+    return this.consumer;
+  }
+
+  /**
+   * Stream or consumer creation that may find it already there (created by
+   * another instance, possibly with older settings)
+   * @private
+   */
+  static async ignoreExisting(creation) {
+    try {
+      await creation;
+    } catch (error) {
+      if (!/already in use|already exists/.test(error.message)) {
+        throw error;
+      }
+      logger.warn('Keeping existing JetStream configuration', { error: error.message });
+    }
+  }
+
+  /**
+   * Publish a task message
+   * @param {Object} message - { taskId, payload, priority, maxRetries, concurrencyKey, attempts, enqueuedAt }
+   * @param {number} delayMs - Deliveries before this delay has passed are held back
+   * @private
+   */
+  async publish(message, delayMs = 0) {
+    const headers = nats.headers();
+    if (delayMs > 0) {
+      headers.set(NOT_BEFORE_HEADER, String(Date.now() + delayMs));
+    }
+
+    await this.connect();
+    await this.nats.js.publish(this.subject, codec.encode(message), { headers });
+    logger.debug('Task published', { taskId: message.taskId, delayMs });
+  }
+
+  /**
+   * Publish a task message in the background, retrying failed publishes
+   * @private
+   */
+  dispatch(message, delayMs = 0) {
+    const attempt = async (number) => {
+      try {
+        await this.publish(message, delayMs);
+        if (!delayMs) {
+          this.wake();
+        }
+      } catch (error) {
+        if (number >= PUBLISH_ATTEMPTS) {
+          logger.error('Failed to publish task', { taskId: message.taskId, error: error.message });
+          return;
+        }
+        logger.warn('Failed to publish task, will retry', { taskId: message.taskId, attempt: number, error: error.message });
+        setTimeout(() => attempt(number + 1), Math.pow(2, number - 1) * 1000).unref();
+      }
+    };
+
+    attempt(1);
+  }
+
+  /**
+   * @private
+   */
+  static message(taskId, payload, options) {
+    return {
+      taskId,
+      payload,
+      priority: options.priority || 0,
+      maxRetries: options.maxRetries || 3,
+      concurrencyKey: options.concurrencyKey || null,
+      attempts: [],
+      enqueuedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Add a task to the queue
+   * The message is published in the background; failed publishes are retried.
+   */
+  enqueue(taskId, payload, options = {}) {
+    this.dispatch(JetStreamQueue.message(taskId, payload, options), options.delay);
+    return true;
+  }
+
+  /**
+   * Queue a task again, e.g. to continue a paused execution
+   * A new message is published with the given payload (the stream cannot
+   * change the one it already delivered); options are those of enqueue.
+   */
+  requeue(taskId, payload, options = {}) {
+    return this.enqueue(taskId, payload, options);
+  }
+
+  /**
+   * Claim the task of the next usable delivery
+   * Deliveries that are not due yet, or whose workflow is at its concurrency
+   * limit on this instance, are naked to come back later.
+   * @returns {Promise<Object|null>}
+   */
+  async dequeue() {
+    const consumer = await this.connect();
+
+    while (this.processingInterval) {
+      let msg;
+      try {
+        msg = await consumer.next({ expires: FETCH_EXPIRES_MS });
+      } catch (error) {
+        if (!this.processingInterval) {
+          return null;
+        }
+        throw error;
+      }
+
+      if (!msg) {
+        return null;
+      }
+
+      if (!this.processingInterval) {
+        msg.nak();
+        return null;
+      }
+
+      const task = this.accept(msg);
+      if (task) {
+        return task;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Claim the task a delivery carries, or settle the delivery
+   * @returns {Object|null} - The claimed task
+   * @private
+   */
+  accept(msg) {
+    let task;
+    try {
+      task = JetStreamQueue.parseTask(msg);
+    } catch (error) {
+      logger.warn('Dropping unreadable task delivery', { error: error.message });
+      msg.term();
+      return null;
+    }
+
+    const held = this.deliveries.get(task.task_id);
+    if (held) {
+      if (held.msg.seq === msg.seq) {
+        // Redelivered while still being processed here (heartbeats did not reach the server)
+        held.msg = msg;
+      } else {
+        msg.nak(SATURATED_RETRY_MS);
+      }
+      return null;
+    }
+
+    const notBefore = parseInt((msg.headers && msg.headers.get(NOT_BEFORE_HEADER)) || '0', 10);
+    if (notBefore > Date.now()) {
+      msg.nak(notBefore - Date.now());
+      return null;
+    }
+
+    if (task.concurrency_key && this.saturated(task.concurrency_key)) {
+      msg.nak(SATURATED_RETRY_MS);
+      return null;
+    }
+
+    this.deliveries.set(task.task_id, { msg, task });
+    const waitMs = Date.now() - (notBefore || Date.parse(task.enqueued_at));
+    metrics.queueWaitTime.labels(task.concurrency_key || 'none').observe(Math.max(0, waitMs) / 1000);
+    return task;
+  }
+
+  /**
+   * Whether this instance already processes as many tasks of a concurrency
+   * key as its limit allows (limits apply per instance with JetStream)
+   * @private
+   */
+  saturated(concurrencyKey) {
+    const limit = (this.limits || {})[concurrencyKey];
+    if (!limit) {
+      return false;
+    }
+
+    let count = 0;
+    for (const { task } of this.deliveries.values()) {
+      if (task.concurrency_key === concurrencyKey) {
+        count += 1;
+      }
+    }
+    return count >= limit;
+  }
+
+  /**
+   * Task of a delivery, shaped like SqliteQueue's task records
+   * `redelivered` is set when an earlier delivery of the message was not
+   * acked in time (or was held back until due).
+   * @private
+   */
+  static parseTask(msg) {
+    const message = codec.decode(msg.data);
+    return {
+      task_id: message.taskId,
+      payload: message.payload,
+      priority: message.priority,
+      max_retries: message.maxRetries,
+      concurrency_key: message.concurrencyKey,
+      attempts: message.attempts || [],
+      retry_count: (message.attempts || []).length,
+      enqueued_at: message.enqueuedAt,
+      started_at: new Date().toISOString(),
+      status: 'processing',
+      redelivered: Boolean(msg.info && msg.info.redelivered)
+    };
+  }
+
+  /**
+   * Get a task this queue's workers are processing
+   */
+  get(taskId) {
+    const delivery = this.deliveries.get(taskId);
+    return delivery ? delivery.task : null;
+  }
+
+  /**
+   * Ack the task's delivery
+   */
+  complete(taskId) {
+    const delivery = this.deliveries.get(taskId);
+    if (!delivery) {
+      return;
+    }
+
+    this.deliveries.delete(taskId);
+    try {
+      delivery.msg.ack();
+    } catch (error) {
+      // The delivery comes back after the lease period; the processor drops it
+      logger.warn('Failed to ack task delivery', { taskId, error: error.message });
+    }
+  }
+
+  /**
+   * Record the failed attempt and retry the task later, or move it to the
+   * dead-letter stream once it has used up max_retries
+   * The retry is a new message carrying the attempts; the failed delivery is
+   * acked once it is published (or terminated once dead-lettered). If
+   * publishing fails the delivery is naked and the attempt runs again.
+   */
+  async fail(taskId, error) {
+    const delivery = this.deliveries.get(taskId);
+    if (!delivery) {
+      logger.error('Task not found for failure', { taskId });
+      return;
+    }
+
+    this.deliveries.delete(taskId);
+    const { msg, task } = delivery;
+    const attempts = [...task.attempts, {
+      attempt: task.attempts.length + 1,
+      error: error?.message || null,
+      owner: this.owner,
+      started_at: task.started_at,
+      failed_at: new Date().toISOString()
+    }];
+    // Retry with exponential backoff
+    const delayMs = Math.pow(2, attempts.length) * 1000; // 2s, 4s, 8s...
+
+    try {
+      if (attempts.length < task.max_retries) {
+        await this.publish({
+          taskId,
+          payload: task.payload,
+          priority: task.priority,
+          maxRetries: task.max_retries,
+          concurrencyKey: task.concurrency_key,
+          attempts,
+          enqueuedAt: task.enqueued_at
+        }, delayMs);
+        msg.ack();
+        logger.warn('Task failed, will retry', { taskId, retryCount: attempts.length, delayMs });
+      } else {
+        await this.deadLetter(task, attempts);
+        msg.term();
+        logger.error('Task failed after max retries; moved to dead-letter queue', { taskId, error: error?.message });
+      }
+    } catch (publishError) {
+      logger.warn('Failed to record task failure; retrying the delivery', { taskId, error: publishError.message });
+      try {
+        msg.nak(delayMs);
+      } catch (nakError) {
+        logger.warn('Failed to settle task delivery', { taskId, error: nakError.message });
+      }
+    }
+  }
+
+  /**
+   * Publish a task that used up its retries to the dead-letter stream
+   * @private
+   */
+  async deadLetter(task, attempts) {
+    const id = uuidv4();
+    await this.nats.js.publish(`${this.deadLetterSubject}.${id}`, codec.encode({
+      id,
+      task_id: task.task_id,
+      priority: task.priority,
+      payload: task.payload,
+      attempts,
+      max_retries: task.max_retries,
+      concurrency_key: task.concurrency_key,
+      enqueued_at: task.enqueued_at,
+      failed_at: new Date().toISOString()
+    }));
+    await this.recordDeadLetterDepth();
+  }
+
+  /**
+   * Stored dead-letter message by id, or null
+   * @private
+   */
+  async deadLetterMessage(id) {
+    await this.connect();
+    try {
+      return await this.nats.jsm.streams.getMessage(this.deadLetterStream, { last_by_subj: `${this.deadLetterSubject}.${id}` });
+    } catch (error) {
+      if (/no message found/i.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Every stored dead-letter message with its sequence, oldest first
+   * @private
+   */
+  async deadLetterMessages() {
+    await this.connect();
+    const { state } = await this.nats.jsm.streams.info(this.deadLetterStream);
+    const stored = [];
+
+    for (let seq = state.first_seq; state.messages > 0 && seq <= state.last_seq; seq++) {
+      try {
+        const msg = await this.nats.jsm.streams.getMessage(this.deadLetterStream, { seq });
+        stored.push({ seq, letter: msg.json() });
+      } catch (error) {
+        // Deleted (redriven or purged) sequences leave gaps
+        if (!/no message found/i.test(error.message)) {
+          throw error;
+        }
+      }
+    }
+
+    return stored;
+  }
+
+  /**
+   * @private
+   */
+  static matchesDeadLetterFilters(letter, filters) {
+    return (!filters.id || letter.id === filters.id)
+      && (!filters.taskId || letter.task_id === filters.taskId)
+      && (!filters.before || Date.parse(letter.failed_at) < Date.parse(filters.before));
+  }
+
+  /**
+   * List dead letters, most recent first
+   * @param {Object} filters - { taskId, before (failed before this time), limit }
+   * @returns {Promise<Array>}
+   */
+  async listDeadLetters(filters = {}) {
+    const letters = (await this.deadLetterMessages())
+      .map(({ letter }) => letter)
+      .filter(letter => JetStreamQueue.matchesDeadLetterFilters(letter, filters))
+      .reverse();
+
+    return filters.limit ? letters.slice(0, filters.limit) : letters;
+  }
+
+  /**
+   * Get a dead letter by id
+   * @returns {Promise<Object|null>}
+   */
+  async getDeadLetter(id) {
+    const msg = await this.deadLetterMessage(id);
+    return msg ? msg.json() : null;
+  }
+
+  /**
+   * Publish a dead letter's task again with fresh retries and remove it
+   * from the dead-letter stream
+   * @param {string} id - Dead letter id
+   * @param {Object} payload - Replaces the payload the task failed with
+   * @returns {Promise<Object|null>} - The redriven task, or null if the dead letter does not exist
+   */
+  async redrive(id, payload) {
+    const msg = await this.deadLetterMessage(id);
+    if (!msg) {
+      return null;
+    }
+
+    const letter = msg.json();
+    const message = JetStreamQueue.message(letter.task_id, payload || letter.payload, {
+      priority: letter.priority,
+      maxRetries: letter.max_retries,
+      concurrencyKey: letter.concurrency_key
+    });
+    await this.publish(message);
+    await this.nats.jsm.streams.deleteMessage(this.deadLetterStream, msg.seq);
+
+    logger.info('Dead letter redriven', { id, taskId: letter.task_id, payloadReplaced: Boolean(payload) });
+    await this.recordDeadLetterDepth();
+    this.wake();
+    return {
+      task_id: letter.task_id,
+      payload: message.payload,
+      priority: message.priority,
+      max_retries: message.maxRetries,
+      concurrency_key: message.concurrencyKey,
+      attempts: [],
+      retry_count: 0,
+      status: 'pending'
+    };
+  }
+
+  /**
+   * Delete dead letters
+   * @param {Object} filters - { id, taskId, before (failed before this time) }; none purges every dead letter
+   * @returns {Promise<number>} - Number of dead letters deleted
+   */
+  async purgeDeadLetters(filters = {}) {
+    let deleted = 0;
+
+    if (!filters.id && !filters.taskId && !filters.before) {
+      await this.connect();
+      ({ purged: deleted } = await this.nats.jsm.streams.purge(this.deadLetterStream));
+    } else {
+      const matching = filters.id
+        ? [await this.deadLetterMessage(filters.id)].filter(Boolean).map(msg => ({ seq: msg.seq, letter: msg.json() }))
+        : await this.deadLetterMessages();
+
+      for (const { seq, letter } of matching) {
+        if (JetStreamQueue.matchesDeadLetterFilters(letter, filters)) {
+          await this.nats.jsm.streams.deleteMessage(this.deadLetterStream, seq);
+          deleted += 1;
+        }
+      }
+    }
+
+    if (deleted > 0) {
+      logger.info('Dead letters purged', { count: deleted, ...filters });
+    }
+    await this.recordDeadLetterDepth();
+    return deleted;
+  }
+
+  /**
+   * Update the dead-letter queue depth gauge
+   * @returns {Promise<number>} - Number of dead letters
+   */
+  async recordDeadLetterDepth() {
+    const { state } = await this.nats.jsm.streams.info(this.deadLetterStream);
+    this.stats.failed = state.messages;
+    metrics.dlqDepth.set(state.messages);
+    return state.messages;
+  }
+
+  /**
+   * Refresh the counts getStats() reports
+   * @private
+   */
+  async refreshStats() {
+    if (!this.consumer) {
+      return;
+    }
+
+    const info = await this.consumer.info();
+    this.stats.pending = info.num_pending;
+    this.stats.processing = info.num_ack_pending;
+    await this.recordDeadLetterDepth();
+  }
+
+  /**
+   * Mark deliveries in progress so JetStream does not redeliver them, and
+   * refresh the queue counts
+   * @returns {number} - Number of deliveries extended
+   */
+  heartbeat() {
+    for (const [taskId, { msg }] of this.deliveries) {
+      try {
+        msg.working();
+      } catch (error) {
+        logger.warn('Failed to extend task delivery', { taskId, error: error.message });
+      }
+    }
+
+    this.refreshStats().catch(error => logger.warn('Failed to refresh JetStream queue stats', { error: error.message }));
+    return this.deliveries.size;
+  }
+
+  /**
+   * Queue counts as of the last heartbeat: pending (not delivered yet),
+   * processing (delivered and not acked, including deliveries held back
+   * until due) and failed (dead letters)
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Nothing to clear: the work-queue stream drops acked messages, and dead
+   * letters stay until they are redriven or purged
+   */
+  cleanup() {
+    return 0;
+  }
+
+  /**
+   * Start the worker pool (see TaskQueue) and publish the queue counts
+   */
+  start(processor, intervalMs) {
+    super.start(processor, intervalMs);
+    this.connect()
+      .then(() => this.refreshStats())
+      .catch(error => logger.warn('Failed to refresh JetStream queue stats', { error: error.message }));
+  }
+
+  /**
+   * Close the NATS connection this queue opened once its last task finished
+   */
+  stopHeartbeat() {
+    super.stopHeartbeat();
+    this.consumer = null;
+    this.connecting = null;
+    if (this.ownsConnection && this.nats.nc) {
+      this.nats.disconnect().catch(error => {
+        logger.warn('Failed to close JetStream queue connection', { error: error.message });
+      });
+    }
+  }
+}
+
+module.exports = JetStreamQueue;
+
+// Nicolas Larenas, nlarchive
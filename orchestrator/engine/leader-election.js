@@ -0,0 +1,131 @@
+const EventEmitter = require('events');
+const logger = require('../config/logger');
+const config = require('../config/env');
+
+/**
+ * Leader election between orchestrator instances sharing a database file on
+ * one host
+ * The leader holds a lease row in `leader_leases` and renews it every third
+ * of the lease period; when it stops renewing (crash, lost database), any
+ * other instance takes the lease over once it expires. Work that must run
+ * on a single instance (cleanup, schedules, the streamer, triggers) starts on
+ * `elected` and stops on `demoted`.
+ *
+ * Events:
+ *   elected  - this instance became the leader
+ *   demoted  - this instance lost (or gave up) the lease
+ */
+class LeaderElection extends EventEmitter {
+  /**
+   * @param {Object} db - DatabaseClient
+   * @param {Object} options - { nodeId, name (election name, default 'orchestrator'), leaseMs }
+   */
+  constructor(db, options = {}) {
+    super();
+    this.db = db;
+    this.nodeId = options.nodeId || config.node.id;
+    this.name = options.name || 'orchestrator';
+    this.leaseMs = options.leaseMs || config.node.leaderLeaseMs;
+    this.isLeader = false;
+    // When this instance stops counting on the lease it last renewed (epoch ms)
+    this.leaseExpiresAt = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Campaign for the lease now and keep renewing or retrying it
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    logger.info('Starting leader election', { nodeId: this.nodeId, leaseMs: this.leaseMs });
+    this.timer = setInterval(() => this.campaign(), this.leaseMs / 3);
+    this.campaign();
+  }
+
+  /**
+   * Stop campaigning and release the lease so another instance takes over
+   * right away
+   */
+  stop() {
+    if (!this.timer) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+
+    try {
+      this.db.releaseLeaderLease(this.name, this.nodeId);
+    } catch (error) {
+      logger.warn('Failed to release leader lease', { nodeId: this.nodeId, error: error.message });
+    }
+    this.setLeader(false);
+    logger.info('Leader election stopped', { nodeId: this.nodeId });
+  }
+
+  /**
+   * Take or renew the lease
+   * The database times the lease. A database error keeps the current role
+   * until one renewal interval before the renewed lease runs out, so a
+   * leader that cannot reach the database steps down before anyone else can
+   * take over, with room for the delay of the failed renewal.
+   * @param {Date} [now] - Time to use instead of the clock (tests)
+   * @returns {boolean} - Whether this instance is the leader
+   */
+  campaign(now) {
+    const renewedAt = (now || new Date()).getTime();
+    try {
+      const lease = this.db.acquireLeaderLease(this.name, this.nodeId, this.leaseMs, now && now.toISOString());
+      if (lease) {
+        this.leaseExpiresAt = renewedAt + this.leaseMs - this.leaseMs / 3;
+      }
+      this.setLeader(Boolean(lease));
+    } catch (error) {
+      logger.error('Leader lease renewal failed', { nodeId: this.nodeId, error: error.message });
+      if (renewedAt >= this.leaseExpiresAt) {
+        this.setLeader(false);
+      }
+    }
+
+    return this.isLeader;
+  }
+
+  /**
+   * Current lease holder
+   * @param {Date} [now] - Time to use instead of the clock (tests)
+   * @returns {Object|null} - { nodeId, acquiredAt, expiresAt }, or null when nobody holds a live lease
+   */
+  getLeader(now) {
+    const lease = this.db.getLeaderLease(this.name, now && now.toISOString());
+    if (!lease) {
+      return null;
+    }
+
+    return { nodeId: lease.holder, acquiredAt: lease.acquired_at, expiresAt: lease.expires_at };
+  }
+
+  /**
+   * @private
+   */
+  setLeader(isLeader) {
+    if (isLeader === this.isLeader) {
+      return;
+    }
+
+    this.isLeader = isLeader;
+    if (isLeader) {
+      logger.info('Elected leader', { nodeId: this.nodeId });
+      this.emit('elected');
+    } else {
+      logger.warn('No longer the leader', { nodeId: this.nodeId });
+      this.emit('demoted');
+    }
+  }
+}
+
+module.exports = LeaderElection;
+
+// Nicolas Larenas, nlarchive
@@ -0,0 +1,380 @@
+const { v4: uuidv4 } = require('uuid');
+const Cron = require('./cron');
+const logger = require('../config/logger');
+const metrics = require('../config/metrics');
+const config = require('../config/env');
+
+const CATCH_UP_POLICIES = ['none', 'latest', 'all'];
+
+const TERMINAL_STATUSES = ['completed', 'completed_with_errors', 'failed', 'cancelled'];
+
+// Most missed fire times a cron schedule is stepped through on one tick
+const MAX_CATCH_UP_STEPS = 1000;
+
+const EDITABLE_FIELDS = [
+  'name', 'workflow_name', 'workflow_version', 'cron', 'interval_seconds', 'timezone',
+  'inputs', 'enabled', 'catch_up', 'allow_overlap'
+];
+
+/**
+ * Workflow scheduler
+ * Runs registered workflows on cron or fixed-interval schedules stored in
+ * SQLite. Due schedules are claimed with a compare-and-set on next_run_at
+ * and started through WorkflowEngine.runWorkflow, which enqueues them on the
+ * engine's task queue.
+ *
+ * Catch-up policies for fire times missed while the orchestrator was down:
+ *   none   - drop missed runs (a run late by less than the misfire grace still fires)
+ *   latest - run once for the most recent missed fire time
+ *   all    - run once per missed fire time, one per tick
+ */
+class Scheduler {
+  constructor(db, workflowEngine, options = {}) {
+    this.db = db;
+    this.workflowEngine = workflowEngine;
+    this.tickMs = options.tickMs || config.scheduler.tickMs;
+    this.misfireGraceMs = options.misfireGraceMs !== undefined
+      ? options.misfireGraceMs
+      : config.scheduler.misfireGraceMs;
+    this.timer = null;
+  }
+
+  /**
+   * Validate a schedule specification
+   * @param {Object} schedule - Schedule fields (snake_case, as stored)
+   * @returns {Array} - Validation errors
+   */
+  validate(schedule) {
+    const errors = [];
+
+    if (!schedule.name || typeof schedule.name !== 'string') {
+      errors.push('Schedule must have a string name');
+    }
+
+    if (!schedule.workflow_name || typeof schedule.workflow_name !== 'string') {
+      errors.push('Schedule must have a string workflow_name');
+    } else if (!this.db.getWorkflowDefinition(schedule.workflow_name)) {
+      errors.push(`Workflow "${schedule.workflow_name}" is not registered`);
+    }
+
+    if (schedule.workflow_version !== undefined && schedule.workflow_version !== null
+      && (!Number.isInteger(schedule.workflow_version) || schedule.workflow_version < 1)) {
+      errors.push('workflow_version must be a positive integer');
+    }
+
+    const hasCron = schedule.cron !== undefined && schedule.cron !== null;
+    const hasInterval = schedule.interval_seconds !== undefined && schedule.interval_seconds !== null;
+    if (hasCron === hasInterval) {
+      errors.push('Schedule must have exactly one of cron or interval_seconds');
+    } else if (hasCron) {
+      try {
+        Cron.parse(schedule.cron);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    } else if (!Number.isInteger(schedule.interval_seconds) || schedule.interval_seconds < 1) {
+      errors.push('interval_seconds must be a positive integer');
+    }
+
+    if (schedule.timezone !== undefined && !Cron.isValidTimezone(schedule.timezone)) {
+      errors.push(`Unknown timezone "${schedule.timezone}"`);
+    }
+
+    if (schedule.inputs !== undefined
+      && (typeof schedule.inputs !== 'object' || schedule.inputs === null || Array.isArray(schedule.inputs))) {
+      errors.push('inputs must be an object');
+    }
+
+    if (schedule.catch_up !== undefined && !CATCH_UP_POLICIES.includes(schedule.catch_up)) {
+      errors.push(`catch_up must be one of: ${CATCH_UP_POLICIES.join(', ')}`);
+    }
+
+    for (const flag of ['enabled', 'allow_overlap']) {
+      if (schedule[flag] !== undefined && typeof schedule[flag] !== 'boolean') {
+        errors.push(`${flag} must be a boolean`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Compute the first fire time of a schedule after `from`
+   * @returns {Date|null}
+   */
+  static nextFireTime(schedule, from) {
+    if (schedule.interval_seconds) {
+      return new Date(from.getTime() + schedule.interval_seconds * 1000);
+    }
+    return Cron.next(schedule.cron, from, schedule.timezone || 'UTC');
+  }
+
+  /**
+   * Latest fire time of a schedule from `due` on that is not after `now`,
+   * and the fire time after it
+   * Interval schedules are computed directly. Cron schedules are stepped
+   * through at most MAX_CATCH_UP_STEPS times; after a longer outage the
+   * search stops at that fire time and continues after `now`.
+   * @returns {Object} - { scheduledFor, next }
+   */
+  static latestFireTime(schedule, due, now) {
+    if (schedule.interval_seconds) {
+      const intervalMs = schedule.interval_seconds * 1000;
+      const missed = Math.max(0, Math.floor((now - due) / intervalMs));
+      const scheduledFor = new Date(due.getTime() + missed * intervalMs);
+      return { scheduledFor, next: new Date(scheduledFor.getTime() + intervalMs) };
+    }
+
+    let scheduledFor = due;
+    let next = Scheduler.nextFireTime(schedule, due);
+    for (let steps = 0; next && next <= now; steps++) {
+      if (steps === MAX_CATCH_UP_STEPS) {
+        logger.warn('Too many missed fire times to step through', { scheduleId: schedule.id, since: due });
+        return { scheduledFor, next: Scheduler.nextFireTime(schedule, now) };
+      }
+      scheduledFor = next;
+      next = Scheduler.nextFireTime(schedule, next);
+    }
+
+    return { scheduledFor, next };
+  }
+
+  /**
+   * Preview upcoming fire times of a (possibly unsaved) schedule
+   * @param {Object} schedule - { cron | interval_seconds, timezone }
+   * @param {number} count - Number of fire times
+   * @returns {Array<string>} - ISO timestamps
+   */
+  preview(schedule, count = 5, from = new Date()) {
+    const runs = [];
+    let cursor = from;
+
+    while (runs.length < count) {
+      cursor = Scheduler.nextFireTime(schedule, cursor);
+      if (!cursor) {
+        break;
+      }
+      runs.push(cursor.toISOString());
+    }
+
+    return runs;
+  }
+
+  /**
+   * Create a schedule
+   * @returns {Object} - { schedule } or { errors }
+   */
+  create(spec, now = new Date()) {
+    const schedule = Scheduler.pickFields(spec);
+    const errors = this.validate(schedule);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    if (this.db.listSchedules().some(s => s.name === schedule.name)) {
+      return { errors: [`Schedule "${schedule.name}" already exists`] };
+    }
+
+    const id = uuidv4();
+    const next = Scheduler.nextFireTime(schedule, now);
+    this.db.createSchedule({ ...schedule, id, next_run_at: next ? next.toISOString() : null });
+
+    logger.info('Schedule created', { scheduleId: id, name: schedule.name, nextRunAt: next });
+
+    return { schedule: this.get(id, now) };
+  }
+
+  /**
+   * Update a schedule; the next fire time is recomputed from now
+   * @returns {Object|null} - { schedule } or { errors }, null if not found
+   */
+  update(id, changes, now = new Date()) {
+    const existing = this.db.getSchedule(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updates = Scheduler.pickFields(changes);
+    // Switching between cron and interval clears the other one
+    if (updates.cron !== undefined && updates.interval_seconds === undefined) {
+      updates.interval_seconds = null;
+    } else if (updates.interval_seconds !== undefined && updates.cron === undefined) {
+      updates.cron = null;
+    }
+
+    const schedule = { ...Scheduler.pickFields(existing), ...updates };
+    const errors = this.validate(schedule);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const next = Scheduler.nextFireTime(schedule, now);
+    this.db.updateSchedule(id, { ...updates, next_run_at: next ? next.toISOString() : null });
+
+    logger.info('Schedule updated', { scheduleId: id, nextRunAt: next });
+
+    return { schedule: this.get(id, now) };
+  }
+
+  /**
+   * Get a schedule with a preview of its next fire times
+   * @returns {Object|null}
+   */
+  get(id, now = new Date()) {
+    const schedule = this.db.getSchedule(id);
+    if (!schedule) {
+      return null;
+    }
+
+    return {
+      ...schedule,
+      upcoming: schedule.enabled ? this.preview(schedule, 5, now) : []
+    };
+  }
+
+  list() {
+    return this.db.listSchedules();
+  }
+
+  delete(id) {
+    return this.db.deleteSchedule(id);
+  }
+
+  /**
+   * Start checking for due schedules
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    logger.info('Starting scheduler', { tickMs: this.tickMs });
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error('Scheduler tick failed', { error: error.message });
+      });
+    }, this.tickMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Scheduler stopped');
+    }
+  }
+
+  /**
+   * Fire every schedule that is due
+   * @returns {Promise<Array>} - Outcome per due schedule
+   */
+  async tick(now = new Date()) {
+    const outcomes = [];
+
+    for (const schedule of this.db.getDueSchedules(now.toISOString())) {
+      try {
+        outcomes.push(await this.fire(schedule, now));
+      } catch (error) {
+        logger.error('Failed to fire schedule', { scheduleId: schedule.id, error: error.message });
+        this.db.updateSchedule(schedule.id, { last_error: error.message });
+        metrics.scheduledRuns.labels(schedule.name, 'failed').inc();
+        outcomes.push({ scheduleId: schedule.id, outcome: 'failed', error: error.message });
+      }
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Handle one due schedule: apply the catch-up policy, claim the fire time,
+   * then start a run unless the previous one is still active
+   * @returns {Promise<Object>} - { scheduleId, outcome, scheduledFor, executionId }
+   */
+  async fire(schedule, now) {
+    const due = new Date(schedule.next_run_at);
+    let scheduledFor = due;
+    let next;
+    let runNow = true;
+
+    if (schedule.catch_up === 'all') {
+      next = Scheduler.nextFireTime(schedule, due);
+    } else {
+      ({ scheduledFor, next } = Scheduler.latestFireTime(schedule, due, now));
+
+      if (schedule.catch_up === 'none' && now - scheduledFor > this.misfireGraceMs) {
+        runNow = false;
+      }
+    }
+
+    // Another scheduler instance may have fired this schedule already
+    if (!this.db.claimScheduleRun(schedule.id, schedule.next_run_at, next ? next.toISOString() : null)) {
+      return { scheduleId: schedule.id, outcome: 'claimed_elsewhere' };
+    }
+
+    const result = { scheduleId: schedule.id, scheduledFor: scheduledFor.toISOString() };
+
+    if (!runNow) {
+      logger.warn('Skipping missed scheduled run', { scheduleId: schedule.id, scheduledFor });
+      metrics.scheduledRuns.labels(schedule.name, 'missed').inc();
+      return { ...result, outcome: 'missed' };
+    }
+
+    if (!schedule.allow_overlap && this.isRunActive(schedule.last_execution_id)) {
+      logger.warn('Skipping scheduled run; previous run still active', {
+        scheduleId: schedule.id,
+        executionId: schedule.last_execution_id
+      });
+      metrics.scheduledRuns.labels(schedule.name, 'skipped_overlap').inc();
+      return { ...result, outcome: 'skipped_overlap' };
+    }
+
+    const run = await this.workflowEngine.runWorkflow(schedule.workflow_name, {
+      version: schedule.workflow_version || undefined,
+      inputs: schedule.inputs,
+      trigger: { type: 'schedule', scheduleId: schedule.id, scheduledFor: result.scheduledFor }
+    });
+
+    if (!run) {
+      throw new Error(`Workflow "${schedule.workflow_name}" is not registered`);
+    }
+
+    this.db.updateSchedule(schedule.id, {
+      last_run_at: result.scheduledFor,
+      last_execution_id: run.executionId,
+      last_error: null
+    });
+
+    logger.info('Scheduled run enqueued', { scheduleId: schedule.id, executionId: run.executionId, scheduledFor });
+    metrics.scheduledRuns.labels(schedule.name, 'enqueued').inc();
+
+    return { ...result, outcome: 'enqueued', executionId: run.executionId };
+  }
+
+  /**
+   * @private
+   */
+  isRunActive(executionId) {
+    if (!executionId) {
+      return false;
+    }
+    const execution = this.db.getExecution(executionId);
+    return Boolean(execution) && !TERMINAL_STATUSES.includes(execution.status);
+  }
+
+  /**
+   * @private
+   */
+  static pickFields(source = {}) {
+    const picked = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (source[field] !== undefined) {
+        picked[field] = source[field];
+      }
+    }
+    return picked;
+  }
+}
+
+module.exports = Scheduler;
+
+// Nicolas Larenas, nlarchive
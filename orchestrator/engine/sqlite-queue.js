@@ -1,27 +1,56 @@
+const { v4: uuidv4 } = require('uuid');
+const TaskQueue = require('./task-queue');
 const logger = require('../config/logger');
+const metrics = require('../config/metrics');
 
 /**
- * SQLite-based task queue for workflow execution
- * Simple, file-based queue with retry support
+ * SQLite-based task queue for workflow execution (the default backend)
+ * Simple, file-based queue with retry support. A claimed task is leased to
+ * its processor (lease_owner) until lease_expires_at; the processor renews
+ * the lease with heartbeat() while it works, and reapExpiredLeases() hands
+ * back tasks whose processor died. Tasks may carry a concurrency key (the
+ * workflow name) to cap how many of them are processed at once.
+ *
+ * Every failed attempt is recorded on the task (attempts). A task that uses
+ * up max_retries is copied to the dead_letters table with its payload and
+ * attempts, where it stays (cleanup() leaves it alone) until it is redriven
+ * or purged.
  */
-class SqliteQueue {
-  constructor(db) {
+class SqliteQueue extends TaskQueue {
+  /**
+   * @param {Object} db - DatabaseClient
+   * @param {Object} options - See TaskQueue
+   */
+  constructor(db, options = {}) {
+    super(options);
     this.db = db;
-    this.processingInterval = null;
-    this.isProcessing = false;
   }
 
   static formatTimestamp(date = new Date()) {
     return date.toISOString().slice(0, 19).replace('T', ' ');
   }
 
+  /**
+   * Epoch ms of a queue timestamp (UTC, as written by formatTimestamp and CURRENT_TIMESTAMP)
+   */
+  static parseTimestamp(timestamp) {
+    return Date.parse(`${timestamp.replace(' ', 'T')}Z`);
+  }
+
+  /**
+   * @private
+   */
+  leaseExpiry() {
+    return SqliteQueue.formatTimestamp(new Date(Date.now() + this.leaseMs));
+  }
+
   /**
    * Add a task to the queue
    */
   enqueue(taskId, payload, options = {}) {
     const stmt = this.db.db.prepare(`
-      INSERT INTO task_queue (task_id, priority, payload, max_retries, scheduled_at)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO task_queue (task_id, priority, payload, max_retries, scheduled_at, concurrency_key)
+      VALUES (?, ?, ?, ?, ?, ?)
     `);
 
     const priority = options.priority || 0;
@@ -37,9 +66,13 @@ class SqliteQueue {
         priority,
         JSON.stringify(payload),
         maxRetries,
-        scheduledAt
+        scheduledAt,
+        options.concurrencyKey || null
       );
       logger.debug('Task enqueued', { taskId, priority });
+      if (!options.delay) {
+        this.wake();
+      }
       return true;
     } catch (error) {
       logger.error('Failed to enqueue task', { taskId, error: error.message });
@@ -48,57 +81,262 @@ class SqliteQueue {
   }
 
   /**
-   * Get next pending task
+   * Claim the next pending task
+   * Selecting and marking it processing is a single statement, so two
+   * processors can never claim the same task. The claim is leased to this
+   * queue's owner. Tasks whose concurrency key is at its limit wait.
    */
   dequeue() {
-    const stmt = this.db.db.prepare(`
-      SELECT * FROM task_queue
-      WHERE status = 'pending'
-        AND datetime(scheduled_at) <= datetime('now')
-      ORDER BY priority DESC, created_at ASC
-      LIMIT 1
-    `);
+    const claim = this.db.db.transaction(() => {
+      const saturated = this.saturatedKeys();
+      const stmt = this.db.db.prepare(`
+        UPDATE task_queue
+        SET status = 'processing',
+            started_at = CURRENT_TIMESTAMP,
+            lease_owner = ?,
+            lease_expires_at = ?
+        WHERE id = (
+          SELECT id FROM task_queue
+          WHERE status = 'pending'
+            AND datetime(scheduled_at) <= datetime('now')
+            ${saturated.length > 0 ? `AND (concurrency_key IS NULL OR concurrency_key NOT IN (${saturated.map(() => '?').join(', ')}))` : ''}
+          ORDER BY priority DESC, created_at ASC
+          LIMIT 1
+        ) AND status = 'pending'
+        RETURNING *
+      `);
+
+      return stmt.get(this.owner, this.leaseExpiry(), ...saturated);
+    });
+
+    // Immediate: limits are counted and the task claimed under one write lock
+    const row = claim.immediate();
 
-    const row = stmt.get();
-    
     if (!row) {
       return null;
     }
 
-    // Mark as processing
-    const updateStmt = this.db.db.prepare(`
+    this.recordWaitTime(row);
+    return SqliteQueue.parseTask(row);
+  }
+
+  /**
+   * Observe how long a claimed task waited after it was due
+   * @protected
+   */
+  recordWaitTime(row) {
+    const waitMs = Date.now() - SqliteQueue.parseTimestamp(row.scheduled_at);
+    metrics.queueWaitTime.labels(row.concurrency_key || 'none').observe(Math.max(0, waitMs) / 1000);
+  }
+
+  /**
+   * Concurrency keys that already have as many tasks processing as their limit allows
+   * @returns {Array<string>}
+   * @private
+   */
+  saturatedKeys() {
+    const limited = Object.keys(this.limits || {});
+    if (limited.length === 0) {
+      return [];
+    }
+
+    const stmt = this.db.db.prepare(`
+      SELECT concurrency_key, COUNT(*) AS count FROM task_queue
+      WHERE status = 'processing' AND concurrency_key IN (${limited.map(() => '?').join(', ')})
+      GROUP BY concurrency_key
+    `);
+
+    return stmt.all(...limited)
+      .filter(row => row.count >= this.limits[row.concurrency_key])
+      .map(row => row.concurrency_key);
+  }
+
+  /**
+   * Claim a specific pending task (e.g. a sub-workflow processed inline)
+   * @returns {boolean} - Whether the task was claimed
+   */
+  claim(taskId) {
+    const stmt = this.db.db.prepare(`
+      UPDATE task_queue
+      SET status = 'processing',
+          started_at = CURRENT_TIMESTAMP,
+          lease_owner = ?,
+          lease_expires_at = ?
+      WHERE task_id = ? AND status = 'pending'
+    `);
+
+    return stmt.run(this.owner, this.leaseExpiry(), taskId).changes > 0;
+  }
+
+  /**
+   * Renew the leases of every task this queue's owner is processing
+   * @returns {number} - Number of leases renewed
+   */
+  heartbeat() {
+    const stmt = this.db.db.prepare(`
       UPDATE task_queue
-      SET status = 'processing', started_at = CURRENT_TIMESTAMP
-      WHERE id = ?
+      SET lease_expires_at = ?
+      WHERE lease_owner = ? AND status = 'processing'
     `);
-    updateStmt.run(row.id);
 
+    return stmt.run(this.leaseExpiry(), this.owner).changes;
+  }
+
+  /**
+   * Hand back processing tasks whose lease expired (their processor died or
+   * stalled)
+   * Each one counts as a retry: it goes back to pending, or to failed once
+   * it has used up max_retries.
+   * @returns {Array} - Reclaimed tasks, with their new status and the owner that lost them
+   */
+  reapExpiredLeases() {
+    const stmt = this.db.db.prepare(`
+      UPDATE task_queue
+      SET retry_count = retry_count + 1,
+          status = CASE WHEN retry_count + 1 < max_retries THEN 'pending' ELSE 'failed' END,
+          scheduled_at = CURRENT_TIMESTAMP,
+          completed_at = CASE WHEN retry_count + 1 < max_retries THEN NULL ELSE CURRENT_TIMESTAMP END,
+          lease_expires_at = NULL,
+          attempts = json_insert(COALESCE(attempts, '[]'), '$[#]', json_object(
+            'attempt', retry_count + 1,
+            'error', 'Lease expired',
+            'owner', lease_owner,
+            'started_at', started_at,
+            'failed_at', datetime('now')
+          ))
+      WHERE status = 'processing'
+        AND (lease_expires_at IS NULL OR datetime(lease_expires_at) <= datetime('now'))
+      RETURNING *
+    `);
+
+    const reclaimed = this.db.db.transaction(() => {
+      const rows = stmt.all();
+      rows.filter(row => row.status === 'failed').forEach(row => this.deadLetter(row.task_id));
+      return rows;
+    })().map(row => SqliteQueue.parseTask(row));
+
+    for (const task of reclaimed) {
+      logger.warn('Reclaimed task with expired lease', {
+        taskId: task.task_id,
+        leaseOwner: task.lease_owner,
+        status: task.status,
+        retryCount: task.retry_count
+      });
+    }
+
+    if (reclaimed.some(task => task.status === 'failed')) {
+      this.recordDeadLetterDepth();
+    }
+
+    return reclaimed;
+  }
+
+  /**
+   * @private
+   */
+  static parseTask(row) {
     return {
       ...row,
-      payload: JSON.parse(row.payload)
+      payload: JSON.parse(row.payload),
+      attempts: row.attempts ? JSON.parse(row.attempts) : []
     };
   }
 
+  /**
+   * Get a queued task by id
+   */
+  get(taskId) {
+    const row = this.db.db.prepare('SELECT * FROM task_queue WHERE task_id = ?').get(taskId);
+    return row ? SqliteQueue.parseTask(row) : null;
+  }
+
+  /**
+   * Whether a task is claimed (processing) under a lease
+   */
+  isLeased(taskId) {
+    const row = this.db.db.prepare('SELECT status FROM task_queue WHERE task_id = ?').get(taskId);
+    return Boolean(row) && row.status === 'processing';
+  }
+
+  /**
+   * Move a task to another status (e.g. paused, waiting, cancelled)
+   * @param {string} taskId - Queue task id
+   * @param {string} status - New status
+   * @param {Array} fromStatuses - Only update tasks currently in one of these statuses
+   * @returns {boolean} - Whether a task was updated
+   */
+  updateStatus(taskId, status, fromStatuses = ['pending', 'processing', 'paused']) {
+    const placeholders = fromStatuses.map(() => '?').join(', ');
+    const stmt = this.db.db.prepare(`
+      UPDATE task_queue
+      SET status = ?,
+          completed_at = CASE WHEN ? IN ('completed', 'failed', 'cancelled') THEN CURRENT_TIMESTAMP ELSE completed_at END,
+          lease_expires_at = NULL
+      WHERE task_id = ? AND status IN (${placeholders})
+    `);
+
+    const result = stmt.run(status, status, taskId, ...fromStatuses);
+    logger.debug('Task status updated', { taskId, status, updated: result.changes });
+    return result.changes > 0;
+  }
+
+  /**
+   * Put an existing task back to pending, optionally with a new payload
+   * Used to continue executions that were paused or are waiting on a timer.
+   * The task keeps its priority, retries and concurrency key.
+   */
+  requeue(taskId, payload, options = {}) {
+    const scheduledDate = options.delay
+      ? new Date(Date.now() + options.delay)
+      : new Date();
+
+    const stmt = this.db.db.prepare(`
+      UPDATE task_queue
+      SET status = 'pending',
+          payload = COALESCE(?, payload),
+          scheduled_at = ?,
+          started_at = NULL,
+          completed_at = NULL,
+          lease_expires_at = NULL
+      WHERE task_id = ?
+    `);
+
+    const result = stmt.run(
+      payload ? JSON.stringify(payload) : null,
+      SqliteQueue.formatTimestamp(scheduledDate),
+      taskId
+    );
+    logger.debug('Task requeued', { taskId, updated: result.changes });
+    if (!options.delay) {
+      this.wake();
+    }
+    return result.changes > 0;
+  }
+
   /**
    * Mark task as completed
+   * Tasks moved to another status while processing (paused, cancelled) keep
+   * it, as do tasks whose lease has passed to another owner.
    */
   complete(taskId) {
     const stmt = this.db.db.prepare(`
       UPDATE task_queue
-      SET status = 'completed', completed_at = CURRENT_TIMESTAMP
-      WHERE task_id = ?
+      SET status = 'completed', completed_at = CURRENT_TIMESTAMP, lease_expires_at = NULL
+      WHERE task_id = ? AND status = 'processing' AND (lease_owner IS NULL OR lease_owner = ?)
     `);
 
-    stmt.run(taskId);
-    logger.debug('Task completed', { taskId });
+    const result = stmt.run(taskId, this.owner);
+    logger.debug('Task completed', { taskId, updated: result.changes });
   }
 
   /**
    * Mark task as failed and potentially retry
+   * The attempt's error is recorded on the task; once max_retries is used
+   * up the task is moved to the dead-letter queue.
    */
   fail(taskId, error) {
     const getStmt = this.db.db.prepare(`
-      SELECT retry_count, max_retries FROM task_queue WHERE task_id = ?
+      SELECT status, retry_count, max_retries, lease_owner, started_at, attempts FROM task_queue WHERE task_id = ?
     `);
     const task = getStmt.get(taskId);
 
@@ -107,84 +345,212 @@ class SqliteQueue {
       return;
     }
 
+    if (task.status === 'processing' && task.lease_owner && task.lease_owner !== this.owner) {
+      logger.warn('Ignoring failure of task leased to another owner', { taskId, leaseOwner: task.lease_owner });
+      return;
+    }
+
     const newRetryCount = task.retry_count + 1;
+    const attempts = JSON.stringify([
+      ...(task.attempts ? JSON.parse(task.attempts) : []),
+      {
+        attempt: newRetryCount,
+        error: error?.message || null,
+        owner: this.owner,
+        started_at: task.started_at,
+        failed_at: SqliteQueue.formatTimestamp()
+      }
+    ]);
     
     if (newRetryCount < task.max_retries) {
       // Retry with exponential backoff
-  const delayMs = Math.pow(2, newRetryCount) * 1000; // 2s, 4s, 8s...
-  const scheduledAt = SqliteQueue.formatTimestamp(new Date(Date.now() + delayMs));
+      const delayMs = Math.pow(2, newRetryCount) * 1000; // 2s, 4s, 8s...
+      const scheduledAt = SqliteQueue.formatTimestamp(new Date(Date.now() + delayMs));
 
       const stmt = this.db.db.prepare(`
         UPDATE task_queue
         SET status = 'pending',
             retry_count = ?,
-            scheduled_at = ?
+            scheduled_at = ?,
+            lease_expires_at = NULL,
+            attempts = ?
         WHERE task_id = ?
       `);
 
-      stmt.run(newRetryCount, scheduledAt, taskId);
+      stmt.run(newRetryCount, scheduledAt, attempts, taskId);
       logger.warn('Task failed, will retry', { taskId, retryCount: newRetryCount, delayMs });
     } else {
       // Max retries reached
       const stmt = this.db.db.prepare(`
         UPDATE task_queue
         SET status = 'failed',
-            completed_at = CURRENT_TIMESTAMP
+            retry_count = ?,
+            completed_at = CURRENT_TIMESTAMP,
+            lease_expires_at = NULL,
+            attempts = ?
         WHERE task_id = ?
       `);
 
-      stmt.run(taskId);
-      logger.error('Task failed after max retries', { taskId, error: error?.message });
+      this.db.db.transaction(() => {
+        stmt.run(newRetryCount, attempts, taskId);
+        this.deadLetter(taskId);
+      })();
+      this.recordDeadLetterDepth();
+      logger.error('Task failed after max retries; moved to dead-letter queue', { taskId, error: error?.message });
     }
   }
 
   /**
-   * Start processing queue
+   * Copy a task that used up its retries to the dead-letter queue
+   * @private
    */
-  start(processor, intervalMs = 1000) {
-    if (this.processingInterval) {
-      logger.warn('Queue processor already started');
-      return;
-    }
+  deadLetter(taskId) {
+    const stmt = this.db.db.prepare(`
+      INSERT INTO dead_letters (id, task_id, priority, payload, attempts, max_retries, concurrency_key, enqueued_at)
+      SELECT ?, task_id, priority, payload, COALESCE(attempts, '[]'), max_retries, concurrency_key, created_at
+      FROM task_queue WHERE task_id = ?
+    `);
+
+    stmt.run(uuidv4(), taskId);
+  }
 
-    logger.info('Starting queue processor', { intervalMs });
+  /**
+   * List dead letters, most recent first
+   * @param {Object} filters - { taskId, before (failed before this time), limit }
+   */
+  listDeadLetters(filters = {}) {
+    const { where, values } = SqliteQueue.deadLetterConditions(filters);
+    const stmt = this.db.db.prepare(`
+      SELECT * FROM dead_letters ${where} ORDER BY failed_at DESC, rowid DESC LIMIT ?
+    `);
+
+    return stmt.all(...values, filters.limit || -1).map(row => SqliteQueue.parseDeadLetter(row));
+  }
+
+  /**
+   * Get a dead letter by id
+   */
+  getDeadLetter(id) {
+    const row = this.db.db.prepare('SELECT * FROM dead_letters WHERE id = ?').get(id);
+    return row ? SqliteQueue.parseDeadLetter(row) : null;
+  }
 
-    this.processingInterval = setInterval(async () => {
-      if (this.isProcessing) {
-        return;
+  /**
+   * Put a dead letter's task back on the queue with fresh retries and
+   * remove it from the dead-letter queue
+   * @param {string} id - Dead letter id
+   * @param {Object} payload - Replaces the payload the task failed with
+   * @returns {Object|null} - The redriven task, or null if the dead letter does not exist
+   */
+  redrive(id, payload) {
+    const redriven = this.db.db.transaction(() => {
+      const letter = this.getDeadLetter(id);
+      if (!letter) {
+        return null;
       }
 
-      this.isProcessing = true;
-
-      try {
-        const task = this.dequeue();
-        
-        if (task) {
-          try {
-            await processor(task.payload);
-            this.complete(task.task_id);
-          } catch (error) {
-            logger.error('Task processor error', { taskId: task.task_id, error: error.message });
-            this.fail(task.task_id, error);
-          }
-        }
-      } catch (error) {
-        logger.error('Queue processing error', { error: error.message });
-      } finally {
-        this.isProcessing = false;
+      const queued = this.db.db.prepare('SELECT status FROM task_queue WHERE task_id = ?').get(letter.task_id);
+      if (queued && !['completed', 'failed', 'cancelled'].includes(queued.status)) {
+        throw new Error(`Task ${letter.task_id} is already queued (status "${queued.status}")`);
       }
-    }, intervalMs);
+
+      // The finished entry, if cleanup() has not removed it yet, is replaced
+      this.db.db.prepare('DELETE FROM task_queue WHERE task_id = ?').run(letter.task_id);
+      this.db.db.prepare(`
+        INSERT INTO task_queue (task_id, priority, payload, max_retries, scheduled_at, concurrency_key)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(
+        letter.task_id,
+        letter.priority,
+        JSON.stringify(payload || letter.payload),
+        letter.max_retries,
+        SqliteQueue.formatTimestamp(),
+        letter.concurrency_key
+      );
+      this.db.db.prepare('DELETE FROM dead_letters WHERE id = ?').run(id);
+
+      return this.get(letter.task_id);
+    })();
+
+    if (!redriven) {
+      return null;
+    }
+
+    logger.info('Dead letter redriven', { id, taskId: redriven.task_id, payloadReplaced: Boolean(payload) });
+    this.recordDeadLetterDepth();
+    this.wake();
+    return redriven;
+  }
+
+  /**
+   * Delete dead letters
+   * @param {Object} filters - { id, taskId, before (failed before this time) }; none purges every dead letter
+   * @returns {number} - Number of dead letters deleted
+   */
+  purgeDeadLetters(filters = {}) {
+    const { where, values } = SqliteQueue.deadLetterConditions(filters);
+    const result = this.db.db.prepare(`DELETE FROM dead_letters ${where}`).run(...values);
+
+    if (result.changes > 0) {
+      logger.info('Dead letters purged', { count: result.changes, ...filters });
+    }
+    this.recordDeadLetterDepth();
+    return result.changes;
+  }
+
+  /**
+   * Update the dead-letter queue depth gauge
+   * @returns {number} - Number of dead letters
+   */
+  recordDeadLetterDepth() {
+    const { count } = this.db.db.prepare('SELECT COUNT(*) AS count FROM dead_letters').get();
+    metrics.dlqDepth.set(count);
+    return count;
   }
 
   /**
-   * Stop processing queue
+   * @private
    */
-  stop() {
-    if (this.processingInterval) {
-      clearInterval(this.processingInterval);
-      this.processingInterval = null;
-      logger.info('Queue processor stopped');
+  static deadLetterConditions(filters) {
+    const conditions = [];
+    const values = [];
+
+    if (filters.id) {
+      conditions.push('id = ?');
+      values.push(filters.id);
+    }
+    if (filters.taskId) {
+      conditions.push('task_id = ?');
+      values.push(filters.taskId);
+    }
+    if (filters.before) {
+      conditions.push('datetime(failed_at) < datetime(?)');
+      values.push(filters.before);
     }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      values
+    };
+  }
+
+  /**
+   * @private
+   */
+  static parseDeadLetter(row) {
+    return {
+      ...row,
+      payload: JSON.parse(row.payload),
+      attempts: JSON.parse(row.attempts)
+    };
+  }
+
+  /**
+   * Start the worker pool (see TaskQueue) and publish the dead-letter depth
+   */
+  start(processor, intervalMs) {
+    this.recordDeadLetterDepth();
+    super.start(processor, intervalMs);
   }
 
   /**
@@ -203,8 +569,11 @@ class SqliteQueue {
     const stats = {
       pending: 0,
       processing: 0,
+      paused: 0,
+      waiting: 0,
       completed: 0,
-      failed: 0
+      failed: 0,
+      cancelled: 0
     };
 
     rows.forEach(row => {
@@ -216,13 +585,14 @@ class SqliteQueue {
 
   /**
    * Clear completed tasks older than specified time
+   * Dead letters are kept until they are redriven or purged.
    */
   cleanup(olderThanMs = 24 * 60 * 60 * 1000) {
     const cutoffTime = new Date(Date.now() - olderThanMs).toISOString();
     
     const stmt = this.db.db.prepare(`
       DELETE FROM task_queue
-      WHERE status IN ('completed', 'failed')
+      WHERE status IN ('completed', 'failed', 'cancelled')
         AND completed_at < ?
     `);
 
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const WorkflowRegistry = require('./workflow-registry');
+const logger = require('../config/logger');
+const metrics = require('../config/metrics');
+const config = require('../config/env');
+
+// MinIO key prefix of cached results too large to keep in SQLite
+const OBJECT_PREFIX = 'step-cache/';
+
+/**
+ * Step result cache
+ * Steps that set `cache: { ttl }` (seconds) reuse the result of an earlier
+ * successful call with the same plugin, action and resolved input. Entries
+ * live in the `step_cache` table; results larger than
+ * STEP_CACHE_MAX_INLINE_BYTES are written to MinIO and only referenced.
+ */
+class StepCache {
+  /**
+   * @param {Object} db - DatabaseClient
+   * @param {Object} options - { getStore: async () => MinIOWrapper | null, maxInlineBytes }
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.getStore = options.getStore || (async () => null);
+    this.maxInlineBytes = options.maxInlineBytes !== undefined
+      ? options.maxInlineBytes
+      : config.cache.maxInlineBytes;
+  }
+
+  /**
+   * Cache key of a plugin call (sha256 of plugin, action and canonical input)
+   * @returns {string}
+   */
+  static key(step, input) {
+    const call = { plugin: step.plugin, action: step.action, input };
+    return crypto.createHash('sha256').update(WorkflowRegistry.canonicalize(call)).digest('hex');
+  }
+
+  /**
+   * Look up the cached result of a call
+   * @returns {Promise<Object>} - { hit: true, key, value } or { hit: false, key }
+   */
+  async get(step, input, now = new Date()) {
+    const key = StepCache.key(step, input);
+    const entry = this.db.getCacheEntry(key);
+    let hit = Boolean(entry) && entry.expires_at > now.toISOString();
+    let value = hit ? entry.result : undefined;
+
+    if (hit && entry.object_key) {
+      try {
+        const store = await this.getStore();
+        if (!store) {
+          throw new Error('MinIO is not available');
+        }
+        value = JSON.parse(await store.getObject(entry.object_key));
+      } catch (error) {
+        logger.warn('Failed to read cached step result', { key, objectKey: entry.object_key, error: error.message });
+        hit = false;
+      }
+    }
+
+    metrics.stepCacheRequests.labels(step.plugin, step.action, hit ? 'hit' : 'miss').inc();
+
+    if (!hit) {
+      return { hit: false, key };
+    }
+
+    this.db.recordCacheHit(key);
+    return { hit: true, key, value };
+  }
+
+  /**
+   * Cache a successful result for `ttl` seconds
+   * Failures are logged, never thrown: a cache write must not fail the step.
+   */
+  async set(step, input, result, ttl, now = new Date()) {
+    const key = StepCache.key(step, input);
+    const serialized = JSON.stringify(result === undefined ? null : result);
+    const size = Buffer.byteLength(serialized);
+    const entry = {
+      key,
+      plugin_id: step.plugin,
+      action: step.action,
+      result,
+      size,
+      expires_at: new Date(now.getTime() + ttl * 1000).toISOString()
+    };
+
+    try {
+      if (size > this.maxInlineBytes) {
+        const store = await this.getStore();
+        if (store) {
+          entry.object_key = `${OBJECT_PREFIX}${key}.json`;
+          await store.putObject({ key: entry.object_key, data: serialized });
+        } else {
+          logger.warn('MinIO is not available; caching large step result in SQLite', { key, size });
+        }
+      }
+
+      this.db.putCacheEntry(entry);
+      logger.debug('Step result cached', { key, stepId: step.id, size, expiresAt: entry.expires_at });
+    } catch (error) {
+      logger.warn('Failed to cache step result', { key, stepId: step.id, error: error.message });
+    }
+  }
+
+  /**
+   * List cache entries (without results)
+   * @param {Object} filters - { plugin, action }
+   */
+  list(filters = {}) {
+    return this.db.listCacheEntries(filters);
+  }
+
+  /**
+   * Drop cache entries and the MinIO objects behind them
+   * @param {Object} filters - { key, plugin, action, expiredBefore }; none clears the cache
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async invalidate(filters = {}) {
+    const entries = this.db.deleteCacheEntries(filters);
+    const stored = entries.filter(entry => entry.object_key);
+
+    if (stored.length > 0) {
+      const store = await this.getStore().catch(() => null);
+      for (const entry of stored) {
+        try {
+          if (!store) {
+            throw new Error('MinIO is not available');
+          }
+          await store.deleteObject(entry.object_key);
+        } catch (error) {
+          logger.warn('Failed to delete cached step result', { objectKey: entry.object_key, error: error.message });
+        }
+      }
+    }
+
+    if (entries.length > 0) {
+      logger.info('Step cache entries invalidated', { count: entries.length, ...filters });
+    }
+    return entries.length;
+  }
+
+  /**
+   * Remove entries whose TTL has passed
+   * @returns {Promise<number>}
+   */
+  purgeExpired(now = new Date()) {
+    return this.invalidate({ expiredBefore: now.toISOString() });
+  }
+}
+
+module.exports = StepCache;
+
+// Nicolas Larenas, nlarchive
@@ -1,9 +1,16 @@
 const axios = require('axios');
 const logger = require('../config/logger');
+const config = require('../config/env');
 const MinIOWrapper = require('../plugins/minio-wrapper');
 const PathwayWrapper = require('../plugins/pathway-wrapper');
 const PostgresWrapper = require('../plugins/postgres-wrapper');
 const NatsWrapper = require('../plugins/nats-wrapper');
+const Expression = require('./expression');
+const StepCache = require('./step-cache');
+
+// Only environment variables with this prefix are visible to templates, as
+// env.<NAME without the prefix>; everything else (credentials) stays hidden
+const TEMPLATE_ENV_PREFIX = 'WORKFLOW_ENV_';
 
 /**
  * Step executor - calls plugin actions
@@ -12,6 +19,8 @@ class StepExecutor {
   constructor(db) {
     this.db = db;
     this.wrappers = {};
+    // Large cached results go to the registered MinIO plugin
+    this.cache = new StepCache(db, { getStore: () => this.getWrapper('minio') });
   }
 
   async getWrapper(pluginId) {
@@ -68,11 +77,17 @@ class StepExecutor {
 
   /**
    * Execute a single workflow step
+   * Timeout and retry (step.timeout / step.retry) apply the same way whether
+   * the plugin is called through a wrapper or over HTTP, except that only
+   * HTTP calls fall back to the default timeout (STEP_TIMEOUT_MS). Steps with
+   * `cache: { ttl }` reuse an unexpired result of the same call.
    * @param {Object} step - Step specification
    * @param {Object} context - Execution context with previous step results
+   * @param {Object} hooks - Optional attempt callbacks ({ onAttemptStart, onAttemptFailed,
+   *   onCacheHit }) and an AbortSignal (`signal`) that cancels the step
    * @returns {Promise<Object>} - Step result
    */
-  async execute(step, context = {}) {
+  async execute(step, context = {}, hooks = {}) {
     const plugin = this.db.getPlugin(step.plugin);
     
     if (!plugin) {
@@ -89,11 +104,42 @@ class StepExecutor {
     }
 
     // Resolve input with template substitution
-    const input = this.resolveInput(step.input || {}, context);
+    let input;
+    try {
+      input = this.resolveInput(step.input || {}, context);
+    } catch (error) {
+      error.message = `Invalid input for step "${step.id}": ${error.message}`;
+      throw error;
+    }
+
+    if (step.cache) {
+      const cached = await this.cache.get(step, input);
+      if (cached.hit) {
+        logger.info('Step result served from cache', { stepId: step.id, key: cached.key });
+        if (hooks.onCacheHit) {
+          hooks.onCacheHit(cached.key);
+        }
+        return cached.value;
+      }
+    }
 
+    const result = await this.callAction(step, plugin, input, hooks);
+
+    if (step.cache) {
+      await this.cache.set(step, input, result, step.cache.ttl);
+    }
+
+    return result;
+  }
+
+  /**
+   * Call a plugin action with resolved input, through its wrapper when there
+   * is one and over HTTP otherwise
+   * @private
+   */
+  async callAction(step, plugin, input, hooks) {
     // Check if we have a wrapper for this plugin
     const wrapper = await this.getWrapper(step.plugin);
-    let result;
 
     if (wrapper) {
       // Call wrapper directly
@@ -104,8 +150,10 @@ class StepExecutor {
       });
 
       try {
-        result = await wrapper[step.action](input);
+        // Wrapper calls (pipeline runs, bulk loads) have no default timeout
+        const result = await this.runWithPolicy(step, signal => wrapper[step.action](input, { signal }), hooks, step.timeout);
         logger.info('Step executed successfully via wrapper', { stepId: step.id });
+        return result;
       } catch (error) {
         logger.error('Step execution failed via wrapper', { 
           stepId: step.id,
@@ -113,78 +161,286 @@ class StepExecutor {
         });
         throw error;
       }
-    } else {
-      // Build plugin service URL and call via HTTP
-      const serviceUrl = this.buildServiceUrl(plugin, step.action);
+    }
 
-      logger.info('Executing step via HTTP', { 
-        stepId: step.id, 
-        plugin: step.plugin, 
-        action: step.action,
-        url: serviceUrl
-      });
+    // Build plugin service URL and call via HTTP
+    const serviceUrl = this.buildServiceUrl(plugin, step.action);
 
-      try {
-        const response = await this.callPlugin(serviceUrl, input, step);
-        
-        logger.info('Step executed successfully via HTTP', { 
-          stepId: step.id,
-          status: response.status 
-        });
+    logger.info('Executing step via HTTP', { 
+      stepId: step.id, 
+      plugin: step.plugin, 
+      action: step.action,
+      url: serviceUrl
+    });
 
-        result = response.data;
-      } catch (error) {
-        logger.error('Step execution failed via HTTP', { 
-          stepId: step.id,
-          error: error.message,
-          response: error.response?.data
-        });
-        throw error;
-      }
-    }
+    try {
+      const response = await this.callPlugin(serviceUrl, input, step, hooks);
+      
+      logger.info('Step executed successfully via HTTP', { 
+        stepId: step.id,
+        status: response.status 
+      });
 
-    return result;
+      return response.data;
+    } catch (error) {
+      logger.error('Step execution failed via HTTP', { 
+        stepId: step.id,
+        error: error.message,
+        response: error.response?.data
+      });
+      throw error;
+    }
   }
 
   /**
-   * Call plugin HTTP endpoint
+   * Run a plugin call under the step's execution policy
+   * Each attempt gets its own timeout; the AbortSignal passed to `call` is
+   * aborted when the attempt times out. The call only stops if it honours the
+   * signal (axios requests and the bundled wrappers do); anything else keeps
+   * running after the attempt has been given up on.
+   * @param {Object} step - Step specification (retry)
+   * @param {Function} call - (signal) => Promise for a single attempt
+   * @param {Object} hooks - Optional attempt callbacks ({ onAttemptStart, onAttemptFailed })
+   * @param {number} timeoutMs - Timeout of each attempt, none when not set
+   * @returns {Promise<*>} - Result of the first successful attempt
    */
-  async callPlugin(url, input, step) {
-    const timeout = step.timeout || 30000; // 30s default
+  async runWithPolicy(step, call, hooks = {}, timeoutMs) {
     const retryConfig = step.retry || {};
     const maxAttempts = retryConfig.maxAttempts || 1;
     const backoff = retryConfig.backoff || 'fixed';
 
-    let lastError;
-    
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      try {
-        const response = await axios.post(url, input, {
-          timeout,
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Workflow-Step': step.id
-          }
-        });
+    for (let attempt = 1; ; attempt++) {
+      if (hooks.signal?.aborted) {
+        throw StepExecutor.cancellationError(step);
+      }
 
-        return response;
+      if (hooks.onAttemptStart) {
+        hooks.onAttemptStart(attempt);
+      }
+
+      try {
+        return await this.withTimeout(call, timeoutMs, step, hooks.signal);
       } catch (error) {
-        lastError = error;
-        
-        if (attempt < maxAttempts) {
-          const delayMs = this.calculateBackoff(attempt, backoff);
-          logger.warn('Step attempt failed, retrying', { 
-            stepId: step.id,
-            attempt,
-            maxAttempts,
-            delayMs
-          });
-          await this.sleep(delayMs);
+        const errorClass = StepExecutor.classifyError(error);
+        const willRetry = attempt < maxAttempts
+          && errorClass !== 'cancelled'
+          && StepExecutor.isRetryable(errorClass, error, retryConfig.retryOn);
+        const delayMs = willRetry
+          ? this.applyJitter(this.calculateBackoff(attempt, backoff, retryConfig.delayMs), retryConfig.jitter)
+          : 0;
+
+        if (hooks.onAttemptFailed) {
+          hooks.onAttemptFailed({ attempt, maxAttempts, error, errorClass, willRetry, delayMs });
         }
+
+        if (!willRetry) {
+          error.attempts = attempt;
+          throw error;
+        }
+
+        logger.warn('Step attempt failed, retrying', { 
+          stepId: step.id,
+          attempt,
+          maxAttempts,
+          errorClass,
+          delayMs
+        });
+        // Cut short when the execution is cancelled; the next attempt then stops
+        await this.sleep(delayMs, hooks.signal);
       }
     }
+  }
+
+  /**
+   * Run a single attempt, rejecting with a STEP_TIMEOUT error after timeoutMs
+   * (when set) or an EXECUTION_CANCELLED error when `signal` aborts
+   */
+  withTimeout(call, timeoutMs, step, signal) {
+    const controller = new AbortController();
+    let timer;
+    let onAbort;
+
+    const guard = new Promise((resolve, reject) => {
+      if (timeoutMs) {
+        timer = setTimeout(() => {
+          const error = new Error(`Step "${step.id}" timed out after ${timeoutMs}ms`);
+          error.code = 'STEP_TIMEOUT';
+          controller.abort(error);
+          reject(error);
+        }, timeoutMs);
+      }
 
-    throw lastError;
+      if (signal) {
+        onAbort = () => {
+          const error = StepExecutor.cancellationError(step);
+          controller.abort(error);
+          reject(error);
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+
+    const attempt = Promise.resolve().then(() => call(controller.signal));
+    // The losing promise must not surface as an unhandled rejection
+    attempt.catch(() => {});
+
+    return Promise.race([attempt, guard]).finally(() => {
+      clearTimeout(timer);
+      if (onAbort) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    });
+  }
+
+  /**
+   * Build the error raised when a running step is cancelled
+   */
+  static cancellationError(step) {
+    const error = new Error(`Step "${step.id}" cancelled`);
+    error.code = 'EXECUTION_CANCELLED';
+    return error;
+  }
+
+  /**
+   * Best-effort cancellation of work a step started outside the orchestrator
+   * Currently covers Pathway pipelines (via PathwayWrapper.cancelPipeline).
+   * @param {Object} step - Step specification
+   * @param {Object} result - Result the step returned
+   * @returns {Promise<boolean>} - Whether a cancellation was sent
+   */
+  async cancelStep(step, result) {
+    const wrapper = this.wrappers[step.plugin];
+    if (!wrapper || typeof wrapper.cancelPipeline !== 'function') {
+      return false;
+    }
+
+    if (!result || !result.pipelineId || !result.executionId) {
+      return false;
+    }
+
+    if (['completed', 'failed', 'error', 'cancelled'].includes(result.status)) {
+      return false;
+    }
+
+    try {
+      await wrapper.cancelPipeline(result.pipelineId, result.executionId);
+      return true;
+    } catch (error) {
+      logger.warn('Failed to cancel plugin work for step', { stepId: step.id, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Classify an error so retry policies can target it with `retryOn`
+   * @param {Error} error - Error raised by an attempt
+   * @returns {string} - cancelled | timeout | network | http_4xx | http_5xx | error
+   */
+  static classifyError(error) {
+    if (error.code === 'EXECUTION_CANCELLED') {
+      return 'cancelled';
+    }
+
+    if (error.code === 'STEP_TIMEOUT' || error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return 'timeout';
+    }
+
+    const status = error.response?.status;
+    if (status >= 500) {
+      return 'http_5xx';
+    }
+    if (status >= 400) {
+      return 'http_4xx';
+    }
+
+    if (['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'].includes(error.code)) {
+      return 'network';
+    }
+
+    return 'error';
+  }
+
+  /**
+   * Check an error against a step's `retryOn` list
+   * Entries match the error class, error code or error name; no list retries everything.
+   */
+  static isRetryable(errorClass, error, retryOn) {
+    if (!Array.isArray(retryOn) || retryOn.length === 0) {
+      return true;
+    }
+
+    return retryOn.some(entry => entry === errorClass || entry === error.code || entry === error.name);
+  }
+
+  /**
+   * Evaluate a step's `when` condition against the execution context
+   * @param {Object} step - Step specification
+   * @param {Object} context - Execution context with previous step results
+   * @returns {boolean} - Whether the step should run
+   */
+  evaluateCondition(step, context = {}) {
+    if (step.when === undefined) {
+      return true;
+    }
+
+    if (typeof step.when === 'boolean') {
+      return step.when;
+    }
+
+    return Boolean(Expression.evaluate(step.when, StepExecutor.templateScope(context)));
+  }
+
+  /**
+   * Resolve the items a `forEach` step iterates over
+   * @param {Object} step - Step specification with a forEach expression
+   * @param {Object} context - Execution context with previous step results
+   * @returns {Array} - Items to fan out over
+   */
+  resolveItems(step, context = {}) {
+    const items = Expression.evaluate(step.forEach, StepExecutor.templateScope(context));
+
+    if (!Array.isArray(items)) {
+      throw new Error(`forEach on step "${step.id}" must resolve to an array, got ${items === null ? 'null' : typeof items}`);
+    }
+
+    return items;
+  }
+
+  /**
+   * Combinations a `matrix` step runs with (the cartesian product of its
+   * parameter lists), varying the last parameter fastest
+   * @param {Object} matrix - Parameter name -> list of values
+   * @returns {Array<Object>} - One { name: value } object per combination
+   */
+  static matrixCombinations(matrix) {
+    return Object.entries(matrix).reduce((combinations, [name, values]) => (
+      combinations.flatMap(combination => values.map(value => ({ ...combination, [name]: value })))
+    ), [{}]);
+  }
+
+  /**
+   * Key of a matrix combination in the step result: its values in parameter
+   * order, joined with "/" (e.g. "conservative/0.7")
+   * @returns {string}
+   */
+  static matrixKey(combination) {
+    return Object.values(combination).map(String).join('/');
+  }
+
+  /**
+   * Call plugin HTTP endpoint
+   */
+  async callPlugin(url, input, step, hooks = {}) {
+    const timeout = step.timeout || config.engine.stepTimeoutMs;
+
+    return this.runWithPolicy(step, (signal) => axios.post(url, input, {
+      timeout,
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Workflow-Step': step.id
+      }
+    }), hooks, timeout);
   }
 
   /**
@@ -205,57 +461,112 @@ class StepExecutor {
 
   /**
    * Resolve input with template substitution
-   * Supports {{ steps.stepId.result }} syntax
+   * Every string may contain {{ expression }} templates (see Expression):
+   * paths and indexing into steps, inputs, execution, env, item / index
+   * inside forEach steps and matrix inside matrix steps, plus filters such
+   * as `date`, `default` or `map`.
+   * A reference that does not resolve is an error.
+   * @param {Object} input - Step input
+   * @param {Object} context - Execution context
+   * @returns {Object} - Input with templates rendered
    */
   resolveInput(input, context) {
-    const resolved = JSON.parse(JSON.stringify(input)); // Deep clone
+    const scope = StepExecutor.templateScope(context);
 
     const resolveValue = (value) => {
       if (typeof value === 'string') {
-        // Template substitution: {{ steps.fetch.result }}
-        const matches = value.match(/\{\{\s*steps\.([a-zA-Z0-9_-]+)\.result\s*\}\}/);
-        if (matches) {
-          const stepId = matches[1];
-          if (context.steps && context.steps[stepId]) {
-            return context.steps[stepId].result;
-          }
-        }
-        
-        // Template substitution: {{ steps.fetch.result.data }}
-        const deepMatches = value.match(/\{\{\s*steps\.([a-zA-Z0-9_-]+)\.result\.(\w+)\s*\}\}/);
-        if (deepMatches) {
-          const stepId = deepMatches[1];
-          const field = deepMatches[2];
-          if (context.steps && context.steps[stepId] && context.steps[stepId].result) {
-            return context.steps[stepId].result[field];
-          }
-        }
-      } else if (typeof value === 'object' && value !== null) {
+        return value.includes('{{') ? Expression.render(value, scope) : value;
+      }
+      if (Array.isArray(value)) {
+        return value.map(resolveValue);
+      }
+      if (typeof value === 'object' && value !== null) {
+        const resolved = {};
         for (const key in value) {
-          value[key] = resolveValue(value[key]);
+          resolved[key] = resolveValue(value[key]);
         }
+        return resolved;
       }
       return value;
     };
 
-    return resolveValue(resolved);
+    return resolveValue(input);
+  }
+
+  /**
+   * Variables visible to templates and expressions of a step
+   * @param {Object} context - Execution context
+   * @returns {Object} - { steps, inputs, execution, env, item, index }
+   */
+  static templateScope(context = {}) {
+    return {
+      steps: context.steps || {},
+      inputs: context.inputs || {},
+      execution: context.execution || {},
+      env: StepExecutor.templateEnv(),
+      ...(context.forEach && { item: context.forEach.item, index: context.forEach.index }),
+      ...(context.matrix && { matrix: context.matrix })
+    };
+  }
+
+  /**
+   * Environment variables exposed to templates: WORKFLOW_ENV_<NAME> as <NAME>
+   * @returns {Object}
+   */
+  static templateEnv() {
+    const env = {};
+    for (const [name, value] of Object.entries(process.env)) {
+      if (name.startsWith(TEMPLATE_ENV_PREFIX)) {
+        env[name.slice(TEMPLATE_ENV_PREFIX.length)] = value;
+      }
+    }
+    return env;
   }
 
   /**
    * Calculate backoff delay
    */
-  calculateBackoff(attempt, strategy) {
+  calculateBackoff(attempt, strategy, baseMs = 1000) {
     if (strategy === 'exponential') {
-      return Math.pow(2, attempt) * 1000; // 2s, 4s, 8s...
+      return Math.pow(2, attempt) * baseMs; // 2s, 4s, 8s...
     }
-    return 1000; // Fixed 1s
+    return baseMs; // Fixed 1s
   }
 
   /**
-   * Sleep utility
+   * Randomize a backoff delay so retries from parallel steps don't align
+   * jitter: true keeps 50-100% of the delay; a number between 0 and 1 sets
+   * the fraction that is randomized.
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  applyJitter(delayMs, jitter) {
+    if (!jitter) {
+      return delayMs;
+    }
+
+    const fraction = jitter === true ? 0.5 : Math.min(Math.max(jitter, 0), 1);
+    return Math.round(delayMs * (1 - fraction) + Math.random() * delayMs * fraction);
+  }
+
+  /**
+   * Sleep utility, resolving early when `signal` aborts
+   */
+  sleep(ms, signal) {
+    return new Promise((resolve) => {
+      if (signal?.aborted) {
+        resolve();
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 }
 
@@ -0,0 +1,270 @@
+const logger = require('../config/logger');
+const config = require('../config/env');
+const metrics = require('../config/metrics');
+
+// Queue backends selectable with QUEUE_BACKEND, loaded on first use
+const BACKENDS = {
+  sqlite: () => require('./sqlite-queue'),
+  jetstream: () => require('./jetstream-queue')
+};
+
+/**
+ * Task queue
+ * Base class of the queue backends. A backend stores and delivers tasks:
+ *
+ *   enqueue(taskId, payload, { priority, maxRetries, delay, concurrencyKey })
+ *   requeue(taskId, payload, options) - queue a task again (a continuation), same options
+ *   dequeue()              - claim the next due task ({ task_id, payload, ... } or null, may be async)
+ *   complete(taskId)       - the task's processor finished
+ *   fail(taskId, error)    - retry the task later, or give up once max retries are used
+ *   getStats()             - task counts by status
+ *   cleanup(olderThanMs)   - delete finished tasks
+ *
+ * and renews the leases of the tasks it is processing with heartbeat().
+ * Dead letters (tasks that used up their retries) are read and managed with
+ * listDeadLetters, getDeadLetter, redrive and purgeDeadLetters, which may
+ * be async. Backends that keep task records can also look tasks up (get,
+ * isLeased), move them between statuses (updateStatus) and hand back tasks
+ * whose processor died (reapExpiredLeases); the defaults below are for
+ * backends that do not.
+ * This class runs the worker pool on top of them: start() processes up to
+ * `workers` tasks at once with the given processor.
+ */
+class TaskQueue {
+  /**
+   * @param {Object} options - {
+   *   owner (lease owner id, default this instance's NODE_ID), leaseMs,
+   *   workers (tasks processed at once), limits (concurrency key -> max tasks processing)
+   * }
+   */
+  constructor(options = {}) {
+    this.owner = options.owner || config.node.id;
+    this.leaseMs = options.leaseMs || config.queue.leaseMs;
+    this.workers = options.workers || config.queue.workers;
+    this.limits = options.limits || config.queue.workflowLimits;
+    this.processor = null;
+    this.processingInterval = null;
+    this.heartbeatInterval = null;
+    this.wakeScheduled = false;
+    this.draining = false;
+    // Tasks this queue's workers are processing
+    this.busy = 0;
+  }
+
+  /**
+   * Create the queue backend selected by config (QUEUE_BACKEND, default sqlite)
+   * @param {Object} db - DatabaseClient
+   * @param {Object} options - Backend options, plus `backend` to override config
+   * @returns {TaskQueue}
+   */
+  static create(db, options = {}) {
+    const { backend = config.queue.backend, ...backendOptions } = options;
+    if (!BACKENDS[backend]) {
+      throw new Error(`Unknown queue backend "${backend}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+
+    const Backend = BACKENDS[backend]();
+    return new Backend(db, backendOptions);
+  }
+
+  enqueue() {
+    throw new Error(`${this.constructor.name} does not implement enqueue()`);
+  }
+
+  dequeue() {
+    throw new Error(`${this.constructor.name} does not implement dequeue()`);
+  }
+
+  complete() {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+
+  fail() {
+    throw new Error(`${this.constructor.name} does not implement fail()`);
+  }
+
+  getStats() {
+    throw new Error(`${this.constructor.name} does not implement getStats()`);
+  }
+
+  cleanup() {
+    throw new Error(`${this.constructor.name} does not implement cleanup()`);
+  }
+
+  heartbeat() {
+    throw new Error(`${this.constructor.name} does not implement heartbeat()`);
+  }
+
+  requeue() {
+    throw new Error(`${this.constructor.name} does not implement requeue()`);
+  }
+
+  /**
+   * Get a task by id
+   * @returns {Object|null}
+   */
+  get() {
+    return null;
+  }
+
+  /**
+   * Whether a task is being processed under a live lease
+   * @returns {boolean|null} - null when the backend does not track leases
+   */
+  isLeased() {
+    return null;
+  }
+
+  /**
+   * Move a task to another status (e.g. paused, cancelled)
+   * @returns {boolean} - Whether a task was updated
+   */
+  updateStatus() {
+    return false;
+  }
+
+  /**
+   * Hand back tasks whose processor died
+   * @returns {Array} - Reclaimed tasks
+   */
+  reapExpiredLeases() {
+    return [];
+  }
+
+  /**
+   * Start processing the queue with a pool of workers
+   * Up to `workers` tasks are processed at once. A worker picks up new work
+   * as soon as it is enqueued or another task finishes; the interval catches
+   * tasks that become due later (delays, retries) or are enqueued by
+   * another process. Leases of tasks being processed are renewed every
+   * third of the lease period.
+   * @param {Function} processor - Called with (payload, task) for each claimed task
+   */
+  start(processor, intervalMs = 1000) {
+    if (this.processingInterval) {
+      logger.warn('Queue processor already started');
+      return;
+    }
+
+    logger.info('Starting queue processor', { intervalMs, workers: this.workers, backend: this.constructor.name });
+
+    this.processor = processor;
+    this.processingInterval = setInterval(() => this.drain(), intervalMs);
+    this.heartbeatInterval = setInterval(() => {
+      try {
+        this.heartbeat();
+      } catch (error) {
+        logger.error('Queue heartbeat failed', { error: error.message });
+      }
+    }, this.leaseMs / 3);
+    this.recordUtilization();
+    this.drain();
+  }
+
+  /**
+   * Drain the queue on the next tick (coalesces bursts of enqueues)
+   * @protected
+   */
+  wake() {
+    if (!this.processingInterval || this.wakeScheduled) {
+      return;
+    }
+
+    this.wakeScheduled = true;
+    setImmediate(() => {
+      this.wakeScheduled = false;
+      this.drain();
+    });
+  }
+
+  /**
+   * Claim due tasks until every worker is busy
+   * @protected
+   */
+  async drain() {
+    if (!this.processingInterval || this.draining) {
+      return;
+    }
+
+    this.draining = true;
+    try {
+      while (this.processingInterval && this.busy < this.workers) {
+        const task = await this.dequeue();
+        if (!task) {
+          break;
+        }
+        this.process(task);
+      }
+    } catch (error) {
+      logger.error('Queue processing error', { error: error.message });
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Run one claimed task on a worker
+   * @protected
+   */
+  async process(task) {
+    this.busy += 1;
+    this.recordUtilization();
+
+    try {
+      await this.processor(task.payload, task);
+      await this.complete(task.task_id);
+    } catch (error) {
+      logger.error('Task processor error', { taskId: task.task_id, error: error.message });
+      try {
+        await this.fail(task.task_id, error);
+      } catch (failError) {
+        // Nobody awaits process(); the task comes back once its lease expires
+        logger.error('Failed to record task failure', { taskId: task.task_id, error: failError.message });
+      }
+    } finally {
+      this.busy -= 1;
+      this.recordUtilization();
+      if (this.processingInterval) {
+        this.drain();
+      } else if (this.busy === 0) {
+        this.stopHeartbeat();
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  recordUtilization() {
+    metrics.queueWorkersBusy.set(this.busy);
+    metrics.queueWorkerUtilization.set(this.workers > 0 ? this.busy / this.workers : 0);
+  }
+
+  /**
+   * Stop claiming new tasks
+   * Tasks already running finish, and their leases are renewed until they do.
+   */
+  stop() {
+    if (this.processingInterval) {
+      clearInterval(this.processingInterval);
+      this.processingInterval = null;
+      if (this.busy === 0) {
+        this.stopHeartbeat();
+      }
+      logger.info('Queue processor stopped');
+    }
+  }
+
+  /**
+   * Called once the queue is stopped and its last task has finished
+   * @protected
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeatInterval);
+    this.heartbeatInterval = null;
+  }
+}
+
+module.exports = TaskQueue;
+
+// Nicolas Larenas, nlarchive
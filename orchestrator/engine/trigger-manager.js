@@ -0,0 +1,410 @@
+const { v4: uuidv4 } = require('uuid');
+const Expression = require('./expression');
+const logger = require('../config/logger');
+const metrics = require('../config/metrics');
+
+const SOURCES = ['nats', 'streamer'];
+
+const EDITABLE_FIELDS = [
+  'name', 'workflow_name', 'workflow_version', 'source', 'subject', 'stream', 'filter',
+  'inputs', 'window_ms', 'debounce', 'max_batch_size', 'enabled'
+];
+
+/**
+ * Event triggers
+ * Starts registered workflows when events arrive on a NATS subject or from
+ * the loaded streamer. Each trigger may filter events with an expression
+ * (scope: `event`, `subject`) and collect them into batches:
+ *   window_ms       - wait this long after the first event before starting a run
+ *   debounce        - restart the window on every event (run once things go quiet)
+ *   max_batch_size  - start a run as soon as this many events are collected (default: no limit)
+ * The run receives the trigger's static inputs plus `event` (the latest
+ * event), `events` (the whole batch) and `subject`.
+ */
+class TriggerManager {
+  constructor(db, workflowEngine, options = {}) {
+    this.db = db;
+    this.workflowEngine = workflowEngine;
+    this.nats = options.nats || null;
+    this.running = false;
+    // Enabled triggers, refreshed whenever triggers change
+    this.triggers = [];
+    // NATS subject -> subscribed
+    this.subscriptions = new Set();
+    // Trigger id -> { events, subject, timer }
+    this.batches = new Map();
+  }
+
+  /**
+   * Validate a trigger specification
+   * @param {Object} trigger - Trigger fields (snake_case, as stored)
+   * @returns {Array} - Validation errors
+   */
+  validate(trigger) {
+    const errors = [];
+
+    if (!trigger.name || typeof trigger.name !== 'string') {
+      errors.push('Trigger must have a string name');
+    }
+
+    if (!trigger.workflow_name || typeof trigger.workflow_name !== 'string') {
+      errors.push('Trigger must have a string workflow_name');
+    } else if (!this.db.getWorkflowDefinition(trigger.workflow_name)) {
+      errors.push(`Workflow "${trigger.workflow_name}" is not registered`);
+    }
+
+    if (trigger.workflow_version !== undefined && trigger.workflow_version !== null
+      && (!Number.isInteger(trigger.workflow_version) || trigger.workflow_version < 1)) {
+      errors.push('workflow_version must be a positive integer');
+    }
+
+    if (!SOURCES.includes(trigger.source)) {
+      errors.push(`source must be one of: ${SOURCES.join(', ')}`);
+    } else if (trigger.source === 'nats' && (!trigger.subject || typeof trigger.subject !== 'string')) {
+      errors.push('NATS triggers must have a string subject');
+    }
+
+    if (trigger.filter !== undefined && trigger.filter !== null) {
+      try {
+        Expression.parse(trigger.filter);
+      } catch (error) {
+        errors.push(`Invalid filter expression: ${error.message}`);
+      }
+    }
+
+    if (trigger.inputs !== undefined
+      && (typeof trigger.inputs !== 'object' || trigger.inputs === null || Array.isArray(trigger.inputs))) {
+      errors.push('inputs must be an object');
+    }
+
+    if (trigger.window_ms !== undefined && (!Number.isInteger(trigger.window_ms) || trigger.window_ms < 0)) {
+      errors.push('window_ms must be a non-negative integer');
+    }
+
+    if (trigger.max_batch_size !== undefined && trigger.max_batch_size !== null
+      && (!Number.isInteger(trigger.max_batch_size) || trigger.max_batch_size < 1)) {
+      errors.push('max_batch_size must be a positive integer');
+    }
+
+    for (const flag of ['debounce', 'enabled']) {
+      if (trigger[flag] !== undefined && typeof trigger[flag] !== 'boolean') {
+        errors.push(`${flag} must be a boolean`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create a trigger
+   * @returns {Promise<Object>} - { trigger } or { errors }
+   */
+  async create(spec) {
+    const trigger = TriggerManager.pickFields(spec);
+    const errors = this.validate(trigger);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    if (this.db.listTriggers().some(t => t.name === trigger.name)) {
+      return { errors: [`Trigger "${trigger.name}" already exists`] };
+    }
+
+    const id = uuidv4();
+    this.db.createTrigger({ ...trigger, id });
+    logger.info('Trigger created', { triggerId: id, name: trigger.name, source: trigger.source });
+
+    await this.refresh();
+    return { trigger: this.get(id) };
+  }
+
+  /**
+   * Update a trigger (fields not given are kept)
+   * @returns {Promise<Object|null>} - { trigger } or { errors }, null if not found
+   */
+  async update(id, changes) {
+    const existing = this.db.getTrigger(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updates = TriggerManager.pickFields(changes);
+    const errors = this.validate({ ...TriggerManager.pickFields(existing), ...updates });
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    this.db.updateTrigger(id, updates);
+    logger.info('Trigger updated', { triggerId: id });
+
+    await this.refresh();
+    return { trigger: this.get(id) };
+  }
+
+  /**
+   * Get a trigger with the number of events waiting in its current batch
+   * @returns {Object|null}
+   */
+  get(id) {
+    const trigger = this.db.getTrigger(id);
+    if (!trigger) {
+      return null;
+    }
+
+    const batch = this.batches.get(id);
+    return { ...trigger, pending_events: batch ? batch.events.length : 0 };
+  }
+
+  list() {
+    return this.db.listTriggers();
+  }
+
+  /**
+   * Delete a trigger, dropping any events waiting in its batch
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    const deleted = this.db.deleteTrigger(id);
+    if (deleted) {
+      this.discardBatch(id);
+      await this.refresh();
+    }
+    return deleted;
+  }
+
+  /**
+   * Start listening for events
+   */
+  async start() {
+    this.running = true;
+    await this.refresh();
+    logger.info('Trigger manager started', { triggers: this.triggers.length });
+  }
+
+  /**
+   * Stop listening; batches still collecting events are started right away
+   */
+  async stop() {
+    this.running = false;
+
+    for (const subject of this.subscriptions) {
+      await this.nats.unsubscribe(subject);
+    }
+    this.subscriptions.clear();
+
+    await Promise.all(Array.from(this.batches.keys()).map(id => this.flush(id)));
+    logger.info('Trigger manager stopped');
+  }
+
+  /**
+   * Reload enabled triggers and bring NATS subscriptions in line with them
+   */
+  async refresh() {
+    this.triggers = this.db.listTriggers().filter(t => t.enabled);
+
+    const active = new Set(this.triggers.map(t => t.id));
+    for (const id of this.batches.keys()) {
+      if (!active.has(id)) {
+        this.discardBatch(id);
+      }
+    }
+
+    if (!this.running || !this.nats) {
+      return;
+    }
+
+    const wanted = new Map();
+    for (const trigger of this.triggers.filter(t => t.source === 'nats')) {
+      if (!wanted.has(trigger.subject)) {
+        wanted.set(trigger.subject, trigger.stream);
+      }
+    }
+
+    for (const subject of this.subscriptions) {
+      if (!wanted.has(subject)) {
+        await this.nats.unsubscribe(subject);
+        this.subscriptions.delete(subject);
+      }
+    }
+
+    for (const [subject, stream] of wanted) {
+      if (this.subscriptions.has(subject)) {
+        continue;
+      }
+
+      const callback = (err, data, messageSubject) => {
+        if (err) {
+          logger.warn('Trigger subscription error', { subject, error: err.message });
+          return;
+        }
+        return this.handleNatsMessage(subject, data, messageSubject || subject);
+      };
+
+      try {
+        await this.nats.subscribe(subject, stream ? { streamName: stream, callback } : callback);
+        this.subscriptions.add(subject);
+      } catch (error) {
+        logger.error('Failed to subscribe trigger subject', { subject, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Handle a message on a subscribed NATS subject
+   * @param {string} subscription - Subject the triggers subscribed to (may contain wildcards)
+   * @param {*} event - Decoded message
+   * @param {string} subject - Subject the message was published on
+   */
+  handleNatsMessage(subscription, event, subject) {
+    const triggers = this.triggers.filter(t => t.source === 'nats' && t.subject === subscription);
+    return this.dispatch(triggers, event, subject);
+  }
+
+  /**
+   * Handle a `data` event from the loaded streamer
+   */
+  handleStreamerEvent(event) {
+    return this.dispatch(this.triggers.filter(t => t.source === 'streamer'), event, null);
+  }
+
+  /**
+   * Add an event to the batch of every trigger whose filter accepts it
+   * @returns {Promise<Array>} - Results of runs started by this event
+   */
+  async dispatch(triggers, event, subject) {
+    const started = [];
+
+    for (const trigger of triggers) {
+      if (!this.matches(trigger, event, subject)) {
+        metrics.triggerEvents.labels(trigger.name, 'filtered').inc();
+        continue;
+      }
+
+      metrics.triggerEvents.labels(trigger.name, 'matched').inc();
+      const run = this.collect(trigger, event, subject);
+      if (run) {
+        started.push(await run);
+      }
+    }
+
+    return started;
+  }
+
+  /**
+   * @private
+   */
+  matches(trigger, event, subject) {
+    if (!trigger.filter) {
+      return true;
+    }
+
+    try {
+      return Boolean(Expression.evaluate(trigger.filter, { event, subject }));
+    } catch (error) {
+      logger.warn('Trigger filter failed', { triggerId: trigger.id, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Add an event to a trigger's batch
+   * @returns {Promise|null} - The run, if this event completed the batch
+   * @private
+   */
+  collect(trigger, event, subject) {
+    let batch = this.batches.get(trigger.id);
+    if (!batch) {
+      batch = { events: [], subject, timer: null };
+      this.batches.set(trigger.id, batch);
+    }
+
+    batch.events.push(event);
+    batch.subject = subject;
+
+    if (!trigger.window_ms || (trigger.max_batch_size && batch.events.length >= trigger.max_batch_size)) {
+      return this.flush(trigger.id);
+    }
+
+    if (trigger.debounce && batch.timer) {
+      clearTimeout(batch.timer);
+      batch.timer = null;
+    }
+
+    if (!batch.timer) {
+      batch.timer = setTimeout(() => {
+        this.flush(trigger.id).catch(error => {
+          logger.error('Trigger flush failed', { triggerId: trigger.id, error: error.message });
+        });
+      }, trigger.window_ms);
+    }
+
+    return null;
+  }
+
+  /**
+   * Start a run with the events collected for a trigger
+   * @returns {Promise<Object|null>} - { triggerId, executionId, events }, or null if nothing was waiting
+   */
+  async flush(triggerId) {
+    const batch = this.batches.get(triggerId);
+    this.discardBatch(triggerId);
+
+    const trigger = this.db.getTrigger(triggerId);
+    if (!batch || batch.events.length === 0 || !trigger) {
+      return null;
+    }
+
+    const { events, subject } = batch;
+
+    try {
+      const run = await this.workflowEngine.runWorkflow(trigger.workflow_name, {
+        version: trigger.workflow_version || undefined,
+        inputs: { ...trigger.inputs, event: events[events.length - 1], events, subject },
+        trigger: { type: 'event', triggerId, source: trigger.source, subject, count: events.length }
+      });
+
+      if (!run) {
+        throw new Error(`Workflow "${trigger.workflow_name}" is not registered`);
+      }
+
+      this.db.recordTriggerFire(triggerId, run.executionId);
+      metrics.triggerEvents.labels(trigger.name, 'fired').inc();
+      logger.info('Trigger fired', { triggerId, executionId: run.executionId, events: events.length });
+
+      return { triggerId, executionId: run.executionId, events: events.length };
+    } catch (error) {
+      logger.error('Trigger failed to start workflow', { triggerId, error: error.message });
+      this.db.updateTrigger(triggerId, { last_error: error.message });
+      metrics.triggerEvents.labels(trigger.name, 'failed').inc();
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  discardBatch(triggerId) {
+    const batch = this.batches.get(triggerId);
+    if (batch && batch.timer) {
+      clearTimeout(batch.timer);
+    }
+    this.batches.delete(triggerId);
+  }
+
+  /**
+   * @private
+   */
+  static pickFields(source = {}) {
+    const picked = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (source[field] !== undefined) {
+        picked[field] = source[field];
+      }
+    }
+    return picked;
+  }
+}
+
+module.exports = TriggerManager;
+
+// Nicolas Larenas, nlarchive
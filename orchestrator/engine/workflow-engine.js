@@ -1,67 +1,167 @@
 const { v4: uuidv4 } = require('uuid');
 const DagResolver = require('./dag-resolver');
 const StepExecutor = require('./step-executor');
-const SqliteQueue = require('./sqlite-queue');
+const TaskQueue = require('./task-queue');
+const WorkflowRegistry = require('./workflow-registry');
+const InputSchema = require('./input-schema');
+const ArtifactStore = require('./artifact-store');
 const logger = require('../config/logger');
 const metrics = require('../config/metrics');
+const config = require('../config/env');
+
+// Plugin id that tasks of built-in step types (e.g. sub-workflows) are recorded under
+const BUILTIN_PLUGIN = 'orchestrator';
+
+// Task statuses of steps that suspended the execution and continue when it resumes
+const SUSPENDED_STATUSES = ['waiting_approval', 'sleeping'];
+
+// onError policies under which a failed step does not fail the execution
+const TOLERATED_ERROR_POLICIES = ['continue', 'skipDependents'];
+
+// Execution statuses whose queue deliveries are stale (nothing left to run)
+const STALE_DELIVERY_STATUSES = ['paused', 'completed', 'completed_with_errors', 'cancelled'];
+
+// Queue status matching each final execution status
+const FINISHED_QUEUE_STATUS = {
+  completed: 'completed',
+  completed_with_errors: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled'
+};
 
 /**
  * Workflow execution engine
  * Manages workflow lifecycle and task execution
  */
 class WorkflowEngine {
-  constructor(db) {
+  /**
+   * @param {Object} db - DatabaseClient
+   * @param {Object} options - { nodeId (this instance, recorded on the tasks it runs),
+   *   leader (LeaderElection; without one this instance does all leader-only work) }
+   */
+  constructor(db, options = {}) {
     this.db = db;
-    this.queue = new SqliteQueue(db);
+    this.nodeId = options.nodeId || config.node.id;
+    this.leader = options.leader || null;
+    this.queue = TaskQueue.create(db, { owner: this.nodeId });
     this.executor = new StepExecutor(db);
+    this.registry = new WorkflowRegistry(db);
+    this.artifacts = new ArtifactStore({ getStore: () => this.executor.getWrapper('minio') });
     this.isRunning = false;
+    // Control state of executions being processed by this engine, by execution id
+    this.activeExecutions = new Map();
   }
 
   /**
    * Submit a workflow for execution
+   * The spec is registered as a version of the workflow named spec.name, so
+   * resubmitting the same spec reuses its workflow row.
+   * @param {Object} workflowSpec - Workflow specification
+   * @param {Object} options - Per-execution options ({ maxParallelism, failFast })
+   * @param {Object} inputs - Values for the workflow's declared inputs
+   * @returns {Object} - { executionId, workflowId, name, version }
    */
-  async submitWorkflow(workflowSpec) {
+  async submitWorkflow(workflowSpec, options = {}, inputs) {
     // Validate workflow
     const validation = DagResolver.validate(workflowSpec);
     if (!validation.valid) {
       throw new Error(`Invalid workflow: ${validation.errors.join(', ')}`);
     }
 
-    // Create workflow record
-    const workflowId = uuidv4();
-    this.db.createWorkflow({
-      id: workflowId,
-      name: workflowSpec.name,
-      spec: workflowSpec
-    });
+    // Reject bad inputs before anything is stored
+    WorkflowEngine.resolveInputs(workflowSpec, inputs);
+
+    const { name, version } = this.registry.register(workflowSpec);
+    const result = this.startExecution(this.registry.resolve(name, version), { options, inputs });
+    return { ...result, name, version };
+  }
+
+  /**
+   * Run a workflow from the registry by name
+   * @param {string} name - Workflow name
+   * @param {Object} params - { version (latest when omitted), options, inputs, trigger }
+   * @returns {Object|null} - { executionId, workflowId, name, version }, or null if not registered
+   */
+  async runWorkflow(name, params = {}) {
+    const workflow = this.registry.resolve(name, params.version);
+    if (!workflow) {
+      return null;
+    }
+
+    const result = this.startExecution(workflow, params);
+    return { ...result, name, version: workflow.version };
+  }
+
+  /**
+   * Create and enqueue an execution of a stored workflow
+   * Sub-workflow executions (with a parent) are not enqueued: the parent's
+   * step processes them inline.
+   * @param {Object} workflow - Workflow row ({ id, name, spec, version, hash })
+   * @param {Object} params - { options, inputs, trigger (what started the run, e.g. a schedule),
+   *   parent ({ executionId, taskId } of the sub-workflow step that started it) }
+   */
+  startExecution(workflow, params = {}) {
+    const { options = {}, trigger, parent } = params;
+    const workflowId = workflow.id;
+    const workflowSpec = workflow.spec;
+    const inputs = WorkflowEngine.resolveInputs(workflowSpec, params.inputs);
 
     // Create execution record
     const executionId = uuidv4();
     this.db.createExecution({
       id: executionId,
       workflow_id: workflowId,
-      status: 'pending'
+      status: 'pending',
+      inputs,
+      options,
+      ...(parent && { parent_execution_id: parent.executionId, parent_task_id: parent.taskId })
     });
 
     // Create event
     this.db.createEvent({
       execution_id: executionId,
       event_type: 'workflow_submitted',
-      data: { workflowId, name: workflowSpec.name }
+      data: {
+        workflowId,
+        name: workflow.name,
+        ...(workflow.version && { version: workflow.version, hash: workflow.hash }),
+        ...(trigger && { trigger })
+      }
     });
 
-    // Enqueue execution
-    this.queue.enqueue(executionId, {
-      executionId,
-      workflowId,
-      workflowSpec
-    });
+    // Enqueue execution (per-workflow concurrency limits apply by name)
+    if (!parent) {
+      this.queue.enqueue(executionId, {
+        executionId,
+        workflowId,
+        workflowSpec,
+        options,
+        inputs
+      }, { concurrencyKey: workflow.name });
+    }
 
-    logger.info('Workflow submitted', { executionId, workflowId, name: workflowSpec.name });
+    logger.info('Workflow submitted', { executionId, workflowId, name: workflow.name, version: workflow.version });
 
     return { executionId, workflowId };
   }
 
+  /**
+   * Check submitted inputs against a workflow's input schema
+   * @param {Object} workflowSpec - Workflow specification
+   * @param {Object} inputs - Submitted inputs
+   * @returns {Object} - Inputs with defaults applied
+   * @throws {Error} - With `details` listing every invalid input
+   */
+  static resolveInputs(workflowSpec, inputs) {
+    const { values, errors } = InputSchema.resolve(workflowSpec.inputs, inputs || {});
+    if (errors.length > 0) {
+      const error = new Error(`Invalid inputs: ${errors.join(', ')}`);
+      error.details = errors;
+      throw error;
+    }
+    return values;
+  }
+
   /**
    * Get execution status
    */
@@ -73,14 +173,122 @@ class WorkflowEngine {
 
     const tasks = this.db.getTasksByExecution(executionId);
     const events = this.db.getEventsByExecution(executionId);
+    const retries = this.db.getRetries(executionId);
+    const children = this.db.getChildExecutions(executionId);
+    const approvals = this.db.listApprovals({ executionId });
+    const { id, name, version, hash } = this.db.getWorkflow(execution.workflow_id);
 
     return {
       ...execution,
+      workflow: { id, name, version, hash },
       tasks,
-      events
+      events,
+      retries,
+      children,
+      approvals
     };
   }
 
+  /**
+   * Retry a failed, cancelled or completed_with_errors execution as a new,
+   * linked execution
+   * Results of steps that completed (or were skipped) are copied over and
+   * reused; failed steps and everything after them run again. The retry
+   * replaces any automatic queue retry of the original (see processDelivery).
+   * @returns {Object|null} - { executionId, retryOf, attempt, reusedSteps }, or null if not found
+   */
+  retryExecution(executionId) {
+    const original = this.db.getExecution(executionId);
+    if (!original) {
+      return null;
+    }
+
+    if (!['failed', 'cancelled', 'completed_with_errors'].includes(original.status)) {
+      throw new Error(`Cannot retry execution in status "${original.status}"`);
+    }
+
+    const workflow = this.db.getWorkflow(original.workflow_id);
+    const { options } = original;
+
+    // Stop the queue from running the original again on its own
+    this.queue.updateStatus(executionId, FINISHED_QUEUE_STATUS[original.status], ['pending']);
+
+    const retryId = uuidv4();
+    const attempt = (original.attempt || 1) + 1;
+    this.db.createExecution({
+      id: retryId,
+      workflow_id: original.workflow_id,
+      status: 'pending',
+      retry_of: executionId,
+      attempt,
+      inputs: original.inputs,
+      options
+    });
+
+    // Copy finished top-level tasks so the retry can resume from them;
+    // steps whose side effects were compensated run again
+    const tasks = this.db.getTasksByExecution(executionId);
+    const compensated = new Set(tasks
+      .filter(task => task.compensation_for && task.status === 'completed')
+      .map(task => task.compensation_for));
+    // Finally steps always run again at the end of the retry
+    const finallySteps = new Set((workflow.spec.finally || []).map(step => step.id));
+
+    const reusedSteps = [];
+    for (const task of tasks) {
+      if (task.parent_task_id || task.compensation_for || compensated.has(task.id)
+        || finallySteps.has(task.step_id) || !['completed', 'skipped'].includes(task.status)) {
+        continue;
+      }
+
+      const taskId = uuidv4();
+      this.db.createTask({
+        id: taskId,
+        execution_id: retryId,
+        step_id: task.step_id,
+        plugin_id: task.plugin_id,
+        action: task.action,
+        input: task.input
+      });
+      this.db.updateTask(taskId, {
+        node_id: task.node_id,
+        status: task.status,
+        result: task.result,
+        attempts: task.attempts
+      });
+      this.db.createEvent({
+        execution_id: retryId,
+        event_type: 'step_reused',
+        data: { stepId: task.step_id, taskId, sourceTaskId: task.id }
+      });
+      reusedSteps.push(task.step_id);
+    }
+
+    this.db.createEvent({
+      execution_id: retryId,
+      event_type: 'workflow_submitted',
+      data: { workflowId: workflow.id, name: workflow.name, retryOf: executionId, attempt }
+    });
+    this.db.createEvent({
+      execution_id: executionId,
+      event_type: 'execution_retried',
+      data: { retryExecutionId: retryId, attempt }
+    });
+
+    this.queue.enqueue(retryId, {
+      executionId: retryId,
+      workflowId: workflow.id,
+      workflowSpec: workflow.spec,
+      options,
+      inputs: original.inputs,
+      resume: true
+    }, { concurrencyKey: workflow.name });
+
+    logger.info('Execution retry submitted', { executionId: retryId, retryOf: executionId, reusedSteps });
+
+    return { executionId: retryId, retryOf: executionId, attempt, reusedSteps };
+  }
+
   /**
    * Start the workflow engine
    */
@@ -93,18 +301,53 @@ class WorkflowEngine {
     this.isRunning = true;
     logger.info('Starting workflow engine');
 
+    // Pick up executions left behind by a crashed process, then keep
+    // reclaiming leases that expire
+    this.recover();
+    this.recoveryInterval = setInterval(() => {
+      try {
+        this.recover();
+      } catch (error) {
+        logger.error('Execution recovery failed', { error: error.message });
+      }
+    }, this.queue.leaseMs);
+
+    // Apply cancel and pause requests made through other instances to the
+    // executions running here, alongside the queue heartbeat
+    this.controlInterval = setInterval(() => {
+      try {
+        this.applyControlRequests();
+      } catch (error) {
+        logger.error('Applying execution control requests failed', { error: error.message });
+      }
+    }, this.queue.leaseMs / 3);
+
     // Start queue processor
-    this.queue.start(async (payload) => {
-      await this.processExecution(payload);
+    this.queue.start(async (payload, task) => {
+      await this.processDelivery(payload, task);
     }, 1000);
 
-    // Schedule cleanup
+    // Schedule cleanup (leader only when instances share the database)
     // keep a reference so it can be cleared on stop (avoids open handles in tests)
     this.cleanupInterval = setInterval(() => {
+      if (!this.isLeader()) {
+        return;
+      }
       this.queue.cleanup();
+      this.executor.cache.purgeExpired().catch(error => {
+        logger.warn('Step cache cleanup failed', { error: error.message });
+      });
     }, 60 * 60 * 1000); // Every hour
   }
 
+  /**
+   * Whether this instance runs leader-only work
+   * @returns {boolean}
+   */
+  isLeader() {
+    return !this.leader || this.leader.isLeader;
+  }
+
   /**
    * Stop the workflow engine
    */
@@ -120,122 +363,313 @@ class WorkflowEngine {
       clearInterval(this.cleanupInterval);
       this.cleanupInterval = null;
     }
+    if (this.recoveryInterval) {
+      clearInterval(this.recoveryInterval);
+      this.recoveryInterval = null;
+    }
+    if (this.controlInterval) {
+      clearInterval(this.controlInterval);
+      this.controlInterval = null;
+    }
     logger.info('Workflow engine stopped');
   }
 
+  /**
+   * Reclaim executions whose processor died and reconcile their records
+   * Runs at startup and once per lease period. This engine's own leases are
+   * renewed first, so only work nobody is heartbeating is reclaimed (see
+   * reclaimExecution). Executions left `running` without a live queue lease
+   * are reconciled the same way; backends that do not track leases
+   * (JetStream) redeliver them instead (see processDelivery).
+   * @returns {Object} - { resumed, failed } execution IDs
+   */
+  recover() {
+    this.queue.heartbeat();
+    const summary = { resumed: [], failed: [] };
+
+    const reclaimed = new Map(this.queue.reapExpiredLeases().map(task => [task.task_id, task]));
+    const stranded = this.db.listExecutionIdsByStatus(['running', 'compensating'])
+      .filter(id => !reclaimed.has(id) && !this.activeExecutions.has(id));
+    for (const id of stranded) {
+      // Sub-workflows have no queue entry; they are reclaimed with their parent
+      if (!this.db.getExecution(id).parent_execution_id && this.queue.isLeased(id) === false) {
+        reclaimed.set(id, this.queue.get(id) || { task_id: id, status: 'missing', retry_count: 0 });
+      }
+    }
+
+    for (const [executionId, task] of reclaimed) {
+      const execution = this.db.getExecution(executionId);
+      if (execution) {
+        this.reclaimExecution(execution, task, summary);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Resume or fail an execution whose processor died
+   * Steps that were running are marked interrupted and run again, and
+   * sub-workflows it was running fail. The execution resumes from the steps
+   * that finished while its queue task has retries left (status pending),
+   * otherwise it fails, as does one interrupted while compensating.
+   * @param {Object} execution - Execution row
+   * @param {Object} task - Its queue task ({ status, retry_count, payload })
+   * @param {Object} summary - { resumed, failed } execution IDs, added to
+   */
+  reclaimExecution(execution, task, summary = { resumed: [], failed: [] }) {
+    const executionId = execution.id;
+
+    // Died after recording the outcome but before releasing the queue entry
+    if (FINISHED_QUEUE_STATUS[execution.status] || execution.status === 'paused') {
+      this.queue.updateStatus(executionId, FINISHED_QUEUE_STATUS[execution.status] || 'paused', ['pending']);
+      return summary;
+    }
+
+    const interruptedSteps = this.db.interruptRunningTasks(executionId, 'Interrupted: the execution lost its processor');
+    for (const child of this.db.getChildExecutions(executionId)) {
+      if (['running', 'compensating'].includes(child.status)) {
+        this.reclaimExecution(this.db.getExecution(child.id), { task_id: child.id, status: 'missing', retry_count: 0 }, summary);
+      }
+    }
+
+    if (task.status === 'pending' && execution.status !== 'compensating' && !execution.parent_execution_id) {
+      // Continue from the steps that finished before the processor died
+      this.db.updateExecution(executionId, { status: 'pending' });
+      this.requeueExecution(execution, task.payload);
+      this.db.createEvent({
+        execution_id: executionId,
+        event_type: 'execution_recovered',
+        data: { retryCount: task.retry_count, interruptedSteps }
+      });
+      logger.warn('Recovered interrupted execution', { executionId, retryCount: task.retry_count, interruptedSteps });
+      summary.resumed.push(executionId);
+      return summary;
+    }
+
+    let error = 'Execution interrupted and could not be resumed';
+    if (execution.parent_execution_id) {
+      // The parent's step was interrupted too and starts a new child when it resumes
+      error = 'Sub-workflow interrupted along with its parent execution';
+    } else if (execution.status === 'compensating') {
+      error = 'Execution interrupted during compensation';
+    } else if (task.status === 'failed') {
+      error = `Execution interrupted ${task.retry_count} times; no retries left`;
+    }
+
+    this.queue.updateStatus(executionId, 'failed', ['pending', 'paused', 'waiting']);
+    this.db.cancelPendingApprovals(executionId);
+    this.db.updateExecution(executionId, { status: 'failed', error });
+    this.db.createEvent({
+      execution_id: executionId,
+      event_type: 'execution_failed',
+      data: { error, interruptedSteps }
+    });
+    metrics.appErrors.labels('workflow', 'execution_interrupted').inc();
+    logger.error('Interrupted execution failed', { executionId, error });
+    summary.failed.push(executionId);
+    return summary;
+  }
+
+  /**
+   * Process an execution delivered by the queue
+   * Deliveries are at least once (JetStream publishes a new message for
+   * each continuation), so those of executions that are finished, paused,
+   * already running or retried as a new execution are dropped, and the
+   * execution is claimed with a
+   * compare-and-set on its status before it runs. A redelivery of an
+   * execution left running by no live processor means that processor died:
+   * the execution is reclaimed, each earlier recovery counting as a retry.
+   * @param {Object} payload - Queue payload (see processExecution)
+   * @param {Object} task - The queue task ({ redelivered, max_retries, ... })
+   */
+  async processDelivery(payload, task = {}) {
+    const { executionId } = payload;
+    const execution = this.db.getExecution(executionId);
+    if (!execution) {
+      return this.processExecution(payload);
+    }
+
+    if (['running', 'compensating'].includes(execution.status)) {
+      if (task.redelivered && !this.activeExecutions.has(executionId)) {
+        const retryCount = this.db.getEventsByExecution(executionId)
+          .filter(event => event.event_type === 'execution_recovered').length + 1;
+        this.reclaimExecution(execution, {
+          ...task,
+          payload,
+          retry_count: retryCount,
+          status: retryCount < task.max_retries ? 'pending' : 'failed'
+        });
+        return;
+      }
+
+      logger.info('Skipping delivery of an execution already running', { executionId });
+      return;
+    }
+
+    const retried = execution.status === 'failed' && this.db.getRetries(executionId).length > 0;
+    if (STALE_DELIVERY_STATUSES.includes(execution.status) || retried
+      || !this.db.claimExecution(executionId, execution.status)) {
+      logger.info('Skipping stale execution delivery', { executionId, status: execution.status });
+      return;
+    }
+
+    await this.processExecution(payload);
+  }
+
+  /**
+   * Queue payload of an execution, rebuilt from its records
+   * @param {Object} execution - Execution row
+   * @returns {Object} - { executionId, workflowId, workflowSpec, options, inputs }
+   */
+  executionPayload(execution) {
+    const workflow = this.db.getWorkflow(execution.workflow_id);
+    return {
+      executionId: execution.id,
+      workflowId: workflow.id,
+      workflowSpec: workflow.spec,
+      options: execution.options || {},
+      inputs: execution.inputs
+    };
+  }
+
+  /**
+   * Queue an execution to continue from its finished steps
+   * @param {Object} execution - Execution row
+   * @param {Object} payload - Queue payload; rebuilt from the execution's records by default
+   * @param {Object} options - Queue options ({ delay })
+   * @returns {boolean} - Whether it was queued
+   */
+  requeueExecution(execution, payload, options = {}) {
+    const { name } = this.db.getWorkflow(execution.workflow_id);
+    const continuation = { ...(payload || this.executionPayload(execution)), resume: true };
+    return this.queue.requeue(execution.id, continuation, { ...options, concurrencyKey: name });
+  }
+
   /**
    * Process a workflow execution
+   * Payloads with `resume: true` continue a paused execution, reusing the
+   * results of steps that already completed. Once the main steps are done
+   * (completed, failed or cancelled) the workflow's `finally` steps run.
+   * Steps that failed under onError continue/skipDependents leave the
+   * execution completed_with_errors.
    */
   async processExecution(payload) {
-    const { executionId, workflowSpec } = payload;
+    const { executionId, workflowSpec, options = {}, inputs = {}, resume = false } = payload;
     const startTime = Date.now();
     const workflowType = workflowSpec.name || 'unknown';
 
-    logger.info('Processing execution', { executionId });
+    const current = this.db.getExecution(executionId);
+    if (current && current.status === 'cancelled') {
+      logger.info('Skipping cancelled execution', { executionId });
+      return;
+    }
+
+    logger.info('Processing execution', { executionId, resume });
+
+    const control = { action: null, controller: new AbortController() };
+    this.activeExecutions.set(executionId, control);
+    // Variables templates can read besides step results
+    const variables = { inputs, execution: { id: executionId } };
+    let context = { steps: {}, ...variables };
+    let finalized = false;
+    const runFinally = (status, error) => {
+      finalized = true;
+      return this.runFinally(executionId, workflowSpec, context, options, status, error);
+    };
 
     try {
+      const executionOptions = this.resolveExecutionOptions(workflowSpec, options);
+
       // Update execution status
       this.db.updateExecution(executionId, { status: 'running' });
       this.db.createEvent({
         execution_id: executionId,
-        event_type: 'execution_started',
-        data: {}
+        event_type: resume ? 'execution_resumed' : 'execution_started',
+        data: executionOptions
       });
 
-      // Resolve DAG order
-      const stepOrder = DagResolver.resolve(workflowSpec);
-      const stepMap = new Map(workflowSpec.steps.map(s => [s.id, s]));
-      
-      // Context to pass between steps
-      const context = { steps: {} };
-
-      // Execute steps in order
-      for (const stepId of stepOrder) {
-        const step = stepMap.get(stepId);
-        
-        // Create task record
-        const taskId = uuidv4();
-        this.db.createTask({
-          id: taskId,
-          execution_id: executionId,
-          step_id: step.id,
-          plugin_id: step.plugin,
-          action: step.action,
-          input: step.input || {}
-        });
-
-        logger.info('Executing step', { executionId, stepId, taskId });
-
-        try {
-          // Update task status
-          this.db.updateTask(taskId, { status: 'running' });
-          this.db.createEvent({
-            execution_id: executionId,
-            event_type: 'step_started',
-            data: { stepId, taskId }
-          });
-
-          // Execute step
-          const result = await this.executor.execute(step, context);
-
-          // Store result in context
-          context.steps[stepId] = { result };
+      // Context to pass between steps (restored from finished tasks on resume)
+      let settled = new Set();
+      if (resume) {
+        ({ context, settled } = await this.restoreContext(executionId, workflowSpec));
+        Object.assign(context, variables);
+      }
 
-          // Update task
-          this.db.updateTask(taskId, { 
-            status: 'completed',
-            result,
-            attempts: 1
-          });
+      // Execute steps as their dependencies are satisfied
+      const outcome = await this.runSteps(executionId, workflowSpec, context, executionOptions, settled);
 
-          this.db.createEvent({
-            execution_id: executionId,
-            event_type: 'step_completed',
-            data: { stepId, taskId }
-          });
+      if (outcome === 'cancelled') {
+        await runFinally('cancelled');
+        await this.finishCancelled(executionId, workflowSpec, context);
+        metrics.workflowExecutions.labels(workflowType, 'cancelled').inc();
+        return;
+      }
 
-        } catch (error) {
-          logger.error('Step failed', { executionId, stepId, error: error.message });
+      if (outcome === 'paused') {
+        this.db.updateExecution(executionId, { status: 'paused' });
+        this.queue.updateStatus(executionId, 'paused', ['processing']);
+        this.db.createEvent({
+          execution_id: executionId,
+          event_type: 'execution_paused',
+          data: { completedSteps: Object.keys(context.steps) }
+        });
+        logger.info('Execution paused', { executionId });
+        return;
+      }
 
-          this.db.updateTask(taskId, {
-            status: 'failed',
-            error: error.message
-          });
+      if (outcome === 'waiting') {
+        this.suspend(executionId, payload);
+        return;
+      }
 
-          this.db.createEvent({
-            execution_id: executionId,
-            event_type: 'step_failed',
-            data: { stepId, taskId, error: error.message }
-          });
+      const failedSteps = workflowSpec.steps
+        .filter(step => context.steps[step.id]?.failed)
+        .map(step => step.id);
+      failedSteps.push(...await runFinally(failedSteps.length > 0 ? 'completed_with_errors' : 'completed'));
+      const status = failedSteps.length > 0 ? 'completed_with_errors' : 'completed';
 
-          // Fail entire execution
-          throw error;
-        }
-      }
+      // Declared outputs become the execution result; without them every
+      // step result is kept (per-step results are always on the tasks)
+      const result = workflowSpec.outputs
+        ? await this.artifacts.store(`${executionId}/outputs`, this.resolveOutputs(workflowSpec, context))
+        : WorkflowEngine.persistedSteps(context);
 
-      // Execution succeeded
+      // Execution succeeded (possibly with tolerated step failures)
       this.db.updateExecution(executionId, {
-        status: 'completed',
-        result: context.steps
+        status,
+        result,
+        ...(failedSteps.length > 0 && { error: `Steps failed: ${failedSteps.join(', ')}` })
       });
 
       // Record metrics
       const duration = (Date.now() - startTime) / 1000;
-      metrics.workflowExecutions.labels(workflowType, 'success').inc();
+      const metricStatus = status === 'completed' ? 'success' : status;
+      metrics.workflowExecutions.labels(workflowType, metricStatus).inc();
       metrics.workflowDuration.labels(workflowType).observe(duration);
-      metrics.batchProcessingTotal.labels(workflowType, 'success').inc();
+      metrics.batchProcessingTotal.labels(workflowType, metricStatus).inc();
 
       this.db.createEvent({
         execution_id: executionId,
         event_type: 'execution_completed',
-        data: {}
+        data: failedSteps.length > 0 ? { status, failedSteps } : {}
       });
 
-      logger.info('Execution completed', { executionId });
+      logger.info('Execution completed', { executionId, status });
 
     } catch (error) {
       logger.error('Execution failed', { executionId, error: error.message });
 
+      if (error.completedSteps) {
+        await this.compensate(executionId, workflowSpec, context, error.completedSteps);
+      }
+
+      this.db.cancelPendingApprovals(executionId);
+
+      if (!finalized) {
+        await runFinally('failed', error);
+      }
+
       this.db.updateExecution(executionId, {
         status: 'failed',
         error: error.message
@@ -254,6 +688,1203 @@ class WorkflowEngine {
       metrics.batchProcessingTotal.labels(workflowType, 'failed').inc();
       metrics.appErrors.labels('workflow', 'execution_failed').inc();
 
+      // A rejection is final: running the execution again would only ask
+      // for a new approval, so its queue task fails instead of retrying
+      if (error.code === 'APPROVAL_REJECTED') {
+        this.queue.updateStatus(executionId, 'failed', ['processing']);
+        return;
+      }
+
+      throw error;
+    } finally {
+      this.activeExecutions.delete(executionId);
+    }
+  }
+
+  /**
+   * Run the workflow's `finally` steps (cleanup, notifications)
+   * They read `execution.status` (completed, completed_with_errors, failed
+   * or cancelled) and `execution.error` besides every step result. A
+   * failing finally step does not stop the others (onError defaults to
+   * continue), and cancel requests no longer apply.
+   * @param {string} status - Outcome of the main steps
+   * @param {Error} error - Error that failed the main steps
+   * @returns {Promise<Array>} - IDs of finally steps that failed
+   */
+  async runFinally(executionId, workflowSpec, context, options, status, error) {
+    const steps = (workflowSpec.finally || []).map(step => ({ onError: 'continue', ...step }));
+    if (steps.length === 0) {
+      return [];
+    }
+
+    context.execution = { ...context.execution, status, error: error ? error.message : null };
+    // Finally steps run to the end even if a cancel arrives meanwhile
+    this.activeExecutions.delete(executionId);
+
+    this.db.createEvent({
+      execution_id: executionId,
+      event_type: 'finally_started',
+      data: { steps: steps.map(step => step.id), status }
+    });
+
+    try {
+      const executionOptions = this.resolveExecutionOptions(workflowSpec, options);
+      await this.runSteps(executionId, { ...workflowSpec, steps }, context, { ...executionOptions, failFast: false });
+    } catch (finallyError) {
+      logger.error('Finally steps failed', { executionId, error: finallyError.message });
+    }
+
+    const failed = steps
+      .filter(step => !context.steps[step.id] || context.steps[step.id].failed)
+      .map(step => step.id);
+
+    this.db.createEvent({
+      execution_id: executionId,
+      event_type: 'finally_completed',
+      data: { failed }
+    });
+
+    return failed;
+  }
+
+  /**
+   * Render the workflow's `outputs` templates against the finished context
+   * @returns {Object} - Named outputs
+   */
+  resolveOutputs(workflowSpec, context) {
+    try {
+      return this.executor.resolveInput(workflowSpec.outputs, context);
+    } catch (error) {
+      error.message = `Invalid workflow outputs: ${error.message}`;
+      throw error;
+    }
+  }
+
+  /**
+   * Step results as persisted on the execution: results that were offloaded
+   * to the artifact store stay references
+   * @returns {Object}
+   */
+  static persistedSteps(context) {
+    const artifacts = context.artifacts || {};
+    return Object.fromEntries(Object.entries(context.steps).map(([stepId, entry]) => [
+      stepId,
+      artifacts[stepId] ? { ...entry, result: artifacts[stepId] } : entry
+    ]));
+  }
+
+  /**
+   * Park an execution whose remaining steps all wait on approvals or timers
+   * Nothing is held in memory: the continuation is re-enqueued, scheduled
+   * for the earliest timer or approval timeout, so the wait survives
+   * restarts. Without deadlines the execution waits until decideApproval
+   * requeues it.
+   */
+  suspend(executionId, payload) {
+    const suspended = this.db.getTasksByExecution(executionId)
+      .filter(task => !task.parent_task_id && SUSPENDED_STATUSES.includes(task.status));
+    const approvals = suspended
+      .filter(task => task.status === 'waiting_approval')
+      .map(task => this.db.getApprovalForStep(executionId, task.step_id))
+      .filter(Boolean);
+    const timers = suspended.filter(task => task.status === 'sleeping');
+
+    const status = approvals.length > 0 ? 'waiting_approval' : 'sleeping';
+    this.db.updateExecution(executionId, { status });
+    this.db.createEvent({
+      execution_id: executionId,
+      event_type: approvals.length > 0 ? 'execution_waiting_approval' : 'execution_sleeping',
+      data: {
+        approvals: approvals.map(approval => approval.id),
+        timers: timers.map(task => ({ stepId: task.step_id, wakeAt: task.wake_at }))
+      }
+    });
+
+    const execution = this.db.getExecution(executionId);
+    const deadlines = [
+      ...approvals.filter(approval => approval.expires_at).map(approval => approval.expires_at),
+      ...timers.map(task => task.wake_at)
+    ].map(deadline => new Date(deadline).getTime());
+
+    if (approvals.some(approval => approval.status !== 'pending')) {
+      // Decided while other steps were still running
+      this.db.updateExecution(executionId, { status: 'pending' });
+      this.requeueExecution(execution, payload);
+    } else if (deadlines.length > 0) {
+      // Queue times have whole-second precision; never wake before the deadline
+      const wakeAt = Math.ceil(Math.min(...deadlines) / 1000) * 1000;
+      this.requeueExecution(execution, payload, { delay: Math.max(0, wakeAt - Date.now()) });
+    } else {
+      this.queue.updateStatus(executionId, 'waiting', ['processing']);
+    }
+
+    logger.info('Execution suspended', { executionId, status, approvals: approvals.length, timers: timers.length });
+  }
+
+  /**
+   * Rebuild an execution context from the tasks of an earlier run
+   * Completed and skipped top-level tasks are reused, as are failures of
+   * steps whose onError tolerates them; anything else re-runs. Offloaded
+   * results are loaded back from the artifact store.
+   * @returns {Promise<Object>} - { context, settled: Set of step IDs that need not run again }
+   */
+  async restoreContext(executionId, workflowSpec = { steps: [] }) {
+    const context = { steps: {}, artifacts: {} };
+    const settled = new Set();
+    const onError = new Map(workflowSpec.steps.map(step => [step.id, step.onError]));
+
+    for (const task of this.db.getTasksByExecution(executionId)) {
+      if (task.parent_task_id || task.compensation_for) {
+        continue;
+      }
+
+      if (task.status === 'completed') {
+        if (ArtifactStore.isReference(task.result)) {
+          context.artifacts[task.step_id] = task.result;
+        }
+        context.steps[task.step_id] = { result: await this.artifacts.load(task.result) };
+        settled.add(task.step_id);
+      } else if (task.status === 'skipped') {
+        context.steps[task.step_id] = { result: null, skipped: true };
+        settled.add(task.step_id);
+      } else if (task.status === 'failed' && TOLERATED_ERROR_POLICIES.includes(onError.get(task.step_id))) {
+        context.steps[task.step_id] = WorkflowEngine.failedStepContext(onError.get(task.step_id), task.error);
+        settled.add(task.step_id);
+      }
+    }
+
+    return { context, settled };
+  }
+
+  /**
+   * Run the compensate blocks of completed steps, in reverse completion order
+   * Each compensation is recorded as its own task (linked through
+   * compensation_for) and is attempted even if an earlier one fails.
+   * Compensation inputs are templated against the execution context, so
+   * `{{ steps.<id>.result.field }}` reads the result being undone.
+   * @param {Array} completedSteps - Step IDs in the order they completed
+   * @returns {Promise<Object>} - { compensated, failed } step IDs
+   */
+  async compensate(executionId, workflowSpec, context, completedSteps) {
+    const stepMap = new Map(workflowSpec.steps.map(s => [s.id, s]));
+    const toCompensate = completedSteps
+      .filter(stepId => stepMap.get(stepId) && stepMap.get(stepId).compensate)
+      .reverse();
+    const summary = { compensated: [], failed: [] };
+
+    if (toCompensate.length === 0) {
+      return summary;
+    }
+
+    const originalTasks = new Map(this.db.getTasksByExecution(executionId)
+      .filter(task => !task.parent_task_id && !task.compensation_for && task.status === 'completed')
+      .map(task => [task.step_id, task.id]));
+
+    logger.info('Compensating execution', { executionId, steps: toCompensate });
+
+    this.db.updateExecution(executionId, { status: 'compensating' });
+    this.db.createEvent({
+      execution_id: executionId,
+      event_type: 'compensation_started',
+      data: { steps: toCompensate }
+    });
+
+    for (const stepId of toCompensate) {
+      const { compensate } = stepMap.get(stepId);
+      const compensationStep = {
+        ...compensate,
+        id: stepId,
+        plugin: compensate.plugin || stepMap.get(stepId).plugin,
+        input: compensate.input || {}
+      };
+
+      const taskId = uuidv4();
+      // Compensation runs to the end even if a cancel arrives meanwhile
+      const attempts = this.createAttemptTracker(executionId, stepId, taskId);
+      attempts.signal = undefined;
+
+      try {
+        this.db.createTask({
+          id: taskId,
+          execution_id: executionId,
+          step_id: stepId,
+          plugin_id: compensationStep.plugin,
+          action: compensationStep.action,
+          input: compensationStep.input,
+          compensation_for: originalTasks.get(stepId)
+        });
+        this.db.updateTask(taskId, { status: 'running', node_id: this.nodeId });
+
+        const result = await this.executor.execute(compensationStep, context, attempts);
+
+        this.db.updateTask(taskId, {
+          status: 'completed',
+          result: await this.artifacts.store(`${executionId}/${taskId}`, result),
+          attempts: attempts.count
+        });
+        this.db.createEvent({
+          execution_id: executionId,
+          event_type: 'step_compensated',
+          data: { stepId, taskId }
+        });
+        summary.compensated.push(stepId);
+      } catch (error) {
+        logger.error('Compensation failed', { executionId, stepId, error: error.message });
+
+        this.db.updateTask(taskId, { status: 'failed', error: error.message, attempts: attempts.count });
+        this.db.createEvent({
+          execution_id: executionId,
+          event_type: 'step_compensation_failed',
+          data: { stepId, taskId, error: error.message }
+        });
+        summary.failed.push(stepId);
+      }
+    }
+
+    this.db.createEvent({
+      execution_id: executionId,
+      event_type: 'compensation_completed',
+      data: summary
+    });
+
+    return summary;
+  }
+
+  /**
+   * Mark a cancelled execution and ask plugins to stop work started by its steps
+   */
+  async finishCancelled(executionId, workflowSpec, context) {
+    const stepMap = new Map(workflowSpec.steps.map(s => [s.id, s]));
+
+    for (const [stepId, { result }] of Object.entries(context.steps)) {
+      const step = stepMap.get(stepId);
+      if (step && await this.executor.cancelStep(step, result)) {
+        this.db.createEvent({
+          execution_id: executionId,
+          event_type: 'step_work_cancelled',
+          data: { stepId }
+        });
+      }
+    }
+
+    this.db.cancelPendingApprovals(executionId);
+    this.db.updateExecution(executionId, { status: 'cancelled' });
+    this.queue.updateStatus(executionId, 'cancelled', ['processing']);
+    this.db.createEvent({
+      execution_id: executionId,
+      event_type: 'execution_cancelled',
+      data: {}
+    });
+
+    logger.info('Execution cancelled', { executionId });
+  }
+
+  /**
+   * Cancel a pending, running, paused, waiting_approval or sleeping execution
+   * Running executions stop scheduling steps and abort in-flight plugin calls;
+   * one running on another instance is cancelled there through the database.
+   * @returns {Object|null} - { executionId, status }, or null if not found
+   */
+  cancelExecution(executionId) {
+    const execution = this.db.getExecution(executionId);
+    if (!execution) {
+      return null;
+    }
+
+    const control = this.activeExecutions.get(executionId);
+    if (control || this.db.requestExecutionControl(executionId, 'cancel')) {
+      if (control) {
+        control.action = 'cancel';
+        control.controller.abort();
+      }
+      this.db.createEvent({
+        execution_id: executionId,
+        event_type: 'execution_cancel_requested',
+        data: {}
+      });
+      logger.info('Execution cancel requested', { executionId });
+      return { executionId, status: 'cancelling' };
+    }
+
+    if (!['pending', 'paused', 'waiting_approval', 'sleeping'].includes(execution.status)) {
+      throw new Error(`Cannot cancel execution in status "${execution.status}"`);
+    }
+
+    this.queue.updateStatus(executionId, 'cancelled', ['pending', 'paused', 'waiting']);
+    this.db.cancelPendingApprovals(executionId);
+    this.db.updateExecution(executionId, { status: 'cancelled' });
+    this.db.createEvent({
+      execution_id: executionId,
+      event_type: 'execution_cancelled',
+      data: { previousStatus: execution.status }
+    });
+
+    logger.info('Execution cancelled', { executionId });
+    return { executionId, status: 'cancelled' };
+  }
+
+  /**
+   * Apply a cancel or pause request recorded by another instance
+   * @param {Object} control - The execution's entry in activeExecutions
+   */
+  applyControlRequest(executionId, control) {
+    const request = this.db.getControlRequest(executionId);
+    if (request === 'cancel' && control.action !== 'cancel') {
+      control.action = 'cancel';
+      if (control.controller) {
+        control.controller.abort();
+      }
+    } else if (request === 'pause' && !control.action) {
+      control.action = 'pause';
+    }
+  }
+
+  /**
+   * Apply recorded cancel and pause requests to every execution running here
+   */
+  applyControlRequests() {
+    for (const [executionId, control] of this.activeExecutions) {
+      this.applyControlRequest(executionId, control);
+    }
+  }
+
+  /**
+   * Pause a pending or running execution
+   * Running executions finish their in-flight steps, then stop until resumed;
+   * one running on another instance is paused there through the database.
+   * @returns {Object|null} - { executionId, status }, or null if not found
+   */
+  pauseExecution(executionId) {
+    const execution = this.db.getExecution(executionId);
+    if (!execution) {
+      return null;
+    }
+
+    const control = this.activeExecutions.get(executionId);
+    if (control || this.db.requestExecutionControl(executionId, 'pause')) {
+      if (control && control.action !== 'cancel') {
+        control.action = 'pause';
+      }
+      this.db.createEvent({
+        execution_id: executionId,
+        event_type: 'execution_pause_requested',
+        data: {}
+      });
+      logger.info('Execution pause requested', { executionId });
+      return { executionId, status: 'pausing' };
+    }
+
+    if (execution.status !== 'pending') {
+      throw new Error(`Cannot pause execution in status "${execution.status}"`);
+    }
+
+    this.queue.updateStatus(executionId, 'paused', ['pending']);
+    this.db.updateExecution(executionId, { status: 'paused' });
+    this.db.createEvent({
+      execution_id: executionId,
+      event_type: 'execution_paused',
+      data: { completedSteps: [] }
+    });
+
+    return { executionId, status: 'paused' };
+  }
+
+  /**
+   * Resume a paused execution by re-enqueuing it as a continuation
+   * @returns {Object|null} - { executionId, status }, or null if not found
+   */
+  resumeExecution(executionId) {
+    const execution = this.db.getExecution(executionId);
+    if (!execution) {
+      return null;
+    }
+
+    if (execution.status !== 'paused') {
+      throw new Error(`Cannot resume execution in status "${execution.status}"`);
+    }
+
+    if (!this.requeueExecution(execution)) {
+      throw new Error(`Queue entry for execution ${executionId} no longer exists`);
+    }
+
+    this.db.updateExecution(executionId, { status: 'pending' });
+    this.db.createEvent({
+      execution_id: executionId,
+      event_type: 'execution_resume_requested',
+      data: {}
+    });
+
+    logger.info('Execution resume requested', { executionId });
+    return { executionId, status: 'pending' };
+  }
+
+  /**
+   * Redrive a dead letter: put its task back on the queue with fresh retries
+   * The execution it belongs to goes back to pending and runs again from the
+   * start, or continues from its finished steps when the payload has
+   * `resume: true`.
+   * @param {string} id - Dead letter id
+   * @param {Object} payload - Replaces the payload the task failed with
+   * @returns {Promise<Object|null>} - { id, executionId, status }, or null if not found
+   */
+  async redriveDeadLetter(id, payload) {
+    const task = await this.queue.redrive(id, payload);
+    if (!task) {
+      return null;
+    }
+
+    const executionId = task.task_id;
+    if (this.db.getExecution(executionId)) {
+      this.db.updateExecution(executionId, { status: 'pending' });
+      this.db.createEvent({
+        execution_id: executionId,
+        event_type: 'execution_redriven',
+        data: { deadLetterId: id, payloadReplaced: Boolean(payload) }
+      });
+    }
+
+    logger.info('Execution redriven from dead-letter queue', { executionId, deadLetterId: id });
+    return { id, executionId, status: 'pending' };
+  }
+
+  /**
+   * Approve or reject a pending approval
+   * An execution parked in waiting_approval is re-enqueued to continue.
+   * @param {string} approvalId - Approval id
+   * @param {Object} params - { decision: 'approve' | 'reject', actor, comment }
+   * @returns {Object|null} - The decided approval, or null if not found
+   */
+  decideApproval(approvalId, params) {
+    const approval = this.db.getApproval(approvalId);
+    if (!approval) {
+      return null;
+    }
+
+    this.recordDecision(approval, params);
+
+    const execution = this.db.getExecution(approval.execution_id);
+    if (execution.status === 'waiting_approval') {
+      if (!this.requeueExecution(execution)) {
+        throw new Error(`Queue entry for execution ${execution.id} no longer exists`);
+      }
+
+      this.db.updateExecution(execution.id, { status: 'pending' });
+    }
+
+    return this.db.getApproval(approvalId);
+  }
+
+  /**
+   * Store a decision on an approval and record it in the execution's events
+   * @param {Object} params - { decision: 'approve' | 'reject', actor, comment, timedOut }
+   */
+  recordDecision(approval, params) {
+    const { decision, actor, comment, timedOut = false } = params;
+    const status = decision === 'approve' ? 'approved' : 'rejected';
+
+    if (!this.db.decideApproval(approval.id, { status, decided_by: actor, comment })) {
+      throw new Error(`Approval ${approval.id} is already ${this.db.getApproval(approval.id).status}`);
+    }
+
+    this.db.createEvent({
+      execution_id: approval.execution_id,
+      event_type: 'approval_decided',
+      data: {
+        stepId: approval.step_id,
+        taskId: approval.task_id,
+        approvalId: approval.id,
+        decision: status,
+        actor,
+        comment: comment || null,
+        timedOut
+      }
+    });
+
+    logger.info('Approval decided', { approvalId: approval.id, executionId: approval.execution_id, decision: status, actor });
+  }
+
+  /**
+   * Merge per-execution options with workflow spec defaults
+   * @param {Object} workflowSpec - Workflow specification
+   * @param {Object} options - Options supplied at submission time
+   * @returns {Object} - { maxParallelism, failFast }
+   */
+  resolveExecutionOptions(workflowSpec, options = {}) {
+    const maxParallelism = options.maxParallelism
+      || workflowSpec.maxParallelism
+      || config.engine.maxParallelism;
+
+    let failFast = true;
+    if (options.failFast !== undefined) {
+      failFast = options.failFast;
+    } else if (workflowSpec.failFast !== undefined) {
+      failFast = workflowSpec.failFast;
+    }
+
+    return {
+      maxParallelism: Math.max(1, maxParallelism),
+      failFast
+    };
+  }
+
+  /**
+   * Run workflow steps, scheduling every step whose dependencies are satisfied
+   * concurrently (up to maxParallelism).
+   *
+   * With failFast, no new steps are started once a step fails; steps already
+   * in flight are awaited so their task records stay accurate. Without it,
+   * every step not downstream of the failure still runs before the error is
+   * rethrown. Steps failing under onError continue/skipDependents count as
+   * finished and never stop scheduling. Cancel and pause requests also stop
+   * scheduling; cancel aborts in-flight steps while pause lets them finish.
+   * Steps waiting on an approval or a timer hold back their dependents; once
+   * nothing else can run the execution is reported as waiting.
+   * @param {Set} settled - Step IDs already finished in an earlier run
+   * @returns {Promise<string>} - completed | paused | cancelled | waiting
+   */
+  async runSteps(executionId, workflowSpec, context, options, settled = new Set()) {
+    const { maxParallelism, failFast } = options;
+    const steps = workflowSpec.steps;
+    const control = this.activeExecutions.get(executionId) || { action: null };
+    const completed = new Set(settled);
+    const started = new Set(settled);
+    const running = new Map();
+    const waiting = new Set();
+    let firstError = null;
+
+    // Fail on specs the resolver cannot order before anything runs
+    DagResolver.resolve(workflowSpec);
+
+    while (true) {
+      this.applyControlRequest(executionId, control);
+      if ((!firstError || !failFast) && !control.action) {
+        const ready = DagResolver.getReadySteps(steps, completed)
+          .filter(step => !started.has(step.id));
+
+        for (const step of ready) {
+          if (running.size >= maxParallelism) {
+            break;
+          }
+
+          started.add(step.id);
+          running.set(step.id, this.executeStep(executionId, step, context)
+            .then(result => ({ stepId: step.id, waiting: result.status === 'waiting' }))
+            .catch(error => ({ stepId: step.id, error })));
+        }
+      }
+
+      if (running.size === 0) {
+        break;
+      }
+
+      const outcome = await Promise.race(running.values());
+      running.delete(outcome.stepId);
+
+      if (outcome.error) {
+        if (outcome.error.code !== 'EXECUTION_CANCELLED') {
+          firstError = firstError || outcome.error;
+        }
+      } else if (outcome.waiting) {
+        waiting.add(outcome.stepId);
+      } else {
+        completed.add(outcome.stepId);
+      }
+    }
+
+    if (control.action === 'cancel') {
+      return 'cancelled';
+    }
+
+    if (firstError) {
+      // Completion order, so side effects can be compensated in reverse
+      firstError.completedSteps = Array.from(completed)
+        .filter(stepId => !context.steps[stepId]?.skipped && !context.steps[stepId]?.failed);
+      throw firstError;
+    }
+
+    if (control.action === 'pause' && completed.size < steps.length) {
+      return 'paused';
+    }
+
+    if (waiting.size > 0) {
+      return 'waiting';
+    }
+
+    return 'completed';
+  }
+
+  /**
+   * Decide whether a step should be skipped
+   * A dependency that failed under onError skipDependents always skips the
+   * step. A skipped dependency skips the step too unless it sets
+   * allowSkippedNeeds; otherwise the step's `when` condition decides.
+   * @returns {string|null} - Skip reason, or null when the step should run
+   */
+  getSkipReason(step, context) {
+    const failedNeeds = (step.needs || []).filter(depId => context.steps[depId]?.skipDependents);
+    if (failedNeeds.length > 0) {
+      return `dependency failed: ${failedNeeds.join(', ')}`;
+    }
+
+    const skippedNeeds = (step.needs || []).filter(depId => context.steps[depId]?.skipped);
+    if (skippedNeeds.length > 0 && !step.allowSkippedNeeds) {
+      return `dependency skipped: ${skippedNeeds.join(', ')}`;
+    }
+
+    if (!this.executor.evaluateCondition(step, context)) {
+      return 'condition not met';
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a step as skipped
+   */
+  skipStep(executionId, step, taskId, context, reason) {
+    logger.info('Skipping step', { executionId, stepId: step.id, taskId, reason });
+
+    context.steps[step.id] = { result: null, skipped: true };
+
+    this.db.updateTask(taskId, { status: 'skipped' });
+    this.db.createEvent({
+      execution_id: executionId,
+      event_type: 'step_skipped',
+      data: { stepId: step.id, taskId, reason }
+    });
+
+    return { status: 'skipped' };
+  }
+
+  /**
+   * Execute a single step and record its task and events
+   * A step that suspended the execution (approval, sleep, waitUntil) keeps
+   * its task and picks up where it left off.
+   * A failure is rethrown unless the step's onError tolerates it.
+   * @returns {Promise<Object>} - { status: 'completed' | 'skipped' | 'waiting' | 'failed', result }
+   */
+  async executeStep(executionId, step, context) {
+    const stepId = step.id;
+    const suspended = step.type ? this.getSuspendedTask(executionId, stepId) : null;
+
+    // Create task record (built-in step types are recorded under the orchestrator plugin)
+    const taskId = suspended ? suspended.id : uuidv4();
+    if (!suspended) {
+      this.db.createTask({
+        id: taskId,
+        execution_id: executionId,
+        step_id: step.id,
+        plugin_id: step.type ? BUILTIN_PLUGIN : step.plugin,
+        action: step.type || step.action,
+        input: step.input || {}
+      });
+    }
+
+    try {
+      if (!suspended) {
+        const skipReason = this.getSkipReason(step, context);
+        if (skipReason) {
+          return this.skipStep(executionId, step, taskId, context, skipReason);
+        }
+
+        logger.info('Executing step', { executionId, stepId, taskId });
+
+        // Update task status
+        this.db.updateTask(taskId, { status: 'running', node_id: this.nodeId });
+        this.db.createEvent({
+          execution_id: executionId,
+          event_type: 'step_started',
+          data: { stepId, taskId }
+        });
+      }
+
+      // Execute step (fanning out per item for forEach and matrix steps)
+      const attempts = this.createAttemptTracker(executionId, stepId, taskId);
+      let outcome;
+      if (['approval', 'sleep', 'waitUntil'].includes(step.type)) {
+        outcome = step.type === 'approval'
+          ? this.executeApproval(executionId, step, taskId, context, suspended)
+          : this.executeTimer(executionId, step, taskId, context, suspended);
+        if (outcome.waiting) {
+          return { status: 'waiting' };
+        }
+        // Built-in steps run once; only plugin calls go through attempts
+        attempts.count = 1;
+      } else if (step.type === 'workflow') {
+        outcome = { result: await this.executeSubWorkflow(executionId, step, taskId, context) };
+        attempts.count = 1;
+      } else if (step.forEach || step.matrix) {
+        outcome = await this.executeForEach(executionId, step, taskId, context);
+      } else {
+        outcome = { result: await this.executor.execute(step, context, attempts) };
+      }
+      const { result, errors, items } = outcome;
+
+      // Store result in context; the task keeps a reference if it was offloaded
+      context.steps[stepId] = errors ? { result, errors } : { result };
+      const stored = await this.artifacts.store(`${executionId}/${taskId}`, result);
+      if (ArtifactStore.isReference(stored)) {
+        context.artifacts = { ...context.artifacts, [stepId]: stored };
+      }
+
+      // Update task
+      this.db.updateTask(taskId, {
+        status: 'completed',
+        result: stored,
+        attempts: errors ? 1 : attempts.count,
+        ...(errors && errors.length > 0 && { error: `${errors.length} of ${items} items failed` })
+      });
+
+      this.db.createEvent({
+        execution_id: executionId,
+        event_type: 'step_completed',
+        data: errors ? { stepId, taskId, items, failedItems: errors.length } : { stepId, taskId }
+      });
+
+      return { status: 'completed', result };
+    } catch (error) {
+      if (error.code === 'EXECUTION_CANCELLED') {
+        logger.info('Step cancelled', { executionId, stepId });
+
+        this.db.updateTask(taskId, { status: 'cancelled', error: error.message });
+        this.db.createEvent({
+          execution_id: executionId,
+          event_type: 'step_cancelled',
+          data: { stepId, taskId }
+        });
+
+        throw error;
+      }
+
+      const onError = step.onError || 'fail';
+      logger.error('Step failed', { executionId, stepId, error: error.message, onError });
+
+      this.db.updateTask(taskId, {
+        status: 'failed',
+        error: error.message
+      });
+
+      this.db.createEvent({
+        execution_id: executionId,
+        event_type: 'step_failed',
+        data: { stepId, taskId, error: error.message, onError }
+      });
+
+      if (TOLERATED_ERROR_POLICIES.includes(onError)) {
+        context.steps[stepId] = WorkflowEngine.failedStepContext(onError, error.message);
+        return { status: 'failed', error: error.message };
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Context entry of a step whose failure was tolerated
+   * Dependents can read `steps.<id>.error`.
+   */
+  static failedStepContext(onError, message) {
+    return {
+      result: null,
+      error: message,
+      failed: true,
+      ...(onError === 'skipDependents' && { skipDependents: true })
+    };
+  }
+
+  /**
+   * Find the task of a step that suspended the execution in an earlier run
+   * @returns {Object|null}
+   */
+  getSuspendedTask(executionId, stepId) {
+    return this.db.getTasksByExecution(executionId).find(task => task.step_id === stepId
+      && !task.parent_task_id && SUSPENDED_STATUSES.includes(task.status)) || null;
+  }
+
+  /**
+   * Ask for, or check on, the decision of an approval step
+   * The first run records a pending approval and leaves the task in
+   * waiting_approval. Later runs apply the timeout action once the deadline
+   * has passed; an approval yields { approved, actor, comment, decidedAt }
+   * as the step result and a rejection fails the step.
+   * @param {Object|null} suspended - Task left waiting by an earlier run
+   * @returns {Object} - { waiting: true } or { result }
+   */
+  executeApproval(executionId, step, taskId, context, suspended) {
+    let approval = suspended ? this.db.getApprovalForStep(executionId, step.id) : null;
+    if (!approval) {
+      let message;
+      let details;
+      try {
+        message = step.message ? this.executor.resolveInput(step.message, context) : null;
+        details = this.executor.resolveInput(step.input || {}, context);
+      } catch (error) {
+        error.message = `Invalid input for step "${step.id}": ${error.message}`;
+        throw error;
+      }
+
+      const approvalId = uuidv4();
+      const expiresAt = step.timeoutSeconds
+        ? new Date(Date.now() + step.timeoutSeconds * 1000).toISOString()
+        : null;
+
+      this.db.createApproval({
+        id: approvalId,
+        execution_id: executionId,
+        task_id: taskId,
+        step_id: step.id,
+        message: message === null ? null : String(message),
+        details,
+        on_timeout: step.onTimeout || 'reject',
+        expires_at: expiresAt
+      });
+      this.db.updateTask(taskId, { status: 'waiting_approval' });
+      this.db.createEvent({
+        execution_id: executionId,
+        event_type: 'approval_requested',
+        data: { stepId: step.id, taskId, approvalId, message, expiresAt }
+      });
+
+      logger.info('Approval requested', { executionId, stepId: step.id, approvalId, expiresAt });
+      return { waiting: true };
+    }
+
+    if (approval.status === 'pending' && approval.expires_at && new Date(approval.expires_at) <= new Date()) {
+      this.recordDecision(approval, {
+        decision: approval.on_timeout,
+        actor: 'system',
+        comment: `No decision within ${step.timeoutSeconds} seconds`,
+        timedOut: true
+      });
+      approval = this.db.getApproval(approval.id);
+    }
+
+    if (approval.status === 'pending') {
+      return { waiting: true };
+    }
+
+    if (approval.status !== 'approved') {
+      const reason = approval.comment ? `: ${approval.comment}` : '';
+      const error = new Error(`Approval "${step.id}" ${approval.status} by ${approval.decided_by || 'system'}${reason}`);
+      error.code = 'APPROVAL_REJECTED';
+      throw error;
+    }
+
+    this.db.updateTask(taskId, { status: 'running', node_id: this.nodeId });
+    return {
+      result: {
+        approved: true,
+        actor: approval.decided_by,
+        comment: approval.comment,
+        decidedAt: approval.decided_at
+      }
+    };
+  }
+
+  /**
+   * Start, or check on, a sleep or waitUntil step
+   * The wake time is stored on the task (wake_at) and the task left in
+   * sleeping; the execution is suspended and continues from the queue once
+   * it is due. `seconds` and `until` may be templates. The step result is
+   * { wakeAt }.
+   * @param {Object|null} suspended - Task left sleeping by an earlier run
+   * @returns {Object} - { waiting: true } or { result }
+   */
+  executeTimer(executionId, step, taskId, context, suspended) {
+    let wakeAt = suspended ? suspended.wake_at : null;
+
+    if (!wakeAt) {
+      let value;
+      try {
+        value = this.executor.resolveInput(step.type === 'sleep' ? step.seconds : step.until, context);
+      } catch (error) {
+        error.message = `Invalid input for step "${step.id}": ${error.message}`;
+        throw error;
+      }
+
+      let time;
+      if (step.type === 'sleep') {
+        const seconds = Number(value);
+        if (value === null || value === '' || !Number.isFinite(seconds) || seconds < 0) {
+          throw new Error(`Step "${step.id}" seconds must be a non-negative number, got ${JSON.stringify(value)}`);
+        }
+        time = Date.now() + seconds * 1000;
+      } else {
+        time = value === null || value === '' ? NaN : new Date(value).getTime();
+        if (Number.isNaN(time)) {
+          throw new Error(`Step "${step.id}" until must be a date, got ${JSON.stringify(value)}`);
+        }
+      }
+      wakeAt = new Date(time).toISOString();
+
+      if (time > Date.now()) {
+        this.db.updateTask(taskId, { status: 'sleeping', wake_at: wakeAt });
+        this.db.createEvent({
+          execution_id: executionId,
+          event_type: 'step_sleeping',
+          data: { stepId: step.id, taskId, wakeAt }
+        });
+
+        logger.info('Step sleeping', { executionId, stepId: step.id, wakeAt });
+        return { waiting: true };
+      }
+    }
+
+    if (new Date(wakeAt) > new Date()) {
+      return { waiting: true };
+    }
+
+    this.db.updateTask(taskId, { status: 'running', node_id: this.nodeId });
+    return { result: { wakeAt } };
+  }
+
+  /**
+   * Run a registered workflow as a step and wait for it
+   * The child execution is linked to this step's task and processed inline
+   * (waiting for a queue worker could deadlock once every worker holds a
+   * parent). Its outputs, or all its step results when it declares none,
+   * become the step result. Cancelling the parent cancels the child.
+   * @returns {Promise<*>} - Child execution result
+   */
+  async executeSubWorkflow(executionId, step, taskId, context) {
+    const workflow = this.registry.resolve(step.workflow, step.version);
+    if (!workflow) {
+      throw new Error(`Sub-workflow "${step.workflow}"${step.version ? ` version ${step.version}` : ''} is not registered`);
+    }
+
+    const chain = this.getWorkflowChain(executionId);
+    if (chain.includes(workflow.name)) {
+      throw new Error(`Sub-workflow cycle detected: ${[...chain, workflow.name].join(' -> ')}`);
+    }
+    if (chain.length >= config.engine.maxWorkflowDepth) {
+      throw new Error(`Sub-workflow nesting exceeds ${config.engine.maxWorkflowDepth} levels`);
+    }
+
+    let inputs;
+    try {
+      inputs = this.executor.resolveInput(step.input || {}, context);
+    } catch (error) {
+      error.message = `Invalid input for step "${step.id}": ${error.message}`;
+      throw error;
+    }
+
+    const child = this.startExecution(workflow, {
+      inputs,
+      parent: { executionId, taskId },
+      trigger: { type: 'workflow', executionId, stepId: step.id }
+    });
+
+    this.db.createEvent({
+      execution_id: executionId,
+      event_type: 'subworkflow_started',
+      data: { stepId: step.id, taskId, childExecutionId: child.executionId, name: workflow.name, version: workflow.version }
+    });
+
+    const control = this.activeExecutions.get(executionId);
+    const signal = control ? control.controller.signal : null;
+    const onAbort = () => {
+      try {
+        this.cancelExecution(child.executionId);
+      } catch (error) {
+        logger.warn('Failed to cancel sub-workflow', { executionId: child.executionId, error: error.message });
+      }
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      await this.processExecution(this.executionPayload(this.db.getExecution(child.executionId)));
+    } catch (error) {
+      throw new Error(`Sub-workflow "${workflow.name}" failed: ${error.message}`);
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+
+    const finished = this.db.getExecution(child.executionId);
+    if (finished.status === 'cancelled' && signal && signal.aborted) {
+      throw StepExecutor.cancellationError(step);
+    }
+    if (['waiting_approval', 'sleeping'].includes(finished.status)) {
+      // The parent holds a queue worker while the child runs inline, so it cannot wait
+      this.cancelExecution(child.executionId);
+      throw new Error(`Sub-workflow "${workflow.name}" suspended (${finished.status}); approval and timer steps cannot run in sub-workflows`);
+    }
+    if (!['completed', 'completed_with_errors'].includes(finished.status)) {
+      throw new Error(`Sub-workflow "${workflow.name}" ended with status "${finished.status}"`);
+    }
+
+    // Offloaded child results (its outputs or step results) are read back
+    return this.artifacts.hydrate(finished.result);
+  }
+
+  /**
+   * Names of the workflows from the root execution down to this one
+   * @returns {Array<string>}
+   */
+  getWorkflowChain(executionId) {
+    const chain = [];
+    let execution = this.db.getExecution(executionId);
+
+    while (execution) {
+      chain.unshift(this.db.getWorkflow(execution.workflow_id).name);
+      execution = execution.parent_execution_id ? this.db.getExecution(execution.parent_execution_id) : null;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Build the attempt callbacks handed to StepExecutor.execute
+   * Keeps tasks.attempts current, records a step_attempt_failed event per
+   * failed attempt and a step_cache_hit event when a cached result is
+   * reused, and carries the execution's cancellation signal.
+   */
+  createAttemptTracker(executionId, stepId, taskId) {
+    const control = this.activeExecutions.get(executionId);
+    const tracker = {
+      count: 0,
+      signal: control ? control.controller.signal : undefined,
+      onAttemptStart: (attempt) => {
+        tracker.count = attempt;
+        this.db.updateTask(taskId, { attempts: attempt });
+      },
+      onAttemptFailed: ({ attempt, maxAttempts, error, errorClass, willRetry, delayMs }) => {
+        this.db.createEvent({
+          execution_id: executionId,
+          event_type: 'step_attempt_failed',
+          data: { stepId, taskId, attempt, maxAttempts, error: error.message, errorClass, willRetry, delayMs }
+        });
+      },
+      onCacheHit: (key) => {
+        this.db.createEvent({
+          execution_id: executionId,
+          event_type: 'step_cache_hit',
+          data: { stepId, taskId, key }
+        });
+      }
+    };
+
+    return tracker;
+  }
+
+  /**
+   * Run a forEach step once per item, with at most `concurrency` items in flight
+   * A matrix step runs the same way once per parameter combination, and its
+   * result maps each combination's key (see StepExecutor.matrixKey) to the
+   * result of that run.
+   *
+   * With onItemError "fail" (default) no new items start after a failure and
+   * the first error is rethrown. With "collect" every item runs; failed items
+   * leave null in the result and are listed in `errors`.
+   * @returns {Promise<Object>} - { result: Array | Object, errors: Array, items: number }
+   */
+  async executeForEach(executionId, step, parentTaskId, context) {
+    const items = step.matrix
+      ? StepExecutor.matrixCombinations(step.matrix)
+      : this.executor.resolveItems(step, context);
+    const concurrency = step.concurrency || config.engine.maxParallelism;
+    const collect = step.onItemError === 'collect';
+    const results = new Array(items.length).fill(null);
+    const errors = [];
+    let firstError = null;
+    let next = 0;
+
+    logger.info(`Fanning out ${step.matrix ? 'matrix' : 'forEach'} step`, { executionId, stepId: step.id, items: items.length, concurrency });
+
+    const control = this.activeExecutions.get(executionId) || {};
+
+    const worker = async () => {
+      while (next < items.length && (collect || !firstError) && control.action !== 'cancel') {
+        const index = next++;
+        try {
+          results[index] = await this.executeItem(executionId, step, parentTaskId, items[index], index, context);
+        } catch (error) {
+          if (error.code === 'EXECUTION_CANCELLED') {
+            throw error;
+          }
+          errors.push({
+            index,
+            ...(step.matrix && { key: StepExecutor.matrixKey(items[index]) }),
+            error: error.message
+          });
+          firstError = firstError || error;
+        }
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, worker);
+    await Promise.all(workers);
+
+    if (control.action === 'cancel') {
+      throw StepExecutor.cancellationError(step);
+    }
+
+    if (firstError && !collect) {
+      throw firstError;
+    }
+
+    errors.sort((a, b) => a.index - b.index);
+    const result = step.matrix
+      ? Object.fromEntries(items.map((combination, index) => [StepExecutor.matrixKey(combination), results[index]]))
+      : results;
+    return { result, errors, items: items.length };
+  }
+
+  /**
+   * Execute one item of a forEach step (or one combination of a matrix
+   * step) as its own child task
+   */
+  async executeItem(executionId, step, parentTaskId, item, index, context) {
+    const stepId = step.id;
+    const taskId = uuidv4();
+
+    this.db.createTask({
+      id: taskId,
+      execution_id: executionId,
+      step_id: `${stepId}[${step.matrix ? StepExecutor.matrixKey(item) : index}]`,
+      plugin_id: step.plugin,
+      action: step.action,
+      input: step.input || {},
+      parent_task_id: parentTaskId,
+      item_index: index
+    });
+    this.db.updateTask(taskId, { status: 'running', node_id: this.nodeId });
+
+    try {
+      const attempts = this.createAttemptTracker(executionId, stepId, taskId);
+      const scope = step.matrix ? { matrix: item } : { forEach: { item, index } };
+      const result = await this.executor.execute(step, { ...context, ...scope }, attempts);
+
+      this.db.updateTask(taskId, {
+        status: 'completed',
+        result: await this.artifacts.store(`${executionId}/${taskId}`, result),
+        attempts: attempts.count
+      });
+      this.db.createEvent({
+        execution_id: executionId,
+        event_type: 'step_item_completed',
+        data: { stepId, taskId, index }
+      });
+
+      return result;
+    } catch (error) {
+      if (error.code === 'EXECUTION_CANCELLED') {
+        this.db.updateTask(taskId, { status: 'cancelled', error: error.message });
+        throw error;
+      }
+
+      logger.error('Step item failed', { executionId, stepId, index, error: error.message });
+
+      this.db.updateTask(taskId, { status: 'failed', error: error.message });
+      this.db.createEvent({
+        execution_id: executionId,
+        event_type: 'step_item_failed',
+        data: { stepId, taskId, index, error: error.message }
+      });
+
       throw error;
     }
   }
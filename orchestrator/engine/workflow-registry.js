@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const DagResolver = require('./dag-resolver');
+const logger = require('../config/logger');
+
+/**
+ * Workflow registry
+ * Stores workflow definitions by name as immutable, numbered versions.
+ * Each version is a row in `workflows` (so executions point at the exact
+ * spec they ran); `workflow_definitions` tracks the latest version per name.
+ */
+class WorkflowRegistry {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Serialize a value to JSON with object keys sorted
+   * @param {*} value
+   * @returns {string}
+   */
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(v => WorkflowRegistry.canonicalize(v === undefined ? null : v)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${WorkflowRegistry.canonicalize(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Content hash of a workflow spec (sha256 of its canonical JSON)
+   * @param {Object} spec
+   * @returns {string}
+   */
+  static hashSpec(spec) {
+    return crypto.createHash('sha256').update(WorkflowRegistry.canonicalize(spec)).digest('hex');
+  }
+
+  /**
+   * Create a workflow definition, or add a version to an existing one
+   * Registering a spec identical to the latest version is a no-op.
+   * @param {Object} spec - Workflow specification (spec.name is the registry name)
+   * @returns {Object} - { name, version, hash, workflowId, created }
+   */
+  register(spec) {
+    const validation = DagResolver.validate(spec);
+    if (!validation.valid) {
+      throw new Error(`Invalid workflow: ${validation.errors.join(', ')}`);
+    }
+
+    const { name, description } = spec;
+    const hash = WorkflowRegistry.hashSpec(spec);
+
+    return this.db.transaction(() => {
+      const definition = this.db.getWorkflowDefinition(name);
+
+      if (definition) {
+        const latest = this.db.getWorkflowVersion(name, definition.latest_version);
+        if (latest && latest.hash === hash) {
+          return { name, version: latest.version, hash, workflowId: latest.id, created: false };
+        }
+      }
+
+      const version = this.db.getMaxWorkflowVersion(name) + 1;
+      const workflowId = uuidv4();
+      this.db.createWorkflow({ id: workflowId, name, spec, version, hash });
+
+      if (definition) {
+        this.db.updateWorkflowDefinition(name, { latest_version: version, description: description || null });
+      } else {
+        this.db.createWorkflowDefinition({ name, description, latest_version: version });
+      }
+
+      logger.info('Workflow version registered', { name, version, hash });
+
+      return { name, version, hash, workflowId, created: true };
+    });
+  }
+
+  /**
+   * List workflow definitions
+   */
+  list() {
+    return this.db.listWorkflowDefinitions();
+  }
+
+  /**
+   * Get a workflow definition with its latest spec and version history
+   * @returns {Object|null}
+   */
+  get(name) {
+    const definition = this.db.getWorkflowDefinition(name);
+    if (!definition) {
+      return null;
+    }
+
+    const latest = this.db.getWorkflowVersion(name, definition.latest_version);
+
+    return {
+      ...definition,
+      spec: latest.spec,
+      hash: latest.hash,
+      versions: this.db.listWorkflowVersions(name)
+    };
+  }
+
+  /**
+   * Resolve the workflow row to run for a name
+   * @param {string} name - Workflow name
+   * @param {number} [version] - Pinned version; latest when omitted
+   * @returns {Object|null} - Workflow row ({ id, name, version, hash, spec })
+   */
+  resolve(name, version) {
+    const definition = this.db.getWorkflowDefinition(name);
+    if (!definition) {
+      return null;
+    }
+
+    return this.db.getWorkflowVersion(name, version || definition.latest_version);
+  }
+
+  /**
+   * Delete a workflow definition
+   * Version rows are kept so past executions still resolve to their spec;
+   * a later definition with the same name continues the version numbering.
+   * @returns {boolean} - false if no definition had that name
+   */
+  delete(name) {
+    const deleted = this.db.deleteWorkflowDefinition(name);
+    if (deleted) {
+      logger.info('Workflow definition deleted', { name });
+    }
+    return deleted;
+  }
+}
+
+module.exports = WorkflowRegistry;
+
+// Nicolas Larenas, nlarchive
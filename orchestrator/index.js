@@ -1,6 +1,10 @@
 const express = require('express');
 const DatabaseClient = require('./db/client');
 const WorkflowEngine = require('./engine/workflow-engine');
+const Scheduler = require('./engine/scheduler');
+const TriggerManager = require('./engine/trigger-manager');
+const LeaderElection = require('./engine/leader-election');
+const NatsWrapper = require('./plugins/nats-wrapper');
 const { createRouter } = require('./api/router');
 const { loggingMiddleware, errorMiddleware } = require('./api/middleware');
 const config = require('./config/env');
@@ -17,6 +21,11 @@ class Orchestrator {
   constructor() {
     this.db = null;
     this.engine = null;
+    this.scheduler = null;
+    this.triggers = null;
+    this.triggerNats = null;
+    this.leader = null;
+    this.triggerRefreshInterval = null;
     this.app = null;
     this.server = null;
   }
@@ -34,10 +43,27 @@ class Orchestrator {
       this.db.initialize();
       logger.info('Database initialized', { path: config.db.path });
 
+      // Leader election: instances sharing the database all process the
+      // queue, but only the leader runs cleanup, schedules, triggers and the streamer
+      this.leader = new LeaderElection(this.db, { nodeId: config.node.id });
+
       // Initialize workflow engine
-      this.engine = new WorkflowEngine(this.db);
+      this.engine = new WorkflowEngine(this.db, { nodeId: config.node.id, leader: this.leader });
       this.engine.start();
-      logger.info('Workflow engine started');
+      logger.info('Workflow engine started', { nodeId: config.node.id });
+
+      // Initialize scheduler (cron / interval runs of registered workflows; started once elected)
+      this.scheduler = new Scheduler(this.db, this.engine);
+
+      // Initialize event triggers (NATS subjects and streamer data)
+      try {
+        this.triggerNats = new NatsWrapper({ url: config.nats.url });
+        await this.triggerNats.connect();
+      } catch (err) {
+        logger.warn('NATS unavailable for triggers; only streamer triggers will fire', { error: err.message });
+        this.triggerNats = null;
+      }
+      this.triggers = new TriggerManager(this.db, this.engine, { nats: this.triggerNats });
 
       // Initialize streamer system
       const streamerName = process.env.STREAMER || 'mock';
@@ -52,9 +78,11 @@ class Orchestrator {
         
         // Wire streamer events to handle transaction ingestion
         streamerManager.on('data', (tx) => {
-          // In a real system, this would pass to the fraud detection pipeline
           logger.debug('Streamer emitted transaction', { tx_id: tx.id, amount: tx.amount });
-          // TODO: Integrate with realtime ingestion pipeline when available
+          // Start workflows for streamer triggers whose filter matches
+          this.triggers.handleStreamerEvent(tx).catch((err) => {
+            logger.error('Streamer trigger dispatch failed', { error: err.message });
+          });
         });
 
         streamerManager.on('error', (err) => {
@@ -74,9 +102,8 @@ class Orchestrator {
 
       // Initialize NATS metrics collector
       try {
-        const natsUrl = process.env.NATS_URL || 'nats://nats:4222';
-        await natsMetrics.initNatsMetrics(natsUrl);
-        logger.info('NATS metrics collector initialized', { natsUrl });
+        await natsMetrics.initNatsMetrics(config.nats.url);
+        logger.info('NATS metrics collector initialized', { natsUrl: config.nats.url });
       } catch (err) {
         logger.warn('Failed to initialize NATS metrics', { error: err.message });
         // Don't fail startup if NATS metrics unavailable
@@ -119,7 +146,7 @@ class Orchestrator {
       });
 
       // Routes
-      const router = createRouter(this.db, this.engine);
+      const router = createRouter(this.db, this.engine, this.scheduler, this.triggers);
       this.app.use('/api', router);
 
       // Error handling
@@ -134,16 +161,10 @@ class Orchestrator {
         });
       });
 
-      // Start streamer if loaded
-      try {
-        if (streamerManager.isLoaded()) {
-          await streamerManager.start();
-          logger.info('Streamer started successfully');
-        }
-      } catch (err) {
-        logger.error('Failed to start streamer', { error: err.message });
-        // Don't crash the app; continue with other services
-      }
+      // Run leader-only work while this instance holds the lease
+      this.leader.on('elected', () => this.startLeaderWork());
+      this.leader.on('demoted', () => this.stopLeaderWork());
+      this.leader.start();
 
       // Track process uptime
       const startTime = Date.now();
@@ -261,10 +282,52 @@ class Orchestrator {
     }
   }
 
-  async stop() {
-    logger.info('Stopping orchestrator');
+  /**
+   * Start the work only the leader runs: schedules, triggers and the streamer
+   * (the engine's hourly cleanup checks leadership itself)
+   */
+  async startLeaderWork() {
+    logger.info('Starting leader-only work', { nodeId: config.node.id });
+    this.scheduler.start();
+
+    try {
+      await this.triggers.start();
+      // Pick up triggers created or edited through other instances
+      this.triggerRefreshInterval = setInterval(() => {
+        this.triggers.refresh().catch((err) => {
+          logger.error('Trigger refresh failed', { error: err.message });
+        });
+      }, config.scheduler.tickMs);
+    } catch (err) {
+      logger.error('Failed to start triggers', { error: err.message });
+    }
+
+    try {
+      if (streamerManager.isLoaded()) {
+        await streamerManager.start();
+        logger.info('Streamer started successfully');
+      }
+    } catch (err) {
+      logger.error('Failed to start streamer', { error: err.message });
+      // Don't crash the app; continue with other services
+    }
+  }
+
+  /**
+   * Stop leader-only work after losing (or giving up) the lease
+   */
+  async stopLeaderWork() {
+    logger.info('Stopping leader-only work', { nodeId: config.node.id });
+    this.scheduler.stop();
+    clearInterval(this.triggerRefreshInterval);
+    this.triggerRefreshInterval = null;
+
+    try {
+      await this.triggers.stop();
+    } catch (err) {
+      logger.error('Error stopping triggers', { error: err.message });
+    }
 
-    // Stop streamer first
     try {
       if (streamerManager.isLoaded()) {
         await streamerManager.stop();
@@ -273,6 +336,20 @@ class Orchestrator {
     } catch (err) {
       logger.error('Error stopping streamer', { error: err.message });
     }
+  }
+
+  async stop() {
+    logger.info('Stopping orchestrator');
+
+    // Stop leader-only work first and hand the lease to another instance
+    if (this.leader) {
+      const wasLeader = this.leader.isLeader;
+      this.leader.removeAllListeners();
+      this.leader.stop();
+      if (wasLeader) {
+        await this.stopLeaderWork();
+      }
+    }
 
     // Stop NATS metrics collector
     try {
@@ -292,6 +369,14 @@ class Orchestrator {
       });
     }
 
+    if (this.triggerNats) {
+      try {
+        await this.triggerNats.disconnect();
+      } catch (err) {
+        logger.error('Error disconnecting trigger NATS client', { error: err.message });
+      }
+    }
+
     // Stop workflow engine (allows current tasks to complete)
     if (this.engine) {
       logger.info('Stopping workflow engine');
@@ -77,7 +77,7 @@ class MinIOWrapper {
     }
   }
 
-  async putObject(input) {
+  async putObject(input, { signal } = {}) {
     const { key, data, metadata = {} } = input;
     if (!this.client) throw new Error('MinIO not connected');
     if (!key) throw new Error('Object key is required for putObject');
@@ -92,7 +92,7 @@ class MinIOWrapper {
         Metadata: metadata
       });
       
-      const result = await this.client.send(command);
+      const result = await this.client.send(command, { abortSignal: signal });
       console.log(`[MINIO] Uploaded ${key}:`, result.ETag);
       return { success: true, key, etag: result.ETag };
     } catch (err) {
@@ -119,6 +119,23 @@ class MinIOWrapper {
     }
   }
 
+  async getObjectStream(key) {
+    if (!this.client) throw new Error('MinIO not connected');
+    try {
+      const command = new GetObjectCommand({
+        Bucket: this.config.bucket,
+        Key: key
+      });
+
+      const result = await this.client.send(command);
+      console.log(`[MINIO] Streaming ${key}:`, result.ContentLength, 'bytes');
+      return result.Body;
+    } catch (err) {
+      console.error(`[MINIO] Download failed for ${key}:`, err.message);
+      throw err;
+    }
+  }
+
   async listObjects(prefix = '', maxKeys = 100) {
     if (!this.client) throw new Error('MinIO not connected');
     try {
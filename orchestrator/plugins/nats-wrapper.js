@@ -60,13 +60,15 @@ class NatsWrapper {
     }
   }
 
-  async publish(input) {
+  async publish(input, { signal } = {}) {
     const { subject, message } = input;
     if (!this.nc) throw new Error('NATS not connected');
     if (!subject) throw new Error('Subject is required for publish');
     if (message === undefined) throw new Error('Message is required for publish');
     
     try {
+      // A message cannot be recalled once sent: an aborted call only stops before sending
+      signal?.throwIfAborted();
       // Try to use JetStream for publish to get message ID
       if (this.js) {
         const msg = typeof message === 'object' ? nats.JSONCodec().encode(message) :
@@ -84,6 +86,7 @@ class NatsWrapper {
               // Extract stream name from subject (use first part before first dot, or 'events' as fallback)
               const streamName = subject.split('.')[0] || 'events';
               await this.streamAdd(streamName, [subject]);
+              signal?.throwIfAborted();
               // Retry publish after creating stream
               const pubAck = await this.js.publish(subject, msg);
               console.log(`[NATS] Published to ${subject} (after stream creation)`);
@@ -143,7 +146,7 @@ class NatsWrapper {
               for await (const msg of sub) {
                 try {
                   const data = msg.data ? JSON.parse(new TextDecoder().decode(msg.data)) : null;
-                  await callback(null, data);
+                  await callback(null, data, msg.subject);
                   msg.ack();
                 } catch (err) {
                   msg.nak();
@@ -174,7 +177,7 @@ class NatsWrapper {
             try {
               const data = msg.data ? JSON.parse(new TextDecoder().decode(msg.data)) : null;
               console.log(`[NATS] Core subscription received message for ${subject}:`, data);
-              await callback(null, data);
+              await callback(null, data, msg.subject);
             } catch (parseErr) {
               console.log(`[NATS] Core subscription parse/error for ${subject}:`, parseErr.message);
               await callback(parseErr, null);
@@ -196,6 +199,22 @@ class NatsWrapper {
     }
   }
 
+  async unsubscribe(subject) {
+    const sub = this.subscriptions.get(subject);
+    if (!sub) {
+      return false;
+    }
+
+    try {
+      await sub.unsubscribe();
+    } catch (err) {
+      console.error(`[NATS] Error unsubscribing from ${subject}:`, err.message);
+    }
+    this.subscriptions.delete(subject);
+    console.log(`[NATS] Unsubscribed from ${subject}`);
+    return true;
+  }
+
   async streamAdd(streamName, subjects) {
     if (!this.jsm) {
       console.log(`[NATS] Stream support may not be available in this NATS version`);
@@ -32,7 +32,7 @@ class PathwayWrapper {
     console.log('[PATHWAY] Disconnected');
   }
 
-  async runPipeline(input) {
+  async runPipeline(input, { signal } = {}) {
     const { pipelineId, input: pipelineInput } = input;
     if (!pipelineId) throw new Error('Pipeline ID is required for runPipeline');
     
@@ -42,7 +42,7 @@ class PathwayWrapper {
       const response = await this.client.post(`/pipelines/${pipelineId}/run`, {
         input: pipelineInput,
         timestamp: new Date().toISOString()
-      });
+      }, { signal });
       
       const { executionId, status } = response.data;
       console.log(`[PATHWAY] Pipeline ${pipelineId} started: execution ${executionId}`);
@@ -48,7 +48,12 @@ class PostgresWrapper {
     }
   }
 
-  async query(sql, params = []) {
+  /**
+   * Run a query, retrying failures `config.retries` times
+   * An aborted `signal` cancels the running query on the server (rolling the
+   * statement back) and stops further retries.
+   */
+  async query(sql, params = [], { signal } = {}) {
     if (!this.sql) throw new Error('PostgreSQL not connected');
 
     const maxRetries = Number.isInteger(this.config.retries) ? this.config.retries : 0;
@@ -56,11 +61,17 @@ class PostgresWrapper {
     let attempt = 0;
 
     while (true) {
+      signal?.throwIfAborted();
+      const pending = this.sql.unsafe(sql, params);
+      const cancel = () => pending.cancel();
+      signal?.addEventListener('abort', cancel, { once: true });
+
       try {
-        const result = await this.sql.unsafe(sql, params);
+        const result = await pending;
         console.log(`[POSTGRES] Query executed, rows: ${Array.isArray(result) ? result.length : 1}`);
         return result;
       } catch (err) {
+        signal?.throwIfAborted();
         attempt += 1;
         if (attempt > maxRetries) {
           console.error('[POSTGRES] Query failed:', err.message);
@@ -70,6 +81,8 @@ class PostgresWrapper {
         const delay = baseDelay * Math.pow(2, attempt - 1);
         console.warn(`[POSTGRES] Query attempt ${attempt} failed, retrying in ${delay}ms:`, err.message);
         await new Promise(resolve => setTimeout(resolve, delay));
+      } finally {
+        signal?.removeEventListener('abort', cancel);
       }
     }
   }
@@ -95,7 +108,7 @@ class PostgresWrapper {
     return table;
   }
 
-  async insert(input) {
+  async insert(input, { signal } = {}) {
     const { table, data } = input;
     if (!this.sql) throw new Error('PostgreSQL not connected');
     if (!table) throw new Error('Table name is required for insert');
@@ -109,7 +122,7 @@ class PostgresWrapper {
       const placeholders = columns.map((_, i) => `$${i + 1}`).join(',');
       
       const sql = `INSERT INTO ${validatedTable} (${columns.join(',')}) VALUES (${placeholders}) RETURNING *`;
-      const result = await this.query(sql, values);
+      const result = await this.query(sql, values, { signal });
       console.log(`[POSTGRES] Inserted into ${validatedTable}:`, result);
       return result;
     } catch (err) {
@@ -118,7 +131,7 @@ class PostgresWrapper {
     }
   }
 
-  async select(input) {
+  async select(input, { signal } = {}) {
     const { table, where = {}, limit = 100, columns = null } = input;
     if (!this.sql) throw new Error('PostgreSQL not connected');
     if (!table) throw new Error('Table name is required for select');
@@ -151,7 +164,7 @@ class PostgresWrapper {
       }
       
       sql += ` LIMIT ${safeLimit}`;
-      const result = await this.query(sql, params);
+      const result = await this.query(sql, params, { signal });
       console.log(`[POSTGRES] Selected from ${validatedTable}: ${Array.isArray(result) ? result.length : 1} rows`);
       return result;
     } catch (err) {
@@ -160,7 +173,7 @@ class PostgresWrapper {
     }
   }
 
-  async update(input) {
+  async update(input, { signal } = {}) {
     const { table, data, where } = input;
     if (!this.sql) throw new Error('PostgreSQL not connected');
     if (!table) throw new Error('Table name is required for update');
@@ -181,7 +194,7 @@ class PostgresWrapper {
       const sql = `UPDATE ${validatedTable} SET ${setClause} WHERE ${whereClause} RETURNING *`;
       const allValues = [...updateValues, ...whereValues];
       
-      const result = await this.query(sql, allValues);
+      const result = await this.query(sql, allValues, { signal });
       console.log(`[POSTGRES] Updated ${validatedTable}:`, result);
       return result;
     } catch (err) {
@@ -1,7 +1,9 @@
+const { Readable } = require('stream');
 const request = require('supertest');
 const express = require('express');
 const DatabaseClient = require('../../db/client');
 const WorkflowEngine = require('../../engine/workflow-engine');
+const ArtifactStore = require('../../engine/artifact-store');
 const { createRouter } = require('../../api/router');
 
 describe('API Handlers', () => {
@@ -63,6 +65,15 @@ describe('API Handlers', () => {
       expect(response.status).toBe(400);
       expect(response.body).toHaveProperty('error');
     });
+
+    it('should reserve the orchestrator plugin id for built-in steps', async () => {
+      const response = await request(app)
+        .post('/api/plugins')
+        .send({ id: 'orchestrator', name: 'Fake', image: 'fake:latest' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('Plugin id "orchestrator" is reserved for built-in steps');
+    });
   });
 
   describe('GET /api/plugins', () => {
@@ -171,6 +182,222 @@ describe('API Handlers', () => {
     });
   });
 
+  describe('workflow inputs', () => {
+    const workflow = {
+      name: 'inputs-workflow',
+      inputs: { date: { type: 'string', required: true } },
+      steps: [{ id: 'fetch', plugin: 'workflow.plugin', action: 'fetch' }]
+    };
+
+    it('should accept inputs alongside an ad-hoc workflow', async () => {
+      const response = await request(app)
+        .post('/api/workflows')
+        .send({ workflow, inputs: { date: '2025-10-31' } });
+
+      expect(response.status).toBe(201);
+      expect(db.getExecution(response.body.executionId).inputs).toEqual({ date: '2025-10-31' });
+    });
+
+    it('should reject invalid inputs on registered runs', async () => {
+      engine.registry.register(workflow);
+
+      const response = await request(app)
+        .post('/api/workflows/inputs-workflow/runs')
+        .send({ inputs: { date: 20251031 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual(['Input "date" must be of type string']);
+    });
+
+    it('should accept sub-workflow steps without a plugin', async () => {
+      const response = await request(app)
+        .put('/api/workflows/with-child')
+        .send({ steps: [{ id: 'child', type: 'workflow', workflow: 'inputs-workflow', input: { date: '2025-10-31' } }] });
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should reject malformed input schemas', async () => {
+      const response = await request(app)
+        .post('/api/workflows')
+        .send({ ...workflow, inputs: { date: { type: 'string', enum: [] } } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('Input "date" enum must be a non-empty array');
+    });
+  });
+
+  describe('workflow registry', () => {
+    const spec = {
+      steps: [{ id: 'step1', plugin: 'test.plugin', action: 'fetch' }]
+    };
+
+    beforeAll(() => {
+      engine.stop();
+    });
+
+    afterAll(() => {
+      engine.start();
+    });
+
+    it('should create and version workflows by name', async () => {
+      const created = await request(app).put('/api/workflows/registry-wf').send(spec);
+      expect(created.status).toBe(201);
+      expect(created.body).toEqual(expect.objectContaining({ name: 'registry-wf', version: 1, created: true }));
+
+      const unchanged = await request(app).put('/api/workflows/registry-wf').send(spec);
+      expect(unchanged.status).toBe(200);
+      expect(unchanged.body.version).toBe(1);
+
+      const updated = await request(app).put('/api/workflows/registry-wf').send({ ...spec, description: 'v2' });
+      expect(updated.status).toBe(201);
+      expect(updated.body.version).toBe(2);
+
+      const list = await request(app).get('/api/workflows');
+      expect(list.body.workflows.map(w => w.name)).toContain('registry-wf');
+
+      const latest = await request(app).get('/api/workflows/registry-wf');
+      expect(latest.body.latest_version).toBe(2);
+      expect(latest.body.versions).toHaveLength(2);
+
+      const pinned = await request(app).get('/api/workflows/registry-wf?version=1');
+      expect(pinned.body.spec.description).toBeUndefined();
+    });
+
+    it('should reuse the stored version when the same spec is submitted again', async () => {
+      const submitted = { name: 'submitted-wf', ...spec };
+
+      const first = await request(app).post('/api/workflows').send(submitted);
+      const second = await request(app).post('/api/workflows').send(submitted);
+      expect(first.status).toBe(201);
+      expect(second.body).toEqual(expect.objectContaining({ workflowId: first.body.workflowId, name: 'submitted-wf', version: 1 }));
+      expect(second.body.executionId).not.toBe(first.body.executionId);
+
+      const changed = await request(app).post('/api/workflows').send({ ...submitted, description: 'v2' });
+      expect(changed.body.version).toBe(2);
+      expect(db.listWorkflowVersions('submitted-wf')).toHaveLength(2);
+    });
+
+    it('should reject specs whose name does not match the path', async () => {
+      const response = await request(app).put('/api/workflows/registry-wf').send({ ...spec, name: 'other' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('Workflow name "other" does not match "registry-wf"');
+    });
+
+    it('should run the latest or a pinned version and record it on the execution', async () => {
+      const latest = await request(app).post('/api/workflows/registry-wf/runs').send({});
+      expect(latest.status).toBe(201);
+      expect(latest.body.version).toBe(2);
+
+      const pinned = await request(app).post('/api/workflows/registry-wf/runs').send({ version: 1 });
+      expect(pinned.body.version).toBe(1);
+
+      const execution = await request(app).get(`/api/executions/${pinned.body.executionId}`);
+      expect(execution.body.workflow).toEqual(expect.objectContaining({ name: 'registry-wf', version: 1 }));
+
+      const missing = await request(app).post('/api/workflows/registry-wf/runs').send({ version: 9 });
+      expect(missing.status).toBe(404);
+    });
+
+    it('should delete workflow definitions', async () => {
+      const deleted = await request(app).delete('/api/workflows/registry-wf');
+      expect(deleted.status).toBe(204);
+
+      const response = await request(app).get('/api/workflows/registry-wf');
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('schedules', () => {
+    let scheduleId;
+
+    beforeAll(() => {
+      engine.registry.register({ name: 'scheduled-wf', steps: [{ id: 's1', plugin: 'test.plugin', action: 'run' }] });
+    });
+
+    it('should create, update and delete schedules', async () => {
+      const created = await request(app).post('/api/schedules').send({
+        name: 'nightly',
+        workflow_name: 'scheduled-wf',
+        cron: '0 2 * * *',
+        timezone: 'America/New_York'
+      });
+      expect(created.status).toBe(201);
+      expect(created.body.upcoming).toHaveLength(5);
+      scheduleId = created.body.id;
+
+      const list = await request(app).get('/api/schedules');
+      expect(list.body.schedules.map(s => s.name)).toContain('nightly');
+
+      const updated = await request(app).put(`/api/schedules/${scheduleId}`).send({ enabled: false });
+      expect(updated.status).toBe(200);
+      expect(updated.body.enabled).toBe(false);
+      expect(updated.body.upcoming).toEqual([]);
+
+      const deleted = await request(app).delete(`/api/schedules/${scheduleId}`);
+      expect(deleted.status).toBe(204);
+
+      const missing = await request(app).get(`/api/schedules/${scheduleId}`);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should reject invalid schedules', async () => {
+      const response = await request(app).post('/api/schedules').send({ name: 'broken', workflow_name: 'scheduled-wf' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('Schedule must have exactly one of cron or interval_seconds');
+    });
+
+    it('should preview fire times without saving', async () => {
+      const response = await request(app).get('/api/schedules/preview?cron=0%209%20*%20*%201&count=3');
+
+      expect(response.status).toBe(200);
+      expect(response.body.runs).toHaveLength(3);
+      expect(new Date(response.body.runs[0]).getUTCDay()).toBe(1);
+
+      const invalid = await request(app).get('/api/schedules/preview?cron=bad');
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe('triggers', () => {
+    beforeAll(() => {
+      engine.registry.register({ name: 'triggered-wf', steps: [{ id: 's1', plugin: 'test.plugin', action: 'run' }] });
+    });
+
+    it('should create, update and delete triggers', async () => {
+      const created = await request(app).post('/api/triggers').send({
+        name: 'big-payments',
+        workflow_name: 'triggered-wf',
+        source: 'streamer',
+        filter: 'event.amount > 1000'
+      });
+      expect(created.status).toBe(201);
+      expect(created.body).toEqual(expect.objectContaining({ enabled: true, pending_events: 0 }));
+
+      const list = await request(app).get('/api/triggers');
+      expect(list.body.triggers.map(t => t.name)).toContain('big-payments');
+
+      const updated = await request(app).put(`/api/triggers/${created.body.id}`).send({ window_ms: 2000 });
+      expect(updated.status).toBe(200);
+      expect(updated.body.window_ms).toBe(2000);
+
+      const deleted = await request(app).delete(`/api/triggers/${created.body.id}`);
+      expect(deleted.status).toBe(204);
+
+      const missing = await request(app).get(`/api/triggers/${created.body.id}`);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should reject invalid triggers', async () => {
+      const response = await request(app).post('/api/triggers').send({ name: 'x', workflow_name: 'triggered-wf', source: 'kafka' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('source must be one of: nats, streamer');
+    });
+  });
+
   describe('GET /api/executions/:executionId', () => {
     it('should get execution status', async () => {
       db.createWorkflow({ id: 'wf-1', name: 'Test', spec: { steps: [] } });
@@ -191,6 +418,271 @@ describe('API Handlers', () => {
     });
   });
 
+  describe('results', () => {
+    const rows = Array.from({ length: 20 }, (_, id) => ({ id }));
+    let artifacts;
+
+    beforeAll(async () => {
+      artifacts = engine.artifacts;
+      const objects = new Map();
+      engine.artifacts = new ArtifactStore({
+        getStore: async () => ({
+          putObject: async ({ key, data }) => objects.set(key, data),
+          getObjectStream: async (key) => Readable.from([objects.get(key)])
+        }),
+        maxInlineBytes: 100
+      });
+
+      db.createWorkflow({ id: 'wf-results', name: 'Results', spec: { steps: [] } });
+      db.createExecution({ id: 'exec-results', workflow_id: 'wf-results' });
+      db.createTask({ id: 'task-small', execution_id: 'exec-results', step_id: 'small', plugin_id: 'test.plugin', action: 'run' });
+      db.createTask({ id: 'task-large', execution_id: 'exec-results', step_id: 'large', plugin_id: 'test.plugin', action: 'run' });
+      db.updateTask('task-small', { status: 'completed', result: { count: 20 } });
+      db.updateTask('task-large', {
+        status: 'completed',
+        result: await engine.artifacts.store('exec-results/task-large', rows)
+      });
+      db.updateExecution('exec-results', { status: 'completed', result: await engine.artifacts.store('exec-results/outputs', { rows }) });
+    });
+
+    afterAll(() => {
+      engine.artifacts = artifacts;
+    });
+
+    it('should return inline task results', async () => {
+      const response = await request(app).get('/api/executions/exec-results/tasks/task-small/result');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ count: 20 });
+    });
+
+    it('should stream offloaded task and execution results', async () => {
+      const task = await request(app).get('/api/executions/exec-results/tasks/task-large/result');
+      expect(task.status).toBe(200);
+      expect(task.headers['content-type']).toMatch('application/json');
+      expect(task.body).toEqual(rows);
+
+      const execution = await request(app).get('/api/executions/exec-results/result');
+      expect(execution.status).toBe(200);
+      expect(execution.body).toEqual({ rows });
+    });
+
+    it('should return 404 for tasks of another execution', async () => {
+      expect((await request(app).get('/api/executions/exec-1/tasks/task-small/result')).status).toBe(404);
+      expect((await request(app).get('/api/executions/nonexistent/result')).status).toBe(404);
+    });
+  });
+
+  describe('POST /api/executions/:executionId/:action', () => {
+    it('should cancel a pending execution', async () => {
+      db.createWorkflow({ id: 'wf-cancel', name: 'Test', spec: { steps: [] } });
+      db.createExecution({ id: 'exec-cancel', workflow_id: 'wf-cancel' });
+
+      const response = await request(app).post('/api/executions/exec-cancel/cancel');
+
+      expect(response.status).toBe(202);
+      expect(response.body).toEqual({ executionId: 'exec-cancel', status: 'cancelled' });
+    });
+
+    it('should return 409 for invalid transitions', async () => {
+      db.createWorkflow({ id: 'wf-resume', name: 'Test', spec: { steps: [] } });
+      db.createExecution({ id: 'exec-resume', workflow_id: 'wf-resume' });
+
+      const response = await request(app).post('/api/executions/exec-resume/resume');
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toContain('Cannot resume');
+    });
+
+    it('should return 404 for non-existent execution', async () => {
+      const response = await request(app).post('/api/executions/nonexistent/pause');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/executions/:executionId/retry', () => {
+    it('should return 409 when the execution has not failed', async () => {
+      db.createWorkflow({ id: 'wf-retry', name: 'Test', spec: { steps: [] } });
+      db.createExecution({ id: 'exec-retry', workflow_id: 'wf-retry', status: 'completed' });
+
+      const response = await request(app).post('/api/executions/exec-retry/retry');
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toContain('Cannot retry');
+    });
+
+    it('should return 404 for non-existent execution', async () => {
+      const response = await request(app).post('/api/executions/nonexistent/retry');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('approvals', () => {
+    beforeAll(() => {
+      db.createWorkflow({ id: 'wf-approval', name: 'approval-wf', spec: { steps: [] } });
+      db.createExecution({ id: 'exec-approval', workflow_id: 'wf-approval', status: 'waiting_approval' });
+      db.createTask({ id: 'task-approval', execution_id: 'exec-approval', step_id: 'sign-off', plugin_id: 'orchestrator', action: 'approval' });
+      db.createApproval({ id: 'approval-1', execution_id: 'exec-approval', task_id: 'task-approval', step_id: 'sign-off', message: 'Go?' });
+      engine.queue.enqueue('exec-approval', { executionId: 'exec-approval', workflowSpec: { steps: [] } });
+      engine.queue.updateStatus('exec-approval', 'waiting', ['pending']);
+    });
+
+    it('should list pending approvals', async () => {
+      const response = await request(app).get('/api/approvals');
+
+      expect(response.status).toBe(200);
+      expect(response.body.approvals).toEqual([
+        expect.objectContaining({ id: 'approval-1', message: 'Go?', status: 'pending', workflow_name: 'approval-wf' })
+      ]);
+    });
+
+    it('should reject malformed decisions', async () => {
+      const response = await request(app).post('/api/approvals/approval-1').send({ decision: 'maybe' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        'decision must be "approve" or "reject"',
+        'actor must be a non-empty string'
+      ]);
+    });
+
+    it('should approve and re-enqueue the waiting execution', async () => {
+      const response = await request(app)
+        .post('/api/approvals/approval-1')
+        .send({ decision: 'approve', actor: 'alice', comment: 'fine' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(expect.objectContaining({ status: 'approved', decided_by: 'alice', comment: 'fine' }));
+      expect(engine.queue.get('exec-approval').payload.resume).toBe(true);
+    });
+
+    it('should return 409 for an approval already decided and 404 for unknown ones', async () => {
+      const decided = await request(app).post('/api/approvals/approval-1').send({ decision: 'reject', actor: 'bob' });
+      expect(decided.status).toBe(409);
+      expect(decided.body.message).toContain('already approved');
+
+      const missing = await request(app).post('/api/approvals/nonexistent').send({ decision: 'reject', actor: 'bob' });
+      expect(missing.status).toBe(404);
+
+      const listed = await request(app).get('/api/approvals?status=all');
+      expect(listed.body.approvals.map(a => a.id)).toEqual(['approval-1']);
+    });
+  });
+
+  describe('step cache', () => {
+    beforeAll(async () => {
+      const step = { id: 'score', plugin: 'pathway', action: 'runPipeline' };
+      await engine.executor.cache.set(step, { day: 'mon' }, { score: 1 }, 60);
+      await engine.executor.cache.set(step, { day: 'tue' }, { score: 2 }, 60);
+      await engine.executor.cache.set({ ...step, plugin: 'postgres', action: 'select' }, {}, [], 60);
+    });
+
+    it('should list and filter cache entries', async () => {
+      const all = await request(app).get('/api/cache');
+      expect(all.status).toBe(200);
+      expect(all.body.entries).toHaveLength(3);
+
+      const pathway = await request(app).get('/api/cache?plugin=pathway');
+      expect(pathway.body.entries.map(e => e.action)).toEqual(['runPipeline', 'runPipeline']);
+    });
+
+    it('should invalidate one entry or a filtered set', async () => {
+      const [entry] = (await request(app).get('/api/cache?plugin=postgres')).body.entries;
+
+      const one = await request(app).delete(`/api/cache/${entry.key}`);
+      expect(one.status).toBe(200);
+      expect(one.body).toEqual({ deleted: 1 });
+
+      const missing = await request(app).delete(`/api/cache/${entry.key}`);
+      expect(missing.status).toBe(404);
+
+      const bulk = await request(app).delete('/api/cache?plugin=pathway&action=runPipeline');
+      expect(bulk.body).toEqual({ deleted: 2 });
+    });
+  });
+
+  describe('dead-letter queue', () => {
+    const deadLetter = (executionId) => {
+      db.createExecution({ id: executionId, workflow_id: 'wf-dlq', status: 'failed' });
+      engine.queue.enqueue(executionId, {
+        executionId,
+        workflowId: 'wf-dlq',
+        workflowSpec: { name: 'dlq', steps: [] }
+      }, { maxRetries: 1, delay: 60000 });
+      engine.queue.claim(executionId);
+      engine.queue.fail(executionId, new Error('Plugin unavailable'));
+      return engine.queue.listDeadLetters({ taskId: executionId })[0];
+    };
+
+    beforeAll(() => {
+      db.createWorkflow({ id: 'wf-dlq', name: 'dlq', spec: { steps: [] } });
+    });
+
+    it('should list and get dead letters', async () => {
+      const letter = deadLetter('exec-dlq-list');
+
+      const list = await request(app).get('/api/dlq?taskId=exec-dlq-list');
+      expect(list.status).toBe(200);
+      expect(list.body.deadLetters).toHaveLength(1);
+      expect(list.body.deadLetters[0].attempts).toEqual([
+        expect.objectContaining({ attempt: 1, error: 'Plugin unavailable' })
+      ]);
+
+      const one = await request(app).get(`/api/dlq/${letter.id}`);
+      expect(one.body).toMatchObject({ id: letter.id, task_id: 'exec-dlq-list', payload: { executionId: 'exec-dlq-list' } });
+
+      expect((await request(app).get('/api/dlq/missing')).status).toBe(404);
+
+      const invalid = await request(app).get('/api/dlq?limit=0&before=yesterday');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.details).toEqual(['before must be a date', 'limit must be a positive integer']);
+    });
+
+    it('should redrive a dead letter with an edited payload', async () => {
+      const letter = deadLetter('exec-dlq-redrive');
+
+      const invalid = await request(app)
+        .post(`/api/dlq/${letter.id}/redrive`)
+        .send({ payload: { ...letter.payload, executionId: 'other' } });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.details).toEqual(['payload.executionId must be "exec-dlq-redrive"']);
+
+      const response = await request(app)
+        .post(`/api/dlq/${letter.id}/redrive`)
+        .send({ payload: { ...letter.payload, inputs: { retry: true } } });
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: letter.id, executionId: 'exec-dlq-redrive', status: 'pending' });
+      expect(engine.queue.get('exec-dlq-redrive').payload.inputs).toEqual({ retry: true });
+      expect(db.getEventsByExecution('exec-dlq-redrive').map(e => e.event_type)).toContain('execution_redriven');
+
+      expect((await request(app).post(`/api/dlq/${letter.id}/redrive`)).status).toBe(404);
+    });
+
+    it('should return 409 when the task is queued again', async () => {
+      const letter = deadLetter('exec-dlq-queued');
+      engine.queue.requeue('exec-dlq-queued', null, { delay: 60000 });
+
+      const response = await request(app).post(`/api/dlq/${letter.id}/redrive`);
+      expect(response.status).toBe(409);
+      expect(response.body.message).toContain('already queued');
+    });
+
+    it('should purge one dead letter or a filtered set', async () => {
+      const letter = deadLetter('exec-dlq-purge');
+
+      const one = await request(app).delete(`/api/dlq/${letter.id}`);
+      expect(one.body).toEqual({ deleted: 1 });
+      expect((await request(app).delete(`/api/dlq/${letter.id}`)).status).toBe(404);
+
+      const bulk = await request(app).delete('/api/dlq');
+      expect(bulk.status).toBe(200);
+      expect(bulk.body.deleted).toBeGreaterThan(0);
+      expect((await request(app).get('/api/dlq')).body.deadLetters).toEqual([]);
+    });
+  });
+
   describe('GET /api/stats', () => {
     it('should return statistics', async () => {
       const response = await request(app).get('/api/stats');
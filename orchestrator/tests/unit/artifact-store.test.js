@@ -0,0 +1,72 @@
+const { Readable } = require('stream');
+const ArtifactStore = require('../../engine/artifact-store');
+
+describe('ArtifactStore', () => {
+  let store;
+  let artifacts;
+
+  const large = { rows: 'x'.repeat(200) };
+
+  beforeEach(() => {
+    const objects = new Map();
+    store = {
+      objects,
+      putObject: jest.fn(async ({ key, data }) => objects.set(key, data)),
+      getObject: jest.fn(async (key) => objects.get(key)),
+      getObjectStream: jest.fn(async (key) => Readable.from([objects.get(key)]))
+    };
+    artifacts = new ArtifactStore({ getStore: async () => store, maxInlineBytes: 100 });
+  });
+
+  it('should keep small results inline', async () => {
+    expect(await artifacts.store('exec-1/task-1', { ok: true })).toEqual({ ok: true });
+    expect(await artifacts.store('exec-1/task-1', null)).toBeNull();
+    expect(store.putObject).not.toHaveBeenCalled();
+  });
+
+  it('should offload large results and load them back', async () => {
+    const reference = await artifacts.store('exec-1/task-1', large);
+
+    expect(reference).toEqual({ $artifact: 'artifacts/exec-1/task-1.json', size: JSON.stringify(large).length });
+    expect(ArtifactStore.isReference(reference)).toBe(true);
+    expect(await artifacts.load(reference)).toEqual(large);
+    expect(await artifacts.load({ ok: true })).toEqual({ ok: true });
+  });
+
+  it('should keep large results inline when MinIO is unavailable', async () => {
+    const unavailable = new ArtifactStore({ getStore: async () => null, maxInlineBytes: 100 });
+    store.putObject.mockRejectedValueOnce(new Error('connection refused'));
+
+    expect(await unavailable.store('exec-1/task-1', large)).toBe(large);
+    expect(await artifacts.store('exec-1/task-1', large)).toBe(large);
+    await expect(unavailable.load({ $artifact: 'artifacts/x.json', size: 1 }))
+      .rejects.toThrow('MinIO is not available to read artifact "artifacts/x.json"');
+  });
+
+  it('should hydrate references nested in a result', async () => {
+    const reference = await artifacts.store('exec-1/task-1', large);
+    const result = { fetch: { result: reference }, count: { result: 3 }, list: [reference] };
+
+    expect(await artifacts.hydrate(result)).toEqual({
+      fetch: { result: large },
+      count: { result: 3 },
+      list: [large]
+    });
+    expect(result.fetch.result).toBe(reference);
+
+    const plain = { a: [1, 2], b: { c: 'd' } };
+    expect(await artifacts.hydrate(plain)).toBe(plain);
+  });
+
+  it('should stream offloaded results', async () => {
+    const reference = await artifacts.store('exec-1/task-1', large);
+
+    const chunks = [];
+    for await (const chunk of await artifacts.open(reference)) {
+      chunks.push(chunk);
+    }
+    expect(JSON.parse(chunks.join(''))).toEqual(large);
+  });
+});
+
+// Nicolas Larenas, nlarchive
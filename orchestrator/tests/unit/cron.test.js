@@ -0,0 +1,76 @@
+const Cron = require('../../engine/cron');
+
+describe('Cron', () => {
+  const iso = (dates) => dates.map(d => d.toISOString());
+
+  describe('parse', () => {
+    it('should expand lists, ranges, steps and names', () => {
+      const cron = Cron.parse('*/20 9-11 1,15 JAN-MAR MON,FRI');
+
+      expect(Array.from(cron.minute)).toEqual([0, 20, 40]);
+      expect(Array.from(cron.hour)).toEqual([9, 10, 11]);
+      expect(Array.from(cron.dayOfMonth)).toEqual([1, 15]);
+      expect(Array.from(cron.month)).toEqual([1, 2, 3]);
+      expect(Array.from(cron.dayOfWeek)).toEqual([1, 5]);
+    });
+
+    it('should accept aliases and treat 7 as Sunday', () => {
+      expect(Array.from(Cron.parse('@hourly').minute)).toEqual([0]);
+      expect(Array.from(Cron.parse('0 0 * * 7').dayOfWeek)).toEqual([0]);
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(() => Cron.parse('* * * *')).toThrow('must have 5 fields');
+      expect(() => Cron.parse('60 * * * *')).toThrow('Invalid minute value "60"');
+      expect(() => Cron.parse('*/0 * * * *')).toThrow('Invalid step');
+      expect(() => Cron.parse('0 5-1 * * *')).toThrow('Invalid hour range');
+      expect(() => Cron.parse('')).toThrow('non-empty string');
+    });
+  });
+
+  describe('next', () => {
+    const from = new Date('2026-03-28T12:00:00Z');
+
+    it('should find upcoming times in UTC', () => {
+      expect(iso(Cron.nextRuns('*/15 * * * *', 3, from))).toEqual([
+        '2026-03-28T12:15:00.000Z',
+        '2026-03-28T12:30:00.000Z',
+        '2026-03-28T12:45:00.000Z'
+      ]);
+    });
+
+    it('should evaluate the expression in the given timezone', () => {
+      // Europe/Madrid moves from UTC+1 to UTC+2 on 2026-03-29
+      expect(iso(Cron.nextRuns('0 9 * * MON-FRI', 2, from, 'Europe/Madrid'))).toEqual([
+        '2026-03-30T07:00:00.000Z',
+        '2026-03-31T07:00:00.000Z'
+      ]);
+      expect(iso(Cron.nextRuns('0 9 * * *', 1, from, 'Europe/Madrid'))).toEqual(['2026-03-29T07:00:00.000Z']);
+    });
+
+    it('should shift times skipped by a DST change forward', () => {
+      expect(Cron.next('30 2 * * *', from, 'Europe/Madrid').toISOString()).toBe('2026-03-29T01:30:00.000Z');
+    });
+
+    it('should match either day field when both are restricted', () => {
+      expect(iso(Cron.nextRuns('0 0 1 * 1', 3, from))).toEqual([
+        '2026-03-30T00:00:00.000Z',
+        '2026-04-01T00:00:00.000Z',
+        '2026-04-06T00:00:00.000Z'
+      ]);
+    });
+
+    it('should return null when the expression never fires', () => {
+      expect(Cron.next('0 0 30 2 *', from)).toBeNull();
+    });
+  });
+
+  describe('isValidTimezone', () => {
+    it('should recognise IANA timezones', () => {
+      expect(Cron.isValidTimezone('America/New_York')).toBe(true);
+      expect(Cron.isValidTimezone('Mars/Olympus')).toBe(false);
+    });
+  });
+});
+
+// Nicolas Larenas, nlarchive
@@ -239,6 +239,340 @@ describe('DAG Resolver', () => {
       expect(result.valid).toBe(false);
       expect(result.errors.some(e => e.includes('Cycle'))).toBe(true);
     });
+
+    it('should accept when expressions that reference upstream steps', () => {
+      const workflow = {
+        name: 'test',
+        steps: [
+          { id: 'a', plugin: 'p1', action: 'fetch' },
+          { id: 'b', plugin: 'p1', action: 'fetch', needs: ['a'] },
+          { id: 'c', plugin: 'p2', action: 'store', needs: ['b'], when: "{{ steps.a.result.level == 'high' }}" }
+        ]
+      };
+
+      expect(DagResolver.validate(workflow)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should reject when expressions that reference non-upstream steps', () => {
+      const workflow = {
+        name: 'test',
+        steps: [
+          { id: 'a', plugin: 'p1', action: 'fetch' },
+          { id: 'b', plugin: 'p1', action: 'fetch' },
+          { id: 'c', plugin: 'p2', action: 'store', needs: ['a'], when: 'steps.b.result.ok' }
+        ]
+      };
+
+      const result = DagResolver.validate(workflow);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Step "c" when expression references "b", which is not an upstream step');
+    });
+
+    it('should reject unparseable when expressions', () => {
+      const workflow = {
+        name: 'test',
+        steps: [
+          { id: 'a', plugin: 'p1', action: 'fetch', when: 'steps.x ==' }
+        ]
+      };
+
+      const result = DagResolver.validate(workflow);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatch(/invalid when expression/);
+    });
+  });
+
+  describe('validate forEach', () => {
+    it('should accept forEach over an upstream step result', () => {
+      const workflow = {
+        name: 'test',
+        steps: [
+          { id: 'a', plugin: 'p1', action: 'fetch' },
+          { id: 'b', plugin: 'p1', action: 'score', needs: ['a'], forEach: '{{ steps.a.result }}', concurrency: 4, onItemError: 'collect' }
+        ]
+      };
+
+      expect(DagResolver.validate(workflow)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should reject invalid forEach settings', () => {
+      const workflow = {
+        name: 'test',
+        steps: [
+          { id: 'a', plugin: 'p1', action: 'fetch' },
+          { id: 'b', plugin: 'p1', action: 'score', forEach: '{{ steps.a.result }}', concurrency: 0, onItemError: 'ignore' }
+        ]
+      };
+
+      const result = DagResolver.validate(workflow);
+      expect(result.errors).toEqual([
+        'Step "b" forEach expression references "a", which is not an upstream step',
+        'Step "b" concurrency must be a positive integer',
+        'Step "b" onItemError must be "fail" or "collect"'
+      ]);
+    });
+  });
+
+  describe('validate matrix', () => {
+    it('should accept a grid of parameter lists', () => {
+      const workflow = {
+        name: 'test',
+        steps: [
+          { id: 'a', plugin: 'p1', action: 'fetch' },
+          {
+            id: 'b',
+            plugin: 'p1',
+            action: 'score',
+            needs: ['a'],
+            matrix: { profile: ['default', 'conservative'], threshold: [0.5, 0.7] },
+            input: { profile: '{{ matrix.profile }}', rows: '{{ steps.a.result }}' },
+            concurrency: 2
+          }
+        ]
+      };
+
+      expect(DagResolver.validate(workflow)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should reject malformed matrices', () => {
+      const validate = (matrix, extra = {}) => DagResolver.validate({
+        name: 'test',
+        steps: [{ id: 'b', plugin: 'p1', action: 'score', matrix, ...extra }]
+      }).errors;
+
+      expect(validate([])).toEqual(['Step "b" matrix must be an object of parameter lists']);
+      expect(validate({})).toEqual(['Step "b" matrix must be an object of parameter lists']);
+      expect(validate({ 'risk-profile': ['a'], level: [], mode: [{ a: 1 }], path: ['a/b'], tier: [1, '1'] }, { forEach: '{{ inputs.rows }}' }))
+        .toEqual([
+          'Step "b" cannot use both forEach and matrix',
+          'Step "b" matrix parameter "risk-profile" must be a valid identifier',
+          'Step "b" matrix parameter "level" must be a non-empty array',
+          'Step "b" matrix parameter "mode" values must be strings, numbers or booleans without "/"',
+          'Step "b" matrix parameter "path" values must be strings, numbers or booleans without "/"',
+          'Step "b" matrix parameter "tier" has duplicate values'
+        ]);
+      expect(DagResolver.validate({
+        name: 'test',
+        steps: [{ id: 'b', type: 'sleep', seconds: 1, matrix: { a: [1] } }]
+      }).errors).toEqual(['Step "b" of type sleep cannot use matrix']);
+    });
+  });
+
+  describe('validate execution policy', () => {
+    it('should reject malformed timeout and retry settings', () => {
+      const workflow = {
+        name: 'test',
+        steps: [
+          { id: 'a', plugin: 'p1', action: 'fetch', timeout: -5, retry: { maxAttempts: 0, backoff: 'linear', retryOn: 'timeout' } }
+        ]
+      };
+
+      expect(DagResolver.validate(workflow).errors).toEqual([
+        'Step "a" timeout must be a positive integer (ms)',
+        'Step "a" retry.maxAttempts must be a positive integer',
+        'Step "a" retry.backoff must be "fixed" or "exponential"',
+        'Step "a" retry.retryOn must be an array'
+      ]);
+    });
+  });
+
+  describe('validate compensate', () => {
+    it('should reject compensate blocks without an action', () => {
+      const workflow = {
+        name: 'test',
+        steps: [
+          { id: 'a', plugin: 'p1', action: 'insert', compensate: { input: {} } },
+          { id: 'b', plugin: 'p1', action: 'insert', compensate: 'delete' },
+          { id: 'c', plugin: 'p1', action: 'insert', compensate: { action: 'delete', timeout: 0 } }
+        ]
+      };
+
+      expect(DagResolver.validate(workflow).errors).toEqual([
+        'Step "a" compensate must specify an action',
+        'Step "b" compensate must be an object',
+        'Step "c.compensate" timeout must be a positive integer (ms)'
+      ]);
+    });
+  });
+
+  describe('validate inputs', () => {
+    it('should validate the input schema', () => {
+      const workflow = {
+        name: 'test',
+        inputs: { date: { type: 'date' } },
+        steps: [{ id: 'a', plugin: 'p1', action: 'run', when: "inputs.mode == 'full'" }]
+      };
+
+      expect(DagResolver.validate(workflow).errors).toEqual([
+        'Input "date" type must be one of: string, number, integer, boolean, array, object'
+      ]);
+    });
+  });
+
+  describe('validate templates', () => {
+    it('should reject templates that do not parse or read non-upstream steps', () => {
+      const workflow = {
+        name: 'test',
+        steps: [
+          { id: 'a', plugin: 'p1', action: 'fetch', input: { key: "{{ 'now' | date('YYYY') }}/{{ steps.b.result }}" } },
+          { id: 'b', plugin: 'p1', action: 'store', needs: ['a'], input: { rows: ['{{ steps.a.result.rows | explode }}'] } },
+          {
+            id: 'c',
+            plugin: 'p1',
+            action: 'insert',
+            needs: ['a'],
+            input: { rows: '{{ steps.a.result }}' },
+            compensate: { action: 'delete', input: { id: '{{ steps.c.result.id }}' } }
+          }
+        ]
+      };
+
+      expect(DagResolver.validate(workflow).errors).toEqual([
+        'Step "a" input references "b", which is not an upstream step',
+        'Step "b" input has an invalid template "{{ steps.a.result.rows | explode }}": Unknown filter "explode" in expression: steps.a.result.rows | explode'
+      ]);
+    });
+  });
+
+  describe('validate outputs', () => {
+    it('should only let outputs read steps of the workflow', () => {
+      const steps = [{ id: 'a', plugin: 'p1', action: 'fetch' }];
+
+      expect(DagResolver.validate({ name: 'test', steps, outputs: { total: '{{ steps.a.result | sum }}' } }).valid).toBe(true);
+      expect(DagResolver.validate({ name: 'test', steps, outputs: { total: '{{ steps.b.result }}' } }).errors)
+        .toEqual(['Output "total" references "b", which is not a step of this workflow']);
+      expect(DagResolver.validate({ name: 'test', steps, outputs: ['a'] }).errors).toEqual(['outputs must be an object']);
+    });
+  });
+
+  describe('validate step types', () => {
+    it('should validate sub-workflow steps', () => {
+      const workflow = {
+        name: 'parent',
+        steps: [
+          { id: 'a', type: 'workflow', workflow: 'child', version: 2 },
+          { id: 'b', type: 'workflow', workflow: 'parent' },
+          { id: 'c', type: 'workflow', version: 0 },
+          { id: 'd', type: 'shell' }
+        ]
+      };
+
+      expect(DagResolver.validate(workflow).errors).toEqual([
+        'Step "b" runs workflow "parent", which would call itself',
+        'Step "c" must specify the workflow to run',
+        'Step "c" version must be a positive integer',
+        'Step "d" type must be one of: workflow, approval, sleep, waitUntil'
+      ]);
+    });
+
+    it('should validate approval steps', () => {
+      const workflow = {
+        name: 'payout',
+        steps: [
+          { id: 'prepare', plugin: 'p', action: 'run' },
+          { id: 'ok', type: 'approval', needs: ['prepare'], message: 'Pay {{ steps.prepare.result.amount }}?', timeoutSeconds: 60, onTimeout: 'approve' },
+          { id: 'bad', type: 'approval', message: 5, timeoutSeconds: 0, onTimeout: 'ignore' },
+          { id: 'early', type: 'approval', message: '{{ steps.prepare.result }}' }
+        ]
+      };
+
+      expect(DagResolver.validate(workflow).errors).toEqual([
+        'Step "bad" message must be a string',
+        'Step "bad" timeoutSeconds must be a positive integer',
+        'Step "bad" onTimeout must be "approve" or "reject"'
+      ]);
+
+      workflow.steps.splice(2, 1);
+      expect(DagResolver.validate(workflow).errors).toEqual([
+        'Step "early" message references "prepare", which is not an upstream step'
+      ]);
+    });
+  });
+
+  describe('validate timer steps', () => {
+    it('should require a duration or a date', () => {
+      const workflow = {
+        name: 'timers',
+        steps: [
+          { id: 'a', type: 'sleep', seconds: 30 },
+          { id: 'b', type: 'sleep', seconds: -1 },
+          { id: 'c', type: 'waitUntil' },
+          { id: 'd', type: 'waitUntil', until: '{{ steps.e.result.at }}' },
+          { id: 'e', type: 'sleep', seconds: '{{ inputs.delay }}', needs: ['a'] }
+        ]
+      };
+
+      expect(DagResolver.validate(workflow).errors).toEqual([
+        'Step "b" seconds must be a non-negative number or a template',
+        'Step "c" until must be a date or a template'
+      ]);
+
+      workflow.steps.splice(1, 2);
+      expect(DagResolver.validate(workflow).errors).toEqual([
+        'Step "d" until references "e", which is not an upstream step'
+      ]);
+    });
+  });
+
+  describe('validate failure policies', () => {
+    const steps = [
+      { id: 'load', plugin: 'p', action: 'run', onError: 'ignore' },
+      { id: 'report', plugin: 'p', action: 'run', needs: ['load'], onError: 'continue' }
+    ];
+
+    it('should validate cache settings', () => {
+      const validate = (...cached) => DagResolver.validate({ name: 'cached', steps: cached }).errors;
+
+      expect(validate(
+        { id: 'a', plugin: 'p', action: 'run', cache: { ttl: 60 } },
+        { id: 'b', plugin: 'p', action: 'run', cache: { ttl: 0 } }
+      )).toEqual(['Step "b" cache.ttl must be a positive integer (seconds)']);
+      expect(validate({ id: 'c', type: 'sleep', seconds: 1, cache: { ttl: 60 } }))
+        .toEqual(['Step "c" of type sleep cannot use cache']);
+    });
+
+    it('should reject unknown onError policies', () => {
+      expect(DagResolver.validate({ name: 'etl', steps }).errors).toEqual([
+        'Step "load" onError must be one of: fail, continue, skipDependents'
+      ]);
+    });
+
+    it('should validate finally steps against the whole workflow', () => {
+      const main = [steps[1], { ...steps[0], onError: undefined }];
+      const validate = (finallySteps) => DagResolver.validate({ name: 'etl', steps: main, finally: finallySteps }).errors;
+
+      expect(validate([
+        { id: 'notify', plugin: 'p', action: 'run', input: { status: '{{ execution.status }} {{ steps.report.result }}' } },
+        { id: 'cleanup', plugin: 'p', action: 'run', needs: ['notify'] }
+      ])).toEqual([]);
+
+      expect(validate({})).toEqual(['finally must be an array of steps']);
+      expect(validate([
+        { id: 'wait', type: 'sleep', seconds: 5 },
+        { id: 'notify', plugin: 'p', action: 'run', needs: ['load'] }
+      ])).toEqual([
+        'Finally step "wait" cannot be of type sleep',
+        'Finally step "notify" can only need other finally steps, not: load'
+      ]);
+      expect(validate([{ id: 'load', plugin: 'p', action: 'run' }, { id: 'notify', action: 'run' }])).toEqual([
+        'Duplicate step id: "load"',
+        'Step "notify" must specify a plugin'
+      ]);
+    });
+  });
+
+  describe('getAncestors', () => {
+    it('should return transitive dependencies', () => {
+      const steps = [
+        { id: 'a' },
+        { id: 'b', needs: ['a'] },
+        { id: 'c', needs: ['b'] },
+        { id: 'd' }
+      ];
+
+      expect(Array.from(DagResolver.getAncestors(steps, 'c')).sort()).toEqual(['a', 'b']);
+      expect(DagResolver.getAncestors(steps, 'd').size).toBe(0);
+    });
   });
 });
 
@@ -53,6 +53,80 @@ describe('DatabaseClient', () => {
     });
   });
 
+  describe('migrate', () => {
+    it('should add missing columns to an existing database', () => {
+      const legacy = new DatabaseClient(':memory:');
+      legacy.connect();
+      legacy.db.exec(`
+        CREATE TABLE tasks (
+          id TEXT PRIMARY KEY,
+          execution_id TEXT NOT NULL,
+          step_id TEXT NOT NULL,
+          plugin_id TEXT NOT NULL,
+          action TEXT NOT NULL,
+          status TEXT DEFAULT 'pending'
+        )
+      `);
+
+      legacy.initialize();
+
+      const columns = legacy.db.prepare('PRAGMA table_info(tasks)').all().map(c => c.name);
+      expect(columns).toEqual(expect.arrayContaining(['parent_task_id', 'item_index']));
+      legacy.close();
+    });
+
+    it('should upgrade a database created with the original schema', () => {
+      const legacy = new DatabaseClient(':memory:');
+      legacy.connect();
+      legacy.db.exec(`
+        CREATE TABLE plugins (
+          id TEXT PRIMARY KEY, name TEXT NOT NULL, image TEXT NOT NULL, digest TEXT, version TEXT,
+          spec JSON NOT NULL, installed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE workflows (
+          id TEXT PRIMARY KEY, name TEXT NOT NULL, spec JSON NOT NULL, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE executions (
+          id TEXT PRIMARY KEY, workflow_id TEXT NOT NULL, status TEXT DEFAULT 'pending', started_at TIMESTAMP,
+          completed_at TIMESTAMP, result JSON, error TEXT, FOREIGN KEY (workflow_id) REFERENCES workflows(id)
+        );
+        CREATE TABLE tasks (
+          id TEXT PRIMARY KEY, execution_id TEXT NOT NULL, step_id TEXT NOT NULL, plugin_id TEXT NOT NULL,
+          action TEXT NOT NULL, status TEXT DEFAULT 'pending', attempts INTEGER DEFAULT 0, input JSON, result JSON,
+          error TEXT, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, started_at TIMESTAMP, completed_at TIMESTAMP,
+          FOREIGN KEY (execution_id) REFERENCES executions(id), FOREIGN KEY (plugin_id) REFERENCES plugins(id)
+        );
+        CREATE TABLE task_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT, task_id TEXT NOT NULL UNIQUE, priority INTEGER DEFAULT 0,
+          status TEXT DEFAULT 'pending', payload JSON NOT NULL, retry_count INTEGER DEFAULT 0,
+          max_retries INTEGER DEFAULT 3, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          scheduled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, started_at TIMESTAMP, completed_at TIMESTAMP
+        );
+        CREATE TABLE events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT, execution_id TEXT NOT NULL, event_type TEXT NOT NULL,
+          event_data JSON, timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (execution_id) REFERENCES executions(id)
+        );
+        CREATE INDEX idx_executions_status ON executions(status);
+        CREATE INDEX idx_tasks_execution ON tasks(execution_id);
+        CREATE INDEX idx_tasks_status ON tasks(status);
+        CREATE INDEX idx_queue_status ON task_queue(status, scheduled_at);
+        CREATE INDEX idx_events_execution ON events(execution_id, timestamp);
+      `);
+
+      expect(() => legacy.initialize()).not.toThrow();
+
+      const indexes = legacy.db.prepare("SELECT name FROM sqlite_master WHERE type = 'index'").all().map(i => i.name);
+      expect(indexes).toContain('idx_executions_parent');
+
+      legacy.createWorkflow({ id: 'wf-1', name: 'legacy', spec: { name: 'legacy', steps: [] } });
+      legacy.createExecution({ id: 'parent', workflow_id: 'wf-1' });
+      legacy.createExecution({ id: 'child', workflow_id: 'wf-1', parent_execution_id: 'parent', parent_task_id: 't-1' });
+      expect(legacy.getChildExecutions('parent').map(e => e.id)).toEqual(['child']);
+      legacy.close();
+    });
+  });
+
   describe('Workflow operations', () => {
     it('should create workflow', () => {
       const workflow = {
@@ -120,6 +194,16 @@ describe('DatabaseClient', () => {
       expect(execution.status).toBe('failed');
       expect(execution.error).toBe('Test error');
     });
+
+    it('should list execution summaries without inputs or results', () => {
+      db.createExecution({ id: 'exec-1', workflow_id: 'wf-1', inputs: { date: '2025-10-31' } });
+      db.updateExecution('exec-1', { status: 'completed', result: { rows: [1, 2, 3] } });
+
+      const [summary] = db.listExecutions();
+      expect(summary).toEqual(expect.objectContaining({ id: 'exec-1', status: 'completed', workflow_name: 'Test Workflow' }));
+      expect(summary).not.toHaveProperty('result');
+      expect(summary).not.toHaveProperty('inputs');
+    });
   });
 
   describe('Task operations', () => {
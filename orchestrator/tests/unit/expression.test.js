@@ -0,0 +1,94 @@
+const Expression = require('../../engine/expression');
+
+describe('Expression', () => {
+  const scope = {
+    steps: {
+      'evaluate-risk-scores': { result: { riskLevel: 'high', score: 0.91, tags: ['velocity', 'geo'] } },
+      check: { result: null, skipped: true }
+    }
+  };
+
+  describe('evaluate', () => {
+    it('should compare hyphenated step paths', () => {
+      expect(Expression.evaluate("steps.evaluate-risk-scores.result.riskLevel == 'high'", scope)).toBe(true);
+      expect(Expression.evaluate("steps.evaluate-risk-scores.result.riskLevel != 'high'", scope)).toBe(false);
+    });
+
+    it('should accept {{ }} wrapped expressions', () => {
+      expect(Expression.evaluate('{{ steps.evaluate-risk-scores.result.score >= 0.9 }}', scope)).toBe(true);
+    });
+
+    it('should support logical operators and grouping', () => {
+      expect(Expression.evaluate('steps.check.skipped && (steps.evaluate-risk-scores.result.score > 1 || true)', scope)).toBe(true);
+      expect(Expression.evaluate('!steps.check.skipped', scope)).toBe(false);
+    });
+
+    it('should support bracket indexing', () => {
+      expect(Expression.evaluate("steps['evaluate-risk-scores'].result.tags[1]", scope)).toBe('geo');
+    });
+
+    it('should return undefined for missing paths', () => {
+      expect(Expression.evaluate('steps.missing.result.value', scope)).toBeUndefined();
+    });
+  });
+
+  describe('filters', () => {
+    const rows = [{ amount: 5, region: 'eu' }, { amount: 7, region: 'us' }, { amount: 1, region: 'eu' }];
+
+    it('should chain filters with arguments', () => {
+      expect(Expression.evaluate("rows | filter('region', 'eu') | map('amount') | sum", { rows })).toBe(6);
+      expect(Expression.evaluate("rows | map('region') | json", { rows })).toBe('["eu","us","eu"]');
+      expect(Expression.evaluate('(rows | length) > 2', { rows })).toBe(true);
+    });
+
+    it('should format dates in UTC', () => {
+      expect(Expression.evaluate("'2025-10-31T12:57:03Z' | date('YYYY-MM-DD/HH:mm:ss')")).toBe('2025-10-31/12:57:03');
+      expect(Expression.evaluate("'2025-10-31T12:57:03Z' | date")).toBe('2025-10-31T12:57:03.000Z');
+      expect(() => Expression.evaluate("'someday' | date")).toThrow('Filter "date" cannot parse "someday"');
+    });
+
+    it('should reject unknown filters and bad filter inputs', () => {
+      expect(() => Expression.parse('rows | explode')).toThrow('Unknown filter "explode"');
+      expect(() => Expression.evaluate('rows | sum', { rows: 'x' })).toThrow('Filter "sum" expects an array, got string');
+    });
+  });
+
+  describe('strict evaluation', () => {
+    it('should throw for unresolved references', () => {
+      expect(() => Expression.evaluate('steps.missing.result.value', scope, { strict: true }))
+        .toThrow('"steps.missing" is undefined');
+      expect(() => Expression.evaluate('inputs.date', scope, { strict: true })).toThrow('Unknown variable "inputs"');
+    });
+
+    it('should let default replace unresolved references', () => {
+      expect(Expression.evaluate("steps.missing.result.value | default('n/a')", scope, { strict: true })).toBe('n/a');
+    });
+  });
+
+  describe('render', () => {
+    it('should keep the value of a single template and interpolate the rest', () => {
+      const vars = { inputs: { limit: 10, tags: ['a'] } };
+      expect(Expression.render('{{ inputs.limit }}', vars)).toBe(10);
+      expect(Expression.render('limit={{ inputs.limit }}&tags={{ inputs.tags }}', vars)).toBe('limit=10&tags=["a"]');
+      expect(Expression.render('no templates', vars)).toBe('no templates');
+    });
+  });
+
+  describe('parse', () => {
+    it('should reject malformed expressions', () => {
+      expect(() => Expression.parse('steps.a ==')).toThrow('Unexpected end of expression');
+      expect(() => Expression.parse("'unterminated")).toThrow('Unterminated string');
+      expect(() => Expression.parse('a ; b')).toThrow('Unexpected character');
+      expect(() => Expression.parse('{{ }}')).toThrow('Expression is empty');
+    });
+  });
+
+  describe('references', () => {
+    it('should list referenced step ids', () => {
+      const refs = Expression.references("steps.a.result.x == 'y' && steps['b'].skipped || steps.c.result[steps.d.result]");
+      expect(refs.sort()).toEqual(['a', 'b', 'c', 'd']);
+    });
+  });
+});
+
+// Nicolas Larenas, nlarchive
@@ -2,6 +2,7 @@ const request = require('supertest');
 const express = require('express');
 const DatabaseClient = require('../../db/client');
 const WorkflowEngine = require('../../engine/workflow-engine');
+const LeaderElection = require('../../engine/leader-election');
 const { createRouter } = require('../../api/router');
 
 describe('Health endpoint', () => {
@@ -36,6 +37,22 @@ describe('Health endpoint', () => {
     // timestamp should be an ISO timestamp string
     expect(() => new Date(res.body.timestamp)).not.toThrow();
   });
+
+  it('GET /api/health reports this node and the current leader', async () => {
+    expect((await request(app).get('/api/health')).body.node).toEqual({
+      id: engine.nodeId,
+      leader: true,
+      leaderId: engine.nodeId
+    });
+
+    const other = new LeaderElection(db, { nodeId: 'node-b' });
+    other.campaign();
+    engine.leader = new LeaderElection(db, { nodeId: engine.nodeId });
+
+    const res = await request(app).get('/api/health');
+    expect(res.body.node).toEqual({ id: engine.nodeId, leader: false, leaderId: 'node-b' });
+    engine.leader = null;
+  });
 });
 
 // Nicolas Larenas, nlarchive
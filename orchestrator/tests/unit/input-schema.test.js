@@ -0,0 +1,64 @@
+const InputSchema = require('../../engine/input-schema');
+
+describe('InputSchema', () => {
+  const schema = {
+    date: { type: 'string', required: true },
+    region: { type: 'string', enum: ['eu', 'us'], default: 'eu' },
+    limit: { type: 'integer', default: 100 },
+    dryRun: { type: 'boolean' }
+  };
+
+  describe('validate', () => {
+    it('should accept a well-formed schema', () => {
+      expect(InputSchema.validate(schema)).toEqual([]);
+    });
+
+    it('should report malformed definitions', () => {
+      expect(InputSchema.validate({
+        'bad-name': { type: 'string' },
+        noType: {},
+        flag: { type: 'boolean', required: 'yes' },
+        level: { type: 'string', enum: ['low', 3] },
+        size: { type: 'integer', default: 1.5 },
+        mode: { type: 'string', enum: ['a', 'b'], default: 'c' }
+      })).toEqual([
+        'Input "bad-name" must be a valid identifier',
+        'Input "noType" type must be one of: string, number, integer, boolean, array, object',
+        'Input "flag" required must be a boolean',
+        'Input "level" enum value 3 is not a string',
+        'Default of input "size" must be of type integer',
+        'Default of input "mode" must be one of: "a", "b"'
+      ]);
+    });
+
+    it('should reject a non-object schema', () => {
+      expect(InputSchema.validate(['date'])).toEqual(['inputs must be an object']);
+    });
+  });
+
+  describe('resolve', () => {
+    it('should apply defaults and keep undeclared inputs', () => {
+      const { values, errors } = InputSchema.resolve(schema, { date: '2025-10-31', event: { id: 1 } });
+
+      expect(errors).toEqual([]);
+      expect(values).toEqual({ date: '2025-10-31', region: 'eu', limit: 100, event: { id: 1 } });
+    });
+
+    it('should report missing, mistyped and out-of-enum inputs', () => {
+      const { errors } = InputSchema.resolve(schema, { region: 'apac', limit: '10', dryRun: 1 });
+
+      expect(errors).toEqual([
+        'Input "date" is required',
+        'Input "region" must be one of: "eu", "us"',
+        'Input "limit" must be of type integer',
+        'Input "dryRun" must be of type boolean'
+      ]);
+    });
+
+    it('should pass inputs through when the workflow declares no schema', () => {
+      expect(InputSchema.resolve(undefined, { anything: true })).toEqual({ values: { anything: true }, errors: [] });
+    });
+  });
+});
+
+// Nicolas Larenas, nlarchive
@@ -0,0 +1,291 @@
+const JetStreamQueue = require('../../engine/jetstream-queue');
+const TaskQueue = require('../../engine/task-queue');
+const SqliteQueue = require('../../engine/sqlite-queue');
+const DatabaseClient = require('../../db/client');
+
+const decode = data => JSON.parse(Buffer.from(data).toString());
+
+// In-memory stand-in for a connected NatsWrapper: task messages are
+// delivered in order, once, and record how the queue settled them; dead
+// letters are kept by sequence like a limits stream
+const fakeNats = () => {
+  const pending = [];
+  const messages = [];
+  const deadLetters = new Map();
+  let lastDeadLetterSeq = 0;
+
+  const stored = seq => ({
+    seq,
+    subject: deadLetters.get(seq).subject,
+    json: () => decode(deadLetters.get(seq).data)
+  });
+  const consumer = {
+    next: jest.fn(async () => pending.shift() || null),
+    info: jest.fn(async () => ({ num_pending: pending.length, num_ack_pending: 1 }))
+  };
+
+  return {
+    nc: {},
+    messages,
+    pending,
+    deadLetters,
+    jsm: {
+      streams: {
+        add: jest.fn(async () => ({})),
+        info: jest.fn(async () => ({
+          state: {
+            messages: deadLetters.size,
+            first_seq: deadLetters.size > 0 ? Math.min(...deadLetters.keys()) : lastDeadLetterSeq + 1,
+            last_seq: lastDeadLetterSeq
+          }
+        })),
+        getMessage: jest.fn(async (stream, query) => {
+          const seq = query.seq !== undefined
+            ? query.seq
+            : [...deadLetters.keys()].find(key => deadLetters.get(key).subject === query.last_by_subj);
+          if (!deadLetters.has(seq)) {
+            throw new Error('no message found');
+          }
+          return stored(seq);
+        }),
+        deleteMessage: jest.fn(async (stream, seq) => deadLetters.delete(seq)),
+        purge: jest.fn(async () => {
+          const purged = deadLetters.size;
+          deadLetters.clear();
+          return { success: true, purged };
+        })
+      },
+      consumers: { add: jest.fn(async () => ({})) }
+    },
+    js: {
+      publish: jest.fn(async (subject, data, { headers } = {}) => {
+        if (subject.startsWith('orchestrator.dead-letters.')) {
+          lastDeadLetterSeq += 1;
+          deadLetters.set(lastDeadLetterSeq, { subject, data });
+          return { seq: lastDeadLetterSeq };
+        }
+
+        const msg = {
+          subject,
+          data,
+          headers,
+          seq: messages.length + 1,
+          info: { redelivered: false },
+          ack: jest.fn(),
+          nak: jest.fn(),
+          term: jest.fn(),
+          working: jest.fn()
+        };
+        messages.push(msg);
+        pending.push(msg);
+        return { seq: msg.seq };
+      }),
+      consumers: { get: jest.fn(async () => consumer) }
+    }
+  };
+};
+
+// The same stream message delivered again (its ack wait ran out)
+const redeliver = (nats, msg) => {
+  const again = { ...msg, info: { redelivered: true }, ack: jest.fn(), nak: jest.fn(), term: jest.fn(), working: jest.fn() };
+  nats.pending.push(again);
+  return again;
+};
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('JetStreamQueue', () => {
+  let nats;
+  let queue;
+
+  beforeEach(() => {
+    nats = fakeNats();
+    // No database: the streams hold every task
+    queue = new JetStreamQueue(null, { nats, leaseMs: 60000, workers: 2, limits: {} });
+  });
+
+  afterEach(() => {
+    queue.stop();
+  });
+
+  it('should be selected by TaskQueue.create', () => {
+    const db = new DatabaseClient(':memory:');
+    db.connect();
+    db.initialize();
+
+    expect(TaskQueue.create(db, { backend: 'jetstream', nats })).toBeInstanceOf(JetStreamQueue);
+    expect(TaskQueue.create(db, { backend: 'sqlite' })).toBeInstanceOf(SqliteQueue);
+    expect(() => TaskQueue.create(db, { backend: 'kafka' }))
+      .toThrow('Unknown queue backend "kafka" (expected one of: sqlite, jetstream)');
+    db.close();
+  });
+
+  it('should set up its streams and deliver the payload carried by the message, acking it when processed', async () => {
+    const processor = jest.fn().mockResolvedValue();
+    queue.start(processor, 20);
+    queue.enqueue('js-task', { data: 'test' }, { concurrencyKey: 'etl', maxRetries: 2 });
+
+    await waitFor(() => nats.messages.length === 1 && nats.messages[0].ack.mock.calls.length > 0);
+
+    expect(processor).toHaveBeenCalledWith({ data: 'test' }, expect.objectContaining({
+      task_id: 'js-task',
+      max_retries: 2,
+      concurrency_key: 'etl',
+      attempts: [],
+      redelivered: false
+    }));
+    expect(decode(nats.messages[0].data)).toMatchObject({
+      taskId: 'js-task',
+      payload: { data: 'test' },
+      maxRetries: 2,
+      concurrencyKey: 'etl',
+      attempts: []
+    });
+    expect(nats.jsm.streams.add).toHaveBeenCalledWith({
+      name: 'ORCHESTRATOR_TASKS',
+      subjects: ['orchestrator.tasks'],
+      retention: 'workqueue'
+    });
+    expect(nats.jsm.streams.add).toHaveBeenCalledWith({
+      name: 'ORCHESTRATOR_DEAD_LETTERS',
+      subjects: ['orchestrator.dead-letters.>']
+    });
+    expect(nats.jsm.consumers.add).toHaveBeenCalledWith('ORCHESTRATOR_TASKS', expect.objectContaining({
+      durable_name: 'orchestrator-workers',
+      ack_policy: 'explicit'
+    }));
+    expect(queue.get('js-task')).toBeNull();
+  });
+
+  it('should publish failed tasks again with their attempts and dead-letter them once retries are used up', async () => {
+    const processor = jest.fn().mockRejectedValue(new Error('Plugin unavailable'));
+    queue.start(processor, 20);
+    queue.enqueue('retried-task', { n: 1 }, { maxRetries: 2 });
+    queue.enqueue('dead-task', { n: 2 }, { maxRetries: 1 });
+
+    await waitFor(() => nats.deadLetters.size === 1 && nats.messages.length === 3);
+
+    const [retried, dead, retry] = nats.messages;
+    expect(retried.ack).toHaveBeenCalled();
+    expect(decode(retry.data)).toMatchObject({
+      taskId: 'retried-task',
+      payload: { n: 1 },
+      attempts: [expect.objectContaining({ attempt: 1, error: 'Plugin unavailable' })]
+    });
+    expect(parseInt(retry.headers.get('Orchestrator-Not-Before'), 10)).toBeGreaterThan(Date.now() + 1000);
+
+    expect(dead.term).toHaveBeenCalled();
+    expect(await queue.listDeadLetters({ taskId: 'dead-task' })).toEqual([expect.objectContaining({
+      task_id: 'dead-task',
+      payload: { n: 2 },
+      max_retries: 1,
+      attempts: [expect.objectContaining({ attempt: 1, error: 'Plugin unavailable' })]
+    })]);
+  });
+
+  it('should hold back deliveries that are not due or whose workflow is at its limit', async () => {
+    let release;
+    const processor = jest.fn(() => new Promise((resolve) => { release = resolve; }));
+    queue = new JetStreamQueue(null, { nats, leaseMs: 60000, workers: 2, limits: { etl: 1 } });
+    queue.start(processor, 20);
+
+    queue.enqueue('delayed-task', {}, { delay: 5000 });
+    queue.enqueue('etl-1', {}, { concurrencyKey: 'etl' });
+    queue.enqueue('etl-2', {}, { concurrencyKey: 'etl' });
+    await waitFor(() => nats.messages.length === 3 && nats.messages[2].nak.mock.calls.length > 0);
+
+    const [delayed, first, second] = nats.messages;
+    expect(delayed.headers.get('Orchestrator-Not-Before')).toBeTruthy();
+    expect(delayed.nak.mock.calls[0][0]).toBeGreaterThan(4000);
+    expect(first.nak).not.toHaveBeenCalled();
+    expect(second.nak).toHaveBeenCalledWith(1000);
+    expect(processor).toHaveBeenCalledTimes(1);
+    expect(queue.get('etl-1')).toMatchObject({ status: 'processing' });
+
+    // Processing deliveries are kept in progress by the heartbeat
+    queue.heartbeat();
+    expect(first.working).toHaveBeenCalled();
+
+    release();
+    await waitFor(() => first.ack.mock.calls.length > 0);
+  });
+
+  it('should flag redeliveries and not process a task twice when it comes back while still running', async () => {
+    let release;
+    const processor = jest.fn(() => new Promise((resolve) => { release = resolve; }));
+    queue.start(processor, 20);
+    queue.enqueue('slow-task', {});
+    await waitFor(() => processor.mock.calls.length === 1);
+
+    // Its heartbeat did not reach the server in time
+    const again = redeliver(nats, nats.messages[0]);
+    await waitFor(() => nats.pending.length === 0);
+    expect(processor).toHaveBeenCalledTimes(1);
+
+    release();
+    await waitFor(() => again.ack.mock.calls.length > 0);
+
+    // Another instance died while processing this one
+    const orphan = redeliver(nats, nats.messages[0]);
+    await waitFor(() => processor.mock.calls.length === 2);
+    expect(processor.mock.calls[1][1]).toMatchObject({ task_id: 'slow-task', redelivered: true });
+    release();
+    await waitFor(() => orphan.ack.mock.calls.length > 0);
+  });
+
+  it('should publish requeued tasks as new messages with their payload and delay', async () => {
+    queue.requeue('parked-task', { resume: true }, { concurrencyKey: 'etl', delay: 3000 });
+    await waitFor(() => nats.messages.length === 1);
+
+    const [msg] = nats.messages;
+    expect(decode(msg.data)).toMatchObject({ taskId: 'parked-task', payload: { resume: true }, concurrencyKey: 'etl' });
+    expect(parseInt(msg.headers.get('Orchestrator-Not-Before'), 10)).toBeGreaterThan(Date.now() + 2000);
+  });
+
+  it('should read, redrive and purge dead letters in the dead-letter stream', async () => {
+    const processor = jest.fn().mockRejectedValue(new Error('Plugin unavailable'));
+    queue.start(processor, 20);
+    ['dead-1', 'dead-2', 'dead-3'].forEach(taskId => queue.enqueue(taskId, { taskId }, { maxRetries: 1 }));
+    await waitFor(() => nats.deadLetters.size === 3);
+    queue.stop();
+
+    const letters = await queue.listDeadLetters();
+    expect(letters.map(letter => letter.task_id)).toEqual(['dead-3', 'dead-2', 'dead-1']);
+    expect(await queue.listDeadLetters({ limit: 1 })).toHaveLength(1);
+    expect(await queue.getDeadLetter(letters[2].id)).toEqual(letters[2]);
+    expect(await queue.getDeadLetter('missing')).toBeNull();
+
+    const task = await queue.redrive(letters[2].id, { taskId: 'dead-1', fixed: true });
+    expect(task).toMatchObject({ task_id: 'dead-1', payload: { taskId: 'dead-1', fixed: true }, attempts: [] });
+    expect(decode(nats.messages[3].data)).toMatchObject({ taskId: 'dead-1', payload: { fixed: true }, attempts: [] });
+    expect(await queue.getDeadLetter(letters[2].id)).toBeNull();
+    expect(await queue.redrive('missing')).toBeNull();
+
+    expect(await queue.purgeDeadLetters({ id: letters[1].id })).toBe(1);
+    expect(await queue.purgeDeadLetters({ id: letters[1].id })).toBe(0);
+    expect(await queue.purgeDeadLetters({ taskId: 'dead-3', before: '2000-01-01' })).toBe(0);
+    expect(await queue.purgeDeadLetters()).toBe(1);
+    expect(await queue.listDeadLetters()).toEqual([]);
+  });
+
+  it('should report queue counts from the consumer and dead-letter stream', async () => {
+    queue.start(jest.fn().mockRejectedValue(new Error('Plugin unavailable')), 20);
+    queue.enqueue('dead-task', {}, { maxRetries: 1 });
+    await waitFor(() => nats.deadLetters.size === 1);
+
+    queue.heartbeat();
+    await waitFor(() => queue.getStats().processing === 1);
+    expect(queue.getStats()).toEqual({ pending: 0, processing: 1, failed: 1 });
+    expect(queue.cleanup()).toBe(0);
+  });
+});
+
+// Nicolas Larenas, nlarchive
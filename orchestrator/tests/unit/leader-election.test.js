@@ -0,0 +1,75 @@
+const LeaderElection = require('../../engine/leader-election');
+const DatabaseClient = require('../../db/client');
+
+describe('LeaderElection', () => {
+  let db;
+  let a;
+  let b;
+
+  const at = seconds => new Date(Date.UTC(2025, 0, 1, 0, 0, seconds));
+
+  beforeEach(() => {
+    db = new DatabaseClient(':memory:');
+    db.connect();
+    db.initialize();
+    a = new LeaderElection(db, { nodeId: 'node-a', leaseMs: 15000 });
+    b = new LeaderElection(db, { nodeId: 'node-b', leaseMs: 15000 });
+  });
+
+  afterEach(() => {
+    a.stop();
+    b.stop();
+    db.close();
+  });
+
+  it('should elect a single leader and keep it while it renews', () => {
+    const elected = jest.fn();
+    a.on('elected', elected);
+
+    expect(a.campaign(at(0))).toBe(true);
+    expect(b.campaign(at(1))).toBe(false);
+    expect(a.campaign(at(5))).toBe(true);
+    expect(b.campaign(at(19))).toBe(false);
+
+    expect(elected).toHaveBeenCalledTimes(1);
+    expect(a.getLeader(at(19))).toEqual({
+      nodeId: 'node-a',
+      acquiredAt: at(0).toISOString(),
+      expiresAt: at(20).toISOString()
+    });
+  });
+
+  it('should hand the lease over once the leader stops renewing it', () => {
+    const demoted = jest.fn();
+    a.on('demoted', demoted);
+    a.campaign(at(0));
+
+    expect(b.campaign(at(15))).toBe(true);
+    expect(b.getLeader(at(16)).nodeId).toBe('node-b');
+    expect(a.campaign(at(16))).toBe(false);
+    expect(demoted).toHaveBeenCalledTimes(1);
+    expect(a.getLeader(at(31))).toBeNull();
+  });
+
+  it('should release the lease on stop so another instance takes over right away', () => {
+    a.start();
+    expect(a.isLeader).toBe(true);
+
+    a.stop();
+    expect(a.isLeader).toBe(false);
+    expect(b.campaign()).toBe(true);
+  });
+
+  it('should keep its role through database errors until its lease would have run out', () => {
+    a.campaign(at(0));
+    jest.spyOn(db, 'acquireLeaderLease').mockImplementation(() => {
+      throw new Error('database is locked');
+    });
+
+    // Steps down a renewal interval before the lease runs out
+    expect(a.campaign(at(9))).toBe(true);
+    expect(a.campaign(at(10))).toBe(false);
+  });
+});
+
+// Nicolas Larenas, nlarchive
@@ -17,6 +17,16 @@ describe('NatsWrapper', () => {
     await expect(wrapper.subscribe('test', jest.fn())).rejects.toThrow('NATS not connected');
   });
 
+  it('should unsubscribe tracked subjects', async () => {
+    const sub = { unsubscribe: jest.fn().mockResolvedValue() };
+    wrapper.subscriptions.set('transactions.>', sub);
+
+    expect(await wrapper.unsubscribe('transactions.>')).toBe(true);
+    expect(sub.unsubscribe).toHaveBeenCalled();
+    expect(wrapper.subscriptions.has('transactions.>')).toBe(false);
+    expect(await wrapper.unsubscribe('transactions.>')).toBe(false);
+  });
+
   // Add more tests for JetStream stream creation, consumer options, fallback, error handling, etc.
 });
 
@@ -9,7 +9,7 @@ describe('PathwayWrapper basic operations', () => {
 
     const res = await wrapper.runPipeline({ pipelineId: 'pipeline-1', input: { foo: 'bar' } });
     expect(res).toMatchObject({ success: true, executionId: 'exec-1', status: 'running', pipelineId: 'pipeline-1' });
-    expect(wrapper.client.post).toHaveBeenCalledWith('/pipelines/pipeline-1/run', expect.any(Object));
+    expect(wrapper.client.post).toHaveBeenCalledWith('/pipelines/pipeline-1/run', expect.any(Object), { signal: undefined });
   });
 
   test('getHealth returns unhealthy on fetch error', async () => {
@@ -24,6 +24,24 @@ describe('PostgresWrapper retry logic', () => {
     await expect(wrapper.query('SELECT 1')).rejects.toThrow('permanent error');
     expect(unsafe).toHaveBeenCalledTimes(2); // initial + 1 retry
   });
+
+  it('cancels the running query and stops retrying when aborted', async () => {
+    const wrapper = new PostgresWrapper({ retries: 3, retryBaseDelay: 1 });
+    const controller = new AbortController();
+    const pending = new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error('canceling statement due to user request')), 5);
+    });
+    pending.cancel = jest.fn();
+    const unsafe = jest.fn().mockReturnValue(pending);
+    wrapper.sql = { unsafe };
+
+    const query = wrapper.query('INSERT INTO events (id) VALUES ($1)', [1], { signal: controller.signal });
+    controller.abort(new Error('Step "load" timed out after 20ms'));
+
+    await expect(query).rejects.toThrow('timed out');
+    expect(pending.cancel).toHaveBeenCalled();
+    expect(unsafe).toHaveBeenCalledTimes(1);
+  });
 });
 
 // Nicolas Larenas, nlarchive
@@ -0,0 +1,183 @@
+const Scheduler = require('../../engine/scheduler');
+const WorkflowEngine = require('../../engine/workflow-engine');
+const DatabaseClient = require('../../db/client');
+
+describe('Scheduler', () => {
+  let db;
+  let engine;
+  let scheduler;
+
+  const spec = {
+    name: 'daily-report',
+    steps: [{ id: 'query', plugin: 'p1', action: 'select' }]
+  };
+
+  const at = (time) => new Date(`2026-05-01T${time}Z`);
+
+  const createSchedule = (fields = {}) => scheduler.create({
+    name: 'reports',
+    workflow_name: 'daily-report',
+    cron: '0 * * * *',
+    inputs: { region: 'eu' },
+    ...fields
+  }, at('09:30:00')).schedule;
+
+  beforeEach(() => {
+    db = new DatabaseClient(':memory:');
+    db.connect();
+    db.initialize();
+    engine = new WorkflowEngine(db);
+    engine.registry.register(spec);
+    scheduler = new Scheduler(db, engine, { misfireGraceMs: 60000 });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    db.close();
+  });
+
+  describe('create and update', () => {
+    it('should store the schedule with its next fire time and a preview', () => {
+      const schedule = createSchedule({ timezone: 'Europe/Madrid' });
+
+      expect(schedule).toEqual(expect.objectContaining({
+        name: 'reports',
+        workflow_name: 'daily-report',
+        timezone: 'Europe/Madrid',
+        inputs: { region: 'eu' },
+        enabled: true,
+        catch_up: 'latest',
+        allow_overlap: false,
+        next_run_at: '2026-05-01T10:00:00.000Z'
+      }));
+      expect(schedule.upcoming.slice(0, 2)).toEqual(['2026-05-01T10:00:00.000Z', '2026-05-01T11:00:00.000Z']);
+    });
+
+    it('should report validation errors', () => {
+      const { errors } = scheduler.create({
+        name: 'bad',
+        workflow_name: 'unknown',
+        cron: '* * *',
+        interval_seconds: 10,
+        timezone: 'Nowhere/City',
+        catch_up: 'sometimes'
+      });
+
+      expect(errors).toEqual([
+        'Workflow "unknown" is not registered',
+        'Schedule must have exactly one of cron or interval_seconds',
+        'Unknown timezone "Nowhere/City"',
+        'catch_up must be one of: none, latest, all'
+      ]);
+    });
+
+    it('should switch from cron to interval and recompute the next run', () => {
+      const schedule = createSchedule();
+      const { schedule: updated } = scheduler.update(schedule.id, { interval_seconds: 600 }, at('09:45:00'));
+
+      expect(updated.cron).toBeNull();
+      expect(updated.interval_seconds).toBe(600);
+      expect(updated.next_run_at).toBe('2026-05-01T09:55:00.000Z');
+      expect(scheduler.update('missing', {})).toBeNull();
+    });
+  });
+
+  describe('tick', () => {
+    it('should enqueue due schedules with their inputs and advance next_run_at', async () => {
+      const schedule = createSchedule();
+
+      expect(await scheduler.tick(at('09:59:00'))).toEqual([]);
+
+      const [outcome] = await scheduler.tick(at('10:00:02'));
+      expect(outcome).toEqual(expect.objectContaining({ outcome: 'enqueued', scheduledFor: '2026-05-01T10:00:00.000Z' }));
+
+      const queued = engine.queue.dequeue();
+      expect(queued.task_id).toBe(outcome.executionId);
+      expect(queued.payload.inputs).toEqual({ region: 'eu' });
+
+      const stored = db.getSchedule(schedule.id);
+      expect(stored.next_run_at).toBe('2026-05-01T11:00:00.000Z');
+      expect(stored.last_execution_id).toBe(outcome.executionId);
+
+      const [submitted] = db.getEventsByExecution(outcome.executionId);
+      expect(submitted.event_data.trigger).toEqual({
+        type: 'schedule',
+        scheduleId: schedule.id,
+        scheduledFor: '2026-05-01T10:00:00.000Z'
+      });
+    });
+
+    it('should skip a run while the previous one is still active', async () => {
+      createSchedule();
+      const [first] = await scheduler.tick(at('10:00:00'));
+
+      const [second] = await scheduler.tick(at('11:00:00'));
+      expect(second.outcome).toBe('skipped_overlap');
+
+      db.updateExecution(first.executionId, { status: 'completed' });
+      const [third] = await scheduler.tick(at('12:00:00'));
+      expect(third.outcome).toBe('enqueued');
+    });
+
+    it('should run once for the latest missed fire time by default', async () => {
+      const schedule = createSchedule();
+
+      const outcomes = await scheduler.tick(at('13:20:00'));
+      expect(outcomes).toEqual([expect.objectContaining({ outcome: 'enqueued', scheduledFor: '2026-05-01T13:00:00.000Z' })]);
+      expect(db.getSchedule(schedule.id).next_run_at).toBe('2026-05-01T14:00:00.000Z');
+    });
+
+    it('should drop missed runs with catch_up none', async () => {
+      createSchedule({ catch_up: 'none' });
+
+      const [outcome] = await scheduler.tick(at('13:20:00'));
+      expect(outcome.outcome).toBe('missed');
+      expect(engine.queue.getStats().pending).toBe(0);
+    });
+
+    it('should run every missed fire time with catch_up all', async () => {
+      createSchedule({ catch_up: 'all', allow_overlap: true });
+      const now = at('12:30:00');
+
+      const fired = [];
+      for (let i = 0; i < 4; i++) {
+        fired.push(...(await scheduler.tick(now)).map(o => o.scheduledFor));
+      }
+
+      expect(fired).toEqual([
+        '2026-05-01T10:00:00.000Z',
+        '2026-05-01T11:00:00.000Z',
+        '2026-05-01T12:00:00.000Z'
+      ]);
+    });
+
+    it('should catch up on long outages without stepping through every missed fire time', async () => {
+      const interval = createSchedule({ name: 'every-second', cron: null, interval_seconds: 1 });
+      const minutely = createSchedule({ name: 'every-minute', cron: '* * * * *' });
+      const now = new Date('2026-06-01T09:30:00.500Z');
+
+      const outcomes = await scheduler.tick(now);
+
+      expect(outcomes.map(o => o.outcome)).toEqual(['enqueued', 'enqueued']);
+      expect(outcomes[0].scheduledFor).toBe('2026-06-01T09:30:00.000Z');
+      expect(db.getSchedule(interval.id).next_run_at).toBe('2026-06-01T09:30:01.000Z');
+      expect(db.getSchedule(minutely.id).next_run_at).toBe('2026-06-01T09:31:00.000Z');
+    });
+
+    it('should not fire a schedule claimed by another instance', async () => {
+      const schedule = createSchedule();
+      const [due] = db.getDueSchedules(at('10:00:00').toISOString());
+      db.claimScheduleRun(schedule.id, due.next_run_at, '2026-05-01T11:00:00.000Z');
+
+      expect(await scheduler.fire(due, at('10:00:00'))).toEqual({ scheduleId: schedule.id, outcome: 'claimed_elsewhere' });
+    });
+
+    it('should not fire disabled schedules', async () => {
+      createSchedule({ enabled: false });
+
+      expect(await scheduler.tick(at('10:00:00'))).toEqual([]);
+    });
+  });
+});
+
+// Nicolas Larenas, nlarchive
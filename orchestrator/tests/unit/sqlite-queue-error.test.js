@@ -20,6 +20,18 @@ describe('SqliteQueue Error Branches', () => {
     expect(queue.dequeue()).toBeNull();
   });
 
+  it('should log, not reject, when a failed task cannot be recorded', async () => {
+    queue.processor = jest.fn().mockRejectedValue(new Error('Plugin unavailable'));
+    jest.spyOn(queue, 'fail').mockImplementation(() => {
+      throw new Error('database is locked');
+    });
+    queue.enqueue('busy-task', {});
+
+    await expect(queue.process(queue.dequeue())).resolves.toBeUndefined();
+    expect(queue.fail).toHaveBeenCalledWith('busy-task', expect.any(Error));
+    expect(queue.busy).toBe(0);
+  });
+
   // Add more tests for enqueue duplicate, fail/retry logic, cleanup, processor error handling
 });
 
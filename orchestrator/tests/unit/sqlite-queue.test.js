@@ -1,5 +1,6 @@
 const SqliteQueue = require('../../engine/sqlite-queue');
 const DatabaseClient = require('../../db/client');
+const metrics = require('../../config/metrics');
 
 describe('SqliteQueue', () => {
   let db;
@@ -116,6 +117,212 @@ describe('SqliteQueue', () => {
     });
   });
 
+  describe('updateStatus/requeue', () => {
+    it('should park and requeue tasks', () => {
+      queue.enqueue('park-task', { data: 'test' });
+
+      expect(queue.updateStatus('park-task', 'paused', ['pending'])).toBe(true);
+      expect(queue.dequeue()).toBeNull();
+      expect(queue.getStats().paused).toBe(1);
+
+      expect(queue.requeue('park-task', { data: 'resumed' })).toBe(true);
+      const task = queue.dequeue();
+      expect(task.payload).toEqual({ data: 'resumed' });
+    });
+
+    it('should only update tasks in the expected statuses', () => {
+      queue.enqueue('guarded-task', { data: 'test' });
+      expect(queue.updateStatus('guarded-task', 'cancelled', ['paused'])).toBe(false);
+      expect(queue.get('guarded-task').status).toBe('pending');
+    });
+
+    it('should not complete tasks moved out of processing', () => {
+      queue.enqueue('moved-task', { data: 'test' });
+      queue.dequeue();
+      queue.updateStatus('moved-task', 'paused', ['processing']);
+      queue.complete('moved-task');
+
+      expect(queue.get('moved-task').status).toBe('paused');
+    });
+  });
+
+  describe('leases', () => {
+    const expireLease = (taskId) => db.db
+      .prepare("UPDATE task_queue SET lease_expires_at = datetime('now', '-1 second') WHERE task_id = ?")
+      .run(taskId);
+
+    it('should lease claimed tasks to their owner', () => {
+      const other = new SqliteQueue(db, { owner: 'worker-b', leaseMs: 60000 });
+      queue = new SqliteQueue(db, { owner: 'worker-a', leaseMs: 60000 });
+      queue.enqueue('lease-1', {});
+      queue.enqueue('lease-2', {});
+
+      const first = queue.dequeue();
+      const second = other.dequeue();
+      expect([first.task_id, second.task_id]).toEqual(['lease-1', 'lease-2']);
+      expect(first.lease_owner).toBe('worker-a');
+      expect(new Date(`${first.lease_expires_at}Z`).getTime()).toBeGreaterThan(Date.now() + 50000);
+      expect(other.dequeue()).toBeNull();
+
+      // Another owner's processor cannot complete or fail the task
+      other.complete('lease-1');
+      other.fail('lease-1', new Error('not mine'));
+      expect(queue.get('lease-1')).toMatchObject({ status: 'processing', retry_count: 0 });
+
+      queue.complete('lease-1');
+      expect(queue.get('lease-1')).toMatchObject({ status: 'completed', lease_expires_at: null });
+    });
+
+    it('should claim a specific pending task', () => {
+      queue.enqueue('claim-task', {});
+
+      expect(queue.claim('claim-task')).toBe(true);
+      expect(queue.claim('claim-task')).toBe(false);
+      expect(queue.get('claim-task').lease_owner).toBe(queue.owner);
+    });
+
+    it('should renew the leases of its own tasks', () => {
+      queue.enqueue('beat-task', {});
+      queue.dequeue();
+      expireLease('beat-task');
+
+      expect(queue.heartbeat()).toBe(1);
+      expect(queue.reapExpiredLeases()).toEqual([]);
+      expect(new SqliteQueue(db, { owner: 'worker-b' }).heartbeat()).toBe(0);
+    });
+
+    it('should reclaim expired leases as retries', () => {
+      queue.enqueue('crashed-task', { data: 'test' }, { maxRetries: 2 });
+      queue.enqueue('live-task', { data: 'test' });
+      queue.dequeue();
+      queue.dequeue();
+      expireLease('crashed-task');
+
+      const [reclaimed, ...rest] = queue.reapExpiredLeases();
+      expect(rest).toEqual([]);
+      expect(reclaimed).toMatchObject({
+        task_id: 'crashed-task',
+        status: 'pending',
+        retry_count: 1,
+        lease_owner: queue.owner,
+        payload: { data: 'test' }
+      });
+      expect(queue.get('live-task').status).toBe('processing');
+
+      queue.dequeue();
+      expireLease('crashed-task');
+      expect(queue.reapExpiredLeases()).toEqual([expect.objectContaining({ status: 'failed', retry_count: 2 })]);
+      expect(queue.get('crashed-task').completed_at).not.toBeNull();
+    });
+  });
+
+  describe('dead-letter queue', () => {
+    const exhaust = (taskId, errors) => {
+      for (const message of errors) {
+        queue.claim(taskId);
+        queue.fail(taskId, new Error(message));
+        db.db.prepare("UPDATE task_queue SET scheduled_at = datetime('now') WHERE task_id = ?").run(taskId);
+      }
+    };
+
+    it('should record every attempt and dead-letter tasks that use up their retries', async () => {
+      queue.enqueue('dead-task', { data: 'test' }, { maxRetries: 2, priority: 5, concurrencyKey: 'etl' });
+      exhaust('dead-task', ['Error 1']);
+
+      expect(queue.get('dead-task').attempts).toEqual([
+        expect.objectContaining({ attempt: 1, error: 'Error 1', owner: queue.owner })
+      ]);
+      expect(queue.listDeadLetters()).toEqual([]);
+
+      exhaust('dead-task', ['Error 2']);
+
+      const [letter, ...rest] = queue.listDeadLetters();
+      expect(rest).toEqual([]);
+      expect(letter).toMatchObject({
+        task_id: 'dead-task',
+        priority: 5,
+        payload: { data: 'test' },
+        max_retries: 2,
+        concurrency_key: 'etl'
+      });
+      expect(letter.attempts.map(a => [a.attempt, a.error])).toEqual([[1, 'Error 1'], [2, 'Error 2']]);
+      expect(letter.attempts[1].started_at).not.toBeNull();
+      expect(letter.attempts[1].failed_at).not.toBeNull();
+      expect(queue.getDeadLetter(letter.id)).toEqual(letter);
+
+      const { values } = await metrics.dlqDepth.get();
+      expect(values[0].value).toBe(1);
+
+      // cleanup() removes the finished queue entry but keeps the dead letter
+      db.db.prepare("UPDATE task_queue SET completed_at = datetime('now', '-2 days')").run();
+      expect(queue.cleanup()).toBe(1);
+      expect(queue.listDeadLetters()).toHaveLength(1);
+    });
+
+    it('should dead-letter tasks whose last lease expired', () => {
+      queue.enqueue('lost-task', {}, { maxRetries: 1 });
+      queue.dequeue();
+      db.db.prepare("UPDATE task_queue SET lease_expires_at = datetime('now', '-1 second')").run();
+
+      queue.reapExpiredLeases();
+
+      const [letter] = queue.listDeadLetters({ taskId: 'lost-task' });
+      expect(letter.attempts).toEqual([
+        expect.objectContaining({ attempt: 1, error: 'Lease expired', owner: queue.owner })
+      ]);
+    });
+
+    it('should redrive a dead letter with fresh retries, optionally with a new payload', () => {
+      queue.enqueue('redrive-task', { data: 'bad' }, { maxRetries: 1, concurrencyKey: 'etl' });
+      exhaust('redrive-task', ['Error 1']);
+      const [letter] = queue.listDeadLetters();
+
+      const task = queue.redrive(letter.id, { data: 'fixed' });
+      expect(task).toMatchObject({
+        task_id: 'redrive-task',
+        status: 'pending',
+        retry_count: 0,
+        attempts: [],
+        max_retries: 1,
+        concurrency_key: 'etl',
+        payload: { data: 'fixed' }
+      });
+      expect(queue.listDeadLetters()).toEqual([]);
+      expect(queue.redrive(letter.id)).toBeNull();
+      expect(queue.dequeue().payload).toEqual({ data: 'fixed' });
+    });
+
+    it('should not redrive a task that is queued again', () => {
+      queue.enqueue('requeued-task', { data: 'test' }, { maxRetries: 1 });
+      exhaust('requeued-task', ['Error 1']);
+      queue.requeue('requeued-task');
+      const [letter] = queue.listDeadLetters();
+
+      expect(() => queue.redrive(letter.id)).toThrow('Task requeued-task is already queued (status "pending")');
+      expect(queue.getDeadLetter(letter.id)).not.toBeNull();
+    });
+
+    it('should purge dead letters by id, task or age', async () => {
+      ['old-task', 'new-task', 'other-task'].forEach((taskId) => {
+        queue.enqueue(taskId, {}, { maxRetries: 1 });
+        exhaust(taskId, ['Error']);
+      });
+      db.db.prepare("UPDATE dead_letters SET failed_at = datetime('now', '-2 days') WHERE task_id = 'old-task'").run();
+
+      expect(queue.listDeadLetters({ limit: 2 })).toHaveLength(2);
+      expect(queue.purgeDeadLetters({ before: new Date(Date.now() - 86400000).toISOString() })).toBe(1);
+      expect(queue.purgeDeadLetters({ taskId: 'new-task' })).toBe(1);
+
+      const [remaining] = queue.listDeadLetters();
+      expect(remaining.task_id).toBe('other-task');
+      expect(queue.purgeDeadLetters({ id: remaining.id })).toBe(1);
+      expect(queue.purgeDeadLetters()).toBe(0);
+
+      const { values } = await metrics.dlqDepth.get();
+      expect(values[0].value).toBe(0);
+    });
+  });
+
   describe('start/stop', () => {
     it('should process tasks automatically', (done) => {
       const processor = jest.fn().mockResolvedValue(undefined);
@@ -124,7 +331,7 @@ describe('SqliteQueue', () => {
       queue.start(processor, 100);
 
       setTimeout(() => {
-        expect(processor).toHaveBeenCalledWith({ data: 'test' });
+        expect(processor).toHaveBeenCalledWith({ data: 'test' }, expect.objectContaining({ task_id: 'auto-task' }));
         queue.stop();
         done();
       }, 250);
@@ -145,6 +352,58 @@ describe('SqliteQueue', () => {
     });
   });
 
+  describe('worker pool', () => {
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    it('should process up to `workers` tasks at once, starting them as soon as they are enqueued', async () => {
+      queue = new SqliteQueue(db, { workers: 2 });
+      const pending = [];
+      const processor = jest.fn(() => new Promise(resolve => pending.push(resolve)));
+      queue.start(processor, 60000);
+
+      ['pool-1', 'pool-2', 'pool-3'].forEach(id => queue.enqueue(id, { id }));
+      await flush();
+
+      expect(processor.mock.calls.map(([payload]) => payload.id)).toEqual(['pool-1', 'pool-2']);
+      expect((await metrics.queueWorkerUtilization.get()).values[0].value).toBe(1);
+
+      pending[0]();
+      await flush();
+      await flush();
+      expect(processor).toHaveBeenCalledTimes(3);
+      expect(queue.get('pool-1').status).toBe('completed');
+
+      pending.slice(1).forEach(resolve => resolve());
+      queue.stop();
+      await flush();
+      expect(queue.heartbeatInterval).toBeNull();
+    });
+
+    it('should hold back tasks whose workflow is at its concurrency limit', () => {
+      queue = new SqliteQueue(db, { limits: { report: 1 } });
+      queue.enqueue('report-1', {}, { concurrencyKey: 'report' });
+      queue.enqueue('report-2', {}, { concurrencyKey: 'report' });
+      queue.enqueue('other-1', {}, { concurrencyKey: 'other' });
+
+      expect(queue.dequeue().task_id).toBe('report-1');
+      expect(queue.dequeue().task_id).toBe('other-1');
+      expect(queue.dequeue()).toBeNull();
+
+      queue.complete('report-1');
+      expect(queue.dequeue().task_id).toBe('report-2');
+    });
+
+    it('should record how long claimed tasks waited', async () => {
+      queue.enqueue('waited-task', {}, { concurrencyKey: 'waited' });
+      db.db.prepare("UPDATE task_queue SET scheduled_at = datetime('now', '-30 seconds') WHERE task_id = 'waited-task'").run();
+      queue.dequeue();
+
+      const { values } = await metrics.queueWaitTime.get();
+      const sum = values.find(v => v.metricName === 'queue_wait_seconds_sum' && v.labels.workflow === 'waited');
+      expect(sum.value).toBeGreaterThanOrEqual(29);
+    });
+  });
+
   describe('cleanup', () => {
     it('should remove old completed tasks', () => {
       queue.enqueue('cleanup-task', { data: 'test' });
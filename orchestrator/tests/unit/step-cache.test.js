@@ -0,0 +1,81 @@
+const StepCache = require('../../engine/step-cache');
+const DatabaseClient = require('../../db/client');
+
+describe('StepCache', () => {
+  let db;
+  let store;
+  let cache;
+
+  const step = { id: 'score', plugin: 'pathway', action: 'runPipeline' };
+  const now = new Date('2025-10-31T12:00:00Z');
+
+  beforeEach(() => {
+    db = new DatabaseClient(':memory:');
+    db.connect();
+    db.initialize();
+
+    const objects = new Map();
+    store = {
+      objects,
+      putObject: jest.fn(async ({ key, data }) => objects.set(key, data)),
+      getObject: jest.fn(async (key) => objects.get(key)),
+      deleteObject: jest.fn(async (key) => objects.delete(key))
+    };
+    cache = new StepCache(db, { getStore: async () => store, maxInlineBytes: 100 });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('should key calls by plugin, action and canonical input', () => {
+    const key = StepCache.key(step, { a: 1, b: [1, 2] });
+
+    expect(StepCache.key(step, { b: [1, 2], a: 1 })).toBe(key);
+    expect(StepCache.key(step, { a: 2, b: [1, 2] })).not.toBe(key);
+    expect(StepCache.key({ ...step, action: 'other' }, { a: 1, b: [1, 2] })).not.toBe(key);
+  });
+
+  it('should return results until their ttl passes', async () => {
+    await cache.set(step, { day: 'mon' }, { score: 0.4 }, 60, now);
+
+    expect(await cache.get(step, { day: 'mon' }, new Date(now.getTime() + 59 * 1000)))
+      .toEqual({ hit: true, key: expect.any(String), value: { score: 0.4 } });
+    expect((await cache.get(step, { day: 'mon' }, new Date(now.getTime() + 60 * 1000))).hit).toBe(false);
+    expect((await cache.get(step, { day: 'tue' }, now)).hit).toBe(false);
+    expect(cache.list()).toEqual([expect.objectContaining({ plugin_id: 'pathway', hits: 1, object_key: null })]);
+  });
+
+  it('should keep large results in MinIO', async () => {
+    const large = { rows: 'x'.repeat(200) };
+    await cache.set(step, {}, large, 60, now);
+
+    const [entry] = cache.list();
+    expect(entry.object_key).toBe(`step-cache/${entry.key}.json`);
+    expect(db.getCacheEntry(entry.key).result).toBeNull();
+    expect((await cache.get(step, {}, now)).value).toEqual(large);
+
+    expect(await cache.invalidate({ key: entry.key })).toBe(1);
+    expect(store.deleteObject).toHaveBeenCalledWith(entry.object_key);
+    expect(cache.list()).toEqual([]);
+  });
+
+  it('should treat an unreadable MinIO object as a miss', async () => {
+    await cache.set(step, {}, { rows: 'x'.repeat(200) }, 60, now);
+    store.getObject.mockRejectedValueOnce(new Error('NoSuchKey'));
+
+    expect((await cache.get(step, {}, now)).hit).toBe(false);
+  });
+
+  it('should invalidate by plugin and action and purge expired entries', async () => {
+    await cache.set(step, { n: 1 }, 1, 60, now);
+    await cache.set(step, { n: 2 }, 2, 3600, now);
+    await cache.set({ ...step, plugin: 'postgres', action: 'select' }, {}, [], 60, now);
+
+    expect(await cache.purgeExpired(new Date(now.getTime() + 120 * 1000))).toBe(2);
+    expect(await cache.invalidate({ plugin: 'pathway', action: 'runPipeline' })).toBe(1);
+    expect(cache.list()).toEqual([]);
+  });
+});
+
+// Nicolas Larenas, nlarchive
@@ -1,6 +1,7 @@
 const StepExecutor = require('../../engine/step-executor');
 const DatabaseClient = require('../../db/client');
 const axios = require('axios');
+const config = require('../../config/env');
 
 jest.mock('axios');
 
@@ -85,13 +86,228 @@ describe('Step Executor', () => {
       expect(resolved).toEqual(input);
     });
 
-    it('should handle missing context gracefully', () => {
+    it('should resolve item templates inside a forEach iteration', () => {
+      const input = {
+        row: '{{ item }}',
+        amount: '{{ item.amount }}',
+        position: '{{ index }}'
+      };
+
+      const resolved = executor.resolveInput(input, { steps: {}, forEach: { item: { amount: 5 }, index: 2 } });
+      expect(resolved).toEqual({ row: { amount: 5 }, amount: 5, position: 2 });
+    });
+
+    it('should resolve workflow inputs as values and inside strings', () => {
+      const input = {
+        limit: '{{ inputs.limit }}',
+        key: 'reports/daily-sales-{{ inputs.date }}.json',
+        region: "{{ inputs.region | default('eu') | upper }}"
+      };
+
+      const resolved = executor.resolveInput(input, { steps: {}, inputs: { limit: 10, date: '2025-10-31' } });
+      expect(resolved).toEqual({ limit: 10, key: 'reports/daily-sales-2025-10-31.json', region: 'EU' });
+    });
+
+    it('should resolve deep paths, filters, execution and env variables', () => {
+      process.env.WORKFLOW_ENV_TEMPLATE_TEST_BUCKET = 'reports';
+      const context = {
+        steps: { fetch: { result: { rows: [{ amount: 5, ok: true }, { amount: 7, ok: false }] } } },
+        execution: { id: 'exec-1' }
+      };
+
+      const resolved = executor.resolveInput({
+        first: '{{ steps.fetch.result.rows[0].amount }}',
+        total: "{{ steps.fetch.result.rows | map('amount') | sum }}",
+        ok: "{{ steps.fetch.result.rows | filter('ok') | length }}",
+        items: ['{{ execution.id }}', 'bucket={{ env.TEMPLATE_TEST_BUCKET }}']
+      }, context);
+
+      expect(resolved).toEqual({ first: 5, total: 12, ok: 1, items: ['exec-1', 'bucket=reports'] });
+      delete process.env.WORKFLOW_ENV_TEMPLATE_TEST_BUCKET;
+    });
+
+    it('should only expose WORKFLOW_ENV_ variables to templates', () => {
+      process.env.TEMPLATE_TEST_SECRET = 'hunter2';
+
+      expect(() => executor.resolveInput({ password: '{{ env.TEMPLATE_TEST_SECRET }}' }, {}))
+        .toThrow('"env.TEMPLATE_TEST_SECRET" is undefined');
+      expect(StepExecutor.templateScope().env).not.toHaveProperty('MINIO_SECRET_KEY');
+      delete process.env.TEMPLATE_TEST_SECRET;
+    });
+
+    it('should fail on references that do not resolve', () => {
       const input = {
         data: '{{ steps.missing.result }}'
       };
 
-      const resolved = executor.resolveInput(input, { steps: {} });
-      expect(resolved.data).toBe('{{ steps.missing.result }}');
+      expect(() => executor.resolveInput(input, { steps: {} }))
+        .toThrow('Cannot resolve "{{ steps.missing.result }}": "steps.missing" is undefined');
+      expect(() => executor.resolveInput({ id: '{{ item.id }}' }, { steps: {} }))
+        .toThrow('Unknown variable "item"');
+    });
+  });
+
+  describe('evaluateCondition', () => {
+    it('should run steps without a condition', () => {
+      expect(executor.evaluateCondition({ id: 'a' }, {})).toBe(true);
+    });
+
+    it('should evaluate expressions against prior step results', () => {
+      const step = { id: 'alert', when: "{{ steps.score.result.riskLevel == 'high' }}" };
+
+      expect(executor.evaluateCondition(step, { steps: { score: { result: { riskLevel: 'high' } } } })).toBe(true);
+      expect(executor.evaluateCondition(step, { steps: { score: { result: { riskLevel: 'low' } } } })).toBe(false);
+    });
+
+    it('should honor boolean conditions', () => {
+      expect(executor.evaluateCondition({ id: 'a', when: false }, {})).toBe(false);
+    });
+  });
+
+  describe('execution policy', () => {
+    let wrapper;
+
+    beforeEach(() => {
+      wrapper = { fetch: jest.fn() };
+      executor.wrappers['test.plugin'] = wrapper;
+    });
+
+    it('should retry wrapper calls and report each attempt', async () => {
+      wrapper.fetch
+        .mockRejectedValueOnce(Object.assign(new Error('connection reset'), { code: 'ECONNRESET' }))
+        .mockResolvedValueOnce({ rows: [] });
+
+      const hooks = { onAttemptStart: jest.fn(), onAttemptFailed: jest.fn() };
+      const step = { id: 'w', plugin: 'test.plugin', action: 'fetch', retry: { maxAttempts: 3, delayMs: 1 } };
+
+      const result = await executor.execute(step, {}, hooks);
+
+      expect(result).toEqual({ rows: [] });
+      expect(wrapper.fetch).toHaveBeenCalledTimes(2);
+      expect(hooks.onAttemptStart.mock.calls).toEqual([[1], [2]]);
+      expect(hooks.onAttemptFailed).toHaveBeenCalledWith(expect.objectContaining({
+        attempt: 1,
+        errorClass: 'network',
+        willRetry: true,
+        delayMs: 1
+      }));
+    });
+
+    it('should time out slow wrapper calls', async () => {
+      wrapper.fetch.mockImplementation(() => new Promise(resolve => setTimeout(resolve, 200)));
+
+      const step = { id: 'slow', plugin: 'test.plugin', action: 'fetch', timeout: 20 };
+
+      await expect(executor.execute(step, {})).rejects.toMatchObject({
+        code: 'STEP_TIMEOUT',
+        message: 'Step "slow" timed out after 20ms'
+      });
+    });
+
+    it('should abort the signal handed to a wrapper call on timeout', async () => {
+      let signal;
+      wrapper.fetch.mockImplementation((input, options) => {
+        signal = options.signal;
+        return new Promise(() => {});
+      });
+
+      const step = { id: 'hang', plugin: 'test.plugin', action: 'fetch', timeout: 20 };
+
+      await expect(executor.execute(step, {})).rejects.toThrow('timed out');
+      expect(signal.aborted).toBe(true);
+      expect(signal.reason.code).toBe('STEP_TIMEOUT');
+    });
+
+    it('should only time out wrapper calls with a step timeout', async () => {
+      const defaultTimeout = config.engine.stepTimeoutMs;
+      config.engine.stepTimeoutMs = 10;
+      wrapper.fetch.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve({ done: true }), 40)));
+
+      try {
+        await expect(executor.execute({ id: 'long', plugin: 'test.plugin', action: 'fetch' }, {}))
+          .resolves.toEqual({ done: true });
+      } finally {
+        config.engine.stepTimeoutMs = defaultTimeout;
+      }
+    });
+
+    it('should abort the in-flight wrapper call when the execution is cancelled', async () => {
+      const controller = new AbortController();
+      let signal;
+      wrapper.fetch.mockImplementation((input, options) => {
+        signal = options.signal;
+        return new Promise(() => {});
+      });
+
+      const run = executor.execute({ id: 'w', plugin: 'test.plugin', action: 'fetch' }, {}, { signal: controller.signal });
+      await new Promise(resolve => setImmediate(resolve));
+      controller.abort();
+
+      await expect(run).rejects.toMatchObject({ code: 'EXECUTION_CANCELLED' });
+      expect(signal.aborted).toBe(true);
+      expect(signal.reason.code).toBe('EXECUTION_CANCELLED');
+    });
+
+    it('should cut the retry backoff short when the execution is cancelled', async () => {
+      const controller = new AbortController();
+      wrapper.fetch.mockRejectedValue(Object.assign(new Error('connection reset'), { code: 'ECONNRESET' }));
+      const step = { id: 'w', plugin: 'test.plugin', action: 'fetch', retry: { maxAttempts: 3, delayMs: 60000 } };
+
+      const run = executor.execute(step, {}, { signal: controller.signal });
+      await new Promise(resolve => setImmediate(resolve));
+      controller.abort();
+
+      await expect(run).rejects.toMatchObject({ code: 'EXECUTION_CANCELLED' });
+      expect(wrapper.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should abort in-flight HTTP requests on timeout', async () => {
+      delete executor.wrappers['test.plugin'];
+      let signal;
+      axios.post.mockImplementation((url, input, options) => {
+        signal = options.signal;
+        return new Promise(() => {});
+      });
+
+      const step = { id: 'hang', plugin: 'test.plugin', action: 'fetch', timeout: 20 };
+
+      await expect(executor.execute(step, {})).rejects.toThrow('timed out');
+      expect(signal.aborted).toBe(true);
+    });
+
+    it('should only retry error classes listed in retryOn', async () => {
+      wrapper.fetch.mockRejectedValue(Object.assign(new Error('bad request'), { response: { status: 400 } }));
+
+      const step = {
+        id: 'w',
+        plugin: 'test.plugin',
+        action: 'fetch',
+        retry: { maxAttempts: 3, delayMs: 1, retryOn: ['timeout', 'http_5xx'] }
+      };
+
+      await expect(executor.execute(step, {})).rejects.toMatchObject({ message: 'bad request', attempts: 1 });
+      expect(wrapper.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('classifyError', () => {
+    it('should classify timeouts, network and HTTP errors', () => {
+      expect(StepExecutor.classifyError({ code: 'STEP_TIMEOUT' })).toBe('timeout');
+      expect(StepExecutor.classifyError({ code: 'ECONNREFUSED' })).toBe('network');
+      expect(StepExecutor.classifyError({ response: { status: 503 } })).toBe('http_5xx');
+      expect(StepExecutor.classifyError({ response: { status: 404 } })).toBe('http_4xx');
+      expect(StepExecutor.classifyError(new Error('boom'))).toBe('error');
+    });
+  });
+
+  describe('applyJitter', () => {
+    it('should keep the delay within the jitter window', () => {
+      for (let i = 0; i < 20; i++) {
+        const delay = executor.applyJitter(1000, true);
+        expect(delay).toBeGreaterThanOrEqual(500);
+        expect(delay).toBeLessThanOrEqual(1000);
+      }
+      expect(executor.applyJitter(1000, false)).toBe(1000);
     });
   });
 
@@ -106,6 +322,11 @@ describe('Step Executor', () => {
       expect(executor.calculateBackoff(1, 'fixed')).toBe(1000);
       expect(executor.calculateBackoff(5, 'fixed')).toBe(1000);
     });
+
+    it('should scale from a custom base delay', () => {
+      expect(executor.calculateBackoff(2, 'exponential', 100)).toBe(400);
+      expect(executor.calculateBackoff(2, 'fixed', 250)).toBe(250);
+    });
   });
 
   describe('execute', () => {
@@ -137,6 +358,38 @@ describe('Step Executor', () => {
       );
     });
 
+    it('should reuse a cached result of the same call', async () => {
+      axios.post.mockResolvedValue({ status: 200, data: { rows: 3 } });
+      const onCacheHit = jest.fn();
+      const step = {
+        id: 'test-step',
+        plugin: 'test.plugin',
+        action: 'fetch',
+        input: { day: '{{ inputs.day }}' },
+        cache: { ttl: 60 }
+      };
+
+      expect(await executor.execute(step, { inputs: { day: 'mon' } }, { onCacheHit })).toEqual({ rows: 3 });
+      expect(await executor.execute(step, { inputs: { day: 'mon' } }, { onCacheHit })).toEqual({ rows: 3 });
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(onCacheHit).toHaveBeenCalledWith(expect.stringMatching(/^[0-9a-f]{64}$/));
+
+      await executor.execute(step, { inputs: { day: 'tue' } });
+      await executor.execute({ ...step, cache: undefined }, { inputs: { day: 'mon' } });
+      expect(axios.post).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not cache failed calls', async () => {
+      axios.post
+        .mockRejectedValueOnce(new Error('pipeline crashed'))
+        .mockResolvedValueOnce({ status: 200, data: { ok: true } });
+      const step = { id: 'test-step', plugin: 'test.plugin', action: 'fetch', cache: { ttl: 60 } };
+
+      await expect(executor.execute(step, {})).rejects.toThrow('pipeline crashed');
+      expect(await executor.execute(step, {})).toEqual({ ok: true });
+      expect(executor.cache.list()).toHaveLength(1);
+    });
+
     it('should throw on plugin not found', async () => {
       const step = {
         id: 'test-step',
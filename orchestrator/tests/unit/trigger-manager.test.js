@@ -0,0 +1,168 @@
+const TriggerManager = require('../../engine/trigger-manager');
+const WorkflowEngine = require('../../engine/workflow-engine');
+const DatabaseClient = require('../../db/client');
+
+describe('TriggerManager', () => {
+  let db;
+  let engine;
+  let nats;
+  let triggers;
+
+  const createTrigger = async (fields = {}) => {
+    const { trigger, errors } = await triggers.create({
+      name: 'payments',
+      workflow_name: 'score-tx',
+      source: 'nats',
+      subject: 'transactions.>',
+      ...fields
+    });
+    expect(errors).toBeUndefined();
+    return trigger;
+  };
+
+  const queuedPayloads = () => {
+    const payloads = [];
+    let task;
+    while ((task = engine.queue.dequeue())) {
+      payloads.push(task.payload);
+    }
+    return payloads;
+  };
+
+  beforeEach(async () => {
+    db = new DatabaseClient(':memory:');
+    db.connect();
+    db.initialize();
+    engine = new WorkflowEngine(db);
+    engine.registry.register({ name: 'score-tx', steps: [{ id: 'score', plugin: 'p1', action: 'score' }] });
+
+    nats = {
+      handlers: {},
+      subscribe: jest.fn(async (subject, callback) => {
+        nats.handlers[subject] = typeof callback === 'function' ? callback : callback.callback;
+      }),
+      unsubscribe: jest.fn(async (subject) => {
+        delete nats.handlers[subject];
+        return true;
+      })
+    };
+
+    triggers = new TriggerManager(db, engine, { nats });
+    await triggers.start();
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await triggers.stop();
+    db.close();
+  });
+
+  describe('validation', () => {
+    it('should reject incomplete triggers', async () => {
+      const { errors } = await triggers.create({
+        name: 'bad',
+        workflow_name: 'missing',
+        source: 'nats',
+        filter: 'event.amount >',
+        window_ms: -1
+      });
+
+      expect(errors).toEqual([
+        'Workflow "missing" is not registered',
+        'NATS triggers must have a string subject',
+        expect.stringContaining('Invalid filter expression'),
+        'window_ms must be a non-negative integer'
+      ]);
+    });
+  });
+
+  describe('NATS subscriptions', () => {
+    it('should subscribe once per subject and unsubscribe when no trigger needs it', async () => {
+      const first = await createTrigger();
+      const second = await createTrigger({ name: 'payments-2', stream: 'transactions' });
+
+      expect(nats.subscribe).toHaveBeenCalledTimes(1);
+      expect(nats.subscribe).toHaveBeenCalledWith('transactions.>', expect.any(Function));
+
+      const { trigger: disabled } = await triggers.update(first.id, { enabled: false });
+      expect(disabled.enabled).toBe(false);
+      expect(nats.unsubscribe).not.toHaveBeenCalled();
+
+      await triggers.delete(second.id);
+      expect(nats.unsubscribe).toHaveBeenCalledWith('transactions.>');
+    });
+
+    it('should start the workflow with matching messages as input', async () => {
+      const trigger = await createTrigger({ filter: 'event.amount > 100', inputs: { threshold: 0.8 } });
+
+      await nats.handlers['transactions.>'](null, { id: 'tx-1', amount: 50 }, 'transactions.eu');
+      await nats.handlers['transactions.>'](null, { id: 'tx-2', amount: 500 }, 'transactions.eu');
+
+      const [payload] = queuedPayloads();
+      expect(payload.inputs).toEqual({
+        threshold: 0.8,
+        event: { id: 'tx-2', amount: 500 },
+        events: [{ id: 'tx-2', amount: 500 }],
+        subject: 'transactions.eu'
+      });
+
+      const stored = db.getTrigger(trigger.id);
+      expect(stored.fire_count).toBe(1);
+      expect(stored.last_execution_id).toBeTruthy();
+
+      const [submitted] = db.getEventsByExecution(stored.last_execution_id);
+      expect(submitted.event_data.trigger).toEqual(expect.objectContaining({ type: 'event', triggerId: trigger.id, count: 1 }));
+    });
+  });
+
+  describe('batching', () => {
+    it('should collect events for the window and run once', async () => {
+      jest.useFakeTimers({ doNotFake: ['Date'] });
+      await createTrigger({ source: 'streamer', subject: undefined, window_ms: 1000 });
+
+      await triggers.handleStreamerEvent({ id: 1 });
+      jest.advanceTimersByTime(500);
+      await triggers.handleStreamerEvent({ id: 2 });
+      expect(queuedPayloads()).toEqual([]);
+
+      await jest.advanceTimersByTimeAsync(500);
+
+      const [payload] = queuedPayloads();
+      expect(payload.inputs.events).toEqual([{ id: 1 }, { id: 2 }]);
+    });
+
+    it('should restart the window on every event when debouncing', async () => {
+      jest.useFakeTimers({ doNotFake: ['Date'] });
+      const trigger = await createTrigger({ source: 'streamer', window_ms: 1000, debounce: true });
+
+      await triggers.handleStreamerEvent({ id: 1 });
+      jest.advanceTimersByTime(800);
+      await triggers.handleStreamerEvent({ id: 2 });
+      jest.advanceTimersByTime(800);
+      expect(triggers.get(trigger.id).pending_events).toBe(2);
+
+      await jest.advanceTimersByTimeAsync(200);
+      expect(queuedPayloads()).toHaveLength(1);
+    });
+
+    it('should flush early when the batch is full', async () => {
+      await createTrigger({ source: 'streamer', window_ms: 60000, max_batch_size: 2 });
+
+      await triggers.handleStreamerEvent({ id: 1 });
+      const [run] = await triggers.handleStreamerEvent({ id: 2 });
+
+      expect(run).toEqual(expect.objectContaining({ events: 2 }));
+      expect(queuedPayloads()).toHaveLength(1);
+    });
+
+    it('should start pending batches when stopped', async () => {
+      await createTrigger({ source: 'streamer', window_ms: 60000 });
+      await triggers.handleStreamerEvent({ id: 1 });
+
+      await triggers.stop();
+      expect(queuedPayloads()).toHaveLength(1);
+    });
+  });
+});
+
+// Nicolas Larenas, nlarchive
@@ -0,0 +1,1478 @@
+const WorkflowEngine = require('../../engine/workflow-engine');
+const DatabaseClient = require('../../db/client');
+const ArtifactStore = require('../../engine/artifact-store');
+const SqliteQueue = require('../../engine/sqlite-queue');
+const LeaderElection = require('../../engine/leader-election');
+
+describe('WorkflowEngine', () => {
+  let db;
+  let engine;
+
+  const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  };
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  const createExecution = (executionId, spec) => {
+    db.createWorkflow({ id: `wf-${executionId}`, name: spec.name, spec });
+    db.createExecution({ id: executionId, workflow_id: `wf-${executionId}` });
+  };
+
+  beforeEach(() => {
+    db = new DatabaseClient(':memory:');
+    db.connect();
+    db.initialize();
+
+    db.createPlugin({
+      id: 'test.plugin',
+      name: 'Test Plugin',
+      image: 'test:latest',
+      version: '1.0.0'
+    });
+
+    engine = new WorkflowEngine(db);
+  });
+
+  afterEach(() => {
+    engine.stop();
+    db.close();
+  });
+
+  describe('processExecution - parallel scheduling', () => {
+    const fanOutSpec = {
+      name: 'fan-out',
+      steps: [
+        { id: 'root', plugin: 'test.plugin', action: 'run' },
+        { id: 'left', plugin: 'test.plugin', action: 'run', needs: ['root'] },
+        { id: 'right', plugin: 'test.plugin', action: 'run', needs: ['root'] },
+        { id: 'join', plugin: 'test.plugin', action: 'run', needs: ['left', 'right'] }
+      ]
+    };
+
+    it('should run independent steps concurrently', async () => {
+      const pending = {};
+      const started = [];
+      engine.executor.execute = jest.fn((step) => {
+        started.push(step.id);
+        pending[step.id] = deferred();
+        return pending[step.id].promise;
+      });
+
+      createExecution('exec-par', fanOutSpec);
+      const run = engine.processExecution({ executionId: 'exec-par', workflowSpec: fanOutSpec });
+
+      await flush();
+      expect(started).toEqual(['root']);
+      pending.root.resolve({ ok: true });
+
+      await flush();
+      expect(started).toEqual(['root', 'left', 'right']);
+
+      const running = db.getTasksByExecution('exec-par').filter(t => t.status === 'running');
+      expect(running.map(t => t.step_id).sort()).toEqual(['left', 'right']);
+
+      pending.right.resolve('r');
+      await flush();
+      expect(started).not.toContain('join');
+
+      pending.left.resolve('l');
+      await flush();
+      expect(started).toContain('join');
+      pending.join.resolve('done');
+
+      await run;
+
+      const execution = db.getExecution('exec-par');
+      expect(execution.status).toBe('completed');
+      expect(Object.keys(execution.result).sort()).toEqual(['join', 'left', 'right', 'root']);
+
+      const events = db.getEventsByExecution('exec-par');
+      const completedSteps = events.filter(e => e.event_type === 'step_completed').map(e => e.event_data.stepId);
+      expect(completedSteps).toEqual(['root', 'right', 'left', 'join']);
+    });
+
+    it('should respect maxParallelism', async () => {
+      const spec = {
+        name: 'wide',
+        maxParallelism: 2,
+        steps: ['a', 'b', 'c', 'd'].map(id => ({ id, plugin: 'test.plugin', action: 'run' }))
+      };
+
+      let inFlight = 0;
+      let peak = 0;
+      engine.executor.execute = jest.fn(async () => {
+        inFlight += 1;
+        peak = Math.max(peak, inFlight);
+        await flush();
+        inFlight -= 1;
+        return {};
+      });
+
+      createExecution('exec-cap', spec);
+      await engine.processExecution({ executionId: 'exec-cap', workflowSpec: spec });
+
+      expect(engine.executor.execute).toHaveBeenCalledTimes(4);
+      expect(peak).toBe(2);
+    });
+
+    it('should let per-execution options override the spec', () => {
+      const options = engine.resolveExecutionOptions(
+        { maxParallelism: 8, failFast: true },
+        { maxParallelism: 1, failFast: false }
+      );
+
+      expect(options).toEqual({ maxParallelism: 1, failFast: false });
+    });
+
+    it('should stop scheduling after a failure when failFast is set', async () => {
+      const pending = {};
+      engine.executor.execute = jest.fn((step) => {
+        pending[step.id] = deferred();
+        return pending[step.id].promise;
+      });
+
+      createExecution('exec-ff', fanOutSpec);
+      const run = engine.processExecution({ executionId: 'exec-ff', workflowSpec: fanOutSpec });
+
+      await flush();
+      pending.root.resolve({});
+      await flush();
+
+      pending.left.reject(new Error('left broke'));
+      await flush();
+
+      // In-flight sibling is awaited so its task record is accurate
+      pending.right.resolve('r');
+      await expect(run).rejects.toThrow('left broke');
+
+      const tasks = db.getTasksByExecution('exec-ff');
+      const byStep = Object.fromEntries(tasks.map(t => [t.step_id, t.status]));
+      expect(byStep).toEqual({ root: 'completed', left: 'failed', right: 'completed' });
+      expect(db.getExecution('exec-ff').status).toBe('failed');
+    });
+
+    it('should keep running independent branches when failFast is disabled', async () => {
+      const spec = {
+        name: 'branches',
+        failFast: false,
+        steps: [
+          { id: 'a', plugin: 'test.plugin', action: 'run' },
+          { id: 'a-child', plugin: 'test.plugin', action: 'run', needs: ['a'] },
+          { id: 'b', plugin: 'test.plugin', action: 'run' },
+          { id: 'b-child', plugin: 'test.plugin', action: 'run', needs: ['b'] }
+        ]
+      };
+
+      engine.executor.execute = jest.fn(async (step) => {
+        if (step.id === 'a') {
+          throw new Error('a broke');
+        }
+        return step.id;
+      });
+
+      createExecution('exec-wait', spec);
+      await expect(engine.processExecution({ executionId: 'exec-wait', workflowSpec: spec }))
+        .rejects.toThrow('a broke');
+
+      const executed = engine.executor.execute.mock.calls.map(([step]) => step.id).sort();
+      expect(executed).toEqual(['a', 'b', 'b-child']);
+    });
+  });
+
+  describe('processExecution - conditional steps', () => {
+    const conditionalSpec = {
+      name: 'conditional',
+      steps: [
+        { id: 'score', plugin: 'test.plugin', action: 'run' },
+        {
+          id: 'alert',
+          plugin: 'test.plugin',
+          action: 'run',
+          needs: ['score'],
+          when: "{{ steps.score.result.riskLevel == 'high' }}"
+        },
+        { id: 'archive', plugin: 'test.plugin', action: 'run', needs: ['alert'] },
+        { id: 'report', plugin: 'test.plugin', action: 'run', needs: ['alert'], allowSkippedNeeds: true }
+      ]
+    };
+
+    const run = async (executionId, riskLevel) => {
+      engine.executor.execute = jest.fn(async (step) => (step.id === 'score' ? { riskLevel } : step.id));
+      createExecution(executionId, conditionalSpec);
+      await engine.processExecution({ executionId, workflowSpec: conditionalSpec });
+      return Object.fromEntries(db.getTasksByExecution(executionId).map(t => [t.step_id, t.status]));
+    };
+
+    it('should run the step when its condition holds', async () => {
+      const statuses = await run('exec-high', 'high');
+      expect(statuses).toEqual({ score: 'completed', alert: 'completed', archive: 'completed', report: 'completed' });
+    });
+
+    it('should skip the step and cascade to dependents that do not allow skipped needs', async () => {
+      const statuses = await run('exec-low', 'low');
+      expect(statuses).toEqual({ score: 'completed', alert: 'skipped', archive: 'skipped', report: 'completed' });
+
+      const executed = engine.executor.execute.mock.calls.map(([step]) => step.id);
+      expect(executed).toEqual(['score', 'report']);
+
+      const skippedEvents = db.getEventsByExecution('exec-low')
+        .filter(e => e.event_type === 'step_skipped')
+        .map(e => e.event_data);
+      expect(skippedEvents).toEqual([
+        expect.objectContaining({ stepId: 'alert', reason: 'condition not met' }),
+        expect.objectContaining({ stepId: 'archive', reason: 'dependency skipped: alert' })
+      ]);
+
+      expect(db.getExecution('exec-low').status).toBe('completed');
+    });
+  });
+
+  describe('processExecution - attempts', () => {
+    it('should record attempts and per-attempt events for wrapper plugins', async () => {
+      const spec = {
+        name: 'flaky',
+        steps: [{ id: 'store', plugin: 'test.plugin', action: 'putObject', retry: { maxAttempts: 3, delayMs: 1 } }]
+      };
+
+      const putObject = jest.fn()
+        .mockRejectedValueOnce(new Error('minio unavailable'))
+        .mockResolvedValueOnce({ success: true });
+      engine.executor.wrappers['test.plugin'] = { putObject };
+
+      createExecution('exec-attempts', spec);
+      await engine.processExecution({ executionId: 'exec-attempts', workflowSpec: spec });
+
+      const [task] = db.getTasksByExecution('exec-attempts');
+      expect(task.status).toBe('completed');
+      expect(task.attempts).toBe(2);
+
+      const attemptEvents = db.getEventsByExecution('exec-attempts')
+        .filter(e => e.event_type === 'step_attempt_failed');
+      expect(attemptEvents).toHaveLength(1);
+      expect(attemptEvents[0].event_data).toMatchObject({
+        stepId: 'store',
+        attempt: 1,
+        error: 'minio unavailable',
+        willRetry: true
+      });
+    });
+  });
+
+  describe('processExecution - forEach fan-out', () => {
+    const fanOutSpec = (extra = {}) => ({
+      name: 'per-row',
+      steps: [
+        { id: 'collect', plugin: 'test.plugin', action: 'run' },
+        {
+          id: 'score',
+          plugin: 'test.plugin',
+          action: 'run',
+          needs: ['collect'],
+          forEach: '{{ steps.collect.result }}',
+          input: { transaction: '{{ item }}', amount: '{{ item.amount }}', position: '{{ index }}' },
+          ...extra
+        }
+      ]
+    });
+
+    const rows = [{ id: 1, amount: 10 }, { id: 2, amount: 20 }, { id: 3, amount: 30 }];
+
+    it('should run the step once per item and aggregate results in order', async () => {
+      const spec = fanOutSpec({ concurrency: 2 });
+      let inFlight = 0;
+      let peak = 0;
+      const inputs = [];
+
+      engine.executor.execute = jest.fn(async (step, context) => {
+        if (step.id === 'collect') {
+          return rows;
+        }
+        inFlight += 1;
+        peak = Math.max(peak, inFlight);
+        const input = engine.executor.resolveInput(step.input, context);
+        inputs.push(input);
+        // Finish later items first to prove results keep item order
+        await new Promise(resolve => setTimeout(resolve, 10 * (3 - input.position)));
+        inFlight -= 1;
+        return input.amount * 2;
+      });
+
+      createExecution('exec-each', spec);
+      await engine.processExecution({ executionId: 'exec-each', workflowSpec: spec });
+
+      expect(peak).toBe(2);
+      expect(inputs).toContainEqual({ transaction: rows[1], amount: 20, position: 1 });
+
+      const tasks = db.getTasksByExecution('exec-each');
+      const parent = tasks.find(t => t.step_id === 'score');
+      const children = tasks.filter(t => t.parent_task_id === parent.id);
+
+      expect(parent.result).toEqual([20, 40, 60]);
+      expect(children.map(t => t.item_index).sort()).toEqual([0, 1, 2]);
+      expect(children.every(t => t.status === 'completed')).toBe(true);
+      expect(db.getExecution('exec-each').result.score).toEqual({ result: [20, 40, 60], errors: [] });
+    });
+
+    it('should fail the step on the first item error by default', async () => {
+      const spec = fanOutSpec({ concurrency: 1 });
+      engine.executor.execute = jest.fn(async (step, context) => {
+        if (step.id === 'collect') {
+          return rows;
+        }
+        if (context.forEach.index === 1) {
+          throw new Error('row 2 rejected');
+        }
+        return 'ok';
+      });
+
+      createExecution('exec-each-fail', spec);
+      await expect(engine.processExecution({ executionId: 'exec-each-fail', workflowSpec: spec }))
+        .rejects.toThrow('row 2 rejected');
+
+      // Third item never starts once the second fails
+      expect(engine.executor.execute).toHaveBeenCalledTimes(3);
+      const parent = db.getTasksByExecution('exec-each-fail').find(t => t.step_id === 'score');
+      expect(parent.status).toBe('failed');
+    });
+
+    it('should collect item errors when onItemError is collect', async () => {
+      const spec = fanOutSpec({ onItemError: 'collect' });
+      engine.executor.execute = jest.fn(async (step, context) => {
+        if (step.id === 'collect') {
+          return rows;
+        }
+        if (context.forEach.index === 1) {
+          throw new Error('row 2 rejected');
+        }
+        return context.forEach.item.id;
+      });
+
+      createExecution('exec-each-collect', spec);
+      await engine.processExecution({ executionId: 'exec-each-collect', workflowSpec: spec });
+
+      const execution = db.getExecution('exec-each-collect');
+      expect(execution.status).toBe('completed');
+      expect(execution.result.score).toEqual({
+        result: [1, null, 3],
+        errors: [{ index: 1, error: 'row 2 rejected' }]
+      });
+
+      const events = db.getEventsByExecution('exec-each-collect').map(e => e.event_type);
+      expect(events.filter(e => e === 'step_item_completed')).toHaveLength(2);
+      expect(events.filter(e => e === 'step_item_failed')).toHaveLength(1);
+    });
+
+    it('should fail when forEach does not resolve to an array', async () => {
+      const spec = fanOutSpec();
+      engine.executor.execute = jest.fn(async () => ({ not: 'a list' }));
+
+      createExecution('exec-each-bad', spec);
+      await expect(engine.processExecution({ executionId: 'exec-each-bad', workflowSpec: spec }))
+        .rejects.toThrow('must resolve to an array');
+    });
+  });
+
+  describe('processExecution - matrix', () => {
+    const matrixSpec = (extra = {}) => ({
+      name: 'compare-profiles',
+      steps: [
+        {
+          id: 'score',
+          plugin: 'test.plugin',
+          action: 'run',
+          matrix: { profile: ['default', 'aggressive'], threshold: [0.5, 0.7] },
+          input: { profile: '{{ matrix.profile }}', threshold: '{{ matrix.threshold }}' },
+          ...extra
+        },
+        { id: 'compare', plugin: 'test.plugin', action: 'run', needs: ['score'], input: { scores: '{{ steps.score.result }}' } }
+      ]
+    });
+
+    it('should run every combination and key the results by it', async () => {
+      const inputs = [];
+      engine.executor.execute = jest.fn(async (step, context) => {
+        const input = engine.executor.resolveInput(step.input, context);
+        inputs.push(input);
+        return step.id === 'score' ? `${input.profile}@${input.threshold}` : input.scores;
+      });
+
+      createExecution('exec-matrix', matrixSpec());
+      await engine.processExecution({ executionId: 'exec-matrix', workflowSpec: matrixSpec() });
+
+      const scores = {
+        'default/0.5': 'default@0.5',
+        'default/0.7': 'default@0.7',
+        'aggressive/0.5': 'aggressive@0.5',
+        'aggressive/0.7': 'aggressive@0.7'
+      };
+      expect(inputs.slice(0, 4)).toEqual([
+        { profile: 'default', threshold: 0.5 },
+        { profile: 'default', threshold: 0.7 },
+        { profile: 'aggressive', threshold: 0.5 },
+        { profile: 'aggressive', threshold: 0.7 }
+      ]);
+
+      const tasks = db.getTasksByExecution('exec-matrix');
+      expect(tasks.find(t => t.step_id === 'score').result).toEqual(scores);
+      expect(tasks.find(t => t.step_id === 'compare').result).toEqual(scores);
+      expect(tasks.filter(t => t.parent_task_id).map(t => t.step_id)).toEqual([
+        'score[default/0.5]', 'score[default/0.7]', 'score[aggressive/0.5]', 'score[aggressive/0.7]'
+      ]);
+    });
+
+    it('should collect failed combinations by key', async () => {
+      const spec = matrixSpec({ onItemError: 'collect' });
+      engine.executor.execute = jest.fn(async (step, context) => {
+        if (step.id === 'score' && context.matrix.profile === 'aggressive' && context.matrix.threshold === 0.5) {
+          throw new Error('threshold too low');
+        }
+        return step.id === 'score' ? 1 : 'compared';
+      });
+
+      createExecution('exec-matrix-collect', spec);
+      await engine.processExecution({ executionId: 'exec-matrix-collect', workflowSpec: spec });
+
+      const execution = db.getExecution('exec-matrix-collect');
+      expect(execution.result.score).toEqual({
+        result: { 'default/0.5': 1, 'default/0.7': 1, 'aggressive/0.5': null, 'aggressive/0.7': 1 },
+        errors: [{ index: 2, key: 'aggressive/0.5', error: 'threshold too low' }]
+      });
+      const parent = db.getTasksByExecution('exec-matrix-collect').find(t => t.step_id === 'score');
+      expect(parent.error).toBe('1 of 4 items failed');
+    });
+  });
+
+  describe('processExecution - compensation', () => {
+    const sagaSpec = {
+      name: 'saga',
+      steps: [
+        {
+          id: 'insert',
+          plugin: 'test.plugin',
+          action: 'insert',
+          compensate: { action: 'delete', input: { id: '{{ steps.insert.result.id }}' } }
+        },
+        {
+          id: 'upload',
+          plugin: 'test.plugin',
+          action: 'putObject',
+          needs: ['insert'],
+          compensate: { plugin: 'other.plugin', action: 'removeObject' }
+        },
+        { id: 'notify', plugin: 'test.plugin', action: 'publish', needs: ['insert'] },
+        { id: 'finalize', plugin: 'test.plugin', action: 'run', needs: ['upload', 'notify'] }
+      ]
+    };
+
+    beforeEach(() => {
+      db.createPlugin({ id: 'other.plugin', name: 'Other', image: 'other:latest', version: '1.0.0' });
+    });
+
+    it('should compensate completed steps in reverse completion order', async () => {
+      const calls = [];
+      engine.executor.execute = jest.fn(async (step) => {
+        calls.push(`${step.plugin}:${step.action}`);
+        if (step.id === 'finalize') {
+          throw new Error('finalize failed');
+        }
+        return step.action === 'insert' ? { id: 42 } : { ok: true };
+      });
+
+      createExecution('exec-saga', sagaSpec);
+      await expect(engine.processExecution({ executionId: 'exec-saga', workflowSpec: sagaSpec }))
+        .rejects.toThrow('finalize failed');
+
+      expect(calls.slice(-2)).toEqual(['other.plugin:removeObject', 'test.plugin:delete']);
+      const [, context] = engine.executor.execute.mock.calls.find(([step]) => step.action === 'delete');
+      expect(engine.executor.resolveInput({ id: '{{ steps.insert.result.id }}' }, context)).toEqual({ id: 42 });
+
+      const tasks = db.getTasksByExecution('exec-saga');
+      const compensations = tasks.filter(t => t.compensation_for);
+      expect(compensations.map(t => [t.step_id, t.action, t.status])).toEqual([
+        ['upload', 'removeObject', 'completed'],
+        ['insert', 'delete', 'completed']
+      ]);
+      const insertTask = tasks.find(t => t.step_id === 'insert' && !t.compensation_for);
+      expect(compensations[1].compensation_for).toBe(insertTask.id);
+
+      expect(db.getExecution('exec-saga').status).toBe('failed');
+      const events = db.getEventsByExecution('exec-saga').map(e => e.event_type);
+      expect(events).toEqual(expect.arrayContaining(['compensation_started', 'step_compensated', 'compensation_completed']));
+      expect(events.indexOf('compensation_completed')).toBeLessThan(events.indexOf('execution_failed'));
+    });
+
+    it('should keep compensating when one compensation fails', async () => {
+      engine.executor.execute = jest.fn(async (step) => {
+        if (step.action === 'removeObject' || step.id === 'finalize') {
+          throw new Error(`${step.action} failed`);
+        }
+        return { id: 1 };
+      });
+
+      createExecution('exec-saga-2', sagaSpec);
+      await expect(engine.processExecution({ executionId: 'exec-saga-2', workflowSpec: sagaSpec }))
+        .rejects.toThrow('run failed');
+
+      const completed = db.getEventsByExecution('exec-saga-2').find(e => e.event_type === 'compensation_completed');
+      expect(completed.event_data).toEqual({ compensated: ['insert'], failed: ['upload'] });
+    });
+
+    it('should not reuse compensated steps when retrying', async () => {
+      engine.executor.execute = jest.fn(async (step) => {
+        if (step.id === 'finalize') {
+          throw new Error('finalize failed');
+        }
+        return { id: 1 };
+      });
+
+      createExecution('exec-saga-3', sagaSpec);
+      await expect(engine.processExecution({ executionId: 'exec-saga-3', workflowSpec: sagaSpec })).rejects.toThrow();
+
+      expect(engine.retryExecution('exec-saga-3').reusedSteps).toEqual(['notify']);
+    });
+  });
+
+  describe('workflow inputs', () => {
+    const reportSpec = {
+      name: 'report',
+      inputs: {
+        date: { type: 'string', required: true },
+        format: { type: 'string', enum: ['json', 'csv'], default: 'json' }
+      },
+      steps: [
+        { id: 'store', plugin: 'test.plugin', action: 'run', input: { key: 'reports/{{ inputs.date }}.{{ inputs.format }}' } }
+      ]
+    };
+
+    it('should apply defaults and expose inputs to step templates', async () => {
+      engine.executor.execute = jest.fn(async (step, context) => engine.executor.resolveInput(step.input, context));
+
+      const { executionId } = await engine.submitWorkflow(reportSpec, {}, { date: '2025-10-31' });
+      expect(db.getExecution(executionId).inputs).toEqual({ date: '2025-10-31', format: 'json' });
+
+      const queued = engine.queue.dequeue();
+      await engine.processExecution(queued.payload);
+
+      expect(db.getExecution(executionId).result.store.result).toEqual({ key: 'reports/2025-10-31.json' });
+    });
+
+    it('should reject invalid inputs before creating an execution', async () => {
+      await expect(engine.submitWorkflow(reportSpec, {}, { format: 'xml' }))
+        .rejects.toThrow('Invalid inputs: Input "date" is required, Input "format" must be one of: "json", "csv"');
+      expect(engine.queue.getStats().pending).toBe(0);
+    });
+
+    it('should keep inputs when retrying', async () => {
+      engine.executor.execute = jest.fn(async () => {
+        throw new Error('boom');
+      });
+
+      const { executionId } = await engine.submitWorkflow(reportSpec, {}, { date: '2025-10-31' });
+      await expect(engine.processExecution(engine.queue.dequeue().payload)).rejects.toThrow('boom');
+
+      const retry = engine.retryExecution(executionId);
+      expect(db.getExecution(retry.executionId).inputs).toEqual({ date: '2025-10-31', format: 'json' });
+      expect(engine.queue.dequeue().payload.inputs).toEqual({ date: '2025-10-31', format: 'json' });
+    });
+  });
+
+  describe('workflow outputs', () => {
+    const outputSpec = {
+      name: 'outputs',
+      steps: [
+        { id: 'query', plugin: 'test.plugin', action: 'run' },
+        { id: 'store', plugin: 'test.plugin', action: 'run', needs: ['query'] }
+      ],
+      outputs: {
+        rows: "{{ steps.query.result.rows | length }}",
+        report: { key: '{{ steps.store.result.key }}' }
+      }
+    };
+
+    it('should store the declared outputs as the execution result', async () => {
+      engine.executor.execute = jest.fn(async (step) => (
+        step.id === 'query' ? { rows: [{ id: 1 }, { id: 2 }] } : { key: 'reports/today.json' }
+      ));
+
+      const { executionId } = await engine.submitWorkflow(outputSpec);
+      await engine.processExecution(engine.queue.dequeue().payload);
+
+      const status = engine.getExecutionStatus(executionId);
+      expect(status.result).toEqual({ rows: 2, report: { key: 'reports/today.json' } });
+      expect(status.tasks.find(t => t.step_id === 'query').result).toEqual({ rows: [{ id: 1 }, { id: 2 }] });
+    });
+
+    it('should fail the execution when an output does not resolve', async () => {
+      engine.executor.execute = jest.fn(async () => ({}));
+
+      const { executionId } = await engine.submitWorkflow(outputSpec);
+      await expect(engine.processExecution(engine.queue.dequeue().payload))
+        .rejects.toThrow('Invalid workflow outputs: Cannot resolve "{{ steps.query.result.rows | length }}"');
+      expect(db.getExecution(executionId).status).toBe('failed');
+    });
+  });
+
+  describe('artifacts', () => {
+    const rows = Array.from({ length: 20 }, (_, id) => ({ id, name: `row-${id}` }));
+    const reportSpec = {
+      name: 'report',
+      steps: [
+        { id: 'query', plugin: 'test.plugin', action: 'run' },
+        { id: 'count', plugin: 'test.plugin', action: 'run', needs: ['query'] }
+      ]
+    };
+    let objects;
+
+    beforeEach(() => {
+      objects = new Map();
+      engine.artifacts = new ArtifactStore({
+        getStore: async () => ({
+          putObject: async ({ key, data }) => objects.set(key, data),
+          getObject: async (key) => objects.get(key)
+        }),
+        maxInlineBytes: 100
+      });
+    });
+
+    it('should offload large step results and keep them readable by later steps', async () => {
+      const seen = [];
+      engine.executor.execute = jest.fn(async (step, context) => {
+        seen.push(context.steps.query && context.steps.query.result);
+        return step.id === 'query' ? rows : rows.length;
+      });
+
+      const { executionId } = await engine.submitWorkflow(reportSpec);
+      await engine.processExecution(engine.queue.dequeue().payload);
+
+      const status = engine.getExecutionStatus(executionId);
+      const query = status.tasks.find(t => t.step_id === 'query');
+      expect(query.result).toEqual({ $artifact: `artifacts/${executionId}/${query.id}.json`, size: expect.any(Number) });
+      expect(JSON.parse(objects.get(query.result.$artifact))).toEqual(rows);
+      expect(seen[1]).toEqual(rows);
+      expect(status.result).toEqual({ query: { result: query.result }, count: { result: 20 } });
+    });
+
+    it('should load offloaded results back when an execution resumes', async () => {
+      createExecution('exec-art', reportSpec);
+      db.createTask({ id: 'task-query', execution_id: 'exec-art', step_id: 'query', plugin_id: 'test.plugin', action: 'run' });
+      const reference = await engine.artifacts.store('exec-art/task-query', rows);
+      db.updateTask('task-query', { status: 'completed', result: reference });
+
+      engine.executor.execute = jest.fn(async (step, context) => context.steps.query.result.length);
+      await engine.processExecution({ executionId: 'exec-art', workflowSpec: reportSpec, resume: true });
+
+      expect(engine.executor.execute).toHaveBeenCalledTimes(1);
+      expect(db.getExecution('exec-art').result).toEqual({ query: { result: reference }, count: { result: 20 } });
+    });
+  });
+
+  describe('sub-workflows', () => {
+    const notifySpec = {
+      name: 'notify',
+      inputs: { key: { type: 'string', required: true } },
+      steps: [{ id: 'publish', plugin: 'test.plugin', action: 'run', input: { subject: 'reports.{{ inputs.key }}' } }],
+      outputs: { published: '{{ steps.publish.result.subject }}' }
+    };
+
+    const parentSpec = {
+      name: 'report',
+      steps: [
+        { id: 'build', plugin: 'test.plugin', action: 'run' },
+        { id: 'notify', type: 'workflow', workflow: 'notify', needs: ['build'], input: { key: '{{ steps.build.result.key }}' } }
+      ]
+    };
+
+    it('should run the child workflow and use its outputs as the step result', async () => {
+      engine.registry.register(notifySpec);
+      engine.executor.execute = jest.fn(async (step, context) => (
+        step.id === 'build' ? { key: 'daily' } : engine.executor.resolveInput(step.input, context)
+      ));
+
+      const { executionId } = await engine.submitWorkflow(parentSpec);
+      await engine.processExecution(engine.queue.dequeue().payload);
+
+      const status = engine.getExecutionStatus(executionId);
+      expect(status.status).toBe('completed');
+      expect(status.result.notify.result).toEqual({ published: 'reports.daily' });
+
+      const notifyTask = status.tasks.find(t => t.step_id === 'notify');
+      expect(notifyTask).toEqual(expect.objectContaining({
+        plugin_id: 'orchestrator', action: 'workflow', status: 'completed', attempts: 1
+      }));
+      expect(status.children).toEqual([
+        expect.objectContaining({ status: 'completed', workflow_name: 'notify', parent_task_id: notifyTask.id })
+      ]);
+
+      const child = db.getExecution(status.children[0].id);
+      expect(child.parent_execution_id).toBe(executionId);
+      expect(child.inputs).toEqual({ key: 'daily' });
+      // Processed inline by the parent's step, never queued
+      expect(engine.queue.get(child.id)).toBeNull();
+    });
+
+    it('should fail the step when the child workflow fails', async () => {
+      engine.registry.register(notifySpec);
+      engine.executor.execute = jest.fn(async (step) => {
+        if (step.id === 'publish') {
+          throw new Error('nats down');
+        }
+        return { key: 'daily' };
+      });
+
+      const { executionId } = await engine.submitWorkflow(parentSpec);
+      await expect(engine.processExecution(engine.queue.dequeue().payload))
+        .rejects.toThrow('Sub-workflow "notify" failed: nats down');
+
+      const [child] = engine.getExecutionStatus(executionId).children;
+      expect(child.status).toBe('failed');
+    });
+
+    it('should refuse to start a workflow already running higher up the chain', async () => {
+      engine.registry.register({
+        name: 'ping',
+        steps: [{ id: 'call', type: 'workflow', workflow: 'pong' }]
+      });
+      engine.registry.register({
+        name: 'pong',
+        steps: [{ id: 'call', type: 'workflow', workflow: 'ping' }]
+      });
+
+      const run = await engine.runWorkflow('ping');
+      await expect(engine.processExecution(engine.queue.dequeue().payload))
+        .rejects.toThrow('Sub-workflow cycle detected: ping -> pong -> ping');
+      expect(db.getExecution(run.executionId).status).toBe('failed');
+    });
+  });
+
+  describe('approvals', () => {
+    const approvalSpec = (extra = {}) => ({
+      name: 'payout',
+      steps: [
+        { id: 'prepare', plugin: 'test.plugin', action: 'run' },
+        {
+          id: 'sign-off',
+          type: 'approval',
+          needs: ['prepare'],
+          message: 'Pay {{ steps.prepare.result.amount }}?',
+          input: { amount: '{{ steps.prepare.result.amount }}' },
+          ...extra
+        },
+        { id: 'pay', plugin: 'test.plugin', action: 'run', needs: ['sign-off'] }
+      ]
+    });
+
+    const start = async (spec) => {
+      engine.executor.execute = jest.fn(async (step, context) => (
+        step.id === 'prepare' ? { amount: 120 } : { paidBy: context.steps['sign-off'].result.actor }
+      ));
+      const { executionId } = await engine.submitWorkflow(spec);
+      await engine.processExecution(engine.queue.dequeue().payload);
+      return executionId;
+    };
+
+    it('should wait for a decision and continue once approved', async () => {
+      const executionId = await start(approvalSpec());
+
+      expect(db.getExecution(executionId).status).toBe('waiting_approval');
+      expect(engine.queue.get(executionId).status).toBe('waiting');
+
+      const [approval] = db.listApprovals({ status: 'pending' });
+      expect(approval).toEqual(expect.objectContaining({
+        execution_id: executionId,
+        step_id: 'sign-off',
+        message: 'Pay 120?',
+        details: { amount: 120 },
+        workflow_name: 'payout'
+      }));
+      expect(db.getTask(approval.task_id).status).toBe('waiting_approval');
+
+      const decided = engine.decideApproval(approval.id, { decision: 'approve', actor: 'alice', comment: 'ok' });
+      expect(decided).toEqual(expect.objectContaining({ status: 'approved', decided_by: 'alice', comment: 'ok' }));
+      expect(db.getExecution(executionId).status).toBe('pending');
+
+      const resumed = engine.queue.dequeue();
+      expect(resumed.payload.resume).toBe(true);
+      await engine.processExecution(resumed.payload);
+
+      const status = engine.getExecutionStatus(executionId);
+      expect(status.status).toBe('completed');
+      expect(status.result['sign-off'].result).toEqual(expect.objectContaining({ approved: true, actor: 'alice', comment: 'ok' }));
+      expect(status.result.pay.result).toEqual({ paidBy: 'alice' });
+      expect(status.tasks.filter(t => t.step_id === 'sign-off')).toEqual([expect.objectContaining({ attempts: 1 })]);
+      expect(engine.executor.execute.mock.calls.map(([step]) => step.id)).toEqual(['prepare', 'pay']);
+
+      const events = status.events.map(e => e.event_type);
+      expect(events).toEqual(expect.arrayContaining(['approval_requested', 'execution_waiting_approval', 'approval_decided']));
+      const decision = status.events.find(e => e.event_type === 'approval_decided');
+      expect(decision.event_data).toEqual(expect.objectContaining({ decision: 'approved', actor: 'alice', timedOut: false }));
+    });
+
+    it('should fail the execution for good when the approval is rejected', async () => {
+      engine.executor.execute = jest.fn().mockResolvedValue({ amount: 120 });
+      engine.queue.processor = (payload, task) => engine.processDelivery(payload, task);
+      const { executionId } = await engine.submitWorkflow(approvalSpec());
+      await engine.queue.process(engine.queue.dequeue());
+      const [approval] = db.listApprovals({ status: 'pending' });
+
+      engine.decideApproval(approval.id, { decision: 'reject', actor: 'bob', comment: 'amount too high' });
+      await engine.queue.process(engine.queue.dequeue());
+
+      expect(db.getExecution(executionId)).toMatchObject({
+        status: 'failed',
+        error: 'Approval "sign-off" rejected by bob: amount too high'
+      });
+      // The queue task is not retried, so no new approval is requested
+      expect(engine.queue.get(executionId)).toMatchObject({ status: 'failed', retry_count: 0 });
+      expect(engine.queue.listDeadLetters()).toEqual([]);
+      expect(db.listApprovals({ executionId }).map(a => a.status)).toEqual(['rejected']);
+      expect(engine.executor.execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('should read the latest approval of a step', () => {
+      createExecution('exec-approvals', approvalSpec());
+      ['first', 'second'].forEach(id => db.createApproval({
+        id, execution_id: 'exec-approvals', task_id: `task-${id}`, step_id: 'sign-off'
+      }));
+      db.db.prepare("UPDATE approvals SET status = 'rejected' WHERE id = 'first'").run();
+
+      expect(db.getApprovalForStep('exec-approvals', 'sign-off')).toMatchObject({ id: 'second', status: 'pending' });
+    });
+
+    it('should apply the timeout action once the deadline passes', async () => {
+      const executionId = await start(approvalSpec({ timeoutSeconds: 60, onTimeout: 'approve' }));
+
+      const queued = engine.queue.get(executionId);
+      expect(queued.status).toBe('pending');
+      expect(engine.queue.dequeue()).toBeNull();
+
+      db.db.prepare('UPDATE approvals SET expires_at = ?').run(new Date(Date.now() - 1000).toISOString());
+      await engine.processExecution(queued.payload);
+
+      expect(db.getExecution(executionId).status).toBe('completed');
+      const [approval] = db.listApprovals({ executionId });
+      expect(approval).toEqual(expect.objectContaining({ status: 'approved', decided_by: 'system' }));
+
+      const decision = db.getEventsByExecution(executionId).find(e => e.event_type === 'approval_decided');
+      expect(decision.event_data.timedOut).toBe(true);
+    });
+
+    it('should refuse a second decision and cancel pending approvals with the execution', async () => {
+      const executionId = await start(approvalSpec());
+      const [approval] = db.listApprovals({ status: 'pending' });
+
+      expect(engine.cancelExecution(executionId)).toEqual({ executionId, status: 'cancelled' });
+      expect(engine.queue.get(executionId).status).toBe('cancelled');
+      expect(db.getApproval(approval.id).status).toBe('cancelled');
+
+      expect(() => engine.decideApproval(approval.id, { decision: 'approve', actor: 'alice' }))
+        .toThrow(`Approval ${approval.id} is already cancelled`);
+      expect(engine.decideApproval('missing', { decision: 'approve', actor: 'alice' })).toBeNull();
+    });
+  });
+
+  describe('step failure policies and finally', () => {
+    const run = async (spec) => {
+      const { executionId } = await engine.submitWorkflow(spec);
+      await engine.processExecution(engine.queue.dequeue().payload).catch(() => {});
+      return engine.getExecutionStatus(executionId);
+    };
+
+    const failing = (...stepIds) => jest.fn(async (step, context) => {
+      if (stepIds.includes(step.id)) {
+        throw new Error(`${step.id} broke`);
+      }
+      return step.input && step.input.echo !== undefined ? engine.executor.resolveInput(step.input.echo, context) : `${step.id} done`;
+    });
+
+    it('should keep going past a step with onError continue', async () => {
+      engine.executor.execute = failing('archive');
+
+      const status = await run({
+        name: 'alerts',
+        steps: [
+          { id: 'score', plugin: 'test.plugin', action: 'run' },
+          { id: 'archive', plugin: 'test.plugin', action: 'run', needs: ['score'], onError: 'continue' },
+          { id: 'alert', plugin: 'test.plugin', action: 'run', needs: ['score'] },
+          { id: 'report', plugin: 'test.plugin', action: 'run', needs: ['archive'], input: { echo: '{{ steps.archive.error }}' } }
+        ]
+      });
+
+      expect(status.status).toBe('completed_with_errors');
+      expect(status.error).toBe('Steps failed: archive');
+      expect(status.result.alert.result).toBe('alert done');
+      expect(status.result.report.result).toBe('archive broke');
+      expect(status.tasks.find(t => t.step_id === 'archive').status).toBe('failed');
+
+      const completed = status.events.find(e => e.event_type === 'execution_completed');
+      expect(completed.event_data).toEqual({ status: 'completed_with_errors', failedSteps: ['archive'] });
+    });
+
+    it('should skip everything downstream of a step with onError skipDependents', async () => {
+      engine.executor.execute = failing('archive');
+
+      const status = await run({
+        name: 'alerts',
+        steps: [
+          { id: 'archive', plugin: 'test.plugin', action: 'run', onError: 'skipDependents' },
+          { id: 'index', plugin: 'test.plugin', action: 'run', needs: ['archive'], allowSkippedNeeds: true },
+          { id: 'publish', plugin: 'test.plugin', action: 'run', needs: ['index'] },
+          { id: 'alert', plugin: 'test.plugin', action: 'run' }
+        ]
+      });
+
+      expect(status.status).toBe('completed_with_errors');
+      expect(status.tasks.map(t => [t.step_id, t.status])).toEqual(expect.arrayContaining([
+        ['archive', 'failed'], ['index', 'skipped'], ['publish', 'skipped'], ['alert', 'completed']
+      ]));
+
+      const skipped = status.events.find(e => e.event_type === 'step_skipped' && e.event_data.stepId === 'index');
+      expect(skipped.event_data.reason).toBe('dependency failed: archive');
+    });
+
+    it('should run finally steps after a failure and report the outcome to them', async () => {
+      engine.executor.execute = failing('load');
+
+      const status = await run({
+        name: 'etl',
+        steps: [{ id: 'load', plugin: 'test.plugin', action: 'run' }],
+        finally: [
+          { id: 'cleanup', plugin: 'test.plugin', action: 'run', input: { echo: '{{ execution.status }}: {{ execution.error }}' } },
+          { id: 'notify', plugin: 'test.plugin', action: 'run', needs: ['cleanup'], input: { echo: '{{ steps.cleanup.result }}' } }
+        ]
+      });
+
+      expect(status.status).toBe('failed');
+      expect(status.error).toBe('load broke');
+      const finallyTasks = status.tasks.filter(t => ['cleanup', 'notify'].includes(t.step_id));
+      expect(finallyTasks.map(t => [t.step_id, t.status, t.result])).toEqual([
+        ['cleanup', 'completed', 'failed: load broke'],
+        ['notify', 'completed', 'failed: load broke']
+      ]);
+      expect(status.events.map(e => e.event_type)).toEqual(expect.arrayContaining(['finally_started', 'finally_completed']));
+    });
+
+    it('should report failed finally steps as errors of an otherwise successful run', async () => {
+      engine.executor.execute = failing('cleanup');
+
+      const status = await run({
+        name: 'etl',
+        steps: [{ id: 'load', plugin: 'test.plugin', action: 'run' }],
+        finally: [
+          { id: 'cleanup', plugin: 'test.plugin', action: 'run' },
+          { id: 'notify', plugin: 'test.plugin', action: 'run' }
+        ]
+      });
+
+      expect(status.status).toBe('completed_with_errors');
+      expect(status.error).toBe('Steps failed: cleanup');
+      expect(status.tasks.find(t => t.step_id === 'notify').status).toBe('completed');
+
+      const retry = engine.retryExecution(status.id);
+      expect(retry.reusedSteps).toEqual(['load']);
+    });
+  });
+
+  describe('timers', () => {
+    const timerSpec = (timer) => ({
+      name: 'recheck',
+      inputs: { until: { type: 'string' } },
+      steps: [
+        { id: 'block', plugin: 'test.plugin', action: 'run' },
+        { id: 'wait', needs: ['block'], ...timer },
+        { id: 'recheck', plugin: 'test.plugin', action: 'run', needs: ['wait'] }
+      ]
+    });
+
+    beforeEach(() => {
+      engine.executor.execute = jest.fn(async (step) => `${step.id} done`);
+    });
+
+    it('should persist a sleep and continue from the queue after a restart', async () => {
+      const { executionId } = await engine.submitWorkflow(timerSpec({ type: 'sleep', seconds: 3600 }));
+      await engine.processExecution(engine.queue.dequeue().payload);
+
+      expect(db.getExecution(executionId).status).toBe('sleeping');
+      const task = db.getTasksByExecution(executionId).find(t => t.step_id === 'wait');
+      expect(task.status).toBe('sleeping');
+      expect(new Date(task.wake_at).getTime()).toBeGreaterThan(Date.now() + 3500 * 1000);
+
+      const queued = engine.queue.get(executionId);
+      expect(queued.status).toBe('pending');
+      expect(queued.payload.resume).toBe(true);
+      expect(engine.queue.dequeue()).toBeNull();
+
+      // A new engine on the same database picks the continuation up once it is due
+      const past = new Date(Date.now() - 1000);
+      db.db.prepare('UPDATE tasks SET wake_at = ? WHERE id = ?').run(past.toISOString(), task.id);
+      db.db.prepare('UPDATE task_queue SET scheduled_at = ?').run(past.toISOString().slice(0, 19).replace('T', ' '));
+      const restarted = new WorkflowEngine(db);
+      restarted.executor.execute = engine.executor.execute;
+      await restarted.processExecution(restarted.queue.dequeue().payload);
+
+      const status = restarted.getExecutionStatus(executionId);
+      expect(status.status).toBe('completed');
+      expect(status.result.wait.result).toEqual({ wakeAt: past.toISOString() });
+      expect(status.tasks.filter(t => t.step_id === 'wait')).toEqual([expect.objectContaining({ attempts: 1 })]);
+      expect(engine.executor.execute.mock.calls.map(([step]) => step.id)).toEqual(['block', 'recheck']);
+
+      const events = status.events.map(e => e.event_type);
+      expect(events).toEqual(expect.arrayContaining(['step_sleeping', 'execution_sleeping', 'execution_resumed']));
+    });
+
+    it('should not suspend when waitUntil is already in the past', async () => {
+      const { executionId } = await engine.submitWorkflow(
+        timerSpec({ type: 'waitUntil', until: '{{ inputs.until }}' }),
+        {},
+        { until: '2020-01-01T00:00:00Z' }
+      );
+      await engine.processExecution(engine.queue.dequeue().payload);
+
+      const execution = db.getExecution(executionId);
+      expect(execution.status).toBe('completed');
+      expect(execution.result.wait.result).toEqual({ wakeAt: '2020-01-01T00:00:00.000Z' });
+    });
+
+    it('should fail the step when until is not a date', async () => {
+      await engine.submitWorkflow(timerSpec({ type: 'waitUntil', until: '{{ inputs.until }}' }), {}, { until: 'soon' });
+
+      await expect(engine.processExecution(engine.queue.dequeue().payload))
+        .rejects.toThrow('Step "wait" until must be a date, got "soon"');
+    });
+
+    it('should cancel a sleeping execution', async () => {
+      const { executionId } = await engine.submitWorkflow(timerSpec({ type: 'sleep', seconds: 60 }));
+      await engine.processExecution(engine.queue.dequeue().payload);
+
+      expect(engine.cancelExecution(executionId)).toEqual({ executionId, status: 'cancelled' });
+      expect(engine.queue.get(executionId).status).toBe('cancelled');
+    });
+  });
+
+  describe('multiple instances', () => {
+    it('should record the node that ran each task and lease queue entries to it', async () => {
+      engine = new WorkflowEngine(db, { nodeId: 'node-a' });
+      engine.executor.execute = jest.fn().mockResolvedValue({ ok: true });
+      const spec = { name: 'noded', steps: [{ id: 'only', plugin: 'test.plugin', action: 'run' }] };
+
+      createExecution('exec-node', spec);
+      await engine.processExecution({ executionId: 'exec-node', workflowSpec: spec });
+
+      expect(db.getTasksByExecution('exec-node').map(t => t.node_id)).toEqual(['node-a']);
+      expect(engine.queue.owner).toBe('node-a');
+    });
+
+    it('should only run leader-only work while elected', () => {
+      expect(engine.isLeader()).toBe(true);
+
+      const leader = new LeaderElection(db, { nodeId: 'node-b' });
+      engine = new WorkflowEngine(db, { nodeId: 'node-b', leader });
+      expect(engine.isLeader()).toBe(false);
+
+      leader.campaign();
+      expect(engine.isLeader()).toBe(true);
+    });
+
+    const chainSpec = {
+      name: 'chain',
+      steps: [
+        { id: 'first', plugin: 'test.plugin', action: 'run' },
+        { id: 'second', plugin: 'test.plugin', action: 'run', needs: ['first'] }
+      ]
+    };
+
+    it('should cancel an execution running on another instance through the database', async () => {
+      engine = new WorkflowEngine(db, { nodeId: 'node-a' });
+      const other = new WorkflowEngine(db, { nodeId: 'node-b' });
+      engine.executor.wrappers['test.plugin'] = {
+        run: jest.fn((params, { signal }) => new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }))
+      };
+
+      const { executionId } = await engine.submitWorkflow(chainSpec);
+      const run = engine.processExecution(engine.queue.dequeue().payload);
+      await flush();
+
+      expect(other.cancelExecution(executionId)).toEqual({ executionId, status: 'cancelling' });
+      // A later pause does not replace the cancel
+      expect(other.pauseExecution(executionId)).toEqual({ executionId, status: 'pausing' });
+      expect(db.getControlRequest(executionId)).toBe('cancel');
+
+      // The owning instance picks the request up on its heartbeat
+      engine.applyControlRequests();
+      await run;
+
+      expect(db.getExecution(executionId)).toMatchObject({ status: 'cancelled', control_request: null });
+      expect(db.getTasksByExecution(executionId).map(t => [t.step_id, t.status])).toEqual([['first', 'cancelled']]);
+      const events = db.getEventsByExecution(executionId).map(e => e.event_type);
+      expect(events).toEqual(expect.arrayContaining(['execution_cancel_requested', 'execution_cancelled']));
+    });
+
+    it('should pause an execution running on another instance between steps and let any instance resume it', async () => {
+      engine = new WorkflowEngine(db, { nodeId: 'node-a' });
+      const other = new WorkflowEngine(db, { nodeId: 'node-b' });
+      const first = deferred();
+      engine.executor.execute = jest.fn(() => first.promise);
+
+      const { executionId } = await engine.submitWorkflow(chainSpec);
+      const run = engine.processExecution(engine.queue.dequeue().payload);
+      await flush();
+
+      expect(other.pauseExecution(executionId)).toEqual({ executionId, status: 'pausing' });
+      expect(db.getControlRequest(executionId)).toBe('pause');
+
+      first.resolve('one');
+      await run;
+
+      expect(db.getExecution(executionId)).toMatchObject({ status: 'paused', control_request: null });
+      expect(engine.executor.execute).toHaveBeenCalledTimes(1);
+      expect(() => other.pauseExecution(executionId)).toThrow('Cannot pause execution in status "paused"');
+
+      expect(other.resumeExecution(executionId)).toEqual({ executionId, status: 'pending' });
+      engine.executor.execute = jest.fn().mockResolvedValue('two');
+      await engine.processExecution(engine.queue.dequeue().payload);
+      expect(db.getExecution(executionId).status).toBe('completed');
+    });
+  });
+
+  describe('crash recovery', () => {
+    const chainSpec = {
+      name: 'chain',
+      steps: [
+        { id: 'first', plugin: 'test.plugin', action: 'run' },
+        { id: 'second', plugin: 'test.plugin', action: 'run', needs: ['first'] },
+        { id: 'third', plugin: 'test.plugin', action: 'run', needs: ['second'] }
+      ]
+    };
+
+    // An execution claimed by a process that died while `second` was running
+    const crashedExecution = async ({ retryCount = 0 } = {}) => {
+      const { executionId } = await engine.submitWorkflow(chainSpec);
+      new SqliteQueue(db, { owner: 'dead-worker' }).dequeue();
+      db.db.prepare("UPDATE task_queue SET retry_count = ?, lease_expires_at = datetime('now', '-1 second') WHERE task_id = ?")
+        .run(retryCount, executionId);
+      db.updateExecution(executionId, { status: 'running' });
+      db.createTask({ id: `${executionId}-first`, execution_id: executionId, step_id: 'first', plugin_id: 'test.plugin', action: 'run' });
+      db.updateTask(`${executionId}-first`, { status: 'completed', result: 1 });
+      db.createTask({ id: `${executionId}-second`, execution_id: executionId, step_id: 'second', plugin_id: 'test.plugin', action: 'run' });
+      db.updateTask(`${executionId}-second`, { status: 'running' });
+      return executionId;
+    };
+
+    it('should resume executions whose lease expired from their finished steps', async () => {
+      const executionId = await crashedExecution();
+
+      expect(engine.recover()).toEqual({ resumed: [executionId], failed: [] });
+      expect(db.getExecution(executionId).status).toBe('pending');
+      expect(db.getTask(`${executionId}-second`)).toMatchObject({ status: 'interrupted' });
+      expect(db.getEventsByExecution(executionId).find(e => e.event_type === 'execution_recovered').event_data)
+        .toEqual({ retryCount: 1, interruptedSteps: ['second'] });
+
+      engine.executor.execute = jest.fn(async (step) => step.id);
+      const task = engine.queue.dequeue();
+      expect(task.payload.resume).toBe(true);
+      await engine.processExecution(task.payload);
+
+      expect(engine.executor.execute.mock.calls.map(([step]) => step.id)).toEqual(['second', 'third']);
+      expect(db.getExecution(executionId).status).toBe('completed');
+    });
+
+    it('should fail executions that ran out of retries', async () => {
+      const executionId = await crashedExecution({ retryCount: 2 });
+
+      expect(engine.recover()).toEqual({ resumed: [], failed: [executionId] });
+      expect(db.getExecution(executionId)).toMatchObject({
+        status: 'failed',
+        error: 'Execution interrupted 3 times; no retries left'
+      });
+      expect(engine.queue.get(executionId).status).toBe('failed');
+    });
+
+    it('should leave live leases alone and reconcile stranded executions', async () => {
+      const { executionId: live } = await engine.submitWorkflow(chainSpec);
+      new SqliteQueue(db, { owner: 'other-worker' }).dequeue();
+      db.updateExecution(live, { status: 'running' });
+
+      // Running without a queue claim (e.g. recorded before the lease existed)
+      const { executionId: stranded } = await engine.submitWorkflow(chainSpec);
+      db.updateExecution(stranded, { status: 'running' });
+
+      // Finished, but the process died before releasing the queue entry
+      const { executionId: finished } = await engine.submitWorkflow(chainSpec);
+      new SqliteQueue(db, { owner: 'dead-worker' }).claim(finished);
+      db.db.prepare("UPDATE task_queue SET lease_expires_at = datetime('now', '-1 second') WHERE task_id = ?").run(finished);
+      db.updateExecution(finished, { status: 'completed' });
+
+      expect(engine.recover()).toEqual({ resumed: [stranded], failed: [] });
+      expect(engine.queue.get(live).status).toBe('processing');
+      expect(db.getExecution(live).status).toBe('running');
+      expect(engine.queue.get(stranded).payload.resume).toBe(true);
+      expect(engine.queue.get(finished).status).toBe('completed');
+    });
+
+    it('should fail sub-workflows that were running along with a reclaimed parent', async () => {
+      const executionId = await crashedExecution();
+      db.createExecution({
+        id: 'exec-orphan',
+        workflow_id: db.getExecution(executionId).workflow_id,
+        status: 'running',
+        parent_execution_id: executionId,
+        parent_task_id: `${executionId}-second`
+      });
+
+      expect(engine.recover()).toEqual({ resumed: [executionId], failed: ['exec-orphan'] });
+      expect(db.getExecution('exec-orphan')).toMatchObject({
+        status: 'failed',
+        error: 'Sub-workflow interrupted along with its parent execution'
+      });
+    });
+
+    it('should reclaim an execution redelivered after its processor died', async () => {
+      const executionId = await crashedExecution();
+      const requeue = jest.spyOn(engine.queue, 'requeue');
+      const payload = { executionId, workflowSpec: chainSpec };
+
+      await engine.processDelivery(payload, { task_id: executionId, redelivered: true, max_retries: 2 });
+      expect(db.getExecution(executionId).status).toBe('pending');
+      expect(db.getTask(`${executionId}-second`).status).toBe('interrupted');
+      expect(requeue).toHaveBeenCalledWith(executionId, { ...payload, resume: true }, { concurrencyKey: 'chain' });
+
+      // The second lost delivery uses up the retries
+      db.updateExecution(executionId, { status: 'running' });
+      await engine.processDelivery(payload, { task_id: executionId, redelivered: true, max_retries: 2 });
+      expect(db.getExecution(executionId)).toMatchObject({
+        status: 'failed',
+        error: 'Execution interrupted 2 times; no retries left'
+      });
+      expect(requeue).toHaveBeenCalledTimes(1);
+    });
+
+    it('should drop deliveries of executions that are finished, paused or already running', async () => {
+      engine.executor.execute = jest.fn(async (step) => step.id);
+      const { executionId } = await engine.submitWorkflow(chainSpec);
+      const payload = { executionId, workflowSpec: chainSpec };
+
+      for (const status of ['running', 'paused', 'completed', 'cancelled']) {
+        db.updateExecution(executionId, { status });
+        await engine.processDelivery(payload, { task_id: executionId });
+      }
+      expect(engine.executor.execute).not.toHaveBeenCalled();
+
+      // Two deliveries of the same pending execution: only one claims it
+      db.updateExecution(executionId, { status: 'pending' });
+      await Promise.all([
+        engine.processDelivery(payload, { task_id: executionId }),
+        engine.processDelivery(payload, { task_id: executionId })
+      ]);
+      expect(engine.executor.execute).toHaveBeenCalledTimes(3);
+      expect(db.getExecution(executionId).status).toBe('completed');
+    });
+  });
+
+  describe('cancel, pause and resume', () => {
+    const chainSpec = {
+      name: 'chain',
+      steps: [
+        { id: 'first', plugin: 'test.plugin', action: 'run' },
+        { id: 'second', plugin: 'test.plugin', action: 'run', needs: ['first'] },
+        { id: 'third', plugin: 'test.plugin', action: 'run', needs: ['second'] }
+      ]
+    };
+
+    const submit = async (spec) => {
+      const { executionId } = await engine.submitWorkflow(spec);
+      const task = engine.queue.dequeue();
+      return { executionId, payload: task.payload };
+    };
+
+    it('should cancel a queued execution without running it', async () => {
+      const { executionId } = await engine.submitWorkflow(chainSpec);
+
+      expect(engine.cancelExecution(executionId)).toEqual({ executionId, status: 'cancelled' });
+      expect(db.getExecution(executionId).status).toBe('cancelled');
+      expect(engine.queue.dequeue()).toBeNull();
+      expect(engine.queue.getStats().cancelled).toBe(1);
+    });
+
+    it('should abort in-flight steps and stop scheduling when a running execution is cancelled', async () => {
+      engine.executor.wrappers['test.plugin'] = {
+        run: jest.fn(() => new Promise(() => {}))
+      };
+
+      const { executionId, payload } = await submit(chainSpec);
+      const run = engine.processExecution(payload);
+      await flush();
+
+      expect(engine.cancelExecution(executionId)).toEqual({ executionId, status: 'cancelling' });
+      await run;
+
+      const [[, { signal }]] = engine.executor.wrappers['test.plugin'].run.mock.calls;
+      expect(signal.aborted).toBe(true);
+      expect(db.getExecution(executionId).status).toBe('cancelled');
+      expect(engine.queue.get(executionId).status).toBe('cancelled');
+
+      const tasks = db.getTasksByExecution(executionId);
+      expect(tasks.map(t => [t.step_id, t.status])).toEqual([['first', 'cancelled']]);
+
+      const events = db.getEventsByExecution(executionId).map(e => e.event_type);
+      expect(events).toEqual(expect.arrayContaining(['execution_cancel_requested', 'step_cancelled', 'execution_cancelled']));
+    });
+
+    it('should ask Pathway to cancel pipelines started by the execution', async () => {
+      const pending = {};
+      const cancelPipeline = jest.fn().mockResolvedValue({ success: true });
+      engine.executor.wrappers['test.plugin'] = {
+        cancelPipeline,
+        run: jest.fn(() => {
+          if (!pending.first) {
+            pending.first = true;
+            return Promise.resolve({ pipelineId: 'fraud', executionId: 'pw-1', status: 'running' });
+          }
+          return new Promise(() => {});
+        })
+      };
+
+      const { executionId, payload } = await submit(chainSpec);
+      const run = engine.processExecution(payload);
+      await flush();
+      await flush();
+
+      engine.cancelExecution(executionId);
+      await run;
+
+      expect(cancelPipeline).toHaveBeenCalledWith('fraud', 'pw-1');
+      const events = db.getEventsByExecution(executionId).map(e => e.event_type);
+      expect(events).toContain('step_work_cancelled');
+    });
+
+    it('should pause after in-flight steps and resume from where it stopped', async () => {
+      const pending = {};
+      engine.executor.execute = jest.fn((step) => {
+        pending[step.id] = deferred();
+        return pending[step.id].promise;
+      });
+
+      const { executionId, payload } = await submit(chainSpec);
+      const run = engine.processExecution(payload);
+      await flush();
+
+      expect(engine.pauseExecution(executionId)).toEqual({ executionId, status: 'pausing' });
+      pending.first.resolve('one');
+      await run;
+
+      expect(db.getExecution(executionId).status).toBe('paused');
+      expect(engine.queue.get(executionId).status).toBe('paused');
+      expect(engine.executor.execute).toHaveBeenCalledTimes(1);
+
+      expect(engine.resumeExecution(executionId)).toEqual({ executionId, status: 'pending' });
+      const resumed = engine.queue.dequeue();
+      expect(resumed.payload.resume).toBe(true);
+
+      engine.executor.execute = jest.fn(async (step, context) => `${step.id} after ${JSON.stringify(context.steps.first)}`);
+      await engine.processExecution(resumed.payload);
+
+      expect(engine.executor.execute.mock.calls.map(([step]) => step.id)).toEqual(['second', 'third']);
+      const execution = db.getExecution(executionId);
+      expect(execution.status).toBe('completed');
+      expect(execution.result.second.result).toBe('second after {"result":"one"}');
+
+      const events = db.getEventsByExecution(executionId).map(e => e.event_type);
+      expect(events).toEqual(expect.arrayContaining(['execution_paused', 'execution_resume_requested', 'execution_resumed']));
+    });
+
+    it('should retry a failed execution from the failed step', async () => {
+      engine.executor.execute = jest.fn(async (step) => {
+        if (step.id === 'second') {
+          throw new Error('downstream unavailable');
+        }
+        return `${step.id} done`;
+      });
+
+      const { executionId, payload } = await submit(chainSpec);
+      await expect(engine.processExecution(payload)).rejects.toThrow('downstream unavailable');
+      expect(db.getExecution(executionId).status).toBe('failed');
+
+      const retry = engine.retryExecution(executionId);
+      expect(retry).toEqual({
+        executionId: expect.any(String),
+        retryOf: executionId,
+        attempt: 2,
+        reusedSteps: ['first']
+      });
+
+      const queued = engine.queue.dequeue();
+      expect(queued.task_id).toBe(retry.executionId);
+      expect(queued.payload.resume).toBe(true);
+
+      engine.executor.execute = jest.fn(async (step, context) => `${step.id} after ${context.steps.first.result}`);
+      await engine.processExecution(queued.payload);
+
+      expect(engine.executor.execute.mock.calls.map(([step]) => step.id)).toEqual(['second', 'third']);
+      const execution = db.getExecution(retry.executionId);
+      expect(execution.status).toBe('completed');
+      expect(execution.retry_of).toBe(executionId);
+      expect(execution.result.second.result).toBe('second after first done');
+
+      const status = engine.getExecutionStatus(executionId);
+      expect(status.status).toBe('failed');
+      expect(status.retries).toEqual([expect.objectContaining({ id: retry.executionId, status: 'completed', attempt: 2 })]);
+      expect(status.events.map(e => e.event_type)).toContain('execution_retried');
+
+      const events = db.getEventsByExecution(retry.executionId).map(e => e.event_type);
+      expect(events).toEqual(expect.arrayContaining(['step_reused', 'execution_resumed']));
+    });
+
+    it('should not run the original again once a failed execution is retried', async () => {
+      engine.executor.execute = jest.fn(async (step) => {
+        if (step.id === 'second') {
+          throw new Error('downstream unavailable');
+        }
+        return `${step.id} done`;
+      });
+      engine.queue.processor = (payload, task) => engine.processDelivery(payload, task);
+
+      const { executionId } = await engine.submitWorkflow(chainSpec);
+      const original = engine.queue.dequeue();
+      await engine.queue.process(original);
+      expect(engine.queue.get(executionId)).toMatchObject({ status: 'pending', retry_count: 1 });
+
+      // The queue's own retry of the original is dropped
+      const retry = engine.retryExecution(executionId);
+      expect(engine.queue.get(executionId).status).toBe('failed');
+      expect(engine.queue.dequeue().task_id).toBe(retry.executionId);
+
+      // So is a delivery that was already on its way (JetStream)
+      engine.executor.execute.mockClear();
+      await engine.processDelivery(original.payload, { ...original, retry_count: 1 });
+      expect(engine.executor.execute).not.toHaveBeenCalled();
+      expect(db.getExecution(executionId).status).toBe('failed');
+    });
+
+    it('should only retry failed or cancelled executions', async () => {
+      createExecution('exec-running', chainSpec);
+      db.updateExecution('exec-running', { status: 'running' });
+
+      expect(() => engine.retryExecution('exec-running')).toThrow('Cannot retry execution in status "running"');
+      expect(engine.retryExecution('missing')).toBeNull();
+    });
+
+    it('should reject invalid transitions', async () => {
+      createExecution('exec-done', chainSpec);
+      db.updateExecution('exec-done', { status: 'completed' });
+
+      expect(() => engine.cancelExecution('exec-done')).toThrow('Cannot cancel execution in status "completed"');
+      expect(() => engine.pauseExecution('exec-done')).toThrow('Cannot pause');
+      expect(() => engine.resumeExecution('exec-done')).toThrow('Cannot resume');
+      expect(engine.cancelExecution('missing')).toBeNull();
+    });
+  });
+});
+
+// Nicolas Larenas, nlarchive
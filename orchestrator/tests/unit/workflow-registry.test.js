@@ -0,0 +1,91 @@
+const WorkflowRegistry = require('../../engine/workflow-registry');
+const DatabaseClient = require('../../db/client');
+
+describe('WorkflowRegistry', () => {
+  let db;
+  let registry;
+
+  const spec = {
+    name: 'ingest',
+    description: 'Ingest events',
+    steps: [
+      { id: 'fetch', plugin: 'p1', action: 'fetch' },
+      { id: 'store', plugin: 'p2', action: 'store', needs: ['fetch'] }
+    ]
+  };
+
+  beforeEach(() => {
+    db = new DatabaseClient(':memory:');
+    db.connect();
+    db.initialize();
+    registry = new WorkflowRegistry(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('hashSpec', () => {
+    it('should not depend on key order', () => {
+      const reordered = { steps: spec.steps, description: spec.description, name: spec.name };
+      expect(WorkflowRegistry.hashSpec(reordered)).toBe(WorkflowRegistry.hashSpec(spec));
+      expect(WorkflowRegistry.hashSpec(spec)).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('should change when the spec changes', () => {
+      const changed = { ...spec, steps: [spec.steps[0]] };
+      expect(WorkflowRegistry.hashSpec(changed)).not.toBe(WorkflowRegistry.hashSpec(spec));
+    });
+  });
+
+  describe('register', () => {
+    it('should create version 1 and add versions only when the content changes', () => {
+      const first = registry.register(spec);
+      expect(first).toEqual(expect.objectContaining({ name: 'ingest', version: 1, created: true }));
+
+      const same = registry.register({ ...spec });
+      expect(same).toEqual({ ...first, created: false });
+
+      const second = registry.register({ ...spec, steps: [spec.steps[0]] });
+      expect(second).toEqual(expect.objectContaining({ version: 2, created: true }));
+
+      const definition = registry.get('ingest');
+      expect(definition.latest_version).toBe(2);
+      expect(definition.description).toBe('Ingest events');
+      expect(definition.spec.steps).toHaveLength(1);
+      expect(definition.versions.map(v => v.version)).toEqual([1, 2]);
+    });
+
+    it('should reject invalid workflows', () => {
+      expect(() => registry.register({ name: 'bad', steps: [] })).toThrow('Invalid workflow');
+      expect(registry.get('bad')).toBeNull();
+    });
+  });
+
+  describe('resolve', () => {
+    it('should return the latest version or a pinned one', () => {
+      registry.register(spec);
+      registry.register({ ...spec, steps: [spec.steps[0]] });
+
+      expect(registry.resolve('ingest').version).toBe(2);
+      expect(registry.resolve('ingest', 1).spec.steps).toHaveLength(2);
+      expect(registry.resolve('ingest', 3)).toBeNull();
+      expect(registry.resolve('missing')).toBeNull();
+    });
+  });
+
+  describe('delete', () => {
+    it('should remove the definition but never reuse version numbers', () => {
+      const { workflowId } = registry.register(spec);
+
+      expect(registry.delete('ingest')).toBe(true);
+      expect(registry.delete('ingest')).toBe(false);
+      expect(registry.get('ingest')).toBeNull();
+      expect(db.getWorkflow(workflowId).version).toBe(1);
+
+      expect(registry.register(spec).version).toBe(2);
+    });
+  });
+});
+
+// Nicolas Larenas, nlarchive